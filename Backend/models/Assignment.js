@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 
+const LATE_PENALTY_TYPES = ['flat', 'per-day'];
+const MAX_PEER_REVIEWS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+// One student's own deadlines, e.g. an extension for a medical note; unset fields follow the assignment
+const studentOverrideSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueDate: {
+    type: Date
+  },
+  allowLateSubmission: {
+    type: Boolean
+  },
+  resubmissionDeadline: {
+    type: Date
+  },
+  maxResubmissions: {
+    type: Number,
+    min: 1
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const assignmentSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -57,7 +98,25 @@ const assignmentSchema = new mongoose.Schema({
   },
   latePenalty: {
     type: Number,
-    default: 0 // percentage penalty for late submissions
+    default: 0, // percentage penalty for late submissions (per started day for 'per-day')
+    min: 0,
+    max: 100
+  },
+  latePenaltyType: {
+    type: String,
+    enum: LATE_PENALTY_TYPES,
+    default: 'flat'
+  },
+  latePenaltyCap: {
+    type: Number,
+    default: 100, // most a per-day penalty can add up to, as a percentage
+    min: 0,
+    max: 100
+  },
+  lateGraceHours: {
+    type: Number,
+    default: 0, // hours after the due date before any penalty applies
+    min: 0
   },
   submissionType: {
     type: String,
@@ -74,6 +133,36 @@ const assignmentSchema = new mongoose.Schema({
   maxResubmissions: {
     type: Number,
     default: 3
+  },
+  studentOverrides: [studentOverrideSchema],
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
+  // Optional peer review after the due date: each student reviews classmates' work anonymously
+  peerReview: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    reviewsPerStudent: {
+      type: Number,
+      default: 2,
+      min: 1,
+      max: MAX_PEER_REVIEWS
+    },
+    reviewDeadline: {
+      type: Date
+    },
+    allocatedAt: {
+      type: Date
+    },
+    weight: {
+      type: Number,
+      default: 0, // percentage of the final grade taken from the peer average, once folded in
+      min: 0,
+      max: 100
+    }
   }
 }, {
   timestamps: true
@@ -85,4 +174,94 @@ assignmentSchema.index({ teacher: 1 });
 assignmentSchema.index({ isPublished: 1 });
 assignmentSchema.index({ dueDate: 1 });
 
+assignmentSchema.statics.LATE_PENALTY_TYPES = LATE_PENALTY_TYPES;
+assignmentSchema.statics.MAX_PEER_REVIEWS = MAX_PEER_REVIEWS;
+
+// Method to get a student's override, or null when they follow the assignment's deadlines
+assignmentSchema.methods.getStudentOverride = function(studentId) {
+  return (this.studentOverrides || []).find(override => idOf(override.student) === idOf(studentId)) || null;
+};
+
+// Method to get the deadlines that apply to one student, with their override in place
+assignmentSchema.methods.getDeadlinesFor = function(studentId) {
+  const override = this.getStudentOverride(studentId);
+  const pick = (field) => (
+    override && override[field] !== undefined && override[field] !== null ? override[field] : this[field]
+  );
+
+  return {
+    dueDate: pick('dueDate'),
+    allowLateSubmission: pick('allowLateSubmission'),
+    resubmissionDeadline: pick('resubmissionDeadline'),
+    maxResubmissions: pick('maxResubmissions'),
+    hasOverride: !!override
+  };
+};
+
+// Method to decide whether a student may hand in a new version of their submission. Uses the
+// assignment's current settings and the student's override rather than the values the submission
+// copied when it was first made, so later edits apply straight away. Without a resubmission
+// deadline new versions follow the due date (and its late allowance). maxResubmissions counts
+// versions, the first one included.
+// Returns { allowed, reason, remaining, maxVersions, deadline }.
+assignmentSchema.methods.getResubmissionPolicy = function(submission, now = new Date()) {
+  const deadlines = this.getDeadlinesFor(submission.student);
+  const maxVersions = deadlines.maxResubmissions || 3;
+  const remaining = this.allowResubmission ? Math.max(0, maxVersions - submission.currentVersion) : 0;
+  const deadline = deadlines.resubmissionDeadline || (deadlines.allowLateSubmission ? null : deadlines.dueDate);
+
+  let reason = null;
+  if (!this.allowResubmission) {
+    reason = 'This assignment does not accept resubmissions';
+  } else if (submission.status === 'graded') {
+    reason = 'Your submission has been graded. You can resubmit once your teacher returns it';
+  } else if (remaining === 0) {
+    reason = `You have used all ${maxVersions} submissions allowed for this assignment`;
+  } else if (deadline && now > deadline) {
+    reason = deadlines.resubmissionDeadline
+      ? 'The resubmission deadline has passed'
+      : 'The due date has passed and late submissions are not accepted';
+  }
+
+  return { allowed: !reason, reason, remaining, maxVersions, deadline: deadline || null };
+};
+
+// Method to get the last due date any student has: the assignment's, or a later one given in a
+// student's override
+assignmentSchema.methods.getLatestDueDate = function(dueDate = this.dueDate) {
+  return (this.studentOverrides || []).reduce((latest, override) => (
+    override.dueDate && override.dueDate > latest ? override.dueDate : latest
+  ), new Date(dueDate));
+};
+
+// Method to get where the assignment is in its peer review: 'off', 'upcoming' until every student's
+// due date has passed (so nobody still writing sees classmates' work), 'open' until the review
+// deadline, then 'closed'
+assignmentSchema.methods.getPeerReviewPhase = function(now = new Date()) {
+  const peerReview = this.peerReview || {};
+  if (!peerReview.enabled) return 'off';
+  if (now < this.getLatestDueDate()) return 'upcoming';
+  if (!peerReview.reviewDeadline || now <= peerReview.reviewDeadline) return 'open';
+  return 'closed';
+};
+
+// Method to work out the late penalty for a submission time. Days late are counted in started
+// days after the grace period, so one minute past grace is one day late.
+// Returns { daysLate, percentage, withinGrace }.
+assignmentSchema.methods.calculateLatePenalty = function(submittedAt, dueDate = this.dueDate) {
+  const lateMs = new Date(submittedAt) - new Date(dueDate);
+  if (!(lateMs > 0)) return { daysLate: 0, percentage: 0, withinGrace: false };
+
+  const graceMs = (this.lateGraceHours || 0) * 60 * 60 * 1000;
+  if (lateMs <= graceMs) return { daysLate: 0, percentage: 0, withinGrace: true };
+
+  const daysLate = Math.ceil((lateMs - graceMs) / DAY_MS);
+  const rate = this.latePenalty || 0;
+  const percentage = this.latePenaltyType === 'per-day'
+    ? Math.min(rate * daysLate, this.latePenaltyCap === undefined ? 100 : this.latePenaltyCap)
+    : rate;
+
+  return { daysLate, percentage: Math.min(100, percentage), withinGrace: false };
+};
+
 module.exports = mongoose.model('Assignment', assignmentSchema);
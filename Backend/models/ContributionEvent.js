@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+
+// Points for each kind of contribution event
+const CONTRIBUTION_POINTS = {
+  approved: 10,
+  rejected: -3,
+  'approval-reversed': -10,
+  'used-in-quiz': 1,
+  'good-discrimination': 5
+};
+
+// Usage points stop once a question has been used this many times
+const MAX_USAGE_AWARDS = 20;
+
+// Point-biserial needed, over enough attempts, before a question counts as discriminating well
+const GOOD_DISCRIMINATION = 0.3;
+const MIN_DISCRIMINATION_ATTEMPTS = 10;
+
+// The item analysis reads every attempt at a question, so completed attempts re-run it at most this often
+const DISCRIMINATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Badges are derived from ledger totals rather than stored
+const BADGES = [
+  {
+    id: 'first-approval',
+    name: 'First Approval',
+    description: 'Had a question approved',
+    isEarned: (stats) => stats.approvedCount >= 1
+  },
+  {
+    id: 'prolific-author',
+    name: 'Prolific Author',
+    description: 'Had 10 questions approved',
+    isEarned: (stats) => stats.approvedCount >= 10
+  },
+  {
+    id: 'crowd-favourite',
+    name: 'Crowd Favourite',
+    description: 'Questions answered 50 times by classmates',
+    isEarned: (stats) => stats.usageCount >= 50
+  },
+  {
+    id: 'sharp-question',
+    name: 'Sharp Question',
+    description: 'Wrote a question that separates strong and weak answers well',
+    isEarned: (stats) => stats.discriminationCount >= 1
+  },
+  {
+    id: 'top-contributor',
+    name: 'Top Contributor',
+    description: 'Most contribution points in the course',
+    isEarned: (stats) => stats.rank === 1 && stats.points > 0
+  }
+];
+
+const contributionEventSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuestion',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(CONTRIBUTION_POINTS),
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuizAttempt'
+  },
+  // Makes each award idempotent, e.g. "approved:<questionId>"
+  key: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+contributionEventSchema.index({ key: 1 }, { unique: true });
+contributionEventSchema.index({ course: 1, student: 1, createdAt: -1 });
+contributionEventSchema.index({ question: 1, type: 1 });
+
+// Record an award once; returns null if it was already recorded
+contributionEventSchema.statics.award = async function(question, type, key, attempt) {
+  try {
+    return await this.create({
+      student: question.student,
+      course: question.course,
+      question: question._id,
+      type,
+      points: CONTRIBUTION_POINTS[type],
+      attempt,
+      key
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Key for the nth award of a type on a question; the first keeps the plain "<type>:<questionId>" form
+const cycleKey = (type, id, cycle) => (cycle ? `${type}:${id}:${cycle}` : `${type}:${id}`);
+
+// Credit or debit the author when a teacher reviews their question. The approval credit is taken
+// back whenever the question leaves 'approved' (rejected, retired or sent back for revision) and
+// given again if it is re-approved.
+contributionEventSchema.statics.recordReview = async function(question) {
+  if (question.source !== 'student') return;
+
+  const id = question._id.toString();
+  const approvals = await this.countDocuments({ question: question._id, type: 'approved' });
+  const reversals = await this.countDocuments({ question: question._id, type: 'approval-reversed' });
+  const isCredited = approvals > reversals;
+
+  if (question.status === 'approved') {
+    if (!isCredited) await this.award(question, 'approved', cycleKey('approved', id, approvals));
+    return;
+  }
+
+  if (question.status === 'rejected') {
+    await this.award(question, 'rejected', `rejected:${id}`);
+  }
+  if (isCredited) {
+    await this.award(question, 'approval-reversed', cycleKey('approval-reversed', id, reversals));
+  }
+};
+
+// Credit authors whose questions were used in a completed practice quiz attempt
+contributionEventSchema.statics.recordAttempt = async function(attempt) {
+  const StudentQuestion = mongoose.model('StudentQuestion');
+  const questionIds = attempt.questions.map(q => q._id || q);
+
+  // Answering your own question earns nothing
+  const questions = await StudentQuestion.find({
+    _id: { $in: questionIds },
+    source: 'student',
+    student: { $ne: attempt.student }
+  });
+
+  for (const question of questions) {
+    const usageCount = await this.countDocuments({ question: question._id, type: 'used-in-quiz' });
+    if (usageCount < MAX_USAGE_AWARDS) {
+      await this.award(question, 'used-in-quiz', `used-in-quiz:${question._id}:${attempt._id}`, attempt._id);
+    }
+  }
+};
+
+// Credit the author once a question's item analysis shows it discriminates well
+contributionEventSchema.statics.recordDiscrimination = async function(question, analysis) {
+  if (question.source !== 'student') return null;
+  if (analysis.attemptCount < MIN_DISCRIMINATION_ATTEMPTS || !(analysis.pointBiserial >= GOOD_DISCRIMINATION)) {
+    return null;
+  }
+
+  return this.award(question, 'good-discrimination', `good-discrimination:${question._id}`);
+};
+
+// Re-run the item analysis of the student questions in a completed attempt, at most once an
+// interval per question, and credit those that now discriminate well
+contributionEventSchema.statics.checkDiscrimination = async function(attempt, now = new Date()) {
+  const StudentQuestion = mongoose.model('StudentQuestion');
+  const StudentQuizAttempt = mongoose.model('StudentQuizAttempt');
+  const questionIds = attempt.questions.map(q => q._id || q);
+
+  const questions = await StudentQuestion.find({ _id: { $in: questionIds }, source: 'student' });
+
+  for (const question of questions) {
+    if (await this.exists({ key: `good-discrimination:${question._id}` })) continue;
+
+    // Claiming the check first keeps a burst of completions from each running the analysis
+    const claim = await StudentQuestion.updateOne({
+      _id: question._id,
+      $or: [
+        { discriminationCheckedAt: null },
+        { discriminationCheckedAt: { $lte: new Date(now.getTime() - DISCRIMINATION_CHECK_INTERVAL_MS) } }
+      ]
+    }, { $set: { discriminationCheckedAt: now } });
+    if (claim.modifiedCount === 0) continue;
+
+    const analysis = await StudentQuizAttempt.analyzeQuestion(question);
+    await this.recordDiscrimination(question, analysis);
+  }
+};
+
+// Ranked per-student totals for a course. The public leaderboard leaves out anonymous
+// questions so that it cannot be used to unmask their authors.
+contributionEventSchema.statics.getCourseStandings = async function(courseId, { includeAnonymous = true, excludeStudents = [] } = {}) {
+  const events = await this.find({ course: courseId, student: { $nin: excludeStudents } })
+    .populate('question', 'isAnonymous');
+
+  const standings = new Map();
+  for (const event of events) {
+    if (!includeAnonymous && (!event.question || event.question.isAnonymous)) continue;
+
+    const studentId = event.student.toString();
+    if (!standings.has(studentId)) {
+      standings.set(studentId, {
+        student: studentId,
+        points: 0,
+        approvedCount: 0,
+        usageCount: 0,
+        discriminationCount: 0
+      });
+    }
+
+    const stats = standings.get(studentId);
+    stats.points += event.points;
+    if (event.type === 'approved') stats.approvedCount += 1;
+    if (event.type === 'approval-reversed') stats.approvedCount -= 1;
+    if (event.type === 'used-in-quiz') stats.usageCount += 1;
+    if (event.type === 'good-discrimination') stats.discriminationCount += 1;
+  }
+
+  // Highest points first; ties share a rank
+  const ranked = [...standings.values()].sort((a, b) => b.points - a.points);
+  ranked.forEach((stats, index) => {
+    stats.rank = index > 0 && ranked[index - 1].points === stats.points ? ranked[index - 1].rank : index + 1;
+  });
+
+  return ranked;
+};
+
+// Badges earned for a set of standings stats
+contributionEventSchema.statics.getBadges = function(stats) {
+  return BADGES
+    .filter(badge => badge.isEarned(stats))
+    .map(({ id, name, description }) => ({ id, name, description }));
+};
+
+module.exports = mongoose.model('ContributionEvent', contributionEventSchema);
@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+const MAX_QUIZ_TIME_MULTIPLIER = 4;
+
+// Extra time on timed quizzes for one student, e.g. 1.5 for time and a half
+const quizTimeAccommodationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  timeMultiplier: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_QUIZ_TIME_MULTIPLIER
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const courseSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -50,6 +80,30 @@ const courseSchema = new mongoose.Schema({
   totalQuizzes: {
     type: Number,
     default: 0
+  },
+  // When students may see answer keys for completed practice quizzes
+  practiceAnswerVisibility: {
+    type: String,
+    enum: ['after-submit', 'after-due-date', 'never'],
+    default: 'after-submit'
+  },
+  practiceAnswersDueDate: {
+    type: Date
+  },
+  // Record tab switches, focus loss, copy/paste and fullscreen exits during practice quizzes
+  integrityMonitoring: {
+    type: Boolean,
+    default: true
+  },
+  // Whether exam-mode quizzes let students go back to earlier questions
+  examBacktracking: {
+    type: Boolean,
+    default: false
+  },
+  // Left out of queries unless asked for with +quizTimeAccommodations, so classmates never see them
+  quizTimeAccommodations: {
+    type: [quizTimeAccommodationSchema],
+    select: false
   }
 }, {
   timestamps: true
@@ -59,4 +113,29 @@ const courseSchema = new mongoose.Schema({
 courseSchema.index({ teacher: 1, subject: 1 });
 courseSchema.index({ students: 1 });
 
+courseSchema.statics.MAX_QUIZ_TIME_MULTIPLIER = MAX_QUIZ_TIME_MULTIPLIER;
+
+// Method to get a student's quiz time multiplier (1 without an accommodation); the course must
+// have been loaded with +quizTimeAccommodations
+courseSchema.methods.getQuizTimeMultiplier = function(studentId) {
+  const accommodation = (this.quizTimeAccommodations || [])
+    .find(entry => entry.student.toString() === studentId.toString());
+  return accommodation ? accommodation.timeMultiplier : 1;
+};
+
+// Method to check whether practice quiz answer keys can be shown to students
+courseSchema.methods.canRevealPracticeAnswers = function(now = new Date()) {
+  switch (this.practiceAnswerVisibility) {
+    case 'never':
+      return false;
+    case 'after-due-date': {
+      // Falls back to the course end date when no separate due date is set
+      const dueDate = this.practiceAnswersDueDate || this.endDate;
+      return !!dueDate && now >= dueDate;
+    }
+    default:
+      return true;
+  }
+};
+
 module.exports = mongoose.model('Course', courseSchema);
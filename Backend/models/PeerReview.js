@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// One student's review of a classmate's submission; the reviewer never learns whose work it is
+const peerReviewSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'submitted'],
+    default: 'assigned'
+  },
+  // Filled in when the assignment has a rubric, in the same shape as Submission.rubricScores
+  rubricScores: [{
+    _id: false,
+    criterionId: mongoose.Schema.Types.ObjectId,
+    criterionTitle: String,
+    levelId: mongoose.Schema.Types.ObjectId,
+    levelTitle: String,
+    points: Number,
+    maxPoints: Number
+  }],
+  score: {
+    type: Number,
+    min: 0 // in assignment points; optional when reviewing with comments only
+  },
+  comments: {
+    type: String,
+    default: '',
+    maxlength: 5000
+  },
+  submittedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+peerReviewSchema.index({ submission: 1, reviewer: 1 }, { unique: true });
+peerReviewSchema.index({ assignment: 1, reviewer: 1 });
+
+// Shuffle a copy of the list so allocations don't follow submission order
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Static to decide who reviews what. Submissions are put in a random circle and each student
+// reviews the next reviewsPerStudent submissions round it, so nobody reviews their own work and
+// every submission gets the same number of reviews. With fewer submissions than that plus one,
+// everyone reviews all the others.
+// Returns [{ submission, reviewer, reviewee }].
+peerReviewSchema.statics.buildAllocation = function(submissions, reviewsPerStudent) {
+  const circle = shuffle(submissions);
+  const perStudent = Math.min(reviewsPerStudent, circle.length - 1);
+  const allocation = [];
+
+  circle.forEach((reviewerSubmission, i) => {
+    for (let step = 1; step <= perStudent; step++) {
+      const reviewed = circle[(i + step) % circle.length];
+      allocation.push({
+        submission: reviewed._id,
+        reviewer: reviewerSubmission.student,
+        reviewee: reviewed.student
+      });
+    }
+  });
+
+  return allocation;
+};
+
+// Static to summarise the submitted reviews of one submission: the peer average and how far
+// reviewers agree. Agreement compares the spread of scores with the assignment's points (high
+// within 10%, moderate within 25%) and, for rubric reviews, the share of criteria where every
+// reviewer chose the same level.
+peerReviewSchema.statics.summarize = function(reviews, maxPoints) {
+  const submitted = reviews.filter(review => review.status === 'submitted');
+  const scores = submitted
+    .map(review => review.score)
+    .filter(score => score !== undefined && score !== null);
+
+  const summary = {
+    assignedCount: reviews.length,
+    submittedCount: submitted.length,
+    scoredCount: scores.length,
+    average: null,
+    min: null,
+    max: null,
+    spreadPercent: null,
+    agreement: null,
+    criteriaAgreement: null
+  };
+
+  if (scores.length > 0) {
+    summary.average = roundPoints(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    summary.min = Math.min(...scores);
+    summary.max = Math.max(...scores);
+  }
+
+  if (scores.length > 1 && maxPoints > 0) {
+    summary.spreadPercent = roundPoints(((summary.max - summary.min) / maxPoints) * 100);
+    summary.agreement = summary.spreadPercent <= 10 ? 'high' : summary.spreadPercent <= 25 ? 'moderate' : 'low';
+  }
+
+  const rubricReviews = submitted.filter(review => review.rubricScores && review.rubricScores.length > 0);
+  if (rubricReviews.length > 1) {
+    const levelsByCriterion = new Map();
+    rubricReviews.forEach(review => review.rubricScores.forEach(score => {
+      const key = String(score.criterionId);
+      if (!levelsByCriterion.has(key)) levelsByCriterion.set(key, new Set());
+      levelsByCriterion.get(key).add(String(score.levelId));
+    }));
+    const unanimous = [...levelsByCriterion.values()].filter(levels => levels.size === 1).length;
+    summary.criteriaAgreement = roundPoints((unanimous / levelsByCriterion.size) * 100);
+  }
+
+  return summary;
+};
+
+module.exports = mongoose.model('PeerReview', peerReviewSchema);
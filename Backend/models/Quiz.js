@@ -15,6 +15,11 @@ const questionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Other wordings that also count as right for short-answer questions
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
   points: {
     type: Number,
     default: 1
@@ -85,4 +90,74 @@ quizSchema.index({ course: 1 });
 quizSchema.index({ teacher: 1 });
 quizSchema.index({ isPublished: 1 });
 
+// Check that every question has what its type needs to be graded
+quizSchema.statics.validateQuestions = function(questions) {
+  if (!Array.isArray(questions)) {
+    return 'Questions must be an array';
+  }
+
+  for (let i = 0; i < questions.length; i++) {
+    const q = questions[i];
+    const label = `Question ${i + 1}`;
+
+    if (!q || typeof q !== 'object') {
+      return `${label}: must be a question`;
+    }
+
+    if (typeof q.question !== 'string' || !q.question.trim()) {
+      return `${label}: question text is required`;
+    }
+
+    if (!['multiple-choice', 'true-false', 'short-answer'].includes(q.type)) {
+      return `${label}: type must be multiple-choice, true-false or short-answer`;
+    }
+
+    if (q.type === 'multiple-choice') {
+      if (!Array.isArray(q.options) || q.options.length < 2) {
+        return `${label}: at least 2 options are required`;
+      }
+      if (q.options.some(o => typeof o !== 'string' || !o.trim())) {
+        return `${label}: fill in or remove the blank options`;
+      }
+      const index = Number(q.correctAnswer);
+      if (!Number.isInteger(index) || index < 0 || index >= q.options.length) {
+        return `${label}: correct answer must be one of the options`;
+      }
+    }
+
+    if (q.type === 'true-false' && !['true', 'false'].includes(String(q.correctAnswer).toLowerCase())) {
+      return `${label}: correct answer must be true or false`;
+    }
+
+    if (q.type === 'short-answer' && (q.correctAnswer === undefined || !String(q.correctAnswer).trim())) {
+      return `${label}: correct answer is required`;
+    }
+
+    if (q.points !== undefined && (isNaN(q.points) || Number(q.points) < 0)) {
+      return `${label}: points must be a non-negative number`;
+    }
+  }
+
+  return null;
+};
+
+// Normalise question input from the client into the Quiz question schema
+quizSchema.statics.buildQuestions = function(questions) {
+  return questions.map(q => ({
+    question: q.question.trim(),
+    type: q.type,
+    options: q.type === 'multiple-choice' ? q.options.map(o => o.trim()) : [],
+    correctAnswer: q.type === 'multiple-choice'
+      ? Number(q.correctAnswer)
+      : q.type === 'true-false'
+        ? String(q.correctAnswer).toLowerCase() === 'true'
+        : String(q.correctAnswer).trim(),
+    acceptedAnswers: q.type === 'short-answer' && Array.isArray(q.acceptedAnswers)
+      ? q.acceptedAnswers.map(answer => String(answer).trim()).filter(Boolean)
+      : [],
+    points: q.points !== undefined ? Number(q.points) : 1,
+    explanation: q.explanation || ''
+  }));
+};
+
 module.exports = mongoose.model('Quiz', quizSchema);
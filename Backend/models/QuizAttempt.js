@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Allowance for network latency when an answer sheet arrives just after the deadline
+const SUBMISSION_GRACE_MS = 30 * 1000;
+
 const answerSchema = new mongoose.Schema({
   questionId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +19,21 @@ const answerSchema = new mongoose.Schema({
   points: {
     type: Number,
     default: 0
+  },
+  // Short answers the auto-grader was unsure of score nothing until the teacher marks them
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String
+  },
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  overriddenAt: {
+    type: Date
   }
 });
 
@@ -36,6 +54,16 @@ const quizAttemptSchema = new mongoose.Schema({
     required: true
   },
   answers: [answerSchema],
+  // Answers saved while the attempt is in progress, ungraded; they are what gets marked if the
+  // student's final answer sheet arrives after the deadline
+  savedAnswers: [{
+    _id: false,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    answer: mongoose.Schema.Types.Mixed
+  }],
   score: {
     type: Number,
     default: 0
@@ -56,6 +84,13 @@ const quizAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  timeLimit: {
+    type: Number // in minutes, the quiz's limit after any extra-time accommodation
+  },
+  timeMultiplier: {
+    type: Number,
+    default: 1
+  },
   submittedAt: {
     type: Date
   },
@@ -76,4 +111,28 @@ quizAttemptSchema.index({ quiz: 1, student: 1 });
 quizAttemptSchema.index({ student: 1 });
 quizAttemptSchema.index({ course: 1 });
 
+// Method to get when the attempt must be handed in: the end of its time limit (the quiz's, stretched
+// by any extra-time accommodation when the attempt started) or the quiz's due date, whichever comes
+// first; null when there is neither
+quizAttemptSchema.methods.getDeadline = function(quiz) {
+  const timeLimit = this.timeLimit || quiz.timeLimit;
+  const deadlines = [];
+  if (timeLimit) deadlines.push(this.startedAt.getTime() + timeLimit * 60 * 1000);
+  if (quiz.dueDate) deadlines.push(new Date(quiz.dueDate).getTime());
+  return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+};
+
+// Method to check whether the attempt is past its deadline (including the grace period)
+quizAttemptSchema.methods.isPastDeadline = function(quiz, now = new Date()) {
+  const deadline = this.getDeadline(quiz);
+  return !!deadline && now.getTime() > deadline.getTime() + SUBMISSION_GRACE_MS;
+};
+
+// Method to get the seconds left before the deadline; null when the attempt has none
+quizAttemptSchema.methods.getRemainingSeconds = function(quiz, now = new Date()) {
+  const deadline = this.getDeadline(quiz);
+  if (!deadline) return null;
+  return Math.max(0, Math.round((deadline.getTime() - now.getTime()) / 1000));
+};
+
 module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const BLUEPRINT_DIFFICULTIES = ['easy', 'medium', 'hard', 'any'];
+const MAX_SECTION_COUNT = 50;
+
+// Tags are typed freely by students, so compare them without case or surrounding spaces
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+const blueprintSectionSchema = new mongoose.Schema({
+  tag: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: BLUEPRINT_DIFFICULTIES,
+    default: 'any'
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_SECTION_COUNT
+  }
+});
+
+const quizBlueprintSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  sections: {
+    type: [blueprintSectionSchema],
+    validate: {
+      validator: sections => sections.length > 0,
+      message: 'A blueprint needs at least one section'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+quizBlueprintSchema.index({ course: 1, isActive: 1 });
+
+quizBlueprintSchema.statics.DIFFICULTIES = BLUEPRINT_DIFFICULTIES;
+quizBlueprintSchema.statics.MAX_SECTION_COUNT = MAX_SECTION_COUNT;
+
+// Whether a question belongs to a section's pool
+const matchesSection = (question, section) => {
+  const tag = normalizeTag(section.tag);
+  return (section.difficulty === 'any' || question.difficulty === section.difficulty) &&
+    (question.tags || []).some(t => normalizeTag(t) === tag);
+};
+
+// Method to get the total number of questions the blueprint asks for
+quizBlueprintSchema.methods.getQuestionCount = function() {
+  return this.sections.reduce((sum, section) => sum + section.count, 0);
+};
+
+// Method to count how many questions each section could draw from the given pool
+quizBlueprintSchema.methods.getAvailability = function(questions) {
+  return this.sections.map(section => ({
+    _id: section._id,
+    available: questions.filter(q => matchesSection(q, section)).length
+  }));
+};
+
+// Method to draw a random question set from the pool. A question tagged for several
+// sections is used once only, so the sections with the smallest pools pick first.
+// Returns the drawn questions in blueprint order plus any sections that came up short.
+quizBlueprintSchema.methods.draw = function(questions) {
+  const used = new Set();
+  const drawn = new Map();
+  const shortfalls = [];
+
+  const pools = this.sections.map(section => ({
+    section,
+    candidates: questions.filter(q => matchesSection(q, section))
+  }));
+
+  [...pools]
+    .sort((a, b) => a.candidates.length - b.candidates.length)
+    .forEach(({ section, candidates }) => {
+      const remaining = candidates
+        .filter(q => !used.has(q._id.toString()))
+        .sort(() => 0.5 - Math.random());
+      const picked = remaining.slice(0, section.count);
+
+      picked.forEach(q => used.add(q._id.toString()));
+      drawn.set(section, picked);
+
+      if (picked.length < section.count) {
+        shortfalls.push({
+          tag: section.tag,
+          difficulty: section.difficulty,
+          requested: section.count,
+          available: picked.length
+        });
+      }
+    });
+
+  return {
+    questions: pools.flatMap(({ section }) => drawn.get(section)),
+    shortfalls
+  };
+};
+
+module.exports = mongoose.model('QuizBlueprint', quizBlueprintSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+
+// SM-2 quality (0-5) for a graded answer: full credit, partial credit or wrong/blank
+const qualityForCredit = (credit) => {
+  if (credit >= 1) return 5;
+  if (credit > 0) return 3;
+  return 1;
+};
+
+const reviewScheduleSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuestion',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  interval: {
+    type: Number, // in days
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: {
+    type: Date
+  },
+  lastQuality: {
+    type: Number
+  },
+  lapses: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+reviewScheduleSchema.index({ student: 1, question: 1 }, { unique: true });
+reviewScheduleSchema.index({ student: 1, course: 1, dueAt: 1 });
+
+// Method to apply one SM-2 review step
+reviewScheduleSchema.methods.applyReview = function(quality, now = new Date()) {
+  if (quality >= 3) {
+    if (this.repetitions === 0) this.interval = 1;
+    else if (this.repetitions === 1) this.interval = 6;
+    else this.interval = Math.round(this.interval * this.easeFactor);
+    this.repetitions += 1;
+  } else {
+    // Forgotten: start the question over from tomorrow
+    this.repetitions = 0;
+    this.interval = 1;
+    this.lapses += 1;
+  }
+
+  const easeFactor = this.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  this.easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+  this.lastQuality = quality;
+  this.lastReviewedAt = now;
+  this.dueAt = new Date(now.getTime() + this.interval * DAY_MS);
+};
+
+// Record a graded answer for one question (credit is the fraction of points earned, 0 to 1)
+reviewScheduleSchema.statics.recordAnswer = async function(studentId, question, credit) {
+  let schedule = await this.findOne({ student: studentId, question: question._id });
+  if (!schedule) {
+    schedule = new this({ student: studentId, question: question._id, course: question.course });
+  }
+
+  schedule.applyReview(qualityForCredit(credit));
+  await schedule.save();
+
+  return schedule;
+};
+
+// Update the schedule from every question in a completed practice quiz attempt. Exam attempts
+// wait until their results are released, as reviews would show the student the answers.
+reviewScheduleSchema.statics.recordAttempt = async function(attempt) {
+  if (attempt.isFeedbackWithheld()) return;
+
+  const StudentQuestion = mongoose.model('StudentQuestion');
+  const questionIds = attempt.questions.map(q => q._id || q);
+  const questions = await StudentQuestion.find({ _id: { $in: questionIds } });
+
+  for (const question of questions) {
+    const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+    const credit = answer && question.points ? answer.points / question.points : 0;
+    await this.recordAnswer(attempt.student, question, credit);
+  }
+};
+
+module.exports = mongoose.model('ReviewSchedule', reviewScheduleSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 10;
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// One performance level of a criterion, e.g. "Proficient" worth 7 to 8 points
+const rubricLevelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  descriptor: {
+    type: String,
+    default: ''
+  },
+  minPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const rubricCriterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  levels: {
+    type: [rubricLevelSchema],
+    validate: {
+      validator: levels => levels.length >= 2 && levels.length <= MAX_LEVELS,
+      message: `Each criterion needs between 2 and ${MAX_LEVELS} levels`
+    }
+  }
+});
+
+const rubricSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  criteria: {
+    type: [rubricCriterionSchema],
+    validate: {
+      validator: criteria => criteria.length > 0 && criteria.length <= MAX_CRITERIA,
+      message: `A rubric needs between 1 and ${MAX_CRITERIA} criteria`
+    }
+  },
+  // The rubric this one was copied from, e.g. last term's version in another course
+  copiedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+rubricSchema.index({ course: 1 });
+rubricSchema.index({ teacher: 1 });
+
+rubricSchema.pre('validate', function(next) {
+  this.criteria.forEach((criterion, i) => {
+    criterion.levels.forEach((level, j) => {
+      if (level.minPoints > level.maxPoints) {
+        this.invalidate(`criteria.${i}.levels.${j}.minPoints`, `"${level.title}" starts above its own maximum`);
+      }
+    });
+  });
+  next();
+});
+
+rubricSchema.statics.MAX_CRITERIA = MAX_CRITERIA;
+rubricSchema.statics.MAX_LEVELS = MAX_LEVELS;
+
+// The points a criterion gives at its best level
+const getCriterionMax = (criterion) => Math.max(...criterion.levels.map(level => level.maxPoints));
+
+// Method to get the most points the rubric can give
+rubricSchema.methods.getMaxPoints = function() {
+  return roundPoints(this.criteria.reduce((sum, criterion) => sum + getCriterionMax(criterion), 0));
+};
+
+// Method to turn the teacher's choice of level per criterion into scores. Every criterion must
+// be scored; points default to the top of the level's band and must stay inside it. Scores keep
+// the criterion and level titles so later edits to a copy never change what a student was shown.
+// Returns { scores, total } or { error }.
+rubricSchema.methods.scoreSelections = function(selections) {
+  const byCriterion = new Map((selections || [])
+    .filter(selection => selection && typeof selection === 'object')
+    .map(selection => [String(selection.criterionId), selection]));
+  const scores = [];
+
+  for (const criterion of this.criteria) {
+    const selection = byCriterion.get(criterion._id.toString());
+    if (!selection) {
+      return { error: `Choose a level for "${criterion.title}"` };
+    }
+
+    const level = criterion.levels.id(selection.levelId);
+    if (!level) {
+      return { error: `The level chosen for "${criterion.title}" is not part of this rubric` };
+    }
+
+    const hasPoints = selection.points !== undefined && selection.points !== null && selection.points !== '';
+    const points = hasPoints ? Number(selection.points) : level.maxPoints;
+    if (Number.isNaN(points) || points < level.minPoints || points > level.maxPoints) {
+      return { error: `Points for "${criterion.title}" must be between ${level.minPoints} and ${level.maxPoints}` };
+    }
+
+    scores.push({
+      criterionId: criterion._id,
+      criterionTitle: criterion.title,
+      levelId: level._id,
+      levelTitle: level.title,
+      points,
+      maxPoints: getCriterionMax(criterion)
+    });
+  }
+
+  return { scores, total: roundPoints(scores.reduce((sum, score) => sum + score.points, 0)) };
+};
+
+// Method to make an unsaved copy of the rubric for another course
+rubricSchema.methods.copyTo = function(courseId, teacherId) {
+  const Rubric = this.constructor;
+  return new Rubric({
+    course: courseId,
+    teacher: teacherId,
+    title: this.title,
+    description: this.description,
+    criteria: this.criteria.map(criterion => ({
+      title: criterion.title,
+      description: criterion.description,
+      levels: criterion.levels.map(({ title, descriptor, minPoints, maxPoints }) => ({
+        title, descriptor, minPoints, maxPoints
+      }))
+    })),
+    copiedFrom: this._id
+  });
+};
+
+module.exports = mongoose.model('Rubric', rubricSchema);
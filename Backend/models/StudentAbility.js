@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Elo-style rating scale shared by students and questions
+const BASE_RATING = 1500;
+const STUDENT_K_FACTOR = 32;
+const QUESTION_K_FACTOR = 16;
+
+// Probability that a student with this rating answers a question with that rating correctly
+const expectedScore = (studentRating, questionRating) => {
+  return 1 / (1 + Math.pow(10, (questionRating - studentRating) / 400));
+};
+
+const studentAbilitySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  rating: {
+    type: Number,
+    default: BASE_RATING
+  },
+  answeredCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+studentAbilitySchema.index({ student: 1, course: 1 }, { unique: true });
+
+// Get the student's ability for a course, estimating it from past practice quizzes the first time
+studentAbilitySchema.statics.findOrEstimate = async function(studentId, courseId) {
+  const existing = await this.findOne({ student: studentId, course: courseId });
+  if (existing) return existing;
+
+  const StudentQuizAttempt = mongoose.model('StudentQuizAttempt');
+  const pastAttempts = await StudentQuizAttempt.find({
+    student: studentId,
+    course: courseId,
+    isCompleted: true
+  }).select('percentage');
+
+  let rating = BASE_RATING;
+  if (pastAttempts.length) {
+    // Invert the expected score against an average question, clamped to avoid infinite ratings
+    const average = pastAttempts.reduce((sum, a) => sum + (a.percentage || 0), 0) / pastAttempts.length / 100;
+    const p = Math.min(0.95, Math.max(0.05, average));
+    rating = BASE_RATING + 400 * Math.log10(p / (1 - p));
+  }
+
+  return this.create({ student: studentId, course: courseId, rating: Math.round(rating) });
+};
+
+// Method to update this student's and the question's ratings after one answer
+// (credit is the fraction of the question's points earned, 0 to 1)
+studentAbilitySchema.methods.recordAnswer = async function(question, credit) {
+  const questionRating = question.getRating();
+  const surprise = credit - expectedScore(this.rating, questionRating);
+
+  this.rating = Math.round(this.rating + STUDENT_K_FACTOR * surprise);
+  this.answeredCount += 1;
+
+  question.rating = Math.round(questionRating - QUESTION_K_FACTOR * surprise);
+  question.ratingCount = (question.ratingCount || 0) + 1;
+
+  await Promise.all([this.save(), question.save()]);
+};
+
+module.exports = mongoose.model('StudentAbility', studentAbilitySchema);
@@ -1,4 +1,140 @@
 const mongoose = require('mongoose');
+const { findSimilar } = require('../utils/textSimilarity');
+const { gradeShortAnswer, gradeNumeric, describeNumericKey } = require('../utils/answerMatching');
+
+// Choice questions are answered by picking options; typed questions by entering text
+const CHOICE_TYPES = ['multiple-choice', 'multiple-select'];
+const TYPED_TYPES = ['short-answer', 'numeric'];
+const QUESTION_TYPES = [...CHOICE_TYPES, ...TYPED_TYPES];
+
+// Starting adaptive ratings until a question has been answered enough to earn its own
+const DIFFICULTY_RATINGS = {
+  easy: 1300,
+  medium: 1500,
+  hard: 1700
+};
+
+// Problems quiz takers can report on an approved question
+const FLAG_REASONS = ['wrong-key', 'ambiguous', 'typo', 'offensive'];
+
+// Answer key for numeric questions: an exact value with an optional tolerance, or a range
+// (used when no value is set); a unit, when given, must be typed after the number
+const numericAnswerSchema = new mongoose.Schema({
+  value: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// A quiz taker's report of a problem with the question
+const questionFlagSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: FLAG_REASONS,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuizAttempt'
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolution: {
+    type: String,
+    enum: ['dismissed', 'corrected', 'retired']
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Snapshot of a submitted version, kept when the student revises the question
+const questionRevisionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  question: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  scoringMethod: {
+    type: String
+  },
+  options: [{
+    text: String,
+    isCorrect: Boolean,
+    image: String
+  }],
+  acceptedAnswers: [{
+    type: String
+  }],
+  numericAnswer: numericAnswerSchema,
+  image: {
+    type: String
+  },
+  explanation: {
+    type: String,
+    default: ''
+  },
+  difficulty: {
+    type: String
+  },
+  tags: [{
+    type: String
+  }],
+  // The review that asked for this version to be changed
+  teacherFeedback: {
+    type: String,
+    default: ''
+  },
+  optionComments: [{
+    optionIndex: Number,
+    comment: String
+  }],
+  submittedAt: {
+    type: Date
+  },
+  reviewedAt: {
+    type: Date
+  }
+});
 
 const studentQuestionSchema = new mongoose.Schema({
   question: {
@@ -8,9 +144,16 @@ const studentQuestionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['multiple-choice'],
+    enum: QUESTION_TYPES,
     default: 'multiple-choice'
   },
+  // How partial selections on multiple-select questions are scored
+  scoringMethod: {
+    type: String,
+    enum: ['all-or-nothing', 'proportional', 'negative-marking'],
+    default: 'all-or-nothing'
+  },
+  // Text fields may contain LaTeX between $...$ (inline) or $$...$$ (display) delimiters
   options: [{
     text: {
       type: String,
@@ -20,8 +163,24 @@ const studentQuestionSchema = new mongoose.Schema({
     isCorrect: {
       type: Boolean,
       default: false
+    },
+    image: {
+      type: String,
+      default: ''
     }
   }],
+  // Short-answer key: every spelling or phrasing that counts as right. Matching ignores
+  // case, accents, punctuation and a leading article; near misses go to the teacher
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  numericAnswer: numericAnswerSchema,
+  // Uploaded diagram shown with the question stem
+  image: {
+    type: String,
+    default: ''
+  },
   explanation: {
     type: String,
     trim: true,
@@ -44,7 +203,7 @@ const studentQuestionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'retired', 'needs-revision'],
     default: 'pending'
   },
   teacherFeedback: {
@@ -52,6 +211,27 @@ const studentQuestionSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Teacher comments on specific options, by option index
+  optionComments: [{
+    optionIndex: {
+      type: Number,
+      required: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      required: true
+    }
+  }],
+  version: {
+    type: Number,
+    default: 1
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revisions: [questionRevisionSchema],
   points: {
     type: Number,
     default: 1
@@ -69,6 +249,41 @@ const studentQuestionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Existing questions in the course that this one closely resembles
+  possibleDuplicates: [{
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StudentQuestion'
+    },
+    similarity: Number
+  }],
+  // Reports from quiz takers; hidden by default so reporters stay anonymous to other students
+  flags: {
+    type: [questionFlagSchema],
+    select: false
+  },
+  openFlagCount: {
+    type: Number,
+    default: 0
+  },
+  // Questions brought in from a question bank file by the teacher
+  source: {
+    type: String,
+    enum: ['student', 'import'],
+    default: 'student'
+  },
+  // Elo-style rating used by adaptive practice quizzes
+  rating: {
+    type: Number
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // When completed attempts last triggered an item analysis for the contribution ledger
+  discriminationCheckedAt: {
+    type: Date
+  },
   reviewedAt: {
     type: Date
   },
@@ -84,5 +299,272 @@ const studentQuestionSchema = new mongoose.Schema({
 studentQuestionSchema.index({ course: 1, status: 1, createdAt: -1 });
 studentQuestionSchema.index({ student: 1, createdAt: -1 });
 studentQuestionSchema.index({ teacher: 1, status: 1 });
+studentQuestionSchema.index({ teacher: 1, openFlagCount: -1 });
+
+// Remember a review decision so the author's contribution ledger can be updated after saving
+studentQuestionSchema.pre('save', function(next) {
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  next();
+});
+
+studentQuestionSchema.post('save', async function(doc) {
+  if (!doc.$locals.statusChanged) return;
+
+  try {
+    await mongoose.model('ContributionEvent').recordReview(doc);
+  } catch (error) {
+    console.error('Contribution ledger update error:', error);
+  }
+});
+
+// Method to archive the current version before the student revises it
+studentQuestionSchema.methods.archiveVersion = function() {
+  this.revisions.push({
+    version: this.version,
+    question: this.question,
+    type: this.type,
+    scoringMethod: this.scoringMethod,
+    options: this.options.map(option => ({ text: option.text, isCorrect: option.isCorrect, image: option.image })),
+    acceptedAnswers: this.acceptedAnswers,
+    numericAnswer: this.numericAnswer,
+    image: this.image,
+    explanation: this.explanation,
+    difficulty: this.difficulty,
+    tags: this.tags,
+    teacherFeedback: this.teacherFeedback,
+    optionComments: this.optionComments,
+    submittedAt: this.submittedAt || this.createdAt,
+    reviewedAt: this.reviewedAt
+  });
+  this.version += 1;
+};
+
+// Method to record a student's report; a second report from the same student replaces their open one
+studentQuestionSchema.methods.addFlag = function(studentId, { reason, comment, attempt }) {
+  const existing = this.flags.find(flag => !flag.resolved && flag.student.toString() === studentId.toString());
+
+  if (existing) {
+    existing.reason = reason;
+    existing.comment = comment || '';
+    existing.attempt = attempt;
+  } else {
+    this.flags.push({ student: studentId, reason, comment, attempt });
+  }
+  this.openFlagCount = this.flags.filter(flag => !flag.resolved).length;
+};
+
+// Method to close every open report with the teacher's resolution
+studentQuestionSchema.methods.resolveFlags = function(resolution, teacherId) {
+  const now = new Date();
+  this.flags.forEach(flag => {
+    if (flag.resolved) return;
+    flag.resolved = true;
+    flag.resolution = resolution;
+    flag.resolvedAt = now;
+    flag.resolvedBy = teacherId;
+  });
+  this.openFlagCount = 0;
+};
+
+// Method to get the adaptive rating, falling back to the declared difficulty
+studentQuestionSchema.methods.getRating = function() {
+  return typeof this.rating === 'number' ? this.rating : DIFFICULTY_RATINGS[this.difficulty] || DIFFICULTY_RATINGS.medium;
+};
+
+// Method to get the question as delivered to a student answering it (no answer key)
+studentQuestionSchema.methods.toDeliveryFormat = function() {
+  return {
+    _id: this._id,
+    question: this.question,
+    type: this.type,
+    scoringMethod: this.scoringMethod,
+    image: this.image,
+    options: this.options.map(option => ({ _id: option._id, text: option.text, image: option.image })),
+    course: this.course,
+    points: this.points,
+    difficulty: this.difficulty,
+    tags: this.tags
+  };
+};
+
+// Method to check whether the question is answered by typing rather than picking options
+studentQuestionSchema.methods.isTyped = function() {
+  return TYPED_TYPES.includes(this.type);
+};
+
+// Method to get a typed question's answer key as readable text, e.g. "9.81 ± 0.05 m/s^2"
+studentQuestionSchema.methods.describeAnswer = function() {
+  if (this.type === 'numeric') return describeNumericKey(this.numericAnswer || {});
+  if (this.type === 'short-answer') return this.acceptedAnswers.join(' / ');
+  return null;
+};
+
+// Method to score a response: selected option indexes for choice questions, typed text
+// otherwise. Typed answers the grader is unsure of score nothing and are marked for review.
+studentQuestionSchema.methods.scoreResponse = function({ selectedOptions = [], textAnswer = '' } = {}) {
+  if (!this.isTyped()) {
+    return { ...this.scoreSelection(selectedOptions), needsReview: false, reviewReason: '' };
+  }
+
+  const { status, reason } = this.type === 'numeric'
+    ? gradeNumeric(textAnswer, this.numericAnswer || {})
+    : gradeShortAnswer(textAnswer, this.acceptedAnswers);
+  const isCorrect = status === 'correct';
+
+  return {
+    isCorrect,
+    points: isCorrect ? this.points : 0,
+    needsReview: status === 'review',
+    reviewReason: reason || ''
+  };
+};
+
+// Method to score a set of selected option indexes against the answer key
+studentQuestionSchema.methods.scoreSelection = function(selectedOptions = []) {
+  const selected = [...new Set(selectedOptions)]
+    .filter(index => Number.isInteger(index) && index >= 0 && index < this.options.length);
+
+  if (this.type !== 'multiple-select') {
+    const isCorrect = selected.length === 1 && this.options[selected[0]].isCorrect;
+    return { isCorrect, points: isCorrect ? this.points : 0 };
+  }
+
+  const correctCount = this.options.filter(option => option.isCorrect).length;
+  const incorrectCount = this.options.length - correctCount;
+  const correctPicks = selected.filter(index => this.options[index].isCorrect).length;
+  const wrongPicks = selected.length - correctPicks;
+  const isCorrect = correctCount > 0 && correctPicks === correctCount && wrongPicks === 0;
+
+  let credit;
+  switch (this.scoringMethod) {
+    case 'proportional':
+      // Each right pick earns a share, each wrong pick takes one back; never below zero
+      credit = Math.max(0, correctPicks / correctCount - (incorrectCount ? wrongPicks / incorrectCount : 0));
+      break;
+    case 'negative-marking':
+      // Wrong picks cost as much as right picks earn, down to minus the question's points
+      credit = Math.max(-1, (correctPicks - wrongPicks) / correctCount);
+      break;
+    default:
+      credit = isCorrect ? 1 : 0;
+  }
+
+  return {
+    isCorrect,
+    points: Math.round(credit * this.points * 100) / 100
+  };
+};
+
+// Find questions in a course that closely resemble the given text and options
+// (rejected questions are ignored); returns [{ question, similarity }]
+studentQuestionSchema.statics.findSimilar = async function(courseId, { question, options = [] }, { excludeId } = {}) {
+  const query = { course: courseId, status: { $ne: 'rejected' } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await this.find(query).select('question options status');
+  const matches = findSimilar(
+    { question, options: options.map(option => (typeof option === 'string' ? option : option.text)) },
+    candidates.map(candidate => ({
+      id: candidate._id,
+      question: candidate.question,
+      options: candidate.options.map(option => option.text)
+    }))
+  );
+
+  return matches.map(match => ({
+    question: candidates.find(candidate => candidate._id.equals(match.id)),
+    similarity: match.similarity
+  }));
+};
+
+// Clean up a typed answer key from the client: drop blank or repeated accepted answers and turn
+// numeric fields into numbers (blank ones are left out). Choice questions get an empty key.
+studentQuestionSchema.statics.buildAnswerKey = function({ type, acceptedAnswers, numericAnswer }) {
+  if (type === 'short-answer') {
+    const answers = (Array.isArray(acceptedAnswers) ? acceptedAnswers : [])
+      .filter(answer => typeof answer === 'string' && answer.trim())
+      .map(answer => answer.trim());
+    return { acceptedAnswers: [...new Set(answers)], numericAnswer: undefined };
+  }
+
+  if (type === 'numeric') {
+    const input = numericAnswer || {};
+    const toNumber = value => (value === '' || value === null || value === undefined ? undefined : Number(value));
+    const key = {
+      value: toNumber(input.value),
+      tolerance: toNumber(input.tolerance),
+      min: toNumber(input.min),
+      max: toNumber(input.max),
+      unit: typeof input.unit === 'string' ? input.unit.trim() : ''
+    };
+    // An exact value takes precedence over a range
+    if (key.value !== undefined) {
+      key.min = undefined;
+      key.max = undefined;
+    } else {
+      key.tolerance = undefined;
+    }
+    return { acceptedAnswers: [], numericAnswer: key };
+  }
+
+  return { acceptedAnswers: [], numericAnswer: undefined };
+};
+
+// Check the question type, scoring method and answer key; returns an error message or null
+studentQuestionSchema.statics.validateAnswerKey = function({ type = 'multiple-choice', scoringMethod, options = [], acceptedAnswers, numericAnswer }) {
+  if (!QUESTION_TYPES.includes(type)) {
+    return 'Invalid question type';
+  }
+
+  if (type === 'short-answer') {
+    if (!Array.isArray(acceptedAnswers) || !acceptedAnswers.some(answer => typeof answer === 'string' && answer.trim())) {
+      return 'At least one accepted answer is required';
+    }
+    return null;
+  }
+
+  if (type === 'numeric') {
+    const key = numericAnswer || {};
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (isNumber(key.value)) {
+      if (key.tolerance !== undefined && key.tolerance !== null && !(isNumber(key.tolerance) && key.tolerance >= 0)) {
+        return 'Tolerance must be zero or a positive number';
+      }
+      return null;
+    }
+
+    if (!isNumber(key.min) || !isNumber(key.max)) {
+      return 'Numeric questions need an answer value or a range';
+    }
+    if (key.min > key.max) {
+      return 'The lowest accepted value cannot be above the highest';
+    }
+    return null;
+  }
+
+  if (!Array.isArray(options) || options.length < 2) {
+    return 'At least 2 options are required';
+  }
+
+  if (scoringMethod && !['all-or-nothing', 'proportional', 'negative-marking'].includes(scoringMethod)) {
+    return 'Invalid scoring method';
+  }
+
+  const correctCount = options.filter(option => option.isCorrect).length;
+  if (correctCount === 0) {
+    return 'At least one option must be marked as correct';
+  }
+
+  if (type === 'multiple-choice' && correctCount > 1) {
+    return 'Single-answer questions must have exactly one correct option';
+  }
+
+  return null;
+};
+
+studentQuestionSchema.statics.FLAG_REASONS = FLAG_REASONS;
+studentQuestionSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+studentQuestionSchema.statics.TYPED_TYPES = TYPED_TYPES;
 
 module.exports = mongoose.model('StudentQuestion', studentQuestionSchema);
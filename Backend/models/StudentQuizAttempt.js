@@ -1,5 +1,49 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Allowance for network latency when an answer sheet arrives just after the deadline
+const SUBMISSION_GRACE_MS = 30 * 1000;
+
+// standard: graded on submission; practice: each answer is checked as it is given;
+// exam: no question navigator and results withheld until the teacher releases them
+const QUIZ_MODES = ['standard', 'practice', 'exam'];
+
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+// Accepts both the multi-select format and the older single selectedOption
+const getSelectedOptions = (answer) => {
+  if (Array.isArray(answer.selectedOptions) && answer.selectedOptions.length) {
+    return answer.selectedOptions.filter(Number.isInteger);
+  }
+  return Number.isInteger(answer.selectedOption) ? [answer.selectedOption] : [];
+};
+
+// A stored answer's response: the options picked, or the text typed for short-answer and numeric questions
+const getResponse = (answer) => ({
+  selectedOptions: getSelectedOptions(answer),
+  textAnswer: typeof answer.textAnswer === 'string' ? answer.textAnswer.trim().slice(0, MAX_TEXT_ANSWER_LENGTH) : ''
+});
+
+const hasResponse = (answer) => {
+  const { selectedOptions, textAnswer } = getResponse(answer);
+  return selectedOptions.length > 0 || textAnswer !== '';
+};
+
+const toStoredAnswer = (questionId, { selectedOptions = [], textAnswer = '' }) => ({
+  questionId,
+  selectedOption: selectedOptions.length === 1 ? selectedOptions[0] : undefined,
+  selectedOptions,
+  textAnswer: textAnswer || undefined
+});
+
+// Auto-grade fields of a scored response
+const toGradedFields = ({ isCorrect, points, needsReview, reviewReason }) => ({
+  isCorrect,
+  points,
+  needsReview,
+  reviewReason: needsReview ? reviewReason : undefined
+});
+
 const studentAnswerSchema = new mongoose.Schema({
   questionId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,8 +51,15 @@ const studentAnswerSchema = new mongoose.Schema({
     required: true
   },
   selectedOption: {
-    type: Number, // Index of selected option
-    required: true
+    type: Number // Index of selected option (single-answer questions)
+  },
+  selectedOptions: [{
+    type: Number // Indexes of every selected option
+  }],
+  // Typed response to a short-answer or numeric question
+  textAnswer: {
+    type: String,
+    maxlength: MAX_TEXT_ANSWER_LENGTH
   },
   isCorrect: {
     type: Boolean,
@@ -17,7 +68,74 @@ const studentAnswerSchema = new mongoose.Schema({
   points: {
     type: Number,
     default: 0
+  },
+  // Set when a practice-mode answer is checked; checked answers can no longer change
+  checkedAt: {
+    type: Date
+  },
+  // The auto-grader was unsure of a typed answer; it scores nothing until a teacher decides
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String
+  },
+  // A teacher's manual mark replaces the auto-grade and is kept when the question is regraded
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  overriddenAt: {
+    type: Date
+  }
+});
+
+// Audit record of a score change after a question's answer key was corrected
+const regradeSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuestion',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  previousPoints: Number,
+  newPoints: Number,
+  previousScore: Number,
+  newScore: Number,
+  previousPercentage: Number,
+  newPercentage: Number,
+  regradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
+}, {
+  timestamps: true
+});
+
+// Client-reported signals that the student may have left the quiz; they are hints for the
+// teacher, not proof of misconduct
+const INTEGRITY_EVENT_TYPES = ['tab-hidden', 'tab-visible', 'window-blur', 'window-focus', 'copy', 'paste', 'fullscreen-exit'];
+const MAX_INTEGRITY_EVENTS = 500;
+
+const integrityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INTEGRITY_EVENT_TYPES,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  questionIndex: {
+    type: Number
+  }
+}, {
+  _id: false
 });
 
 const studentQuizAttemptSchema = new mongoose.Schema({
@@ -57,6 +175,58 @@ const studentQuizAttemptSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Adaptive attempts serve one question at a time, chosen to match the student's rating
+  isAdaptive: {
+    type: Boolean,
+    default: false
+  },
+  targetQuestionCount: {
+    type: Number
+  },
+  // The teacher blueprint the questions were drawn from, if any
+  blueprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizBlueprint'
+  },
+  // Seeds the per-question option shuffle so the order a student saw can be reproduced;
+  // attempts without a seed show options in authored order
+  optionSeed: {
+    type: Number
+  },
+  mode: {
+    type: String,
+    enum: QUIZ_MODES,
+    default: 'standard'
+  },
+  // Exam attempts can stop students returning to questions they have moved past
+  allowBacktracking: {
+    type: Boolean,
+    default: true
+  },
+  furthestQuestionIndex: {
+    type: Number,
+    default: 0
+  },
+  feedbackReleasedAt: {
+    type: Date
+  },
+  feedbackReleasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timeLimit: {
+    type: Number // in seconds, after any extra-time accommodation
+  },
+  timeMultiplier: {
+    type: Number,
+    default: 1
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastSavedAt: {
+    type: Date
+  },
   submittedAt: {
     type: Date
   },
@@ -64,6 +234,10 @@ const studentQuizAttemptSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
   teacherGrade: {
     type: Number
   },
@@ -78,6 +252,25 @@ const studentQuizAttemptSchema = new mongoose.Schema({
   gradedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  regrades: [regradeSchema],
+  integrityEvents: {
+    type: [integrityEventSchema],
+    select: false
+  },
+  // Kept alongside the events so attempt lists can show it without loading the timeline
+  integritySummary: {
+    eventCount: { type: Number, default: 0 },
+    timesLeft: { type: Number, default: 0 },
+    secondsAway: { type: Number, default: 0 },
+    tabSwitches: { type: Number, default: 0 },
+    copyPasteCount: { type: Number, default: 0 },
+    fullscreenExits: { type: Number, default: 0 },
+    suspicionLevel: {
+      type: String,
+      enum: ['none', 'low', 'medium', 'high'],
+      default: 'none'
+    }
   }
 }, {
   timestamps: true
@@ -86,5 +279,488 @@ const studentQuizAttemptSchema = new mongoose.Schema({
 // Index for better query performance
 studentQuizAttemptSchema.index({ student: 1, course: 1, createdAt: -1 });
 studentQuizAttemptSchema.index({ course: 1, isCompleted: 1 });
+studentQuizAttemptSchema.index({ isCompleted: 1, expiresAt: 1 });
+studentQuizAttemptSchema.index({ course: 1, mode: 1, feedbackReleasedAt: 1 });
+studentQuizAttemptSchema.index({ 'answers.questionId': 1 });
+studentQuizAttemptSchema.index({ 'regrades.question': 1 });
+
+// Remember when an attempt is being completed so the review schedule and contribution ledger can be updated after saving
+studentQuizAttemptSchema.pre('save', function(next) {
+  this.$locals.justCompleted = this.isModified('isCompleted') && this.isCompleted;
+  next();
+});
+
+studentQuizAttemptSchema.post('save', async function(doc) {
+  if (!doc.$locals.justCompleted) return;
+
+  try {
+    await mongoose.model('ReviewSchedule').recordAttempt(doc);
+  } catch (error) {
+    console.error('Review schedule update error:', error);
+  }
+
+  try {
+    await mongoose.model('ContributionEvent').recordAttempt(doc);
+  } catch (error) {
+    console.error('Contribution ledger update error:', error);
+  }
+
+  try {
+    await mongoose.model('ContributionEvent').checkDiscrimination(doc);
+  } catch (error) {
+    console.error('Contribution ledger update error:', error);
+  }
+});
+
+// Method to check whether the attempt is past its deadline (including the grace period)
+studentQuizAttemptSchema.methods.isExpired = function(now = new Date()) {
+  return !!this.expiresAt && now.getTime() > this.expiresAt.getTime() + SUBMISSION_GRACE_MS;
+};
+
+// Method to get the seconds left before the deadline
+studentQuizAttemptSchema.methods.getRemainingSeconds = function(now = new Date()) {
+  if (!this.expiresAt) return null;
+  return Math.max(0, Math.round((this.expiresAt.getTime() - now.getTime()) / 1000));
+};
+
+// Method to get the order a question's options were shown in, as authored indexes by shown position.
+// A Fisher-Yates shuffle driven by a hash of the attempt seed and question id, so it never changes.
+studentQuizAttemptSchema.methods.getOptionOrder = function(question) {
+  const order = question.options.map((option, index) => index);
+  if (this.optionSeed === undefined || this.optionSeed === null) return order;
+
+  const digest = crypto.createHash('sha256').update(`${this.optionSeed}:${question._id}`).digest();
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = digest.readUInt32BE(((order.length - 1 - i) * 4) % (digest.length - 3)) % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+// Method to get every question's option order, keyed by question id (questions must be populated)
+studentQuizAttemptSchema.methods.getOptionOrders = function() {
+  const orders = {};
+  for (const question of this.questions) {
+    orders[question._id.toString()] = this.getOptionOrder(question);
+  }
+  return orders;
+};
+
+// Methods to convert option indexes between the student's shown order and the authored order
+studentQuizAttemptSchema.methods.toAuthoredOptions = function(question, shownIndexes) {
+  const order = this.getOptionOrder(question);
+  return shownIndexes.filter(index => index >= 0 && index < order.length).map(index => order[index]);
+};
+
+studentQuizAttemptSchema.methods.toShownOptions = function(question, authoredIndexes) {
+  const order = this.getOptionOrder(question);
+  return authoredIndexes.map(index => order.indexOf(index)).filter(index => index !== -1);
+};
+
+// Method to get a question as the student sees it: no answer key, options in shown order
+studentQuizAttemptSchema.methods.deliverQuestion = function(question) {
+  const delivered = question.toDeliveryFormat();
+  delivered.options = this.getOptionOrder(question).map(index => delivered.options[index]);
+  return delivered;
+};
+
+// Method to convert stored answers to shown option indexes (questions must be populated)
+studentQuizAttemptSchema.methods.getShownAnswers = function() {
+  return this.answers.map(answer => {
+    const question = this.questions.find(q => q._id.toString() === answer.questionId.toString());
+    const answerObject = answer.toObject();
+    if (!question) return answerObject;
+
+    const selectedOptions = this.toShownOptions(question, getSelectedOptions(answer));
+    return {
+      ...answerObject,
+      ...toStoredAnswer(answer.questionId, { ...getResponse(answer), selectedOptions })
+    };
+  });
+};
+
+// Method to convert an answer sheet from shown option indexes to authored ones (questions must be populated)
+studentQuizAttemptSchema.methods.toAuthoredAnswers = function(answers) {
+  return answers.map(answer => {
+    const question = this.questions.find(q => q._id.toString() === String(answer && answer.questionId));
+    if (!question) return answer;
+    const response = getResponse(answer);
+    return toStoredAnswer(answer.questionId, {
+      ...response,
+      selectedOptions: this.toAuthoredOptions(question, response.selectedOptions)
+    });
+  });
+};
+
+// Method to check whether results are still withheld from the student
+studentQuizAttemptSchema.methods.isFeedbackWithheld = function() {
+  return this.mode === 'exam' && !this.feedbackReleasedAt;
+};
+
+// Method to check whether a question's answer can no longer change: it was checked in
+// practice mode, or the student has moved past it in an exam without backtracking
+studentQuizAttemptSchema.methods.isQuestionLocked = function(questionId) {
+  const id = String(questionId);
+  if (this.answers.some(answer => answer.checkedAt && answer.questionId.toString() === id)) {
+    return true;
+  }
+
+  if (this.allowBacktracking) return false;
+  const index = this.questions.findIndex(q => q && (q._id || q).toString() === id);
+  return index !== -1 && index < this.furthestQuestionIndex;
+};
+
+// Keep locked answers as they were and take the rest from the new answer sheet, one answer
+// per question: if a question appears more than once the last answer counts
+const mergeAnswers = (attempt, answers) => {
+  const questionIds = attempt.questions.filter(Boolean).map(q => (q._id || q).toString());
+  const locked = attempt.answers.filter(answer => attempt.isQuestionLocked(answer.questionId));
+
+  const updates = new Map();
+  answers
+    .filter(answer => answer && questionIds.includes(String(answer.questionId)))
+    .filter(answer => !attempt.isQuestionLocked(answer.questionId))
+    .filter(hasResponse)
+    .forEach(answer => updates.set(String(answer.questionId), toStoredAnswer(answer.questionId, getResponse(answer))));
+
+  return [
+    ...locked.map(answer => ({ ...answer.toObject(), selectedOptions: getSelectedOptions(answer) })),
+    ...updates.values()
+  ];
+};
+
+// Method to store in-progress answers without grading them; currentIndex moves an exam
+// without backtracking forward, locking the questions before it
+studentQuizAttemptSchema.methods.saveProgress = function(answers, currentIndex) {
+  this.answers = mergeAnswers(this, answers);
+
+  if (!this.allowBacktracking && Number.isInteger(currentIndex)) {
+    const index = Math.min(Math.max(currentIndex, 0), this.questions.length - 1);
+    this.furthestQuestionIndex = Math.max(this.furthestQuestionIndex, index);
+  }
+  this.lastSavedAt = new Date();
+};
+
+// Method to grade and lock one answer of a practice-mode attempt (questions must be populated);
+// response is { selectedOptions } or { textAnswer }
+studentQuizAttemptSchema.methods.checkAnswer = function(question, response) {
+  const result = question.scoreResponse(response);
+  const answer = {
+    ...toStoredAnswer(question._id, response),
+    ...toGradedFields(result),
+    checkedAt: new Date()
+  };
+
+  const existing = this.answers.findIndex(a => a.questionId.toString() === question._id.toString());
+  if (existing === -1) {
+    this.answers.push(answer);
+  } else {
+    this.answers.set(existing, answer);
+  }
+  this.lastSavedAt = new Date();
+
+  return result;
+};
+
+// Method to grade and record a single answer (adaptive attempts answer one question at a time)
+studentQuizAttemptSchema.methods.addAnswer = function(question, response) {
+  const result = question.scoreResponse(response);
+
+  this.answers.push({
+    ...toStoredAnswer(question._id, response),
+    ...toGradedFields(result)
+  });
+  this.lastSavedAt = new Date();
+
+  return result;
+};
+
+// Method to grade answers and close the attempt (questions must be populated)
+studentQuizAttemptSchema.methods.complete = function(answers, { autoSubmitted = false, now = new Date() } = {}) {
+  const gradedAnswers = [];
+
+  for (const answer of mergeAnswers(this, answers)) {
+    // A question deleted since the attempt started populates as null and is skipped
+    const question = this.questions.find(q => q && q._id.toString() === String(answer.questionId));
+    if (!question) continue;
+
+    const response = getResponse(answer);
+
+    gradedAnswers.push({
+      ...toStoredAnswer(answer.questionId, response),
+      ...toGradedFields(question.scoreResponse(response)),
+      checkedAt: answer.checkedAt
+    });
+  }
+
+  // Time is measured on the server and never counts past the deadline
+  const endedAt = this.expiresAt && now > this.expiresAt ? this.expiresAt : now;
+
+  this.answers = gradedAnswers;
+  this.recalculateScore();
+  this.timeSpent = Math.max(0, Math.round((endedAt - this.startedAt) / 1000));
+  this.submittedAt = now;
+  this.isCompleted = true;
+  this.autoSubmitted = autoSubmitted;
+};
+
+// Method to set one answer's marks by hand; returns the answer, or null if the question was not answered
+studentQuizAttemptSchema.methods.overrideAnswer = function(questionId, { isCorrect, points }, teacherId) {
+  const answer = this.answers.find(a => a.questionId.toString() === String(questionId));
+  if (!answer) return null;
+
+  answer.isCorrect = isCorrect;
+  answer.points = points;
+  answer.needsReview = false;
+  answer.overriddenBy = teacherId;
+  answer.overriddenAt = new Date();
+  this.recalculateScore();
+
+  return answer;
+};
+
+// Method to count the answers waiting for a teacher's decision
+studentQuizAttemptSchema.methods.countAnswersNeedingReview = function() {
+  return this.answers.filter(answer => answer.needsReview).length;
+};
+
+// Auto-submit every open attempt whose deadline has passed, using its saved answers
+studentQuizAttemptSchema.statics.closeExpiredAttempts = async function() {
+  const cutoff = new Date(Date.now() - SUBMISSION_GRACE_MS);
+  const expired = await this.find({ isCompleted: false, expiresAt: { $lt: cutoff } })
+    .populate('questions');
+
+  // One attempt that can't be closed must not stop the others
+  let closed = 0;
+  for (const attempt of expired) {
+    try {
+      attempt.complete(attempt.answers, { autoSubmitted: true });
+      await attempt.save();
+      closed++;
+    } catch (error) {
+      console.error(`Auto-submit error for attempt ${attempt._id}:`, error);
+    }
+  }
+
+  return closed;
+};
+
+// Release the withheld results of the exam attempts matching a query, and schedule their
+// questions for review now that the student can see how they did
+studentQuizAttemptSchema.statics.releaseFeedback = async function(query, releasedBy) {
+  const withheld = await this.find({ ...query, mode: 'exam', isCompleted: true, feedbackReleasedAt: null }).select('_id');
+
+  // Claimed one at a time so a repeated release schedules each attempt only once
+  let released = 0;
+  for (const { _id } of withheld) {
+    const attempt = await this.findOneAndUpdate(
+      { _id, feedbackReleasedAt: null },
+      { $set: { feedbackReleasedAt: new Date(), feedbackReleasedBy: releasedBy } },
+      { new: true }
+    );
+    if (!attempt) continue;
+    released++;
+
+    try {
+      await mongoose.model('ReviewSchedule').recordAttempt(attempt);
+    } catch (error) {
+      console.error('Review schedule update error:', error);
+    }
+  }
+
+  return released;
+};
+
+// Method to add up the graded answers into the attempt's score and percentage
+studentQuizAttemptSchema.methods.recalculateScore = function() {
+  const score = this.answers.reduce((sum, answer) => sum + answer.points, 0);
+
+  // Negative marking can take a question below zero, but not the whole attempt
+  this.score = Math.max(0, Math.round(score * 100) / 100);
+  this.percentage = this.totalPoints > 0 ? Math.round((this.score / this.totalPoints) * 100) : 0;
+};
+
+// Work out how often and for how long the student was away from the quiz. A tab switch
+// fires both a blur and a visibility change, so overlapping signals count as one absence.
+const summarizeIntegrityEvents = (events, endedAt) => {
+  const summary = {
+    eventCount: events.length,
+    timesLeft: 0,
+    secondsAway: 0,
+    tabSwitches: 0,
+    copyPasteCount: 0,
+    fullscreenExits: 0
+  };
+  let awaySince = null;
+
+  for (const event of events) {
+    if (event.type === 'tab-hidden' || event.type === 'window-blur') {
+      if (event.type === 'tab-hidden') summary.tabSwitches += 1;
+      if (!awaySince) {
+        awaySince = event.occurredAt;
+        summary.timesLeft += 1;
+      }
+    } else if (event.type === 'tab-visible' || event.type === 'window-focus') {
+      if (awaySince) {
+        summary.secondsAway += (event.occurredAt - awaySince) / 1000;
+        awaySince = null;
+      }
+    } else if (event.type === 'copy' || event.type === 'paste') {
+      summary.copyPasteCount += 1;
+    } else if (event.type === 'fullscreen-exit') {
+      summary.fullscreenExits += 1;
+    }
+  }
+
+  // Still away when the attempt ended
+  if (awaySince && endedAt > awaySince) {
+    summary.secondsAway += (endedAt - awaySince) / 1000;
+  }
+  summary.secondsAway = Math.round(summary.secondsAway);
+
+  const score = summary.timesLeft * 2 + summary.copyPasteCount * 2 + summary.fullscreenExits +
+    Math.floor(summary.secondsAway / 30);
+  summary.suspicionLevel = score === 0 ? 'none' : score < 5 ? 'low' : score < 12 ? 'medium' : 'high';
+
+  return summary;
+};
+
+// Method to add client integrity events (integrityEvents must be selected); timestamps are
+// clamped to the attempt's lifetime and unknown event types are dropped. Returns how many were kept.
+studentQuizAttemptSchema.methods.recordIntegrityEvents = function(events, now = new Date()) {
+  const endedAt = this.submittedAt || now;
+  const accepted = events
+    .filter(event => event && INTEGRITY_EVENT_TYPES.includes(event.type))
+    .map(event => {
+      const occurredAt = new Date(event.occurredAt);
+      const time = Number.isNaN(occurredAt.getTime()) ? endedAt.getTime() : occurredAt.getTime();
+      return {
+        type: event.type,
+        occurredAt: new Date(Math.min(Math.max(time, this.startedAt.getTime()), endedAt.getTime())),
+        questionIndex: Number.isInteger(event.questionIndex) ? event.questionIndex : undefined
+      };
+    })
+    .slice(0, Math.max(0, MAX_INTEGRITY_EVENTS - this.integrityEvents.length));
+
+  if (!accepted.length) return 0;
+
+  const timeline = [...this.integrityEvents.map(event => event.toObject()), ...accepted]
+    .sort((a, b) => a.occurredAt - b.occurredAt);
+  this.integrityEvents = timeline;
+  this.integritySummary = summarizeIntegrityEvents(timeline, endedAt);
+
+  return accepted.length;
+};
+
+// Re-score one question against its current answer key in every graded attempt, recording
+// the old and new scores on each changed attempt; returns how many were checked and changed
+studentQuizAttemptSchema.statics.regradeQuestion = async function(question, { regradedBy, reason = 'Answer key corrected' } = {}) {
+  // Adaptive answers are graded as they are given, so open adaptive attempts count too
+  const attempts = await this.find({
+    'answers.questionId': question._id,
+    $or: [{ isCompleted: true }, { isAdaptive: true }]
+  });
+  let changedCount = 0;
+
+  for (const attempt of attempts) {
+    const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+
+    // A teacher's manual mark stands until they change it themselves
+    if (answer.overriddenAt) continue;
+
+    const result = question.scoreResponse(getResponse(answer));
+    const { isCorrect, points } = result;
+    if (answer.isCorrect === isCorrect && answer.points === points) {
+      // The score stands, but a new key can settle (or raise) doubts about a typed answer
+      if (answer.needsReview !== result.needsReview) {
+        Object.assign(answer, toGradedFields(result));
+        await attempt.save();
+      }
+      continue;
+    }
+
+    const previous = { points: answer.points, score: attempt.score, percentage: attempt.percentage };
+    Object.assign(answer, toGradedFields(result));
+    attempt.recalculateScore();
+    attempt.regrades.push({
+      question: question._id,
+      reason,
+      previousPoints: previous.points,
+      newPoints: points,
+      previousScore: previous.score,
+      newScore: attempt.score,
+      previousPercentage: previous.percentage,
+      newPercentage: attempt.percentage,
+      regradedBy
+    });
+    await attempt.save();
+    changedCount++;
+  }
+
+  return { attemptCount: attempts.length, changedCount };
+};
+
+// Item analysis for one question across every completed attempt that included it
+studentQuizAttemptSchema.statics.analyzeQuestion = async function(question) {
+  const attempts = await this.find({ questions: question._id, isCompleted: true })
+    .select('answers score totalPoints');
+
+  const optionCounts = question.options.map(() => 0);
+  const records = [];
+  let omitted = 0;
+
+  for (const attempt of attempts) {
+    const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+    const selectedOptions = answer ? getSelectedOptions(answer) : [];
+
+    if (!answer || !hasResponse(answer)) omitted++;
+    selectedOptions.forEach(index => {
+      if (index < optionCounts.length) optionCounts[index]++;
+    });
+
+    // Discrimination is measured against the rest of the quiz, excluding this item
+    const itemPoints = answer ? answer.points : 0;
+    const restTotal = attempt.totalPoints - question.points;
+    records.push({
+      correct: answer && answer.isCorrect ? 1 : 0,
+      restScore: restTotal > 0 ? (attempt.score - itemPoints) / restTotal : 0
+    });
+  }
+
+  const n = records.length;
+  const pValue = n ? records.reduce((sum, r) => sum + r.correct, 0) / n : null;
+
+  // Point-biserial correlation between answering correctly and the rest score
+  let pointBiserial = null;
+  if (n > 1 && pValue > 0 && pValue < 1) {
+    const mean = records.reduce((sum, r) => sum + r.restScore, 0) / n;
+    const sd = Math.sqrt(records.reduce((sum, r) => sum + (r.restScore - mean) ** 2, 0) / n);
+    if (sd > 0) {
+      const correct = records.filter(r => r.correct);
+      const incorrect = records.filter(r => !r.correct);
+      const meanCorrect = correct.reduce((sum, r) => sum + r.restScore, 0) / correct.length;
+      const meanIncorrect = incorrect.reduce((sum, r) => sum + r.restScore, 0) / incorrect.length;
+      pointBiserial = ((meanCorrect - meanIncorrect) / sd) * Math.sqrt(pValue * (1 - pValue));
+    }
+  }
+
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  return {
+    attemptCount: n,
+    answeredCount: n - omitted,
+    omittedCount: omitted,
+    pValue: round(pValue),
+    pointBiserial: round(pointBiserial),
+    options: question.options.map((option, index) => ({
+      text: option.text,
+      isCorrect: option.isCorrect,
+      count: optionCounts[index],
+      frequency: n ? round(optionCounts[index] / n) : 0
+    }))
+  };
+};
+
+studentQuizAttemptSchema.statics.QUIZ_MODES = QUIZ_MODES;
 
 module.exports = mongoose.model('StudentQuizAttempt', studentQuizAttemptSchema);
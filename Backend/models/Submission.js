@@ -41,7 +41,67 @@ const submissionSchema = new mongoose.Schema({
   },
   grade: {
     type: Number,
-    min: 0
+    min: 0 // the grade after any late penalty
+  },
+  rawGrade: {
+    type: Number,
+    min: 0 // the grade the teacher gave, before any late penalty
+  },
+  latePenalty: {
+    daysLate: {
+      type: Number,
+      default: 0
+    },
+    withinGrace: {
+      type: Boolean,
+      default: false
+    },
+    calculatedPercentage: {
+      type: Number,
+      default: 0 // what the assignment's policy gives
+    },
+    percentage: {
+      type: Number,
+      default: 0 // what was applied, after any override
+    },
+    points: {
+      type: Number,
+      default: 0
+    },
+    isOverridden: {
+      type: Boolean,
+      default: false
+    },
+    overrideReason: String,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
+  // Rubric grading: the level chosen for each criterion, with titles kept as they were when graded
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric'
+  },
+  rubricScores: [{
+    _id: false,
+    criterionId: mongoose.Schema.Types.ObjectId,
+    criterionTitle: String,
+    levelId: mongoose.Schema.Types.ObjectId,
+    levelTitle: String,
+    points: Number,
+    maxPoints: Number
+  }],
+  // Peer review scores folded into the grade: rawGrade blends teacherGrade with the peer average
+  peerGrade: {
+    average: Number,
+    reviewCount: Number,
+    weight: {
+      type: Number,
+      default: 0
+    },
+    teacherGrade: Number
   },
   maxPoints: {
     type: Number,
@@ -128,4 +188,85 @@ submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
 submissionSchema.index({ student: 1 });
 submissionSchema.index({ course: 1 });
 
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Method to grade the submission: stores the teacher's raw grade and the grade after the
+// assignment's late penalty, keeping any penalty override the teacher has set
+submissionSchema.methods.applyGrade = function(rawGrade, assignment) {
+  const calculated = this.isLate
+    ? assignment.calculateLatePenalty(this.submittedAt, assignment.getDeadlinesFor(this.student).dueDate)
+    : { daysLate: 0, percentage: 0, withinGrace: false };
+  const current = this.latePenalty || {};
+  const percentage = current.isOverridden ? current.percentage : calculated.percentage;
+  const points = roundPoints((rawGrade * percentage) / 100);
+
+  this.rawGrade = rawGrade;
+  this.latePenalty = {
+    ...(current.toObject ? current.toObject() : current),
+    daysLate: calculated.daysLate,
+    withinGrace: calculated.withinGrace,
+    calculatedPercentage: calculated.percentage,
+    percentage,
+    points
+  };
+  this.grade = Math.max(0, roundPoints(rawGrade - points));
+};
+
+// Method to replace the policy's late penalty with the teacher's own percentage, or go back to
+// the policy when percentage is null; regrades straight away if the submission has a grade
+submissionSchema.methods.overrideLatePenalty = function(percentage, reason, teacherId, assignment) {
+  const current = this.latePenalty && this.latePenalty.toObject ? this.latePenalty.toObject() : {};
+  this.latePenalty = percentage === null
+    ? { ...current, isOverridden: false, overrideReason: undefined, overriddenBy: undefined, overriddenAt: undefined }
+    : { ...current, isOverridden: true, percentage, overrideReason: reason || '', overriddenBy: teacherId, overriddenAt: new Date() };
+
+  if (this.rawGrade !== undefined && this.rawGrade !== null) {
+    this.applyGrade(this.rawGrade, assignment);
+  }
+};
+
+// Method to record rubric scores, or clear them when the grade is given as a plain number
+submissionSchema.methods.setRubricScores = function(rubricId, scores) {
+  this.rubric = rubricId || undefined;
+  this.rubricScores = scores || [];
+};
+
+// Method to blend the teacher's mark with the peer review average when the teacher has folded
+// peer scores in; keeps the teacher's own mark and returns the mark to grade with
+submissionSchema.methods.withPeerScore = function(teacherGrade) {
+  const peerGrade = this.peerGrade || {};
+  if (!peerGrade.weight || peerGrade.average === undefined || peerGrade.average === null) {
+    return teacherGrade;
+  }
+
+  this.peerGrade.teacherGrade = teacherGrade;
+  const share = peerGrade.weight / 100;
+  return roundPoints(teacherGrade * (1 - share) + peerGrade.average * share);
+};
+
+// Method to get the submission as a student may see it: rubric scores stay hidden until the
+// teacher returns the submission
+submissionSchema.methods.toStudentObject = function() {
+  const submission = this.toObject();
+  if (this.status !== 'returned') {
+    delete submission.rubricScores;
+  }
+  return submission;
+};
+
+// Method to bring lateness and the copied resubmission settings in line with the deadlines that
+// apply to this student, e.g. after a teacher grants or removes an extension
+submissionSchema.methods.applyDeadlines = function(assignment) {
+  const deadlines = assignment.getDeadlinesFor(this.student);
+
+  this.isLate = this.submittedAt > deadlines.dueDate;
+  this.allowResubmission = assignment.allowResubmission;
+  this.resubmissionDeadline = deadlines.resubmissionDeadline;
+  this.maxResubmissions = deadlines.maxResubmissions || 3;
+
+  if (this.rawGrade !== undefined && this.rawGrade !== null) {
+    this.applyGrade(this.rawGrade, assignment);
+  }
+};
+
 module.exports = mongoose.model('Submission', submissionSchema);
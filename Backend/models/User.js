@@ -57,6 +57,11 @@ const userSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  // Hide this student from question contribution leaderboards
+  leaderboardOptOut: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
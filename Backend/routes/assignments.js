@@ -2,10 +2,12 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
 const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
+const PeerReview = require('../models/PeerReview');
 const { auth, authorizeRoles } = require('../middleware/auth');
 
 const router = express.Router();
@@ -52,6 +54,92 @@ const upload = multer({
   }
 });
 
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Form posts send booleans as strings, JSON bodies as booleans
+const toBoolean = (value) => value === true || value === 'true';
+
+const latePolicyValidators = [
+  body('latePenalty').optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Late penalty must be between 0 and 100%'),
+  body('latePenaltyType').optional({ checkFalsy: true }).isIn(Assignment.LATE_PENALTY_TYPES).withMessage('Late penalty type must be flat or per-day'),
+  body('latePenaltyCap').optional({ checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Late penalty cap must be between 0 and 100%'),
+  body('lateGraceHours').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Grace period must be zero or more hours')
+];
+
+const resubmissionValidators = [
+  body('maxResubmissions').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Max resubmissions must be at least 1'),
+  body('resubmissionDeadline').optional({ checkFalsy: true }).isISO8601().withMessage('Valid resubmission deadline is required')
+];
+
+const rubricValidators = [
+  body('rubric').optional({ checkFalsy: true }).isMongoId().withMessage('Valid rubric ID is required')
+];
+
+const peerReviewValidators = [
+  body('peerReview.enabled').optional().isBoolean().withMessage('Peer review must be turned on or off'),
+  body('peerReview.reviewsPerStudent')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 1, max: Assignment.MAX_PEER_REVIEWS })
+    .withMessage(`Each student can review between 1 and ${Assignment.MAX_PEER_REVIEWS} submissions`),
+  body('peerReview.reviewDeadline').optional({ checkFalsy: true }).isISO8601().withMessage('Valid review deadline is required')
+];
+
+// Peer review settings from a create or update request laid over the current ones.
+// Returns { settings } or { error }.
+const toPeerReviewSettings = (input, dueDate, current = {}) => {
+  const settings = {
+    enabled: typeof input.enabled === 'boolean' ? input.enabled : !!current.enabled,
+    reviewsPerStudent: isBlank(input.reviewsPerStudent) ? (current.reviewsPerStudent || 2) : parseInt(input.reviewsPerStudent),
+    reviewDeadline: input.reviewDeadline === undefined
+      ? current.reviewDeadline
+      : (input.reviewDeadline ? new Date(input.reviewDeadline) : undefined),
+    allocatedAt: current.allocatedAt,
+    weight: current.weight || 0
+  };
+
+  if (settings.enabled && !settings.reviewDeadline) {
+    return { error: 'Peer review needs a review deadline' };
+  }
+  if (settings.enabled && settings.reviewDeadline <= new Date(dueDate)) {
+    return { error: 'The review deadline must be after every student\'s due date' };
+  }
+  if (current.allocatedAt && settings.reviewsPerStudent !== current.reviewsPerStudent) {
+    return { error: 'Reviews have already been allocated, so the number per student cannot change' };
+  }
+
+  return { settings };
+};
+
+// Check that a rubric belongs to the teacher and the assignment's course
+const isCourseRubric = async (rubricId, courseId, teacherId) => {
+  const rubric = await Rubric.findById(rubricId);
+  return !!rubric &&
+    rubric.course.toString() === courseId.toString() &&
+    rubric.teacher.toString() === teacherId.toString();
+};
+
+// Settings that decide lateness, late penalties and resubmissions of existing submissions
+const DEADLINE_FIELDS = [
+  'dueDate', 'allowLateSubmission', 'latePenalty', 'latePenaltyType', 'latePenaltyCap', 'lateGraceHours',
+  'allowResubmission', 'resubmissionDeadline', 'maxResubmissions'
+];
+
+// What a student sees of an assignment: their own deadlines, never other students' overrides
+const toStudentAssignment = (assignment, studentId) => {
+  const { studentOverrides, ...assignmentData } = assignment.toObject();
+  const deadlines = assignment.getDeadlinesFor(studentId);
+
+  return {
+    ...assignmentData,
+    dueDate: deadlines.dueDate,
+    allowLateSubmission: deadlines.allowLateSubmission,
+    resubmissionDeadline: deadlines.resubmissionDeadline,
+    maxResubmissions: deadlines.maxResubmissions,
+    hasOverride: deadlines.hasOverride,
+    originalDueDate: assignment.dueDate
+  };
+};
+
 // @route   GET /api/assignments/course/:courseId
 // @desc    Get all assignments for a course
 // @access  Private
@@ -88,8 +176,9 @@ router.get('/course/:courseId', auth, async (req, res) => {
             student: req.user._id
           });
           return {
-            ...assignment.toObject(),
-            submission: submission || null,
+            ...toStudentAssignment(assignment, req.user._id),
+            submission: submission ? submission.toStudentObject() : null,
+            resubmission: submission ? assignment.getResubmissionPolicy(submission) : null,
             isSubmitted: !!submission,
             isLate: submission ? submission.isLate : false
           };
@@ -112,7 +201,8 @@ router.get('/:id', auth, async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id)
       .populate('course', 'title subject students')
-      .populate('teacher', 'firstName lastName teacherId');
+      .populate('teacher', 'firstName lastName teacherId')
+      .populate('rubric');
 
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
@@ -138,6 +228,23 @@ router.get('/:id', auth, async (req, res) => {
         assignment: assignment._id,
         student: req.user._id
       });
+      const peerReviewPhase = assignment.getPeerReviewPhase();
+      const peerReviews = peerReviewPhase === 'off'
+        ? []
+        : await PeerReview.find({ assignment: assignment._id, reviewer: req.user._id }).select('status');
+
+      return res.json({
+        assignment: toStudentAssignment(assignment, req.user._id),
+        submission: submission ? submission.toStudentObject() : null,
+        resubmission: submission ? assignment.getResubmissionPolicy(submission) : null,
+        peerReview: peerReviewPhase === 'off' ? null : {
+          phase: peerReviewPhase,
+          reviewDeadline: assignment.peerReview.reviewDeadline,
+          reviewsPerStudent: assignment.peerReview.reviewsPerStudent,
+          assigned: peerReviews.length,
+          completed: peerReviews.filter(review => review.status === 'submitted').length
+        }
+      });
     }
 
     res.json({ assignment, submission });
@@ -158,7 +265,11 @@ router.post('/', [
   body('instructions').notEmpty().withMessage('Assignment instructions are required'),
   body('course').isMongoId().withMessage('Valid course ID is required'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
-  body('maxPoints').isInt({ min: 1 }).withMessage('Max points must be a positive integer')
+  body('maxPoints').isInt({ min: 1 }).withMessage('Max points must be a positive integer'),
+  ...latePolicyValidators,
+  ...resubmissionValidators,
+  ...rubricValidators,
+  ...peerReviewValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -166,7 +277,11 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, instructions, course, dueDate, maxPoints, allowLateSubmission, latePenalty, submissionType } = req.body;
+    const {
+      title, description, instructions, course, dueDate, maxPoints, allowLateSubmission, latePenalty,
+      latePenaltyType, latePenaltyCap, lateGraceHours, submissionType, allowResubmission,
+      resubmissionDeadline, maxResubmissions, rubric, peerReview
+    } = req.body;
 
     // Verify course ownership
     const courseDoc = await Course.findById(course);
@@ -178,6 +293,15 @@ router.post('/', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (rubric && !(await isCourseRubric(rubric, course, req.user._id))) {
+      return res.status(400).json({ message: 'Rubric must be one of your rubrics for this course' });
+    }
+
+    const peerReviewSettings = toPeerReviewSettings(peerReview || {}, dueDate);
+    if (peerReviewSettings.error) {
+      return res.status(400).json({ message: peerReviewSettings.error });
+    }
+
     const assignment = new Assignment({
       title,
       description,
@@ -186,9 +310,17 @@ router.post('/', [
       teacher: req.user._id,
       dueDate: new Date(dueDate),
       maxPoints: parseInt(maxPoints),
-      allowLateSubmission: allowLateSubmission === 'true',
+      allowLateSubmission: toBoolean(allowLateSubmission),
       latePenalty: parseFloat(latePenalty) || 0,
-      submissionType: submissionType || 'both'
+      latePenaltyType: latePenaltyType || 'flat',
+      latePenaltyCap: isBlank(latePenaltyCap) ? 100 : parseFloat(latePenaltyCap),
+      lateGraceHours: parseFloat(lateGraceHours) || 0,
+      submissionType: submissionType || 'both',
+      allowResubmission: isBlank(allowResubmission) ? true : toBoolean(allowResubmission),
+      resubmissionDeadline: isBlank(resubmissionDeadline) ? undefined : new Date(resubmissionDeadline),
+      maxResubmissions: isBlank(maxResubmissions) ? 3 : parseInt(maxResubmissions),
+      rubric: rubric || undefined,
+      peerReview: peerReviewSettings.settings
     });
 
     await assignment.save();
@@ -331,7 +463,11 @@ router.put('/:id', [
   auth,
   authorizeRoles('teacher'),
   body('title').optional().notEmpty().withMessage('Assignment title cannot be empty'),
-  body('description').optional().notEmpty().withMessage('Assignment description cannot be empty')
+  body('description').optional().notEmpty().withMessage('Assignment description cannot be empty'),
+  ...latePolicyValidators,
+  ...resubmissionValidators,
+  ...rubricValidators,
+  ...peerReviewValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -348,7 +484,25 @@ router.put('/:id', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { title, description, instructions, dueDate, maxPoints, allowLateSubmission, latePenalty, isPublished } = req.body;
+    const {
+      title, description, instructions, dueDate, maxPoints, allowLateSubmission, latePenalty,
+      latePenaltyType, latePenaltyCap, lateGraceHours, isPublished, allowResubmission,
+      resubmissionDeadline, maxResubmissions, rubric, peerReview
+    } = req.body;
+
+    if (rubric && !(await isCourseRubric(rubric, assignment.course, req.user._id))) {
+      return res.status(400).json({ message: 'Rubric must be one of your rubrics for this course' });
+    }
+
+    let peerReviewSettings = null;
+    if (peerReview || dueDate) {
+      // Extensions count too: reviewing only opens once every student's due date has passed
+      const latestDueDate = assignment.getLatestDueDate(dueDate || assignment.dueDate);
+      peerReviewSettings = toPeerReviewSettings(peerReview || {}, latestDueDate, assignment.toObject().peerReview);
+      if (peerReviewSettings.error) {
+        return res.status(400).json({ message: peerReviewSettings.error });
+      }
+    }
 
     const updateData = {};
     if (title) updateData.title = title;
@@ -358,6 +512,14 @@ router.put('/:id', [
     if (maxPoints) updateData.maxPoints = parseInt(maxPoints);
     if (typeof allowLateSubmission === 'boolean') updateData.allowLateSubmission = allowLateSubmission;
     if (latePenalty !== undefined) updateData.latePenalty = parseFloat(latePenalty);
+    if (latePenaltyType) updateData.latePenaltyType = latePenaltyType;
+    if (!isBlank(latePenaltyCap)) updateData.latePenaltyCap = parseFloat(latePenaltyCap);
+    if (!isBlank(lateGraceHours)) updateData.lateGraceHours = parseFloat(lateGraceHours);
+    if (typeof allowResubmission === 'boolean') updateData.allowResubmission = allowResubmission;
+    if (resubmissionDeadline !== undefined) updateData.resubmissionDeadline = resubmissionDeadline ? new Date(resubmissionDeadline) : null;
+    if (!isBlank(maxResubmissions)) updateData.maxResubmissions = parseInt(maxResubmissions);
+    if (rubric !== undefined) updateData.rubric = rubric || null;
+    if (peerReviewSettings) updateData.peerReview = peerReviewSettings.settings;
     if (typeof isPublished === 'boolean') {
       updateData.isPublished = isPublished;
       if (isPublished && !assignment.publishedAt) {
@@ -372,6 +534,20 @@ router.put('/:id', [
     ).populate('course', 'title subject')
      .populate('teacher', 'firstName lastName teacherId');
 
+    // Existing submissions follow the new deadlines and late policy; raw grades are kept
+    const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+      ? String(a && new Date(a).getTime()) === String(b && new Date(b).getTime())
+      : a === b);
+    const deadlinesChanged = DEADLINE_FIELDS
+      .some(field => updateData[field] !== undefined && !sameValue(updateData[field], assignment[field]));
+    if (deadlinesChanged) {
+      const submissions = await Submission.find({ assignment: assignment._id });
+      for (const submission of submissions) {
+        submission.applyDeadlines(updatedAssignment);
+        await submission.save();
+      }
+    }
+
     res.json({
       message: 'Assignment updated successfully',
       assignment: updatedAssignment
@@ -382,6 +558,140 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/assignments/:id/overrides/:studentId
+// @desc    Set one student's own deadlines for an assignment; fields left out follow the assignment (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id/overrides/:studentId', [
+  auth,
+  authorizeRoles('teacher'),
+  param('studentId').isMongoId().withMessage('Valid student ID is required'),
+  body('dueDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid due date is required'),
+  body('allowLateSubmission').optional({ nullable: true }).isBoolean().withMessage('Late allowance must be true or false'),
+  body('resubmissionDeadline').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid resubmission deadline is required'),
+  body('maxResubmissions').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Max resubmissions must be at least 1'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await Assignment.findById(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (assignment.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const course = await Course.findById(assignment.course);
+    const isStudentEnrolled = course.students.some(student => student.toString() === req.params.studentId);
+    if (!isStudentEnrolled) {
+      return res.status(400).json({ message: 'Student is not enrolled in this course' });
+    }
+
+    const { dueDate, allowLateSubmission, resubmissionDeadline, maxResubmissions, reason } = req.body;
+    const override = {
+      student: req.params.studentId,
+      dueDate: isBlank(dueDate) ? undefined : new Date(dueDate),
+      allowLateSubmission: typeof allowLateSubmission === 'boolean' ? allowLateSubmission : undefined,
+      resubmissionDeadline: isBlank(resubmissionDeadline) ? undefined : new Date(resubmissionDeadline),
+      maxResubmissions: isBlank(maxResubmissions) ? undefined : parseInt(maxResubmissions),
+      reason: reason || '',
+      grantedBy: req.user._id,
+      updatedAt: new Date()
+    };
+
+    if ([override.dueDate, override.allowLateSubmission, override.resubmissionDeadline, override.maxResubmissions]
+      .every(value => value === undefined)) {
+      return res.status(400).json({ message: 'Set at least one deadline or limit to override' });
+    }
+
+    // Peer review opens when the last due date passes, so an extension must leave room for it
+    if (override.dueDate && assignment.peerReview.enabled) {
+      if (assignment.peerReview.allocatedAt && override.dueDate > new Date()) {
+        return res.status(400).json({ message: 'Peer reviews have already been allocated, so the due date cannot be extended' });
+      }
+      if (assignment.peerReview.reviewDeadline && override.dueDate >= assignment.peerReview.reviewDeadline) {
+        return res.status(400).json({ message: 'The due date must be before the peer review deadline' });
+      }
+    }
+
+    assignment.studentOverrides = assignment.studentOverrides
+      .filter(existing => existing.student.toString() !== req.params.studentId)
+      .concat(override);
+    await assignment.save();
+
+    // A submission already handed in is judged against the new deadlines
+    const submission = await Submission.findOne({ assignment: assignment._id, student: req.params.studentId });
+    if (submission) {
+      submission.applyDeadlines(assignment);
+      await submission.save();
+    }
+
+    await assignment.populate('studentOverrides.student', 'firstName lastName studentId');
+
+    res.json({
+      message: 'Student deadlines updated',
+      overrides: assignment.studentOverrides
+    });
+  } catch (error) {
+    console.error('Set assignment override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/assignments/:id/overrides/:studentId
+// @desc    Remove a student's override so they follow the assignment's deadlines again (Teacher only)
+// @access  Private (Teacher)
+router.delete('/:id/overrides/:studentId', [
+  auth,
+  authorizeRoles('teacher'),
+  param('studentId').isMongoId().withMessage('Valid student ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await Assignment.findById(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    if (assignment.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!assignment.getStudentOverride(req.params.studentId)) {
+      return res.status(404).json({ message: 'This student has no override for this assignment' });
+    }
+
+    assignment.studentOverrides = assignment.studentOverrides
+      .filter(existing => existing.student.toString() !== req.params.studentId);
+    await assignment.save();
+
+    const submission = await Submission.findOne({ assignment: assignment._id, student: req.params.studentId });
+    if (submission) {
+      submission.applyDeadlines(assignment);
+      await submission.save();
+    }
+
+    await assignment.populate('studentOverrides.student', 'firstName lastName studentId');
+
+    res.json({
+      message: 'Student now follows the assignment deadlines',
+      overrides: assignment.studentOverrides
+    });
+  } catch (error) {
+    console.error('Remove assignment override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/assignments/:id
 // @desc    Delete assignment (Teacher only)
 // @access  Private (Teacher)
@@ -418,8 +728,9 @@ router.delete('/:id', [
       });
     });
 
-    // Delete submissions
+    // Delete submissions and their peer reviews
     await Submission.deleteMany({ assignment: assignment._id });
+    await PeerReview.deleteMany({ assignment: assignment._id });
 
     // Update course assignment count
     await Course.findByIdAndUpdate(assignment.course, { $inc: { totalAssignments: -1 } });
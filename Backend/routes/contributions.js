@@ -0,0 +1,200 @@
+const express = require('express');
+const ContributionEvent = require('../models/ContributionEvent');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+const isEnrolled = (course, userId) =>
+  course.students.some(student => student.toString() === userId.toString());
+
+// Load a course the current user belongs to, or send the error response
+const findAccessibleCourse = async (req, res) => {
+  const course = await Course.findById(req.params.courseId);
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (req.user.role === 'student' && !isEnrolled(course, req.user._id)) {
+    res.status(403).json({ message: 'Access denied. You are not enrolled in this course.' });
+    return null;
+  }
+
+  if (req.user.role === 'teacher' && course.teacher.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return course;
+};
+
+// A student's ledger entries, newest first
+const getLedger = (courseId, studentId) => ContributionEvent.find({ course: courseId, student: studentId })
+  .populate('question', 'question status')
+  .sort({ createdAt: -1 })
+  .limit(200);
+
+const escapeCsv = (value) => {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route   GET /api/contributions/course/:courseId/leaderboard
+// @desc    Course leaderboard of question contributors (opted-out students and anonymous questions are left out)
+// @access  Private
+router.get('/course/:courseId/leaderboard', auth, async (req, res) => {
+  try {
+    const course = await findAccessibleCourse(req, res);
+    if (!course) return;
+
+    const optedOut = await User.find({ _id: { $in: course.students }, leaderboardOptOut: true }).distinct('_id');
+    const standings = await ContributionEvent.getCourseStandings(course._id, {
+      includeAnonymous: false,
+      excludeStudents: optedOut
+    });
+
+    const visible = standings.filter(stats => stats.points > 0).slice(0, 50);
+    const students = await User.find({ _id: { $in: visible.map(stats => stats.student) } })
+      .select('firstName lastName');
+
+    const leaderboard = visible.map(stats => {
+      const student = students.find(s => s._id.toString() === stats.student);
+      return {
+        rank: stats.rank,
+        student: student
+          ? { _id: student._id, firstName: student.firstName, lastName: student.lastName }
+          : null,
+        points: stats.points,
+        badges: ContributionEvent.getBadges(stats)
+      };
+    });
+
+    res.json({ leaderboard });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contributions/course/:courseId/me
+// @desc    The current student's contribution points, badges and ledger for a course
+// @access  Private (Student)
+router.get('/course/:courseId/me', [
+  auth,
+  authorizeRoles('student')
+], async (req, res) => {
+  try {
+    const course = await findAccessibleCourse(req, res);
+    if (!course) return;
+
+    const studentId = req.user._id.toString();
+    const standings = await ContributionEvent.getCourseStandings(course._id);
+    const stats = standings.find(s => s.student === studentId);
+
+    res.json({
+      points: stats ? stats.points : 0,
+      rank: stats ? stats.rank : null,
+      contributors: standings.length,
+      badges: stats ? ContributionEvent.getBadges(stats) : [],
+      leaderboardOptOut: !!req.user.leaderboardOptOut,
+      ledger: await getLedger(course._id, req.user._id)
+    });
+  } catch (error) {
+    console.error('Get contributions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contributions/course/:courseId/gradebook
+// @desc    Contribution scores as a gradebook column (Teacher only); ?format=csv downloads it
+// @access  Private (Teacher)
+router.get('/course/:courseId/gradebook', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const course = await findAccessibleCourse(req, res);
+    if (!course) return;
+
+    const maxGrade = Number(req.query.maxGrade) || 10;
+    if (maxGrade <= 0) {
+      return res.status(400).json({ message: 'Maximum grade must be a positive number' });
+    }
+
+    const standings = await ContributionEvent.getCourseStandings(course._id);
+    const topPoints = standings.length ? Math.max(0, standings[0].points) : 0;
+
+    // Full marks at the target score, or at the course's top contributor when no target is given
+    const target = Number(req.query.target) || topPoints;
+
+    const students = await User.find({ _id: { $in: course.students } })
+      .select('firstName lastName email studentId')
+      .sort({ lastName: 1, firstName: 1 });
+
+    const rows = students.map(student => {
+      const stats = standings.find(s => s.student === student._id.toString());
+      const points = stats ? stats.points : 0;
+      const grade = target > 0 ? Math.min(maxGrade, Math.max(0, (points / target) * maxGrade)) : 0;
+
+      return {
+        student,
+        points,
+        rank: stats ? stats.rank : null,
+        badges: stats ? ContributionEvent.getBadges(stats).map(badge => badge.name) : [],
+        grade: Math.round(grade * 100) / 100
+      };
+    });
+
+    const column = { title: 'Question contributions', maxGrade, target };
+
+    if (req.query.format === 'csv') {
+      const lines = [
+        ['Student ID', 'Last name', 'First name', 'Email', 'Contribution points', `${column.title} (/${maxGrade})`]
+      ].concat(rows.map(row => [
+        row.student.studentId,
+        row.student.lastName,
+        row.student.firstName,
+        row.student.email,
+        row.points,
+        row.grade
+      ]));
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${course.title.replace(/[^\w-]+/g, '-').toLowerCase()}-contributions.csv"`
+      });
+      return res.send(lines.map(line => line.map(escapeCsv).join(',')).join('\n'));
+    }
+
+    res.json({ column, rows });
+  } catch (error) {
+    console.error('Get contribution gradebook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/contributions/course/:courseId/students/:studentId
+// @desc    One student's contribution ledger (Teacher only)
+// @access  Private (Teacher)
+router.get('/course/:courseId/students/:studentId', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const course = await findAccessibleCourse(req, res);
+    if (!course) return;
+
+    if (!isEnrolled(course, req.params.studentId)) {
+      return res.status(404).json({ message: 'Student not found in this course' });
+    }
+
+    res.json({ ledger: await getLedger(course._id, req.params.studentId) });
+  } catch (error) {
+    console.error('Get student contributions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
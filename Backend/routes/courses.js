@@ -2,10 +2,11 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Course = require('../models/Course');
 const Lesson = require('../models/Lesson');
 const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
 const Assignment = require('../models/Assignment');
 const { auth, authorizeRoles } = require('../middleware/auth');
 
@@ -137,7 +138,10 @@ router.post('/', [
   authorizeRoles('teacher'),
   body('title').notEmpty().withMessage('Course title is required'),
   body('description').notEmpty().withMessage('Course description is required'),
-  body('subject').notEmpty().withMessage('Subject is required')
+  body('subject').notEmpty().withMessage('Subject is required'),
+  body('practiceAnswerVisibility').optional().isIn(['after-submit', 'after-due-date', 'never']).withMessage('Invalid answer visibility'),
+  body('integrityMonitoring').optional().isBoolean().withMessage('Integrity monitoring must be true or false'),
+  body('examBacktracking').optional().isBoolean().withMessage('Exam backtracking must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -145,7 +149,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, subject, startDate, endDate } = req.body;
+    const { title, description, subject, startDate, endDate, practiceAnswerVisibility, practiceAnswersDueDate, integrityMonitoring, examBacktracking } = req.body;
 
     const course = new Course({
       title,
@@ -153,7 +157,11 @@ router.post('/', [
       subject,
       teacher: req.user._id,
       startDate: startDate || new Date(),
-      endDate
+      endDate,
+      practiceAnswerVisibility,
+      practiceAnswersDueDate: practiceAnswersDueDate || undefined,
+      integrityMonitoring,
+      examBacktracking
     });
 
     await course.save();
@@ -178,7 +186,10 @@ router.put('/:id', [
   auth,
   authorizeRoles('teacher'),
   body('title').optional().notEmpty().withMessage('Course title cannot be empty'),
-  body('description').optional().notEmpty().withMessage('Course description cannot be empty')
+  body('description').optional().notEmpty().withMessage('Course description cannot be empty'),
+  body('practiceAnswerVisibility').optional().isIn(['after-submit', 'after-due-date', 'never']).withMessage('Invalid answer visibility'),
+  body('integrityMonitoring').optional().isBoolean().withMessage('Integrity monitoring must be true or false'),
+  body('examBacktracking').optional().isBoolean().withMessage('Exam backtracking must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -195,7 +206,7 @@ router.put('/:id', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { title, description, subject, startDate, endDate, isActive } = req.body;
+    const { title, description, subject, startDate, endDate, isActive, practiceAnswerVisibility, practiceAnswersDueDate, integrityMonitoring, examBacktracking } = req.body;
 
     const updateData = {};
     if (title) updateData.title = title;
@@ -204,6 +215,10 @@ router.put('/:id', [
     if (startDate) updateData.startDate = startDate;
     if (endDate) updateData.endDate = endDate;
     if (typeof isActive === 'boolean') updateData.isActive = isActive;
+    if (practiceAnswerVisibility) updateData.practiceAnswerVisibility = practiceAnswerVisibility;
+    if (practiceAnswersDueDate !== undefined) updateData.practiceAnswersDueDate = practiceAnswersDueDate || null;
+    if (typeof integrityMonitoring === 'boolean') updateData.integrityMonitoring = integrityMonitoring;
+    if (typeof examBacktracking === 'boolean') updateData.examBacktracking = examBacktracking;
 
     const updatedCourse = await Course.findByIdAndUpdate(
       req.params.id,
@@ -309,6 +324,121 @@ router.post('/:id/enroll', [
   }
 });
 
+// @route   GET /api/courses/:id/accommodations
+// @desc    Get the course roster with each student's quiz time accommodation (Teacher only)
+// @access  Private (Teacher)
+router.get('/:id/accommodations', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id)
+      .select('+quizTimeAccommodations')
+      .populate('students', 'firstName lastName studentId email')
+      .populate('quizTimeAccommodations.updatedBy', 'firstName lastName');
+
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      students: course.students,
+      accommodations: course.quizTimeAccommodations,
+      maxTimeMultiplier: Course.MAX_QUIZ_TIME_MULTIPLIER
+    });
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/courses/:id/accommodations/:studentId
+// @desc    Set a student's extra time on timed quizzes, e.g. 1.5 for time and a half (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id/accommodations/:studentId', [
+  auth,
+  authorizeRoles('teacher'),
+  param('studentId').isMongoId().withMessage('Valid student ID is required'),
+  body('timeMultiplier')
+    .isFloat({ min: 1, max: Course.MAX_QUIZ_TIME_MULTIPLIER })
+    .withMessage(`Time multiplier must be between 1 and ${Course.MAX_QUIZ_TIME_MULTIPLIER}`),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findById(req.params.id).select('+quizTimeAccommodations');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!course.students.some(student => student.toString() === req.params.studentId)) {
+      return res.status(400).json({ message: 'Student is not enrolled in this course' });
+    }
+
+    course.quizTimeAccommodations = course.quizTimeAccommodations
+      .filter(entry => entry.student.toString() !== req.params.studentId)
+      .concat({
+        student: req.params.studentId,
+        timeMultiplier: parseFloat(req.body.timeMultiplier),
+        reason: req.body.reason || '',
+        updatedBy: req.user._id,
+        updatedAt: new Date()
+      });
+    await course.save();
+
+    res.json({
+      message: 'Quiz time accommodation saved; it applies to quizzes started from now on',
+      accommodations: course.quizTimeAccommodations
+    });
+  } catch (error) {
+    console.error('Set accommodation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/accommodations/:studentId
+// @desc    Remove a student's quiz time accommodation (Teacher only)
+// @access  Private (Teacher)
+router.delete('/:id/accommodations/:studentId', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id).select('+quizTimeAccommodations');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    course.quizTimeAccommodations = course.quizTimeAccommodations
+      .filter(entry => entry.student.toString() !== req.params.studentId);
+    await course.save();
+
+    res.json({
+      message: 'Quiz time accommodation removed',
+      accommodations: course.quizTimeAccommodations
+    });
+  } catch (error) {
+    console.error('Remove accommodation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/courses/:id
 // @desc    Delete course (Teacher only)
 // @access  Private (Teacher)
@@ -328,6 +458,7 @@ router.delete('/:id', [
 
     // Delete associated lessons, quizzes, and assignments
     await Lesson.deleteMany({ course: course._id });
+    await QuizAttempt.deleteMany({ course: course._id });
     await Quiz.deleteMany({ course: course._id });
     await Assignment.deleteMany({ course: course._id });
 
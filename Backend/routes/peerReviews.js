@@ -0,0 +1,390 @@
+const express = require('express');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const PeerReview = require('../models/PeerReview');
+const Rubric = require('../models/Rubric');
+const Course = require('../models/Course');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Labels reviewers and reviewees see instead of names: A, B, C...
+const submissionLabel = (index) => `Submission ${String.fromCharCode(65 + index)}`;
+
+// A classmate's work as a reviewer sees it: the content, never who wrote it
+const toAnonymousSubmission = (submission) => ({
+  textSubmission: submission.textSubmission,
+  fileSubmissions: submission.fileSubmissions.map((file, index) => ({
+    label: `File ${index + 1}${path.extname(file.fileName || '')}`,
+    fileUrl: file.fileUrl,
+    fileType: file.fileType,
+    fileSize: file.fileSize
+  }))
+});
+
+// Allocate reviews once, after every student's due date. Claiming allocatedAt first means two requests
+// arriving together cannot both allocate. Submissions made after allocation are not reviewed.
+// If allocating fails the claim is given back, so the next request can try again.
+const allocateReviews = async (assignment) => {
+  const allocatedAt = new Date();
+  const claimed = await Assignment.updateOne(
+    { _id: assignment._id, 'peerReview.allocatedAt': { $exists: false } },
+    { $set: { 'peerReview.allocatedAt': allocatedAt } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  try {
+    const submissions = await Submission.find({ assignment: assignment._id }).select('student');
+    const allocation = PeerReview.buildAllocation(submissions, assignment.peerReview.reviewsPerStudent);
+
+    await PeerReview.insertMany(allocation.map(review => ({
+      ...review,
+      assignment: assignment._id,
+      course: assignment.course
+    })));
+  } catch (error) {
+    // Nothing was allocated before the claim, so any reviews here are from this partial insert
+    await PeerReview.deleteMany({ assignment: assignment._id });
+    await Assignment.updateOne({ _id: assignment._id }, { $unset: { 'peerReview.allocatedAt': 1 } });
+    throw error;
+  }
+
+  assignment.peerReview.allocatedAt = allocatedAt;
+  return true;
+};
+
+// Load an assignment with peer review the current student's course runs, or send the error response
+const findStudentAssignment = async (req, res) => {
+  const assignment = await Assignment.findById(req.params.assignmentId).populate('rubric');
+  if (!assignment || !assignment.peerReview.enabled) {
+    res.status(404).json({ message: 'This assignment has no peer review' });
+    return null;
+  }
+
+  const course = await Course.findById(assignment.course);
+  if (!course || !course.students.some(student => student.toString() === req.user._id.toString())) {
+    res.status(403).json({ message: 'Access denied. You are not enrolled in this course.' });
+    return null;
+  }
+
+  return assignment;
+};
+
+// Load an assignment owned by the current teacher, or send the error response
+const findOwnAssignment = async (req, res) => {
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  if (!assignment) {
+    res.status(404).json({ message: 'Assignment not found' });
+    return null;
+  }
+
+  if (assignment.teacher.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return assignment;
+};
+
+// @route   GET /api/peer-reviews/assignment/:assignmentId
+// @desc    The student's allocated reviews, and the reviews of their own work once the window closes
+// @access  Private (Student)
+router.get('/assignment/:assignmentId', [
+  auth,
+  authorizeRoles('student')
+], async (req, res) => {
+  try {
+    const assignment = await findStudentAssignment(req, res);
+    if (!assignment) return;
+
+    const phase = assignment.getPeerReviewPhase();
+    if (phase !== 'upcoming' && !assignment.peerReview.allocatedAt) {
+      await allocateReviews(assignment);
+    }
+
+    const assigned = await PeerReview.find({ assignment: assignment._id, reviewer: req.user._id })
+      .populate('submission', 'textSubmission fileSubmissions')
+      .sort({ _id: 1 });
+
+    const reviews = assigned.map((review, index) => ({
+      _id: review._id,
+      label: submissionLabel(index),
+      status: review.status,
+      submission: review.submission ? toAnonymousSubmission(review.submission) : null,
+      rubricScores: review.rubricScores,
+      score: review.score,
+      comments: review.comments,
+      submittedAt: review.submittedAt
+    }));
+
+    // Reviews of the student's own work, without reviewer names, once nobody can change them
+    let received = [];
+    if (phase === 'closed') {
+      const ownReviews = await PeerReview.find({
+        assignment: assignment._id,
+        reviewee: req.user._id,
+        status: 'submitted'
+      }).sort({ submittedAt: 1 });
+
+      received = ownReviews.map((review, index) => ({
+        label: `Reviewer ${index + 1}`,
+        rubricScores: review.rubricScores,
+        score: review.score,
+        comments: review.comments
+      }));
+    }
+
+    res.json({
+      assignment: {
+        _id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.getDeadlinesFor(req.user._id).dueDate,
+        maxPoints: assignment.maxPoints,
+        rubric: assignment.rubric,
+        peerReview: {
+          reviewsPerStudent: assignment.peerReview.reviewsPerStudent,
+          reviewDeadline: assignment.peerReview.reviewDeadline
+        }
+      },
+      phase,
+      reviews,
+      received
+    });
+  } catch (error) {
+    console.error('Get peer reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/peer-reviews/:id
+// @desc    Submit or update a peer review before the review deadline
+// @access  Private (Student)
+router.put('/:id', [
+  auth,
+  authorizeRoles('student'),
+  body('rubricScores').optional().isArray({ min: 1 }).withMessage('Rubric scores must list the level chosen for each criterion'),
+  body('rubricScores.*.criterionId').isMongoId().withMessage('Each rubric score needs a valid criterion'),
+  body('rubricScores.*.levelId').isMongoId().withMessage('Each rubric score needs a valid level'),
+  body('score').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Score must be a non-negative number'),
+  body('comments').optional().isString().isLength({ max: 5000 }).withMessage('Comments must be at most 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await PeerReview.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.reviewer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const assignment = await Assignment.findById(review.assignment);
+    if (assignment.getPeerReviewPhase() !== 'open') {
+      return res.status(400).json({ message: 'The peer review window is closed' });
+    }
+
+    const { rubricScores, score, comments } = req.body;
+
+    if (assignment.rubric) {
+      // Rubric reviews are scored like teacher grading: the rubric total scaled to the assignment's points
+      const rubric = await Rubric.findById(assignment.rubric);
+      const result = rubric ? rubric.scoreSelections(rubricScores) : { error: 'This assignment has no rubric' };
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      const rubricMax = rubric.getMaxPoints();
+      review.rubricScores = result.scores;
+      review.score = rubricMax > 0 ? roundPoints((result.total / rubricMax) * assignment.maxPoints) : 0;
+    } else {
+      if (!comments || !comments.trim()) {
+        return res.status(400).json({ message: 'Write some comments for your classmate' });
+      }
+
+      const hasScore = score !== undefined && score !== null && score !== '';
+      if (hasScore && parseFloat(score) > assignment.maxPoints) {
+        return res.status(400).json({ message: `Score cannot exceed maximum points (${assignment.maxPoints})` });
+      }
+      review.score = hasScore ? parseFloat(score) : undefined;
+    }
+
+    review.comments = comments || '';
+    review.status = 'submitted';
+    review.submittedAt = new Date();
+
+    await review.save();
+
+    res.json({
+      message: 'Review submitted successfully',
+      review: {
+        _id: review._id,
+        status: review.status,
+        rubricScores: review.rubricScores,
+        score: review.score,
+        comments: review.comments,
+        submittedAt: review.submittedAt
+      }
+    });
+  } catch (error) {
+    console.error('Submit peer review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/peer-reviews/assignment/:assignmentId/allocate
+// @desc    Allocate reviews now instead of when the first student opens them (Teacher only)
+// @access  Private (Teacher)
+router.post('/assignment/:assignmentId/allocate', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const assignment = await findOwnAssignment(req, res);
+    if (!assignment) return;
+
+    const phase = assignment.getPeerReviewPhase();
+    if (phase === 'off') {
+      return res.status(400).json({ message: 'Peer review is not turned on for this assignment' });
+    }
+    if (phase === 'upcoming') {
+      return res.status(400).json({ message: 'Reviews are allocated once every student\'s due date has passed' });
+    }
+
+    if (!(await allocateReviews(assignment))) {
+      return res.status(400).json({ message: 'Reviews have already been allocated' });
+    }
+
+    const count = await PeerReview.countDocuments({ assignment: assignment._id });
+    res.json({ message: `Allocated ${count} reviews`, allocatedAt: assignment.peerReview.allocatedAt });
+  } catch (error) {
+    console.error('Allocate peer reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/peer-reviews/assignment/:assignmentId/summary
+// @desc    Every submission's peer reviews with reviewer names, peer average and agreement (Teacher only)
+// @access  Private (Teacher)
+router.get('/assignment/:assignmentId/summary', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const assignment = await findOwnAssignment(req, res);
+    if (!assignment) return;
+
+    const [submissions, reviews] = await Promise.all([
+      Submission.find({ assignment: assignment._id })
+        .select('student grade rawGrade peerGrade status')
+        .populate('student', 'firstName lastName studentId'),
+      PeerReview.find({ assignment: assignment._id })
+        .populate('reviewer', 'firstName lastName studentId')
+        .sort({ submittedAt: 1 })
+    ]);
+
+    const rows = submissions.map(submission => {
+      const submissionReviews = reviews.filter(review => review.submission.toString() === submission._id.toString());
+      return {
+        submission,
+        reviews: submissionReviews,
+        summary: PeerReview.summarize(submissionReviews, assignment.maxPoints)
+      };
+    });
+
+    res.json({
+      assignment: {
+        _id: assignment._id,
+        title: assignment.title,
+        dueDate: assignment.dueDate,
+        maxPoints: assignment.maxPoints,
+        peerReview: assignment.peerReview,
+        reviewsOpenAt: assignment.getLatestDueDate()
+      },
+      phase: assignment.getPeerReviewPhase(),
+      totals: {
+        allocated: reviews.length,
+        submitted: reviews.filter(review => review.status === 'submitted').length
+      },
+      submissions: rows
+    });
+  } catch (error) {
+    console.error('Get peer review summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/peer-reviews/assignment/:assignmentId/weight
+// @desc    Fold the peer average into final grades with a weight, or 0 to take it out (Teacher only)
+// @access  Private (Teacher)
+router.put('/assignment/:assignmentId/weight', [
+  auth,
+  authorizeRoles('teacher'),
+  body('weight').isFloat({ min: 0, max: 100 }).withMessage('Weight must be between 0 and 100%')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await findOwnAssignment(req, res);
+    if (!assignment) return;
+
+    if (assignment.getPeerReviewPhase() !== 'closed') {
+      return res.status(400).json({ message: 'Peer scores can be folded in once the review deadline has passed' });
+    }
+
+    const weight = parseFloat(req.body.weight);
+    const [submissions, reviews] = await Promise.all([
+      Submission.find({ assignment: assignment._id }),
+      PeerReview.find({ assignment: assignment._id, status: 'submitted' })
+    ]);
+
+    let folded = 0;
+    for (const submission of submissions) {
+      const summary = PeerReview.summarize(
+        reviews.filter(review => review.submission.toString() === submission._id.toString()),
+        assignment.maxPoints
+      );
+      const hasTeacherGrade = submission.rawGrade !== undefined && submission.rawGrade !== null;
+      const previousWeight = submission.peerGrade && submission.peerGrade.weight;
+      const teacherGrade = previousWeight ? submission.peerGrade.teacherGrade : submission.rawGrade;
+
+      submission.peerGrade = summary.average === null
+        ? { weight: 0 }
+        : { average: summary.average, reviewCount: summary.scoredCount, weight, teacherGrade };
+
+      // Regrade from the teacher's own mark so folding twice never compounds
+      if (hasTeacherGrade) {
+        submission.applyGrade(submission.withPeerScore(teacherGrade), assignment);
+        if (summary.average !== null && weight > 0) folded++;
+      }
+
+      await submission.save();
+    }
+
+    assignment.peerReview.weight = weight;
+    await assignment.save();
+
+    res.json({
+      message: weight > 0
+        ? `Peer scores now count for ${weight}% of ${folded} graded submission${folded === 1 ? '' : 's'}`
+        : 'Peer scores no longer count towards grades',
+      weight
+    });
+  } catch (error) {
+    console.error('Fold peer scores error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
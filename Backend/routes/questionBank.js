@@ -0,0 +1,313 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const Course = require('../models/Course');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const StudentQuestion = require('../models/StudentQuestion');
+const { FORMATS, isFormat, detectFormat } = require('../utils/questionFormats');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Question bank files are parsed straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+const MAX_IMPORT_ITEMS = 500;
+
+const IMPORT_TARGETS = ['student-questions', 'quiz'];
+
+// Map an imported item onto StudentQuestion fields
+const toStudentQuestion = (item) => {
+  if (item.type === 'short-answer') {
+    const { acceptedAnswers } = StudentQuestion.buildAnswerKey({ type: 'short-answer', acceptedAnswers: item.answers });
+    const errors = [];
+    if (!item.question.trim()) errors.push('Question text is required');
+    const answerKeyError = StudentQuestion.validateAnswerKey({ type: 'short-answer', acceptedAnswers });
+    if (answerKeyError) errors.push(answerKeyError);
+
+    return {
+      errors,
+      question: {
+        question: item.question.trim(),
+        type: 'short-answer',
+        acceptedAnswers,
+        explanation: item.explanation,
+        difficulty: item.difficulty || 'medium',
+        tags: item.tags,
+        points: item.points || 1
+      }
+    };
+  }
+
+  const errors = [];
+  const type = item.type === 'multiple-select' ? 'multiple-select' : 'multiple-choice';
+  const options = item.options.filter(option => option.text.trim());
+
+  if (!item.question.trim()) errors.push('Question text is required');
+
+  if (options.length < 2) {
+    errors.push('At least 2 options are required');
+  } else {
+    const answerKeyError = StudentQuestion.validateAnswerKey({ type, scoringMethod: item.scoringMethod, options });
+    if (answerKeyError) errors.push(answerKeyError);
+  }
+
+  return {
+    errors,
+    question: {
+      question: item.question.trim(),
+      type,
+      scoringMethod: type === 'multiple-select' ? item.scoringMethod : 'all-or-nothing',
+      options,
+      explanation: item.explanation,
+      difficulty: item.difficulty || 'medium',
+      tags: item.tags,
+      points: item.points || 1
+    }
+  };
+};
+
+// Map an imported item onto the Quiz question input format
+const toQuizQuestion = (item) => {
+  if (item.type === 'multiple-select') {
+    return { errors: ['Quizzes do not support multiple-answer questions'] };
+  }
+
+  const warnings = [];
+  const question = {
+    question: item.question,
+    type: item.type,
+    options: [],
+    points: item.points,
+    explanation: item.explanation
+  };
+
+  if (item.type === 'multiple-choice') {
+    question.options = item.options.map(option => option.text);
+    const correct = item.options.map((option, i) => (option.isCorrect ? i : -1)).filter(i => i !== -1);
+    question.correctAnswer = correct.length === 1 ? correct[0] : -1;
+  } else if (item.type === 'true-false') {
+    question.correctAnswer = item.options[0] && item.options[0].isCorrect ? 'true' : 'false';
+  } else {
+    question.correctAnswer = item.answers[0];
+    question.acceptedAnswers = item.answers.slice(1);
+  }
+
+  if (item.difficulty || item.tags.length) {
+    warnings.push('Quiz questions have no difficulty or tags, so these were not imported');
+  }
+
+  const error = Quiz.validateQuestions([question]);
+  return {
+    errors: error ? [error.replace(/^Question 1: /, '')] : [],
+    warnings,
+    question
+  };
+};
+
+// Convert an approved question into the shared question bank item shape
+const toBankItem = (question) => ({
+  title: '',
+  question: question.question,
+  type: question.type,
+  options: question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+  answers: question.type === 'short-answer' ? question.acceptedAnswers : [],
+  scoringMethod: question.scoringMethod,
+  explanation: question.explanation,
+  difficulty: question.difficulty,
+  tags: question.tags,
+  points: question.points
+});
+
+// @route   POST /api/question-bank/import
+// @desc    Import a GIFT, Moodle XML or QTI file into a course's question bank or a quiz (Teacher only)
+// @access  Private (Teacher)
+router.post('/import', [
+  auth,
+  authorizeRoles('teacher'),
+  upload.single('file')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { courseId, target = 'student-questions', quizId, quizTitle, dryRun } = req.body;
+
+    if (!IMPORT_TARGETS.includes(target)) {
+      return res.status(400).json({ message: 'Target must be student-questions or quiz' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const format = req.body.format || detectFormat(req.file.buffer);
+    if (!isFormat(format)) {
+      return res.status(400).json({ message: 'Unrecognised question bank format' });
+    }
+
+    let items;
+    try {
+      items = FORMATS[format].parse(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read ${FORMATS[format].label} file: ${error.message}` });
+    }
+
+    if (!items.length) {
+      return res.status(400).json({ message: 'No questions found in the file' });
+    }
+
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({ message: `Files can contain at most ${MAX_IMPORT_ITEMS} questions` });
+    }
+
+    // Validate every item against the target and report on each one
+    const convert = target === 'quiz' ? toQuizQuestion : toStudentQuestion;
+    const report = items.map((item, index) => {
+      const converted = item.errors.length ? { errors: item.errors } : convert(item);
+      return {
+        index: index + 1,
+        title: item.title,
+        question: item.question,
+        type: item.type,
+        status: converted.errors.length ? 'invalid' : 'valid',
+        errors: converted.errors,
+        warnings: converted.warnings || [],
+        converted: converted.question
+      };
+    });
+
+    const valid = report.filter(entry => entry.status === 'valid');
+    let quiz = null;
+
+    if (dryRun !== 'true' && valid.length) {
+      if (target === 'quiz') {
+        const builtQuestions = Quiz.buildQuestions(valid.map(entry => entry.converted));
+
+        if (quizId) {
+          quiz = await Quiz.findById(quizId);
+          if (!quiz || quiz.course.toString() !== course._id.toString()) {
+            return res.status(404).json({ message: 'Quiz not found in this course' });
+          }
+
+          const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id });
+          if (attemptCount > 0) {
+            return res.status(400).json({ message: 'Questions cannot be changed after students have attempted this quiz' });
+          }
+
+          quiz.questions.push(...builtQuestions);
+        } else {
+          quiz = new Quiz({
+            title: quizTitle || path.parse(req.file.originalname).name || 'Imported quiz',
+            description: `Imported from ${FORMATS[format].label}`,
+            course: course._id,
+            teacher: req.user._id,
+            questions: builtQuestions
+          });
+          await Course.findByIdAndUpdate(course._id, { $inc: { totalQuizzes: 1 } });
+        }
+
+        quiz.totalPoints = quiz.questions.reduce((sum, q) => sum + q.points, 0);
+        await quiz.save();
+      } else {
+        // Teacher-supplied questions go straight into the approved pool
+        const created = await StudentQuestion.insertMany(valid.map(entry => ({
+          ...entry.converted,
+          course: course._id,
+          student: req.user._id,
+          teacher: req.user._id,
+          status: 'approved',
+          source: 'import',
+          reviewedAt: new Date(),
+          reviewedBy: req.user._id
+        })));
+
+        created.forEach((question, i) => {
+          valid[i].id = question._id;
+        });
+      }
+
+      valid.forEach(entry => {
+        entry.status = 'imported';
+      });
+    }
+
+    const imported = report.filter(entry => entry.status === 'imported').length;
+
+    res.json({
+      message: dryRun === 'true'
+        ? `${valid.length} of ${items.length} questions are valid`
+        : `Imported ${imported} of ${items.length} questions`,
+      format,
+      target,
+      imported,
+      failed: items.length - valid.length,
+      quiz: quiz ? { _id: quiz._id, title: quiz.title } : undefined,
+      report: report.map(({ converted, ...entry }) => entry)
+    });
+  } catch (error) {
+    console.error('Import question bank error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/question-bank/export
+// @desc    Export a course's approved questions as GIFT, Moodle XML or QTI (Teacher only)
+// @access  Private (Teacher)
+router.get('/export', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const { courseId, format = 'gift', difficulty, tag } = req.query;
+
+    if (!isFormat(format)) {
+      return res.status(400).json({ message: 'Format must be gift, moodle-xml or qti' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // None of the formats has a numeric question with tolerance and units that all of them read
+    const query = { course: course._id, status: 'approved', type: { $ne: 'numeric' } };
+    if (difficulty) query.difficulty = difficulty;
+    if (tag) query.tags = tag;
+
+    const questions = await StudentQuestion.find(query).sort({ createdAt: 1 });
+    if (!questions.length) {
+      return res.status(404).json({ message: 'No approved questions to export' });
+    }
+
+    const { serialize, contentType, extension } = FORMATS[format];
+    const fileName = `${course.title.replace(/[^\w-]+/g, '-').toLowerCase()}-questions.${extension}`;
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(serialize(questions.map(toBankItem)));
+  } catch (error) {
+    console.error('Export question bank error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const QuizBlueprint = require('../models/QuizBlueprint');
+const StudentQuestion = require('../models/StudentQuestion');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+const blueprintValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Blueprint name cannot be empty'),
+  body('sections').optional().isArray({ min: 1 }).withMessage('A blueprint needs at least one section'),
+  body('sections.*.tag').trim().notEmpty().withMessage('Each section needs a tag'),
+  body('sections.*.difficulty').optional().isIn(QuizBlueprint.DIFFICULTIES).withMessage('Invalid section difficulty'),
+  body('sections.*.count')
+    .isInt({ min: 1, max: QuizBlueprint.MAX_SECTION_COUNT })
+    .withMessage(`Each section needs between 1 and ${QuizBlueprint.MAX_SECTION_COUNT} questions`),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const toSections = (sections) => sections.map(section => ({
+  tag: section.tag,
+  difficulty: section.difficulty || 'any',
+  count: Number(section.count)
+}));
+
+// The approved questions a blueprint draws from
+const getQuestionPool = (courseId) =>
+  StudentQuestion.find({ course: courseId, status: 'approved' }).select('tags difficulty');
+
+// Attach the number of matching questions to each section so teachers can see what will fit
+const withAvailability = (blueprint, pool) => {
+  const availability = blueprint.getAvailability(pool);
+  const result = blueprint.toObject();
+  result.sections = result.sections.map((section, i) => ({
+    ...section,
+    available: availability[i].available
+  }));
+  return result;
+};
+
+// Load a blueprint owned by the current teacher, or send the error response
+const findOwnBlueprint = async (req, res) => {
+  const blueprint = await QuizBlueprint.findById(req.params.id);
+  if (!blueprint) {
+    res.status(404).json({ message: 'Blueprint not found' });
+    return null;
+  }
+
+  if (blueprint.teacher.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return blueprint;
+};
+
+// @route   GET /api/quiz-blueprints/course/:courseId
+// @desc    Blueprints for a course; teachers get every blueprint with per-section availability,
+//          students get the active ones
+// @access  Private
+router.get('/course/:courseId', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (req.user.role === 'teacher') {
+      if (course.teacher.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const [blueprints, pool] = await Promise.all([
+        QuizBlueprint.find({ course: course._id }).sort({ createdAt: -1 }),
+        getQuestionPool(course._id)
+      ]);
+
+      const tags = [...new Set(pool.flatMap(q => (q.tags || []).map(tag => tag.trim()).filter(Boolean)))].sort();
+
+      return res.json({
+        blueprints: blueprints.map(blueprint => withAvailability(blueprint, pool)),
+        tags
+      });
+    }
+
+    if (!course.students.some(student => student.toString() === req.user._id.toString())) {
+      return res.status(403).json({ message: 'Access denied. You are not enrolled in this course.' });
+    }
+
+    const blueprints = await QuizBlueprint.find({ course: course._id, isActive: true })
+      .select('name description sections')
+      .sort({ name: 1 });
+
+    res.json({
+      blueprints: blueprints.map(blueprint => ({
+        _id: blueprint._id,
+        name: blueprint.name,
+        description: blueprint.description,
+        questionCount: blueprint.getQuestionCount()
+      }))
+    });
+  } catch (error) {
+    console.error('Get blueprints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/quiz-blueprints
+// @desc    Create a quiz blueprint for a course (Teacher only)
+// @access  Private (Teacher)
+router.post('/', [
+  auth,
+  authorizeRoles('teacher'),
+  body('courseId').notEmpty().withMessage('Course is required'),
+  body('name').exists().withMessage('Blueprint name is required'),
+  body('sections').exists().withMessage('A blueprint needs at least one section'),
+  ...blueprintValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { courseId, name, description, sections, isActive } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const blueprint = new QuizBlueprint({
+      course: course._id,
+      teacher: req.user._id,
+      name,
+      description,
+      sections: toSections(sections),
+      isActive
+    });
+
+    await blueprint.save();
+
+    res.status(201).json({
+      message: 'Blueprint created successfully',
+      blueprint: withAvailability(blueprint, await getQuestionPool(course._id))
+    });
+  } catch (error) {
+    console.error('Create blueprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quiz-blueprints/:id
+// @desc    Update a quiz blueprint (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id', [
+  auth,
+  authorizeRoles('teacher'),
+  ...blueprintValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blueprint = await findOwnBlueprint(req, res);
+    if (!blueprint) return;
+
+    const { name, description, sections, isActive } = req.body;
+
+    if (name) blueprint.name = name;
+    if (description !== undefined) blueprint.description = description;
+    if (sections) blueprint.sections = toSections(sections);
+    if (typeof isActive === 'boolean') blueprint.isActive = isActive;
+
+    await blueprint.save();
+
+    res.json({
+      message: 'Blueprint updated successfully',
+      blueprint: withAvailability(blueprint, await getQuestionPool(blueprint.course))
+    });
+  } catch (error) {
+    console.error('Update blueprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/quiz-blueprints/:id
+// @desc    Delete a quiz blueprint (Teacher only); attempts already taken keep their questions
+// @access  Private (Teacher)
+router.delete('/:id', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const blueprint = await findOwnBlueprint(req, res);
+    if (!blueprint) return;
+
+    await blueprint.deleteOne();
+
+    res.json({ message: 'Blueprint deleted successfully' });
+  } catch (error) {
+    console.error('Delete blueprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
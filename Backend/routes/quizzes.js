@@ -0,0 +1,772 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Course = require('../models/Course');
+const { gradeShortAnswer } = require('../utils/answerMatching');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Grade one answer; returns { status: 'correct' | 'incorrect' | 'review', reason }.
+// Short answers close to the key (a typo, or wrapped in a sentence) are left to the teacher.
+const gradeAnswer = (question, answer) => {
+  if (answer === undefined || answer === null || answer === '') return { status: 'incorrect' };
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return { status: Number(answer) === Number(question.correctAnswer) ? 'correct' : 'incorrect' };
+    case 'true-false':
+      return { status: String(answer).toLowerCase() === String(question.correctAnswer).toLowerCase() ? 'correct' : 'incorrect' };
+    case 'short-answer':
+      return gradeShortAnswer(answer, [question.correctAnswer, ...(question.acceptedAnswers || [])]);
+    default:
+      return { status: 'incorrect' };
+  }
+};
+
+// Remove answer keys before a quiz is sent to a student
+const toStudentQuiz = (quiz) => {
+  const quizObject = quiz.toObject();
+  quizObject.questions = quizObject.questions.map(({ correctAnswer, acceptedAnswers, explanation, ...rest }) => rest);
+  return quizObject;
+};
+
+// One answer per question, keyed by question id; if a question is sent twice the last answer counts
+const toAnswerMap = (answers) => {
+  const answersByQuestion = new Map();
+  for (const submitted of answers) {
+    if (submitted && submitted.questionId) {
+      answersByQuestion.set(String(submitted.questionId), submitted);
+    }
+  }
+  return answersByQuestion;
+};
+
+// Grade an answer sheet against the quiz and mark the attempt complete. completedAt is when the
+// time taken stops counting, which for an attempt closed after its deadline is the deadline itself.
+const completeAttempt = (attempt, quiz, answers, completedAt, now = new Date()) => {
+  let score = 0;
+  const gradedAnswers = [];
+
+  for (const submitted of toAnswerMap(answers).values()) {
+    const question = quiz.questions.id(submitted.questionId);
+    if (!question) continue;
+    if (submitted.answer === undefined || submitted.answer === null || submitted.answer === '') continue;
+
+    const { status, reason } = gradeAnswer(question, submitted.answer);
+    const isCorrect = status === 'correct';
+    const points = isCorrect ? question.points : 0;
+    score += points;
+
+    gradedAnswers.push({
+      questionId: question._id,
+      answer: submitted.answer,
+      isCorrect,
+      points,
+      needsReview: status === 'review',
+      reviewReason: reason
+    });
+  }
+
+  attempt.answers = gradedAnswers;
+  attempt.score = score;
+  attempt.percentage = attempt.totalPoints > 0 ? Math.round((score / attempt.totalPoints) * 100) : 0;
+  attempt.timeSpent = Math.max(0, Math.round((completedAt - attempt.startedAt) / 1000));
+  attempt.submittedAt = now;
+  attempt.isCompleted = true;
+};
+
+// Close an attempt whose deadline has passed, marking the answers saved before it
+const closeExpiredAttempt = (attempt, quiz, now = new Date()) => {
+  completeAttempt(attempt, quiz, attempt.savedAnswers, attempt.getDeadline(quiz), now);
+};
+
+// Types of the fields in submitted questions; Quiz.validateQuestions checks what each question type needs
+const questionValidators = [
+  body('questions').optional().isArray().withMessage('Questions must be an array'),
+  body('questions.*.question').optional().isString().withMessage('Question text must be text'),
+  body('questions.*.options').optional().isArray().withMessage('Options must be a list'),
+  body('questions.*.options.*').isString().withMessage('Options must be text'),
+  body('questions.*.acceptedAnswers').optional().isArray().withMessage('Accepted answers must be a list'),
+  body('questions.*.explanation').optional().isString().withMessage('Explanation must be text')
+];
+
+const isEnrolled = (course, userId) =>
+  course.students.some(student => student.toString() === userId.toString());
+
+// @route   GET /api/quizzes/course/:courseId
+// @desc    Get quizzes for a course (Teachers see all, Students see published ones)
+// @access  Private
+router.get('/course/:courseId', auth, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (req.user.role === 'student' && !isEnrolled(course, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied. You are not enrolled in this course.' });
+    }
+
+    if (req.user.role === 'teacher' && course.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (req.user.role === 'teacher') {
+      const quizzes = await Quiz.find({ course: course._id }).sort({ createdAt: -1 });
+
+      const quizzesWithStats = await Promise.all(
+        quizzes.map(async (quiz) => {
+          const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id });
+          const completedAttempts = await QuizAttempt.countDocuments({ quiz: quiz._id, isCompleted: true });
+          return { ...quiz.toObject(), attemptCount, completedAttempts };
+        })
+      );
+
+      return res.json({ quizzes: quizzesWithStats });
+    }
+
+    const quizzes = await Quiz.find({ course: course._id, isPublished: true }).sort({ dueDate: 1 });
+
+    const quizzesWithAttempts = await Promise.all(
+      quizzes.map(async (quiz) => {
+        const attempts = await QuizAttempt.find({ quiz: quiz._id, student: req.user._id })
+          .sort({ attemptNumber: 1 });
+        const completed = attempts.filter(a => a.isCompleted);
+        const inProgress = attempts.find(a => !a.isCompleted);
+        const { questions, ...quizObject } = toStudentQuiz(quiz);
+
+        return {
+          ...quizObject,
+          questionCount: questions.length,
+          attemptsUsed: attempts.length,
+          bestPercentage: quiz.showResults && completed.length > 0
+            ? Math.max(...completed.map(a => a.percentage))
+            : null,
+          inProgressAttempt: inProgress ? inProgress._id : null,
+          lastAttempt: completed.length > 0 ? completed[completed.length - 1]._id : null
+        };
+      })
+    );
+
+    res.json({ quizzes: quizzesWithAttempts });
+  } catch (error) {
+    console.error('Get quizzes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/quizzes/attempts/:attemptId
+// @desc    Get a quiz attempt with results
+// @access  Private
+router.get('/attempts/:attemptId', auth, async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findById(req.params.attemptId)
+      .populate('student', 'firstName lastName studentId email')
+      .populate('course', 'title subject');
+
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (req.user.role === 'teacher') {
+      if (quiz.teacher.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      return res.json({ attempt, quiz });
+    }
+
+    if (attempt.student._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const attemptObject = attempt.toObject();
+    let quizObject = quiz.toObject();
+
+    if (!attempt.isCompleted || !quiz.showCorrectAnswers) {
+      quizObject = toStudentQuiz(quiz);
+      // A review reason can quote the accepted answer
+      attemptObject.answers = attemptObject.answers.map(({ reviewReason, ...rest }) => rest);
+    }
+
+    if (attempt.isCompleted && !quiz.showResults) {
+      attemptObject.answers = attemptObject.answers.map(({ isCorrect, points, needsReview, reviewReason, ...rest }) => rest);
+      delete attemptObject.score;
+      delete attemptObject.percentage;
+    }
+
+    res.json({ attempt: attemptObject, quiz: quizObject });
+  } catch (error) {
+    console.error('Get quiz attempt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/quizzes/attempts/:attemptId/submit
+// @desc    Submit answers for a quiz attempt (Student only)
+// @access  Private (Student)
+router.post('/attempts/:attemptId/submit', [
+  auth,
+  authorizeRoles('student'),
+  body('answers').isArray().withMessage('Answers must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (attempt.isCompleted) {
+      return res.status(400).json({ message: 'Quiz attempt already submitted' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!quiz.isPublished) {
+      return res.status(400).json({ message: 'This quiz is no longer accepting answers' });
+    }
+
+    const now = new Date();
+
+    // An answer sheet sent after the time limit or due date doesn't count: the answers saved
+    // before the deadline are marked instead
+    const isLate = attempt.isPastDeadline(quiz, now);
+    if (isLate) {
+      closeExpiredAttempt(attempt, quiz, now);
+    } else {
+      completeAttempt(attempt, quiz, req.body.answers, now, now);
+    }
+
+    await attempt.save();
+
+    res.json({
+      message: isLate
+        ? 'Time was up, so the answers saved before the deadline were marked'
+        : 'Quiz submitted successfully',
+      closedAtDeadline: isLate,
+      attempt: {
+        _id: attempt._id,
+        score: quiz.showResults ? attempt.score : undefined,
+        totalPoints: attempt.totalPoints,
+        percentage: quiz.showResults ? attempt.percentage : undefined,
+        timeSpent: attempt.timeSpent
+      }
+    });
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quizzes/attempts/:attemptId/progress
+// @desc    Save in-progress answers, which are marked if the final answer sheet arrives late (Student only)
+// @access  Private (Student)
+router.put('/attempts/:attemptId/progress', [
+  auth,
+  authorizeRoles('student'),
+  body('answers').isArray().withMessage('Answers must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (attempt.isCompleted) {
+      return res.status(400).json({ message: 'Quiz attempt already submitted' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const now = new Date();
+    if (attempt.isPastDeadline(quiz, now)) {
+      closeExpiredAttempt(attempt, quiz, now);
+      await attempt.save();
+      return res.status(400).json({ message: 'Time is up for this quiz. Your saved answers have been marked.' });
+    }
+
+    attempt.savedAnswers = [...toAnswerMap(req.body.answers).values()]
+      .filter(saved => quiz.questions.id(saved.questionId))
+      .map(saved => ({ questionId: saved.questionId, answer: saved.answer }));
+    await attempt.save();
+
+    res.json({ message: 'Progress saved', remainingSeconds: attempt.getRemainingSeconds(quiz, now) });
+  } catch (error) {
+    console.error('Save quiz progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quizzes/attempts/:attemptId/answers/:questionId
+// @desc    Mark one answer by hand, replacing its auto-grade (Teacher only)
+// @access  Private (Teacher)
+router.put('/attempts/:attemptId/answers/:questionId', [
+  auth,
+  authorizeRoles('teacher'),
+  body('isCorrect').isBoolean().withMessage('isCorrect must be true or false'),
+  body('points').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Points must be a non-negative number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const question = quiz.questions.id(req.params.questionId);
+    const answer = attempt.answers.find(a => a.questionId.toString() === req.params.questionId);
+    if (!question || !answer) {
+      return res.status(404).json({ message: 'The student did not answer this question' });
+    }
+
+    const { isCorrect, points } = req.body;
+    const awarded = points === undefined || points === null ? (isCorrect ? question.points : 0) : Number(points);
+    if (awarded > question.points) {
+      return res.status(400).json({ message: `Points cannot be more than ${question.points}` });
+    }
+
+    answer.isCorrect = isCorrect;
+    answer.points = awarded;
+    answer.needsReview = false;
+    answer.overriddenBy = req.user._id;
+    answer.overriddenAt = new Date();
+
+    attempt.score = attempt.answers.reduce((sum, a) => sum + a.points, 0);
+    attempt.percentage = attempt.totalPoints > 0 ? Math.round((attempt.score / attempt.totalPoints) * 100) : 0;
+    await attempt.save();
+
+    res.json({ message: 'Answer marked', attempt });
+  } catch (error) {
+    console.error('Override quiz answer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/quizzes/:id
+// @desc    Get single quiz (answer keys are only sent to the teacher)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id)
+      .populate('course', 'title subject students');
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (req.user.role === 'teacher') {
+      if (quiz.teacher.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      return res.json({ quiz });
+    }
+
+    if (!isEnrolled(quiz.course, req.user._id) || !quiz.isPublished) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ quiz: toStudentQuiz(quiz) });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/quizzes
+// @desc    Create a new quiz (Teacher only)
+// @access  Private (Teacher)
+router.post('/', [
+  auth,
+  authorizeRoles('teacher'),
+  body('title').notEmpty().withMessage('Quiz title is required'),
+  body('description').notEmpty().withMessage('Quiz description is required'),
+  body('course').isMongoId().withMessage('Valid course ID is required'),
+  body('timeLimit').optional().isInt({ min: 1 }).withMessage('Time limit must be a positive number of minutes'),
+  body('attempts').optional().isInt({ min: 1 }).withMessage('Attempts must be a positive integer'),
+  body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid due date is required'),
+  ...questionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, course, questions = [], timeLimit, attempts, dueDate, showCorrectAnswers, showResults } = req.body;
+
+    const courseDoc = await Course.findById(course);
+    if (!courseDoc) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    if (courseDoc.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const questionError = Quiz.validateQuestions(questions);
+    if (questionError) {
+      return res.status(400).json({ message: questionError });
+    }
+
+    const builtQuestions = Quiz.buildQuestions(questions);
+
+    const quiz = new Quiz({
+      title,
+      description,
+      course,
+      teacher: req.user._id,
+      questions: builtQuestions,
+      totalPoints: builtQuestions.reduce((sum, q) => sum + q.points, 0),
+      timeLimit: timeLimit ? parseInt(timeLimit) : undefined,
+      attempts: attempts ? parseInt(attempts) : undefined,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      showCorrectAnswers: typeof showCorrectAnswers === 'boolean' ? showCorrectAnswers : undefined,
+      showResults: typeof showResults === 'boolean' ? showResults : undefined
+    });
+
+    await quiz.save();
+
+    // Update course quiz count
+    await Course.findByIdAndUpdate(course, { $inc: { totalQuizzes: 1 } });
+
+    res.status(201).json({
+      message: 'Quiz created successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quizzes/:id
+// @desc    Update quiz (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id', [
+  auth,
+  authorizeRoles('teacher'),
+  body('title').optional().notEmpty().withMessage('Quiz title cannot be empty'),
+  body('description').optional().notEmpty().withMessage('Quiz description cannot be empty'),
+  body('timeLimit').optional().isInt({ min: 1 }).withMessage('Time limit must be a positive number of minutes'),
+  body('attempts').optional().isInt({ min: 1 }).withMessage('Attempts must be a positive integer'),
+  body('dueDate').optional({ checkFalsy: true }).isISO8601().withMessage('Valid due date is required'),
+  ...questionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { title, description, questions, timeLimit, attempts, dueDate, showCorrectAnswers, showResults } = req.body;
+
+    if (questions !== undefined) {
+      // Changing questions would invalidate answers already graded against them
+      const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id });
+      if (attemptCount > 0) {
+        return res.status(400).json({ message: 'Questions cannot be changed after students have attempted this quiz' });
+      }
+
+      const questionError = Quiz.validateQuestions(questions);
+      if (questionError) {
+        return res.status(400).json({ message: questionError });
+      }
+
+      quiz.questions = Quiz.buildQuestions(questions);
+      quiz.totalPoints = quiz.questions.reduce((sum, q) => sum + q.points, 0);
+    }
+
+    if (title) quiz.title = title;
+    if (description) quiz.description = description;
+    if (timeLimit) quiz.timeLimit = parseInt(timeLimit);
+    if (attempts) quiz.attempts = parseInt(attempts);
+    if (dueDate !== undefined) quiz.dueDate = dueDate ? new Date(dueDate) : undefined;
+    if (typeof showCorrectAnswers === 'boolean') quiz.showCorrectAnswers = showCorrectAnswers;
+    if (typeof showResults === 'boolean') quiz.showResults = showResults;
+
+    await quiz.save();
+
+    res.json({
+      message: 'Quiz updated successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quizzes/:id/publish
+// @desc    Publish quiz (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id/publish', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (quiz.questions.length === 0) {
+      return res.status(400).json({ message: 'Add at least one question before publishing' });
+    }
+
+    quiz.isPublished = true;
+    if (!quiz.publishedAt) {
+      quiz.publishedAt = new Date();
+    }
+
+    await quiz.save();
+
+    res.json({
+      message: 'Quiz published successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Publish quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/quizzes/:id/unpublish
+// @desc    Unpublish quiz (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id/unpublish', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    quiz.isPublished = false;
+    await quiz.save();
+
+    res.json({
+      message: 'Quiz unpublished successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Unpublish quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/quizzes/:id
+// @desc    Delete quiz and its attempts (Teacher only)
+// @access  Private (Teacher)
+router.delete('/:id', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (quiz.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await QuizAttempt.deleteMany({ quiz: quiz._id });
+
+    // Update course quiz count
+    await Course.findByIdAndUpdate(quiz.course, { $inc: { totalQuizzes: -1 } });
+
+    await Quiz.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Quiz deleted successfully' });
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/quizzes/:id/start
+// @desc    Start (or resume) a quiz attempt (Student only)
+// @access  Private (Student)
+router.post('/:id/start', [
+  auth,
+  authorizeRoles('student')
+], async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id)
+      .populate('course', 'title subject students');
+
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!isEnrolled(quiz.course, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied. You are not enrolled in this course.' });
+    }
+
+    if (!quiz.isPublished) {
+      return res.status(400).json({ message: 'Quiz is not yet published' });
+    }
+
+    // Resume an unfinished attempt instead of using up another one
+    const inProgress = await QuizAttempt.findOne({
+      quiz: quiz._id,
+      student: req.user._id,
+      isCompleted: false
+    });
+
+    if (inProgress) {
+      if (!inProgress.isPastDeadline(quiz)) {
+        return res.json({
+          message: 'Resuming quiz attempt',
+          attempt: inProgress,
+          quiz: toStudentQuiz(quiz),
+          remainingSeconds: inProgress.getRemainingSeconds(quiz)
+        });
+      }
+
+      // Time ran out while the student was away - close it with the saved answers
+      closeExpiredAttempt(inProgress, quiz);
+      await inProgress.save();
+    }
+
+    if (quiz.dueDate && new Date() > quiz.dueDate) {
+      return res.status(400).json({ message: 'Quiz due date has passed' });
+    }
+
+    const attemptCount = await QuizAttempt.countDocuments({ quiz: quiz._id, student: req.user._id });
+    if (attemptCount >= quiz.attempts) {
+      return res.status(400).json({ message: 'Maximum attempts reached for this quiz' });
+    }
+
+    // Students with an extra-time accommodation get their multiple of the quiz's time limit
+    const course = await Course.findById(quiz.course._id).select('+quizTimeAccommodations');
+    const timeMultiplier = course.getQuizTimeMultiplier(req.user._id);
+
+    const attempt = new QuizAttempt({
+      quiz: quiz._id,
+      student: req.user._id,
+      course: quiz.course._id,
+      totalPoints: quiz.totalPoints,
+      attemptNumber: attemptCount + 1,
+      timeLimit: quiz.timeLimit ? Math.round(quiz.timeLimit * timeMultiplier * 10) / 10 : undefined,
+      timeMultiplier
+    });
+
+    await attempt.save();
+
+    res.status(201).json({
+      message: 'Quiz started successfully',
+      attempt,
+      quiz: toStudentQuiz(quiz),
+      remainingSeconds: attempt.getRemainingSeconds(quiz)
+    });
+  } catch (error) {
+    console.error('Start quiz error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/quizzes/:id/attempts
+// @desc    Get attempts for a quiz (Teachers see all, Students see their own)
+// @access  Private
+router.get('/:id/attempts', auth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const query = { quiz: quiz._id };
+
+    if (req.user.role === 'teacher') {
+      if (quiz.teacher.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    } else {
+      query.student = req.user._id;
+    }
+
+    const attempts = await QuizAttempt.find(query)
+      .populate('student', 'firstName lastName studentId email')
+      .sort({ createdAt: -1 });
+
+    if (req.user.role === 'student' && !quiz.showResults) {
+      return res.json({
+        attempts: attempts.map(attempt => {
+          const { score, percentage, answers, ...rest } = attempt.toObject();
+          return rest;
+        })
+      });
+    }
+
+    res.json({ attempts });
+  } catch (error) {
+    console.error('Get quiz attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
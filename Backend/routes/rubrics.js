@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { auth, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+const rubricValidators = [
+  body('title').optional().trim().notEmpty().withMessage('Rubric title cannot be empty'),
+  body('criteria')
+    .optional()
+    .isArray({ min: 1, max: Rubric.MAX_CRITERIA })
+    .withMessage(`A rubric needs between 1 and ${Rubric.MAX_CRITERIA} criteria`),
+  body('criteria.*.title').trim().notEmpty().withMessage('Each criterion needs a title'),
+  body('criteria.*.levels')
+    .isArray({ min: 2, max: Rubric.MAX_LEVELS })
+    .withMessage(`Each criterion needs between 2 and ${Rubric.MAX_LEVELS} levels`),
+  body('criteria.*.levels.*.title').trim().notEmpty().withMessage('Each level needs a title'),
+  body('criteria.*.levels.*.minPoints').isFloat({ min: 0 }).withMessage('Level points must be zero or more'),
+  body('criteria.*.levels.*.maxPoints').isFloat({ min: 0 }).withMessage('Level points must be zero or more'),
+  body('criteria.*.levels.*')
+    .custom(level => Number(level.minPoints) <= Number(level.maxPoints))
+    .withMessage("A level's lowest points cannot be above its highest")
+];
+
+const toCriteria = (criteria) => criteria.map(criterion => ({
+  title: criterion.title,
+  description: criterion.description || '',
+  levels: criterion.levels.map(level => ({
+    title: level.title,
+    descriptor: level.descriptor || '',
+    minPoints: Number(level.minPoints),
+    maxPoints: Number(level.maxPoints)
+  }))
+}));
+
+// Rubrics that have graded a submission are locked so past scores keep their meaning
+const getLockedIds = async (rubrics) => {
+  const used = await Submission.distinct('rubric', { rubric: { $in: rubrics.map(rubric => rubric._id) } });
+  return new Set(used.map(id => id.toString()));
+};
+
+const withUsage = (rubric, lockedIds) => ({
+  ...rubric.toObject(),
+  maxPoints: rubric.getMaxPoints(),
+  isLocked: lockedIds.has(rubric._id.toString())
+});
+
+// Load a rubric owned by the current teacher, or send the error response
+const findOwnRubric = async (req, res) => {
+  const rubric = await Rubric.findById(req.params.id);
+  if (!rubric) {
+    res.status(404).json({ message: 'Rubric not found' });
+    return null;
+  }
+
+  if (rubric.teacher.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return rubric;
+};
+
+// Load a course owned by the current teacher, or send the error response
+const findOwnCourse = async (courseId, req, res) => {
+  const course = courseId && courseId.match(/^[0-9a-fA-F]{24}$/) ? await Course.findById(courseId) : null;
+  if (!course) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  if (course.teacher.toString() !== req.user._id.toString()) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return course;
+};
+
+// @route   GET /api/rubrics
+// @desc    The teacher's rubrics across all their courses, or one course with ?courseId= (Teacher only)
+// @access  Private (Teacher)
+router.get('/', [
+  auth,
+  authorizeRoles('teacher'),
+  query('courseId').optional().isMongoId().withMessage('Valid course ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { teacher: req.user._id };
+    if (req.query.courseId) filter.course = req.query.courseId;
+
+    const rubrics = await Rubric.find(filter)
+      .populate('course', 'title subject')
+      .sort({ updatedAt: -1 });
+    const lockedIds = await getLockedIds(rubrics);
+
+    res.json({ rubrics: rubrics.map(rubric => withUsage(rubric, lockedIds)) });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rubrics
+// @desc    Create a rubric for a course (Teacher only)
+// @access  Private (Teacher)
+router.post('/', [
+  auth,
+  authorizeRoles('teacher'),
+  body('courseId').notEmpty().withMessage('Course is required'),
+  body('title').exists().withMessage('Rubric title is required'),
+  body('criteria').exists().withMessage('A rubric needs at least one criterion'),
+  ...rubricValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { courseId, title, description, criteria } = req.body;
+
+    const course = await findOwnCourse(courseId, req, res);
+    if (!course) return;
+
+    const rubric = new Rubric({
+      course: course._id,
+      teacher: req.user._id,
+      title,
+      description,
+      criteria: toCriteria(criteria)
+    });
+
+    await rubric.save();
+
+    res.status(201).json({
+      message: 'Rubric created successfully',
+      rubric: withUsage(rubric, new Set())
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/rubrics/:id
+// @desc    Update a rubric; rubrics already used for grading are locked (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id', [
+  auth,
+  authorizeRoles('teacher'),
+  ...rubricValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rubric = await findOwnRubric(req, res);
+    if (!rubric) return;
+
+    if ((await getLockedIds([rubric])).size > 0) {
+      return res.status(400).json({
+        message: 'This rubric has been used to grade submissions. Copy it to make a new version instead.'
+      });
+    }
+
+    const { title, description, criteria } = req.body;
+
+    if (title) rubric.title = title;
+    if (description !== undefined) rubric.description = description;
+    if (criteria) rubric.criteria = toCriteria(criteria);
+
+    await rubric.save();
+
+    res.json({
+      message: 'Rubric updated successfully',
+      rubric: withUsage(rubric, new Set())
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rubrics/:id/copy
+// @desc    Copy a rubric into one of the teacher's courses, including the same course (Teacher only)
+// @access  Private (Teacher)
+router.post('/:id/copy', [
+  auth,
+  authorizeRoles('teacher'),
+  body('courseId').notEmpty().withMessage('Course is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rubric = await findOwnRubric(req, res);
+    if (!rubric) return;
+
+    const course = await findOwnCourse(req.body.courseId, req, res);
+    if (!course) return;
+
+    const copy = rubric.copyTo(course._id, req.user._id);
+    if (course._id.toString() === rubric.course.toString()) {
+      copy.title = `${rubric.title} (copy)`;
+    }
+
+    await copy.save();
+    await copy.populate('course', 'title subject');
+
+    res.status(201).json({
+      message: `Rubric copied to ${course.title}`,
+      rubric: withUsage(copy, new Set())
+    });
+  } catch (error) {
+    console.error('Copy rubric error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/rubrics/:id
+// @desc    Delete a rubric that no assignment uses; graded submissions keep their scores (Teacher only)
+// @access  Private (Teacher)
+router.delete('/:id', [
+  auth,
+  authorizeRoles('teacher')
+], async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req, res);
+    if (!rubric) return;
+
+    if (await Assignment.exists({ rubric: rubric._id })) {
+      return res.status(400).json({ message: 'This rubric is attached to an assignment. Detach it first.' });
+    }
+
+    await rubric.deleteOne();
+
+    res.json({ message: 'Rubric deleted successfully' });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
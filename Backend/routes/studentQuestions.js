@@ -1,14 +1,161 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const StudentQuestion = require('../models/StudentQuestion');
 const StudentQuizAttempt = require('../models/StudentQuizAttempt');
 const Course = require('../models/Course');
+const StudentAbility = require('../models/StudentAbility');
+const ReviewSchedule = require('../models/ReviewSchedule');
+const QuizBlueprint = require('../models/QuizBlueprint');
 const { auth } = require('../middleware/auth');
+const {
+  QUESTION_IMAGE_DIR,
+  QUESTION_IMAGE_TYPES,
+  isValidImageFile,
+  isUploadedQuestionImage
+} = require('../utils/imageType');
+
+// Configure multer for question and option images
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(QUESTION_IMAGE_DIR)) {
+      fs.mkdirSync(QUESTION_IMAGE_DIR, { recursive: true });
+    }
+    cb(null, QUESTION_IMAGE_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'question-' + uniqueSuffix + '.' + QUESTION_IMAGE_TYPES[file.mimetype]);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (QUESTION_IMAGE_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG, JPEG, GIF and WebP images are allowed'), false);
+    }
+  }
+});
+
+// Check the stem and option images on a submitted question; returns an error message or null
+const validateImages = ({ image, options }) => {
+  const images = [image, ...options.map(option => option.image)].filter(Boolean);
+  if (images.some(url => typeof url !== 'string' || !isUploadedQuestionImage(url))) {
+    return 'Images must be uploaded through the question image upload';
+  }
+  return null;
+};
+
+// Practice quiz time allowance per question
+const SECONDS_PER_QUESTION = 90;
+
+// How many of the closest-rated questions an adaptive quiz picks from at random
+const ADAPTIVE_CANDIDATES = 3;
+
+// Integrity events are sent in batches; late ones are accepted for a short while after submission
+const MAX_INTEGRITY_BATCH = 100;
+const INTEGRITY_LATE_EVENT_MS = 60 * 1000;
+
+// Pick a question whose rating best matches the student's, with a little randomness
+const pickAdaptiveQuestion = (pool, studentRating) => {
+  if (!pool.length) return null;
+
+  const ranked = [...pool].sort((a, b) =>
+    Math.abs(a.getRating() - studentRating) - Math.abs(b.getRating() - studentRating)
+  );
+  const candidates = ranked.slice(0, ADAPTIVE_CANDIDATES);
+
+  return candidates[Math.floor(Math.random() * candidates.length)];
+};
+
+// An answer without its marking; marking (and a review reason quoting the key) would give the key away
+const toUnmarkedAnswer = ({ isCorrect, points, needsReview, reviewReason, ...answer }) => answer;
+
+// Attempt as sent to a student while answering, or afterwards while its answers stay hidden:
+// questions without answer keys, with options and saved answers in the attempt's shuffled order
+const toDeliveredAttempt = (quizAttempt) => ({
+  ...quizAttempt.toObject(),
+  questions: quizAttempt.questions.map(q => quizAttempt.deliverQuestion(q)),
+  answers: quizAttempt.getShownAnswers().map(toUnmarkedAnswer)
+});
+
+// Whether a student may see the answer keys and marking of their attempt (the course must be
+// populated). Released exams show them once submitted; other attempts only when the course's
+// practice answer policy allows it too.
+const areAnswersVisible = (quizAttempt) => {
+  if (quizAttempt.isFeedbackWithheld() || !quizAttempt.isCompleted) return false;
+  return quizAttempt.mode === 'exam' || quizAttempt.course.canRevealPracticeAnswers();
+};
+
+// Exam attempt as sent to a student before the teacher releases results: no scores or marking
+const toWithheldAttempt = (attempt) => ({
+  ...attempt,
+  answers: attempt.answers.map(({ isCorrect, points, needsReview, reviewReason, overriddenBy, overriddenAt, ...answer }) => answer),
+  score: null,
+  percentage: null,
+  teacherGrade: null,
+  teacherFeedback: '',
+  regrades: [],
+  feedbackWithheld: true
+});
+
+// Read a student's response from a request body: option indexes for choice questions, text for typed ones
+const readResponse = (question, { selectedOptions, textAnswer }) => (question.isTyped()
+  ? { selectedOptions: [], textAnswer: typeof textAnswer === 'string' ? textAnswer.trim().slice(0, 500) : '' }
+  : { selectedOptions: Array.isArray(selectedOptions) ? selectedOptions.filter(Number.isInteger) : [], textAnswer: '' });
+
+const isBlankResponse = (response) => !response.selectedOptions.length && !response.textAnswer;
+
+// Result of a checked practice-mode answer, with that question's key (in shown order) and explanation;
+// typed answers the grader was unsure of wait for the teacher
+const toPracticeFeedback = (quizAttempt, question, answer) => ({
+  questionId: question._id,
+  isCorrect: answer.isCorrect,
+  points: answer.points,
+  needsReview: !!answer.needsReview,
+  correctOptions: quizAttempt.toShownOptions(
+    question,
+    question.options.map((option, index) => (option.isCorrect ? index : null)).filter(index => index !== null)
+  ),
+  correctAnswer: question.describeAnswer(),
+  explanation: question.explanation || ''
+});
+
+const getCheckedFeedback = (quizAttempt) => quizAttempt.answers
+  .filter(answer => answer.checkedAt)
+  .map(answer => toPracticeFeedback(
+    quizAttempt,
+    quizAttempt.questions.find(q => q._id.toString() === answer.questionId.toString()),
+    answer
+  ));
 
 // Create a new student question
 router.post('/', auth, async (req, res) => {
   try {
-    const { question, options, explanation, courseId, difficulty, tags, isAnonymous } = req.body;
+    const {
+      question,
+      image,
+      type = 'multiple-choice',
+      scoringMethod,
+      options = [],
+      acceptedAnswers,
+      numericAnswer,
+      explanation,
+      courseId,
+      difficulty,
+      tags,
+      isAnonymous
+    } = req.body;
 
     // Validate that user is a student
     if (req.user.role !== 'student') {
@@ -16,19 +163,27 @@ router.post('/', auth, async (req, res) => {
     }
 
     // Validate required fields
-    if (!question || !options || !courseId) {
-      return res.status(400).json({ message: 'Question, options, and course are required' });
+    if (!question || !courseId) {
+      return res.status(400).json({ message: 'Question and course are required' });
     }
 
-    // Validate options
-    if (!Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({ message: 'At least 2 options are required' });
+    if (!Array.isArray(options)) {
+      return res.status(400).json({ message: 'Options must be an array' });
     }
 
-    // Check if at least one option is marked as correct
-    const hasCorrectOption = options.some(option => option.isCorrect);
-    if (!hasCorrectOption) {
-      return res.status(400).json({ message: 'At least one option must be marked as correct' });
+    // Check the answer key matches the question type
+    const answerKey = StudentQuestion.buildAnswerKey({ type, acceptedAnswers, numericAnswer });
+    const answerKeyError = StudentQuestion.validateAnswerKey({ type, scoringMethod, options, ...answerKey });
+    if (answerKeyError) {
+      return res.status(400).json({ message: answerKeyError });
+    }
+
+    // Typed questions have no options
+    const questionOptions = StudentQuestion.TYPED_TYPES.includes(type) ? [] : options;
+
+    const imageError = validateImages({ image, options: questionOptions });
+    if (imageError) {
+      return res.status(400).json({ message: imageError });
     }
 
     // Get course and teacher
@@ -37,16 +192,24 @@ router.post('/', auth, async (req, res) => {
       return res.status(404).json({ message: 'Course not found' });
     }
 
+    // Flag existing questions in the course that this one closely resembles
+    const similarQuestions = await StudentQuestion.findSimilar(courseId, { question, options: questionOptions });
+
     const studentQuestion = new StudentQuestion({
       question,
-      options,
+      image,
+      type,
+      scoringMethod: type === 'multiple-select' ? scoringMethod : 'all-or-nothing',
+      options: questionOptions,
+      ...answerKey,
       explanation,
       course: courseId,
       student: req.user.id,
       teacher: course.teacher,
       difficulty,
       tags: tags || [],
-      isAnonymous
+      isAnonymous,
+      possibleDuplicates: similarQuestions.map(match => ({ question: match.question._id, similarity: match.similarity }))
     });
 
     await studentQuestion.save();
@@ -63,6 +226,80 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// Check a draft question against the course's existing questions before it is submitted
+router.post('/similar', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can check questions' });
+    }
+
+    const { courseId, question, options } = req.body;
+
+    if (!courseId || !question) {
+      return res.status(400).json({ message: 'Course and question are required' });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    const similarQuestions = await StudentQuestion.findSimilar(courseId, {
+      question,
+      options: Array.isArray(options) ? options : []
+    });
+
+    // Only the wording is shared, never another student's answer key
+    res.json({
+      similarQuestions: similarQuestions.map(match => ({
+        _id: match.question._id,
+        question: match.question.question,
+        similarity: match.similarity
+      }))
+    });
+  } catch (error) {
+    console.error('Error checking for similar questions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload an image for a question stem or option; the returned URL is sent with the question
+router.post('/images', auth, (req, res) => {
+  upload.single('image')(req, res, async (uploadError) => {
+    try {
+      if (!['student', 'teacher'].includes(req.user.role)) {
+        if (req.file) await fs.promises.unlink(req.file.path);
+        return res.status(403).json({ message: 'Only students and teachers can upload question images' });
+      }
+
+      if (uploadError) {
+        const message = uploadError.code === 'LIMIT_FILE_SIZE'
+          ? 'Images must be 2MB or smaller'
+          : uploadError.message;
+        return res.status(400).json({ message });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'No image uploaded' });
+      }
+
+      // The browser-reported type is not trusted; check the file's contents as well
+      if (!(await isValidImageFile(req.file.path, req.file.mimetype))) {
+        await fs.promises.unlink(req.file.path);
+        return res.status(400).json({ message: 'The file is not a valid image' });
+      }
+
+      res.status(201).json({
+        message: 'Image uploaded successfully',
+        url: `/${QUESTION_IMAGE_DIR}/${path.basename(req.file.path)}`
+      });
+    } catch (error) {
+      console.error('Error uploading question image:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
 // Get student's own questions
 router.get('/my-questions', auth, async (req, res) => {
   try {
@@ -115,6 +352,11 @@ router.get('/course/:courseId', auth, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
+    // Students only get the questions, never the answer keys or explanations
+    if (req.user.role === 'student') {
+      return res.json({ questions: questions.map(q => q.toDeliveryFormat()) });
+    }
+
     res.json({ questions });
   } catch (error) {
     console.error('Error fetching course questions:', error);
@@ -123,13 +365,85 @@ router.get('/course/:courseId', auth, async (req, res) => {
 });
 
 // Start a quiz attempt
-router.post('/quiz/start', auth, async (req, res) => {
+router.post('/quiz/start', [
+  auth,
+  body('courseId').isMongoId().withMessage('Valid course ID is required'),
+  body('questionCount').optional().isInt({ min: 1 }).withMessage('Question count must be a positive whole number').toInt()
+], async (req, res) => {
   try {
     if (req.user.role !== 'student') {
       return res.status(403).json({ message: 'Only students can start quiz attempts' });
     }
 
-    const { courseId, questionCount = 5, difficulty } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      courseId,
+      questionCount = 5,
+      difficulty,
+      adaptive = false,
+      mode = 'standard',
+      blueprintId
+    } = req.body;
+
+    if (!StudentQuizAttempt.QUIZ_MODES.includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be standard, practice or exam' });
+    }
+
+    if (adaptive && mode !== 'standard') {
+      return res.status(400).json({ message: 'Adaptive quizzes cannot be taken in practice or exam mode' });
+    }
+
+    if (adaptive && blueprintId) {
+      return res.status(400).json({ message: 'Adaptive quizzes cannot be drawn from a blueprint' });
+    }
+
+    const course = await Course.findById(courseId).select('+quizTimeAccommodations');
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+
+    // Resume an unfinished attempt for this course instead of starting over
+    const activeAttempt = await StudentQuizAttempt.findOne({
+      student: req.user.id,
+      course: courseId,
+      isCompleted: false
+    })
+      .sort({ createdAt: -1 })
+      .populate('questions');
+
+    if (activeAttempt) {
+      if (!activeAttempt.isExpired()) {
+        return res.json({
+          message: 'Quiz resumed',
+          resumed: true,
+          quizAttempt: toDeliveredAttempt(activeAttempt),
+          checkedFeedback: getCheckedFeedback(activeAttempt),
+          integrityMonitoring: course.integrityMonitoring,
+          remainingSeconds: activeAttempt.getRemainingSeconds()
+        });
+      }
+
+      // Deadline passed while the student was away - close it with the saved answers
+      activeAttempt.complete(activeAttempt.answers, { autoSubmitted: true });
+      await activeAttempt.save();
+    }
+
+    // Practice mode shows answer keys straight away, so the course must allow that now
+    if (mode === 'practice' && !course.canRevealPracticeAnswers()) {
+      return res.status(400).json({ message: 'This course does not show answers during practice yet' });
+    }
+
+    let blueprint = null;
+    if (blueprintId) {
+      blueprint = await QuizBlueprint.findOne({ _id: blueprintId, course: courseId, isActive: true });
+      if (!blueprint) {
+        return res.status(404).json({ message: 'Quiz blueprint not found' });
+      }
+    }
 
     // Get approved questions for the course
     const query = { 
@@ -137,7 +451,8 @@ router.post('/quiz/start', auth, async (req, res) => {
       status: 'approved' 
     };
     
-    if (difficulty) query.difficulty = difficulty;
+    // Adaptive quizzes choose their own difficulty, and blueprints set it per section
+    if (difficulty && !adaptive && !blueprint) query.difficulty = difficulty;
 
     const allQuestions = await StudentQuestion.find(query);
     
@@ -145,17 +460,56 @@ router.post('/quiz/start', auth, async (req, res) => {
       return res.status(404).json({ message: 'No questions available for this course' });
     }
 
-    // Randomly select questions
-    const shuffled = allQuestions.sort(() => 0.5 - Math.random());
-    const selectedQuestions = shuffled.slice(0, Math.min(questionCount, allQuestions.length));
+    let targetQuestionCount = Math.min(questionCount, allQuestions.length);
+    let selectedQuestions;
+
+    if (blueprint) {
+      const { questions, shortfalls } = blueprint.draw(allQuestions);
+
+      if (shortfalls.length) {
+        const missing = shortfalls.map(s =>
+          `${s.requested} ${s.difficulty === 'any' ? '' : `${s.difficulty} `}"${s.tag}" (only ${s.available} available)`
+        );
+        return res.status(400).json({
+          message: `There are not enough approved questions to build "${blueprint.name}": needs ${missing.join(', ')}`,
+          shortfalls
+        });
+      }
+
+      selectedQuestions = questions;
+      targetQuestionCount = questions.length;
+    } else if (adaptive) {
+      // Serve the first question only; the rest are chosen as the student answers
+      const ability = await StudentAbility.findOrEstimate(req.user.id, courseId);
+      selectedQuestions = [pickAdaptiveQuestion(allQuestions, ability.rating)];
+    } else {
+      // Randomly select questions
+      const shuffled = allQuestions.sort(() => 0.5 - Math.random());
+      selectedQuestions = shuffled.slice(0, targetQuestionCount);
+    }
 
     const totalPoints = selectedQuestions.reduce((sum, q) => sum + q.points, 0);
+    // Students with an extra-time accommodation get their multiple of the usual time
+    const timeMultiplier = course.getQuizTimeMultiplier(req.user.id);
+    const timeLimit = Math.round(targetQuestionCount * SECONDS_PER_QUESTION * timeMultiplier);
+    const startedAt = new Date();
 
     const quizAttempt = new StudentQuizAttempt({
       student: req.user.id,
       course: courseId,
       questions: selectedQuestions.map(q => q._id),
-      totalPoints
+      totalPoints,
+      isAdaptive: !!adaptive,
+      targetQuestionCount,
+      blueprint: blueprint ? blueprint._id : undefined,
+      optionSeed: crypto.randomInt(2 ** 31),
+      mode,
+      // Exam restrictions are the teacher's call, not the student's
+      allowBacktracking: mode === 'exam' ? course.examBacktracking : true,
+      startedAt,
+      timeLimit,
+      timeMultiplier,
+      expiresAt: new Date(startedAt.getTime() + timeLimit * 1000)
     });
 
     await quizAttempt.save();
@@ -163,7 +517,9 @@ router.post('/quiz/start', auth, async (req, res) => {
 
     res.status(201).json({
       message: 'Quiz started successfully',
-      quizAttempt
+      quizAttempt: toDeliveredAttempt(quizAttempt),
+      integrityMonitoring: course.integrityMonitoring,
+      remainingSeconds: quizAttempt.getRemainingSeconds()
     });
   } catch (error) {
     console.error('Error starting quiz:', error);
@@ -171,15 +527,19 @@ router.post('/quiz/start', auth, async (req, res) => {
   }
 });
 
-// Submit quiz answers
-router.post('/quiz/:attemptId/submit', auth, async (req, res) => {
+// Save in-progress answers so the attempt can be resumed
+router.put('/quiz/:attemptId/progress', auth, async (req, res) => {
   try {
     if (req.user.role !== 'student') {
-      return res.status(403).json({ message: 'Only students can submit quiz answers' });
+      return res.status(403).json({ message: 'Only students can save quiz progress' });
     }
 
     const { attemptId } = req.params;
-    const { answers, timeSpent } = req.body;
+    const { answers, currentIndex } = req.body;
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ message: 'Answers must be an array' });
+    }
 
     const quizAttempt = await StudentQuizAttempt.findById(attemptId)
       .populate('questions');
@@ -196,43 +556,298 @@ router.post('/quiz/:attemptId/submit', auth, async (req, res) => {
       return res.status(400).json({ message: 'Quiz already completed' });
     }
 
-    // Calculate score
-    let score = 0;
-    const studentAnswers = [];
+    if (quizAttempt.isAdaptive) {
+      return res.status(400).json({ message: 'Adaptive quizzes save each answer as it is submitted' });
+    }
 
-    for (const answer of answers) {
-      const question = quizAttempt.questions.find(q => q._id.toString() === answer.questionId);
-      if (!question) continue;
+    if (quizAttempt.isExpired()) {
+      quizAttempt.complete(quizAttempt.answers, { autoSubmitted: true });
+      await quizAttempt.save();
 
-      const isCorrect = question.options[answer.selectedOption]?.isCorrect || false;
-      const points = isCorrect ? question.points : 0;
-      score += points;
+      return res.status(400).json({
+        message: 'Time limit exceeded. Your last saved answers were submitted.',
+        autoSubmitted: true
+      });
+    }
 
-      studentAnswers.push({
-        questionId: answer.questionId,
-        selectedOption: answer.selectedOption,
-        isCorrect,
-        points
+    // The page sends option positions as shown; answers are stored against the authored order
+    quizAttempt.saveProgress(quizAttempt.toAuthoredAnswers(answers), currentIndex);
+    await quizAttempt.save();
+
+    res.json({
+      message: 'Progress saved',
+      savedAt: quizAttempt.lastSavedAt,
+      furthestQuestionIndex: quizAttempt.furthestQuestionIndex,
+      remainingSeconds: quizAttempt.getRemainingSeconds()
+    });
+  } catch (error) {
+    console.error('Error saving quiz progress:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Answer the current question of an adaptive quiz and get the next one
+router.post('/quiz/:attemptId/answer', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can answer quiz questions' });
+    }
+
+    const { attemptId } = req.params;
+    const { questionId } = req.body;
+
+    const quizAttempt = await StudentQuizAttempt.findById(attemptId)
+      .populate('questions');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.student.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    if (quizAttempt.isCompleted) {
+      return res.status(400).json({ message: 'Quiz already completed' });
+    }
+
+    if (!quizAttempt.isAdaptive) {
+      return res.status(400).json({ message: 'Only adaptive quizzes accept one answer at a time' });
+    }
+
+    if (quizAttempt.isExpired()) {
+      quizAttempt.complete(quizAttempt.answers, { autoSubmitted: true });
+      await quizAttempt.save();
+
+      return res.status(400).json({
+        message: 'Time limit exceeded. Your answers so far were submitted.',
+        autoSubmitted: true
       });
     }
 
-    const percentage = Math.round((score / quizAttempt.totalPoints) * 100);
+    // Only the most recently served question can be answered
+    const currentQuestion = quizAttempt.questions[quizAttempt.questions.length - 1];
+    const alreadyAnswered = quizAttempt.answers.some(a => a.questionId.toString() === currentQuestion._id.toString());
+
+    if (alreadyAnswered || String(questionId) !== currentQuestion._id.toString()) {
+      return res.status(400).json({ message: 'This is not the current question' });
+    }
+
+    const response = readResponse(currentQuestion, req.body);
+    if (isBlankResponse(response)) {
+      return res.status(400).json({ message: currentQuestion.isTyped() ? 'Please enter an answer' : 'Please select an answer' });
+    }
+
+    const { points } = quizAttempt.addAnswer(currentQuestion, {
+      ...response,
+      selectedOptions: quizAttempt.toAuthoredOptions(currentQuestion, response.selectedOptions)
+    });
 
-    quizAttempt.answers = studentAnswers;
-    quizAttempt.score = score;
-    quizAttempt.percentage = percentage;
-    quizAttempt.timeSpent = timeSpent || 0;
-    quizAttempt.submittedAt = new Date();
-    quizAttempt.isCompleted = true;
+    const ability = await StudentAbility.findOrEstimate(req.user.id, quizAttempt.course);
+    const credit = currentQuestion.points ? Math.min(1, Math.max(0, points / currentQuestion.points)) : 0;
+    await ability.recordAnswer(currentQuestion, credit);
+
+    let nextQuestion = null;
+    if (quizAttempt.answers.length < quizAttempt.targetQuestionCount) {
+      const pool = await StudentQuestion.find({
+        course: quizAttempt.course,
+        status: 'approved',
+        _id: { $nin: quizAttempt.questions.map(q => q._id) }
+      });
+      nextQuestion = pickAdaptiveQuestion(pool, ability.rating);
+    }
+
+    if (nextQuestion) {
+      quizAttempt.questions.push(nextQuestion);
+      quizAttempt.totalPoints += nextQuestion.points;
+    } else {
+      quizAttempt.complete(quizAttempt.answers);
+    }
 
     await quizAttempt.save();
 
     res.json({
-      message: 'Quiz submitted successfully',
+      message: nextQuestion ? 'Answer saved' : 'Quiz completed',
+      isFinished: !nextQuestion,
+      nextQuestion: nextQuestion ? quizAttempt.deliverQuestion(nextQuestion) : null,
+      answeredCount: quizAttempt.answers.length,
+      targetQuestionCount: quizAttempt.targetQuestionCount,
+      remainingSeconds: quizAttempt.isCompleted ? null : quizAttempt.getRemainingSeconds()
+    });
+  } catch (error) {
+    console.error('Error answering adaptive quiz question:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check one answer of a practice-mode quiz; the answer is graded and locked, and the key and explanation are returned
+router.post('/quiz/:attemptId/check', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can answer quiz questions' });
+    }
+
+    const { attemptId } = req.params;
+    const { questionId } = req.body;
+
+    const quizAttempt = await StudentQuizAttempt.findById(attemptId)
+      .populate('questions');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.student.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    if (quizAttempt.isCompleted) {
+      return res.status(400).json({ message: 'Quiz already completed' });
+    }
+
+    if (quizAttempt.mode !== 'practice') {
+      return res.status(400).json({ message: 'Only practice-mode quizzes check answers as you go' });
+    }
+
+    if (quizAttempt.isExpired()) {
+      quizAttempt.complete(quizAttempt.answers, { autoSubmitted: true });
+      await quizAttempt.save();
+
+      return res.status(400).json({
+        message: 'Time limit exceeded. Your last saved answers were submitted.',
+        autoSubmitted: true
+      });
+    }
+
+    const question = quizAttempt.questions.find(q => q._id.toString() === String(questionId));
+    if (!question) {
+      return res.status(400).json({ message: 'This question is not part of the quiz' });
+    }
+
+    if (quizAttempt.isQuestionLocked(question._id)) {
+      return res.status(400).json({ message: 'This answer has already been checked' });
+    }
+
+    const response = readResponse(question, req.body);
+    if (isBlankResponse(response)) {
+      return res.status(400).json({ message: question.isTyped() ? 'Please enter an answer' : 'Please select an answer' });
+    }
+
+    const result = quizAttempt.checkAnswer(question, {
+      ...response,
+      selectedOptions: quizAttempt.toAuthoredOptions(question, response.selectedOptions)
+    });
+    await quizAttempt.save();
+
+    res.json(toPracticeFeedback(quizAttempt, question, result));
+  } catch (error) {
+    console.error('Error checking practice answer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record integrity events (tab switches, focus loss, copy/paste, fullscreen exits) sent by the quiz page
+router.post('/quiz/:attemptId/integrity', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can record quiz activity' });
+    }
+
+    const { events } = req.body;
+    if (!Array.isArray(events) || events.length > MAX_INTEGRITY_BATCH) {
+      return res.status(400).json({ message: `Events must be an array of at most ${MAX_INTEGRITY_BATCH} items` });
+    }
+
+    const quizAttempt = await StudentQuizAttempt.findById(req.params.attemptId)
+      .select('+integrityEvents')
+      .populate('course', 'integrityMonitoring');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.student.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    if (!quizAttempt.course.integrityMonitoring) {
+      return res.json({ message: 'Integrity monitoring is turned off for this course', recorded: 0 });
+    }
+
+    // Events flushed while the answer sheet is being submitted still count
+    const acceptsEvents = !quizAttempt.isCompleted ||
+      (quizAttempt.submittedAt && Date.now() - quizAttempt.submittedAt.getTime() < INTEGRITY_LATE_EVENT_MS);
+    if (!acceptsEvents) {
+      return res.status(400).json({ message: 'Quiz already completed' });
+    }
+
+    const recorded = quizAttempt.recordIntegrityEvents(events);
+
+    // Written directly so a progress save running at the same time does not hit a version conflict
+    await StudentQuizAttempt.updateOne({ _id: quizAttempt._id }, {
+      $set: {
+        integrityEvents: quizAttempt.integrityEvents,
+        integritySummary: quizAttempt.integritySummary
+      }
+    });
+
+    res.json({ message: 'Activity recorded', recorded });
+  } catch (error) {
+    console.error('Error recording quiz integrity events:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Submit quiz answers
+router.post('/quiz/:attemptId/submit', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can submit quiz answers' });
+    }
+
+    const { attemptId } = req.params;
+    const { answers } = req.body;
+
+    const quizAttempt = await StudentQuizAttempt.findById(attemptId)
+      .populate('questions');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.student.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized' });
+    }
+
+    if (quizAttempt.isCompleted) {
+      return res.status(400).json({ message: 'Quiz already completed' });
+    }
+
+    // Late submissions are not accepted; the attempt is closed with what was saved in time
+    const autoSubmitted = quizAttempt.isExpired();
+    if (autoSubmitted) {
+      quizAttempt.complete(quizAttempt.answers, { autoSubmitted: true });
+    } else if (quizAttempt.isAdaptive) {
+      // Adaptive answers were graded one at a time; finishing early keeps them as they are
+      quizAttempt.complete(quizAttempt.answers);
+    } else {
+      quizAttempt.complete(Array.isArray(answers) ? quizAttempt.toAuthoredAnswers(answers) : []);
+    }
+
+    await quizAttempt.save();
+
+    const feedbackWithheld = quizAttempt.isFeedbackWithheld();
+
+    res.json({
+      message: autoSubmitted
+        ? 'Time limit exceeded. Your last saved answers were submitted.'
+        : 'Quiz submitted successfully',
+      autoSubmitted,
+      feedbackWithheld,
       quizAttempt: {
-        score,
+        score: feedbackWithheld ? null : quizAttempt.score,
         totalPoints: quizAttempt.totalPoints,
-        percentage,
+        percentage: feedbackWithheld ? null : quizAttempt.percentage,
         timeSpent: quizAttempt.timeSpent
       }
     });
@@ -255,7 +870,7 @@ router.get('/quiz/attempts', auth, async (req, res) => {
     if (courseId) query.course = courseId;
 
     const attempts = await StudentQuizAttempt.find(query)
-      .populate('course', 'title subject')
+      .populate('course', 'title subject practiceAnswerVisibility practiceAnswersDueDate endDate')
       .populate('questions', 'question difficulty')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -263,8 +878,17 @@ router.get('/quiz/attempts', auth, async (req, res) => {
 
     const total = await StudentQuizAttempt.countDocuments(query);
 
+    // The same answer policy as a single attempt: marking stays hidden until answers may be shown
+    const toListedAttempt = (attempt) => {
+      if (attempt.isFeedbackWithheld()) return toWithheldAttempt(attempt.toObject());
+      if (areAnswersVisible(attempt)) return attempt;
+
+      const attemptObject = attempt.toObject();
+      return { ...attemptObject, answers: attemptObject.answers.map(toUnmarkedAnswer) };
+    };
+
     res.json({
-      attempts,
+      attempts: attempts.map(toListedAttempt),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -281,7 +905,7 @@ router.get('/quiz/:attemptId', auth, async (req, res) => {
     const { attemptId } = req.params;
 
     const quizAttempt = await StudentQuizAttempt.findById(attemptId)
-      .populate('course', 'title subject')
+      .populate('course', 'title subject endDate practiceAnswerVisibility practiceAnswersDueDate')
       .populate('questions')
       .populate('gradedBy', 'name email');
 
@@ -293,18 +917,216 @@ router.get('/quiz/:attemptId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Unauthorized' });
     }
 
-    res.json({ quizAttempt });
+    const remainingSeconds = quizAttempt.isCompleted ? null : quizAttempt.getRemainingSeconds();
+
+    // Full attempts keep authored option order; optionOrders lets the page show the student's order
+    if (req.user.role !== 'student') {
+      return res.json({ quizAttempt, answersVisible: true, remainingSeconds, optionOrders: quizAttempt.getOptionOrders() });
+    }
+
+    // Exam results stay hidden until the teacher releases them
+    if (quizAttempt.isFeedbackWithheld()) {
+      return res.json({
+        quizAttempt: toWithheldAttempt(toDeliveredAttempt(quizAttempt)),
+        answersVisible: false,
+        answersAvailableAt: null,
+        remainingSeconds
+      });
+    }
+
+    const answersVisible = areAnswersVisible(quizAttempt);
+    const answersAvailableAt = !answersVisible && quizAttempt.course.practiceAnswerVisibility === 'after-due-date'
+      ? quizAttempt.course.practiceAnswersDueDate || quizAttempt.course.endDate || null
+      : null;
+
+    res.json({
+      quizAttempt: answersVisible ? quizAttempt : toDeliveredAttempt(quizAttempt),
+      optionOrders: answersVisible ? quizAttempt.getOptionOrders() : null,
+      answersVisible,
+      answersAvailableAt,
+      remainingSeconds
+    });
   } catch (error) {
     console.error('Error fetching quiz attempt:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get questions due for spaced-repetition review
+router.get('/review/due', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can access this endpoint' });
+    }
+
+    const { courseId, limit = 20 } = req.query;
+    const now = new Date();
+    const query = { student: req.user.id };
+
+    if (courseId) query.course = courseId;
+
+    const schedules = await ReviewSchedule.find({ ...query, dueAt: { $lte: now } })
+      .populate('question')
+      .populate('course', 'title subject')
+      .sort({ dueAt: 1 })
+      .limit(parseInt(limit));
+
+    const dueCount = await ReviewSchedule.countDocuments({ ...query, dueAt: { $lte: now } });
+    const nextReview = await ReviewSchedule.findOne({ ...query, dueAt: { $gt: now } })
+      .sort({ dueAt: 1 });
+
+    // Questions that were retired or removed drop out of review
+    const reviews = schedules
+      .filter(schedule => schedule.question && schedule.question.status === 'approved')
+      .map(schedule => ({
+        question: schedule.question.toDeliveryFormat(),
+        course: schedule.course,
+        dueAt: schedule.dueAt,
+        repetitions: schedule.repetitions,
+        lapses: schedule.lapses
+      }));
+
+    res.json({
+      reviews,
+      dueCount,
+      nextDueAt: nextReview ? nextReview.dueAt : null
+    });
+  } catch (error) {
+    console.error('Error fetching due reviews:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Answer a question in a review session and reschedule it
+router.post('/review/:questionId/answer', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can review questions' });
+    }
+
+    const question = await StudentQuestion.findById(req.params.questionId);
+    if (!question || question.status !== 'approved') {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const course = await Course.findById(question.course);
+    if (!course || !course.students.some(s => s.toString() === req.user.id)) {
+      return res.status(403).json({ message: 'You are not enrolled in this course' });
+    }
+
+    // Only questions the student has already met in a quiz, and only once they fall due
+    const existingSchedule = await ReviewSchedule.findOne({ student: req.user.id, question: question._id });
+    if (!existingSchedule) {
+      return res.status(404).json({ message: 'This question is not in your review schedule' });
+    }
+    if (existingSchedule.dueAt > new Date()) {
+      return res.status(400).json({ message: 'This question is not due for review yet' });
+    }
+
+    // Review feedback shows the key, so it must wait while a quiz with this question is still open
+    const openAttempts = await StudentQuizAttempt.find({
+      student: req.user.id,
+      questions: question._id,
+      isCompleted: false
+    });
+    if (openAttempts.some(attempt => !attempt.isExpired())) {
+      return res.status(409).json({ message: 'Finish the quiz you are taking before reviewing this question' });
+    }
+
+    const response = readResponse(question, req.body);
+    if (isBlankResponse(response)) {
+      return res.status(400).json({ message: question.isTyped() ? 'Please enter an answer' : 'Please select an answer' });
+    }
+
+    const { isCorrect, points, needsReview } = question.scoreResponse(response);
+    const credit = question.points ? Math.max(0, points / question.points) : 0;
+    const schedule = await ReviewSchedule.recordAnswer(req.user.id, question, credit);
+
+    // Review is for learning, so show the key straight away unless the course hides it
+    const answersVisible = course.canRevealPracticeAnswers();
+
+    res.json({
+      isCorrect,
+      points,
+      needsReview,
+      answersVisible,
+      correctOptions: answersVisible
+        ? question.options.map((option, index) => (option.isCorrect ? index : null)).filter(index => index !== null)
+        : null,
+      correctAnswer: answersVisible ? question.describeAnswer() : null,
+      explanation: answersVisible ? question.explanation : null,
+      nextDueAt: schedule.dueAt,
+      interval: schedule.interval
+    });
+  } catch (error) {
+    console.error('Error answering review question:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a problem with a question the student met in a quiz
+router.post('/:questionId/flag', [
+  auth,
+  body('comment').optional().isString().withMessage('Comment must be text')
+    .isLength({ max: 500 }).withMessage('Comment must be 500 characters or fewer'),
+  body('attemptId').optional().isMongoId().withMessage('Valid attempt ID is required')
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'student') {
+      return res.status(403).json({ message: 'Only students can report questions' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, comment = '', attemptId } = req.body;
+
+    if (!StudentQuestion.FLAG_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Reason must be one of ${StudentQuestion.FLAG_REASONS.join(', ')}` });
+    }
+
+    const studentQuestion = await StudentQuestion.findById(req.params.questionId).select('+flags');
+    if (!studentQuestion) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    // Only students who were served the question in a quiz can report it
+    const attemptQuery = { student: req.user.id, questions: studentQuestion._id };
+    if (attemptId) attemptQuery._id = attemptId;
+    const quizAttempt = await StudentQuizAttempt.findOne(attemptQuery).select('_id');
+    if (!quizAttempt) {
+      return res.status(403).json({ message: 'You can only report questions from your own quizzes' });
+    }
+
+    studentQuestion.addFlag(req.user.id, { reason, comment, attempt: quizAttempt._id });
+    await studentQuestion.save();
+
+    res.json({ message: 'Thanks, your teacher will look at this question' });
+  } catch (error) {
+    console.error('Error flagging question:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update a student question
 router.put('/:questionId', auth, async (req, res) => {
   try {
     const { questionId } = req.params;
-    const { question, options, explanation, difficulty, tags, isAnonymous } = req.body;
+    const {
+      question,
+      image,
+      type = 'multiple-choice',
+      scoringMethod,
+      options = [],
+      acceptedAnswers,
+      numericAnswer,
+      explanation,
+      difficulty,
+      tags,
+      isAnonymous
+    } = req.body;
 
     // Validate that user is a student
     if (req.user.role !== 'student') {
@@ -322,41 +1144,74 @@ router.put('/:questionId', auth, async (req, res) => {
       return res.status(403).json({ message: 'You can only update your own questions' });
     }
 
-    // Check if question is already reviewed
-    if (studentQuestion.status !== 'pending') {
+    // Reviewed questions can only be changed when the teacher asked for a revision
+    if (!['pending', 'needs-revision'].includes(studentQuestion.status)) {
       return res.status(400).json({ message: 'Cannot update questions that have been reviewed' });
     }
 
     // Validate required fields
-    if (!question || !options) {
-      return res.status(400).json({ message: 'Question and options are required' });
+    if (!question) {
+      return res.status(400).json({ message: 'Question is required' });
     }
 
-    // Validate options
-    if (!Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({ message: 'At least 2 options are required' });
+    if (!Array.isArray(options)) {
+      return res.status(400).json({ message: 'Options must be an array' });
     }
 
-    // Check if at least one option is marked as correct
-    const hasCorrectOption = options.some(option => option.isCorrect);
-    if (!hasCorrectOption) {
-      return res.status(400).json({ message: 'At least one option must be marked as correct' });
+    // Check the answer key matches the question type
+    const answerKey = StudentQuestion.buildAnswerKey({ type, acceptedAnswers, numericAnswer });
+    const answerKeyError = StudentQuestion.validateAnswerKey({ type, scoringMethod, options, ...answerKey });
+    if (answerKeyError) {
+      return res.status(400).json({ message: answerKeyError });
+    }
+
+    // Typed questions have no options
+    const questionOptions = StudentQuestion.TYPED_TYPES.includes(type) ? [] : options;
+
+    const imageError = validateImages({ image, options: questionOptions });
+    if (imageError) {
+      return res.status(400).json({ message: imageError });
+    }
+
+    // Resubmitting keeps the reviewed version, with its feedback, in the revision history
+    const isResubmission = studentQuestion.status === 'needs-revision';
+    if (isResubmission) {
+      studentQuestion.archiveVersion();
+      studentQuestion.status = 'pending';
+      studentQuestion.teacherFeedback = '';
+      studentQuestion.optionComments = [];
+      studentQuestion.submittedAt = new Date();
     }
 
     // Update the question
     studentQuestion.question = question;
-    studentQuestion.options = options;
+    studentQuestion.image = image || '';
+    studentQuestion.type = type;
+    studentQuestion.scoringMethod = type === 'multiple-select' ? scoringMethod || 'all-or-nothing' : 'all-or-nothing';
+    studentQuestion.options = questionOptions;
+    studentQuestion.acceptedAnswers = answerKey.acceptedAnswers;
+    studentQuestion.numericAnswer = answerKey.numericAnswer;
     studentQuestion.explanation = explanation;
     studentQuestion.difficulty = difficulty;
     studentQuestion.tags = tags || [];
     studentQuestion.isAnonymous = isAnonymous;
     studentQuestion.updatedAt = new Date();
 
+    const similarQuestions = await StudentQuestion.findSimilar(
+      studentQuestion.course,
+      { question, options: questionOptions },
+      { excludeId: studentQuestion._id }
+    );
+    studentQuestion.possibleDuplicates = similarQuestions.map(match => ({
+      question: match.question._id,
+      similarity: match.similarity
+    }));
+
     await studentQuestion.save();
     await studentQuestion.populate('course', 'title subject');
 
     res.json({
-      message: 'Question updated successfully',
+      message: isResubmission ? 'Question resubmitted for review' : 'Question updated successfully',
       question: studentQuestion
     });
   } catch (error) {
@@ -387,7 +1242,7 @@ router.delete('/:questionId', auth, async (req, res) => {
     }
 
     // Check if question is already reviewed
-    if (studentQuestion.status !== 'pending') {
+    if (!['pending', 'needs-revision'].includes(studentQuestion.status)) {
       return res.status(400).json({ message: 'Cannot delete questions that have been reviewed' });
     }
 
@@ -5,6 +5,8 @@ const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const Submission = require('../models/Submission');
 const Assignment = require('../models/Assignment');
+const Rubric = require('../models/Rubric');
+const PeerReview = require('../models/PeerReview');
 const Course = require('../models/Course');
 const { auth, authorizeRoles } = require('../middleware/auth');
 
@@ -66,7 +68,7 @@ router.get('/student', [
       .populate('gradedBy', 'firstName lastName teacherId')
       .sort({ submittedAt: -1 });
 
-    res.json({ submissions });
+    res.json({ submissions: submissions.map(submission => submission.toStudentObject()) });
   } catch (error) {
     console.error('Get student submissions error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -100,7 +102,7 @@ router.get('/:id', auth, async (req, res) => {
       }
     }
 
-    res.json({ submission });
+    res.json({ submission: req.user.role === 'student' ? submission.toStudentObject() : submission });
   } catch (error) {
     console.error('Get submission error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -113,7 +115,10 @@ router.get('/:id', auth, async (req, res) => {
 router.put('/:id/grade', [
   auth,
   authorizeRoles('teacher'),
-  body('grade').isFloat({ min: 0 }).withMessage('Grade must be a non-negative number'),
+  body('grade').if(body('rubricScores').not().exists()).isFloat({ min: 0 }).withMessage('Grade must be a non-negative number'),
+  body('rubricScores').optional().isArray({ min: 1 }).withMessage('Rubric scores must list the level chosen for each criterion'),
+  body('rubricScores.*.criterionId').isMongoId().withMessage('Each rubric score needs a valid criterion'),
+  body('rubricScores.*.levelId').isMongoId().withMessage('Each rubric score needs a valid level'),
   body('feedback').optional().isString().withMessage('Feedback must be a string')
 ], async (req, res) => {
   try {
@@ -133,7 +138,27 @@ router.put('/:id/grade', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { grade, feedback } = req.body;
+    const { feedback, rubricScores } = req.body;
+    let grade = parseFloat(req.body.grade);
+
+    if (rubricScores) {
+      // Rubric grading: the rubric total is scaled to the assignment's points
+      const rubric = assignment.rubric ? await Rubric.findById(assignment.rubric) : null;
+      if (!rubric) {
+        return res.status(400).json({ message: 'This assignment has no rubric to grade with' });
+      }
+
+      const result = rubric.scoreSelections(rubricScores);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      const rubricMax = rubric.getMaxPoints();
+      grade = rubricMax > 0 ? Math.round((result.total / rubricMax) * assignment.maxPoints * 100) / 100 : 0;
+      submission.setRubricScores(rubric._id, result.scores);
+    } else {
+      submission.setRubricScores(null);
+    }
 
     // Validate grade against max points
     if (grade > assignment.maxPoints) {
@@ -142,14 +167,9 @@ router.put('/:id/grade', [
       });
     }
 
-    // Apply late penalty if applicable
-    let finalGrade = parseFloat(grade);
-    if (submission.isLate && assignment.latePenalty > 0) {
-      const penalty = (finalGrade * assignment.latePenalty) / 100;
-      finalGrade = Math.max(0, finalGrade - penalty);
-    }
-
-    submission.grade = finalGrade;
+    // Store the raw grade (blended with peer scores if the teacher folded them in) and apply the
+    // assignment's late penalty policy
+    submission.applyGrade(submission.withPeerScore(grade), assignment);
     submission.feedback = feedback || '';
     submission.gradedAt = new Date();
     submission.gradedBy = req.user._id;
@@ -172,6 +192,52 @@ router.put('/:id/grade', [
   }
 });
 
+// @route   PUT /api/submissions/:id/late-penalty
+// @desc    Override the late penalty for one submission, or send null to go back to the policy (Teacher only)
+// @access  Private (Teacher)
+router.put('/:id/late-penalty', [
+  auth,
+  authorizeRoles('teacher'),
+  body('percentage')
+    .custom(value => value === null || (typeof value === 'number' && value >= 0 && value <= 100))
+    .withMessage('Penalty must be a percentage between 0 and 100, or null to use the assignment policy'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    // Verify teacher has access to this assignment
+    const assignment = await Assignment.findById(submission.assignment);
+    if (assignment.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    submission.overrideLatePenalty(req.body.percentage, req.body.reason, req.user._id, assignment);
+    await submission.save();
+
+    const populatedSubmission = await Submission.findById(submission._id)
+      .populate('assignment', 'title maxPoints')
+      .populate('student', 'firstName lastName studentId email')
+      .populate('gradedBy', 'firstName lastName teacherId');
+
+    res.json({
+      message: req.body.percentage === null ? 'Late penalty reset to the assignment policy' : 'Late penalty overridden',
+      submission: populatedSubmission
+    });
+  } catch (error) {
+    console.error('Override late penalty error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/submissions/:id/return
 // @desc    Return graded submission to student (Teacher only)
 // @access  Private (Teacher)
@@ -343,11 +409,24 @@ router.post('/', [
       return res.status(400).json({ message: 'Assignment is not yet published' });
     }
 
-    // Check if due date has passed
+    // Check if submission already exists
+    let submission = await Submission.findOne({
+      assignment: assignmentId,
+      student: req.user._id
+    });
+
+    // A first submission must meet the due date (the student's own if they have an extension);
+    // a new version must meet the resubmission policy, which has its own deadline
+    const deadlines = assignment.getDeadlinesFor(req.user._id);
     const now = new Date();
-    const isLate = now > assignment.dueDate;
-    
-    if (isLate && !assignment.allowLateSubmission) {
+    const isLate = now > deadlines.dueDate;
+
+    if (submission) {
+      const resubmission = assignment.getResubmissionPolicy(submission, now);
+      if (!resubmission.allowed) {
+        return res.status(400).json({ message: resubmission.reason, resubmission });
+      }
+    } else if (isLate && !deadlines.allowLateSubmission) {
       return res.status(400).json({ message: 'Assignment deadline has passed' });
     }
 
@@ -360,12 +439,6 @@ router.post('/', [
       return res.status(400).json({ message: 'Text submission is required for this assignment' });
     }
 
-    // Check if submission already exists
-    let submission = await Submission.findOne({
-      assignment: assignmentId,
-      student: req.user._id
-    });
-
     const fileSubmissions = req.files ? req.files.map(file => ({
       fileName: file.filename,
       originalName: file.originalname,
@@ -376,16 +449,7 @@ router.post('/', [
     })) : [];
 
     if (submission) {
-      // Update existing submission (resubmission)
-      if (!submission.allowResubmission) {
-        return res.status(400).json({ message: 'Resubmission is not allowed for this assignment' });
-      }
-
-      if (submission.currentVersion >= submission.maxResubmissions) {
-        return res.status(400).json({ message: 'Maximum resubmissions reached' });
-      }
-
-      // Save current version to history
+      // Update existing submission (resubmission), keeping the current version in history
       submission.submissionHistory.push({
         version: submission.currentVersion,
         textSubmission: submission.textSubmission,
@@ -416,8 +480,8 @@ router.post('/', [
         isLate: isLate,
         maxPoints: assignment.maxPoints,
         allowResubmission: assignment.allowResubmission,
-        resubmissionDeadline: assignment.resubmissionDeadline,
-        maxResubmissions: assignment.maxResubmissions || 3
+        resubmissionDeadline: deadlines.resubmissionDeadline,
+        maxResubmissions: deadlines.maxResubmissions || 3
       });
 
       await submission.save();
@@ -463,26 +527,17 @@ router.put('/:id', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Check if resubmission is allowed
-    if (!submission.allowResubmission) {
-      return res.status(400).json({ message: 'Resubmission is not allowed for this assignment' });
-    }
-
-    if (submission.currentVersion >= submission.maxResubmissions) {
-      return res.status(400).json({ message: 'Maximum resubmissions reached' });
-    }
-
-    // Check resubmission deadline
-    if (submission.resubmissionDeadline && new Date() > submission.resubmissionDeadline) {
-      return res.status(400).json({ message: 'Resubmission deadline has passed' });
-    }
-
     const { textSubmission, comments } = req.body;
 
-    // Get assignment details
+    // Check if resubmission is allowed
     const assignment = await Assignment.findById(submission.assignment);
     const now = new Date();
-    const isLate = now > assignment.dueDate;
+    const resubmission = assignment.getResubmissionPolicy(submission, now);
+    if (!resubmission.allowed) {
+      return res.status(400).json({ message: resubmission.reason, resubmission });
+    }
+
+    const isLate = now > assignment.getDeadlinesFor(req.user._id).dueDate;
 
     // Save current version to history
     submission.submissionHistory.push({
@@ -571,6 +626,7 @@ router.delete('/:id', [
     });
 
     await Submission.findByIdAndDelete(req.params.id);
+    await PeerReview.deleteMany({ submission: submission._id });
 
     res.json({ message: 'Submission deleted successfully' });
   } catch (error) {
@@ -606,7 +662,7 @@ router.get('/:id/history', auth, async (req, res) => {
     }
 
     res.json({ 
-      submission,
+      submission: req.user.role === 'student' ? submission.toStudentObject() : submission,
       history: submission.submissionHistory,
       feedbackHistory: submission.feedbackHistory
     });
@@ -686,7 +742,9 @@ router.post('/:id/feedback', [
     // Update current feedback
     submission.feedback = feedback;
     if (grade !== undefined) {
-      submission.grade = grade;
+      // A grade typed in by hand replaces any rubric scores
+      submission.setRubricScores(null);
+      submission.applyGrade(submission.withPeerScore(parseFloat(grade)), assignment);
       submission.gradedAt = new Date();
       submission.gradedBy = req.user._id;
       submission.status = 'graded';
@@ -1,10 +1,82 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const StudentQuestion = require('../models/StudentQuestion');
 const StudentQuizAttempt = require('../models/StudentQuizAttempt');
 const Course = require('../models/Course');
+const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 
+// Below this many attempts the statistics are too noisy to act on
+const MIN_ATTEMPTS_FOR_SUGGESTIONS = 10;
+
+// Largest number of questions one bulk request may change
+const MAX_BULK_QUESTIONS = 200;
+
+const BULK_ACTIONS = ['approve', 'reject', 'retag', 'set-difficulty', 'set-points'];
+
+// Apply one bulk action to a question the teacher owns; returns a message or throws
+const applyBulkAction = (question, action, params, teacherId) => {
+  switch (action) {
+    case 'approve':
+    case 'reject':
+      question.status = action === 'approve' ? 'approved' : 'rejected';
+      question.teacherFeedback = params.feedback || '';
+      question.optionComments = [];
+      question.reviewedAt = new Date();
+      question.reviewedBy = teacherId;
+      return `Question ${question.status}`;
+    case 'retag': {
+      const tags = params.tags.map(tag => tag.trim()).filter(Boolean);
+      if (params.tagMode === 'replace') question.tags = tags;
+      else if (params.tagMode === 'remove') question.tags = question.tags.filter(tag => !tags.includes(tag));
+      else question.tags = [...new Set([...question.tags, ...tags])];
+      return `Tags set to ${question.tags.join(', ') || 'none'}`;
+    }
+    case 'set-difficulty':
+      question.difficulty = params.difficulty;
+      return `Difficulty set to ${params.difficulty}`;
+    case 'set-points':
+      question.points = params.points;
+      return `Points set to ${params.points}`;
+    default:
+      throw new Error('Unknown action');
+  }
+};
+
+// Turn raw item statistics into a suggested difficulty and warnings for the teacher
+const interpretAnalysis = (analysis, question) => {
+  const warnings = [];
+  let suggestedDifficulty = null;
+
+  if (analysis.attemptCount < MIN_ATTEMPTS_FOR_SUGGESTIONS) {
+    return { suggestedDifficulty, warnings };
+  }
+
+  if (analysis.pValue >= 0.8) suggestedDifficulty = 'easy';
+  else if (analysis.pValue >= 0.4) suggestedDifficulty = 'medium';
+  else suggestedDifficulty = 'hard';
+
+  if (analysis.pointBiserial !== null && analysis.pointBiserial < 0) {
+    warnings.push('Stronger students get this question wrong more often than weaker ones - check the answer key');
+  } else if (analysis.pointBiserial !== null && analysis.pointBiserial < 0.2) {
+    warnings.push('Poor discrimination between stronger and weaker students');
+  }
+
+  if (analysis.pValue >= 0.95) warnings.push('Almost everyone answers correctly');
+  if (analysis.pValue <= 0.1) warnings.push('Almost nobody answers correctly');
+
+  analysis.options.forEach(option => {
+    if (!option.isCorrect && option.count === 0) {
+      warnings.push(`Distractor "${option.text}" is never chosen`);
+    }
+  });
+
+  if (suggestedDifficulty === question.difficulty) suggestedDifficulty = null;
+
+  return { suggestedDifficulty, warnings };
+};
+
 // Get all student questions for teacher review
 router.get('/questions', auth, async (req, res) => {
   try {
@@ -12,16 +84,23 @@ router.get('/questions', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only teachers can access this endpoint' });
     }
 
-    const { courseId, status, page = 1, limit = 10 } = req.query;
+    const { courseId, status, flagged, page = 1, limit = 10 } = req.query;
     const query = { teacher: req.user.id };
     
     if (courseId) query.course = courseId;
     if (status) query.status = status;
+    if (flagged === 'true') query.openFlagCount = { $gt: 0 };
+
+    // The flagged queue puts the most reported questions first
+    const sort = flagged === 'true' ? { openFlagCount: -1, createdAt: -1 } : { createdAt: -1 };
 
     const questions = await StudentQuestion.find(query)
+      .select('+flags')
       .populate('course', 'title subject')
       .populate('student', 'name email')
-      .sort({ createdAt: -1 })
+      .populate('possibleDuplicates.question', 'question options status createdAt')
+      .populate('flags.student', 'firstName lastName')
+      .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
@@ -39,7 +118,38 @@ router.get('/questions', auth, async (req, res) => {
   }
 });
 
-// Review a student question (approve/reject)
+// Get item analysis statistics for a question
+router.get('/questions/:questionId/analytics', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can access this endpoint' });
+    }
+
+    const question = await StudentQuestion.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (question.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to view this question' });
+    }
+
+    const analysis = await StudentQuizAttempt.analyzeQuestion(question);
+
+    res.json({
+      questionId: question._id,
+      difficulty: question.difficulty,
+      minAttemptsForSuggestions: MIN_ATTEMPTS_FOR_SUGGESTIONS,
+      ...analysis,
+      ...interpretAnalysis(analysis, question)
+    });
+  } catch (error) {
+    console.error('Error fetching question analytics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Review a student question (approve/reject/retire/request revision)
 router.put('/questions/:questionId/review', auth, async (req, res) => {
   try {
     if (req.user.role !== 'teacher') {
@@ -47,10 +157,10 @@ router.put('/questions/:questionId/review', auth, async (req, res) => {
     }
 
     const { questionId } = req.params;
-    const { status, feedback, points, difficulty } = req.body;
+    const { status, feedback, points, difficulty, optionComments } = req.body;
 
-    if (!['approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ message: 'Status must be either approved or rejected' });
+    if (!['approved', 'rejected', 'retired', 'needs-revision'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved, rejected, retired or needs-revision' });
     }
 
     const question = await StudentQuestion.findById(questionId);
@@ -62,6 +172,18 @@ router.put('/questions/:questionId/review', auth, async (req, res) => {
       return res.status(403).json({ message: 'Unauthorized to review this question' });
     }
 
+    const comments = Array.isArray(optionComments)
+      ? optionComments.filter(c => c && typeof c.comment === 'string' && c.comment.trim())
+      : [];
+
+    if (comments.some(c => !Number.isInteger(c.optionIndex) || c.optionIndex < 0 || c.optionIndex >= question.options.length)) {
+      return res.status(400).json({ message: 'Option comments must refer to an existing option' });
+    }
+
+    if (status === 'needs-revision' && !(feedback && feedback.trim()) && !comments.length) {
+      return res.status(400).json({ message: 'Please explain what needs to be revised' });
+    }
+
     question.status = status;
     question.teacherFeedback = feedback || '';
     question.reviewedAt = new Date();
@@ -69,6 +191,9 @@ router.put('/questions/:questionId/review', auth, async (req, res) => {
 
     if (points) question.points = points;
     if (difficulty) question.difficulty = difficulty;
+    if (optionComments !== undefined) {
+      question.optionComments = comments.map(c => ({ optionIndex: c.optionIndex, comment: c.comment.trim() }));
+    }
 
     await question.save();
 
@@ -82,6 +207,291 @@ router.put('/questions/:questionId/review', auth, async (req, res) => {
   }
 });
 
+// Correct a question's text or answer key, re-scoring past quiz attempts if the key changed
+router.put('/questions/:questionId/correct', [
+  auth,
+  body('question').optional().isString().withMessage('Question text must be text'),
+  body('options').optional().isArray().withMessage('Options must be a list'),
+  body('options.*').isObject().withMessage('Each option must have text'),
+  body('options.*.text').optional().isString().withMessage('Option text must be text'),
+  body('explanation').optional().isString().withMessage('Explanation must be text'),
+  body('regrade').optional().isBoolean().withMessage('Regrade must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can correct questions' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { question, options, acceptedAnswers, numericAnswer, explanation, regrade = true } = req.body;
+
+    const studentQuestion = await StudentQuestion.findById(req.params.questionId).select('+flags');
+    if (!studentQuestion) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (studentQuestion.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to correct this question' });
+    }
+
+    if (question !== undefined && !question.trim()) {
+      return res.status(400).json({ message: 'Question text is required' });
+    }
+
+    let keyChanged;
+
+    if (studentQuestion.isTyped()) {
+      // Typed answers are stored as text, so the key can be changed freely
+      const key = StudentQuestion.buildAnswerKey({
+        type: studentQuestion.type,
+        acceptedAnswers: acceptedAnswers || studentQuestion.acceptedAnswers,
+        numericAnswer: numericAnswer || (studentQuestion.numericAnswer && studentQuestion.numericAnswer.toObject())
+      });
+
+      const answerKeyError = StudentQuestion.validateAnswerKey({ type: studentQuestion.type, ...key });
+      if (answerKeyError) {
+        return res.status(400).json({ message: answerKeyError });
+      }
+
+      const getKey = () => JSON.stringify(studentQuestion.type === 'numeric'
+        ? studentQuestion.numericAnswer
+        : studentQuestion.acceptedAnswers);
+      const previousKey = getKey();
+
+      studentQuestion.archiveVersion();
+      Object.assign(studentQuestion, key);
+      keyChanged = getKey() !== previousKey;
+    } else {
+      // Past answers are stored as option positions, so the options themselves must stay put
+      if (!Array.isArray(options) || options.length !== studentQuestion.options.length) {
+        return res.status(400).json({ message: `Provide all ${studentQuestion.options.length} options in their current order` });
+      }
+
+      if (options.some(option => !option.text || !option.text.trim())) {
+        return res.status(400).json({ message: 'Options cannot be empty' });
+      }
+
+      const answerKeyError = StudentQuestion.validateAnswerKey({
+        type: studentQuestion.type,
+        scoringMethod: studentQuestion.scoringMethod,
+        options
+      });
+      if (answerKeyError) {
+        return res.status(400).json({ message: answerKeyError });
+      }
+
+      keyChanged = options.some((option, index) => !!option.isCorrect !== studentQuestion.options[index].isCorrect);
+
+      studentQuestion.archiveVersion();
+      studentQuestion.options = options.map((option, index) => ({
+        text: option.text.trim(),
+        isCorrect: !!option.isCorrect,
+        image: studentQuestion.options[index].image
+      }));
+    }
+
+    if (question !== undefined) studentQuestion.question = question.trim();
+    if (explanation !== undefined) studentQuestion.explanation = explanation;
+    studentQuestion.resolveFlags('corrected', req.user.id);
+    await studentQuestion.save();
+
+    const regradeResult = keyChanged && regrade
+      ? await StudentQuizAttempt.regradeQuestion(studentQuestion, { regradedBy: req.user.id, reason: 'Answer key corrected' })
+      : null;
+
+    res.json({
+      message: regradeResult
+        ? `Question corrected; ${regradeResult.changedCount} of ${regradeResult.attemptCount} past attempts were re-scored`
+        : 'Question corrected',
+      question: studentQuestion,
+      regrade: regradeResult
+    });
+  } catch (error) {
+    console.error('Error correcting question:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Re-score every past attempt at a question against its current answer key
+router.post('/questions/:questionId/regrade', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can regrade questions' });
+    }
+
+    const studentQuestion = await StudentQuestion.findById(req.params.questionId);
+    if (!studentQuestion) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (studentQuestion.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to regrade this question' });
+    }
+
+    const result = await StudentQuizAttempt.regradeQuestion(studentQuestion, {
+      regradedBy: req.user.id,
+      reason: req.body.reason || 'Regraded by teacher'
+    });
+
+    res.json({
+      message: `${result.changedCount} of ${result.attemptCount} attempts were re-scored`,
+      regrade: result
+    });
+  } catch (error) {
+    console.error('Error regrading question:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the regrade audit trail for a question: every score it has changed
+router.get('/questions/:questionId/regrades', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can access this endpoint' });
+    }
+
+    const studentQuestion = await StudentQuestion.findById(req.params.questionId);
+    if (!studentQuestion) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (studentQuestion.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to view this question' });
+    }
+
+    const attempts = await StudentQuizAttempt.find({ 'regrades.question': studentQuestion._id })
+      .select('student regrades')
+      .populate('student', 'firstName lastName')
+      .populate('regrades.regradedBy', 'firstName lastName');
+
+    const regrades = attempts
+      .flatMap(attempt => attempt.regrades
+        .filter(regrade => regrade.question.toString() === studentQuestion._id.toString())
+        .map(regrade => ({ ...regrade.toObject(), attempt: attempt._id, student: attempt.student })))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ regrades });
+  } catch (error) {
+    console.error('Error fetching regrade history:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close a question's open reports without changing it, or retire the question
+router.put('/questions/:questionId/flags/resolve', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can resolve reports' });
+    }
+
+    const { resolution } = req.body;
+    if (!['dismissed', 'retired'].includes(resolution)) {
+      return res.status(400).json({ message: 'Resolution must be dismissed or retired' });
+    }
+
+    const studentQuestion = await StudentQuestion.findById(req.params.questionId).select('+flags');
+    if (!studentQuestion) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    if (studentQuestion.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to resolve reports on this question' });
+    }
+
+    studentQuestion.resolveFlags(resolution, req.user.id);
+    if (resolution === 'retired') studentQuestion.status = 'retired';
+    await studentQuestion.save();
+
+    res.json({
+      message: resolution === 'retired' ? 'Question retired' : 'Reports dismissed',
+      question: studentQuestion
+    });
+  } catch (error) {
+    console.error('Error resolving question reports:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Apply one review action to many questions at once, reporting a result per question
+router.post('/questions/bulk', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can review questions' });
+    }
+
+    const { questionIds, action, feedback, tags, tagMode = 'add', difficulty, points } = req.body;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({ message: 'Select at least one question' });
+    }
+
+    if (questionIds.length > MAX_BULK_QUESTIONS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_QUESTIONS} questions can be changed at once` });
+    }
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of ${BULK_ACTIONS.join(', ')}` });
+    }
+
+    if (action === 'retag' && (!Array.isArray(tags) || !['add', 'remove', 'replace'].includes(tagMode))) {
+      return res.status(400).json({ message: 'Retagging needs a list of tags and a mode of add, remove or replace' });
+    }
+
+    if (action === 'set-difficulty' && !['easy', 'medium', 'hard'].includes(difficulty)) {
+      return res.status(400).json({ message: 'Difficulty must be easy, medium or hard' });
+    }
+
+    const parsedPoints = Number(points);
+    if (action === 'set-points' && (!Number.isFinite(parsedPoints) || parsedPoints <= 0)) {
+      return res.status(400).json({ message: 'Points must be a positive number' });
+    }
+
+    const validIds = questionIds.filter(id => mongoose.isValidObjectId(id));
+    const questions = await StudentQuestion.find({ _id: { $in: validIds } });
+    const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+    const params = { feedback, tags, tagMode, difficulty, points: parsedPoints };
+
+    const results = [];
+    for (const questionId of questionIds) {
+      const question = questionsById.get(String(questionId));
+
+      if (!question) {
+        results.push({ questionId, success: false, message: 'Question not found' });
+        continue;
+      }
+
+      if (question.teacher.toString() !== req.user.id) {
+        results.push({ questionId, success: false, message: 'Unauthorized to review this question' });
+        continue;
+      }
+
+      try {
+        const message = applyBulkAction(question, action, params, req.user.id);
+        await question.save();
+        results.push({ questionId, success: true, message, status: question.status });
+      } catch (error) {
+        results.push({ questionId, success: false, message: error.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      message: `${succeeded} of ${questionIds.length} questions updated`,
+      succeeded,
+      failed: questionIds.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Error applying bulk review:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all quiz attempts for teacher grading
 router.get('/quiz-attempts', auth, async (req, res) => {
   try {
@@ -89,8 +499,11 @@ router.get('/quiz-attempts', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only teachers can access this endpoint' });
     }
 
-    const { courseId, page = 1, limit = 10 } = req.query;
+    const { courseId, needsReview, page = 1, limit = 10 } = req.query;
     const query = { course: courseId };
+
+    // Only attempts with typed answers the auto-grader left for the teacher
+    if (needsReview === 'true') query['answers.needsReview'] = true;
     
     if (courseId) {
       // Verify teacher has access to this course
@@ -166,6 +579,163 @@ router.put('/quiz-attempts/:attemptId/grade', auth, async (req, res) => {
   }
 });
 
+// Mark one answer of a quiz attempt by hand, replacing its auto-grade (used for typed answers
+// the grader was unsure of, but allowed for any answer)
+router.put('/quiz-attempts/:attemptId/answers/:questionId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can grade quiz attempts' });
+    }
+
+    const { attemptId, questionId } = req.params;
+    const { isCorrect, points } = req.body;
+
+    if (typeof isCorrect !== 'boolean') {
+      return res.status(400).json({ message: 'isCorrect must be true or false' });
+    }
+
+    const quizAttempt = await StudentQuizAttempt.findById(attemptId)
+      .populate('course')
+      .populate('questions');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.course.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to grade this quiz attempt' });
+    }
+
+    if (!quizAttempt.isCompleted) {
+      return res.status(400).json({ message: 'Answers can only be marked once the quiz is submitted' });
+    }
+
+    const answer = quizAttempt.answers.find(a => a.questionId.toString() === questionId);
+    if (!answer) {
+      return res.status(404).json({ message: 'The student did not answer this question' });
+    }
+
+    // A question deleted since the attempt no longer populates
+    const question = quizAttempt.questions.find(q => q && q._id.toString() === questionId);
+    if (!question) {
+      return res.status(404).json({ message: 'This question has been deleted' });
+    }
+
+    // Full marks or nothing unless the teacher gives partial credit
+    const awarded = points === undefined || points === null ? (isCorrect ? question.points : 0) : Number(points);
+    if (!Number.isFinite(awarded) || awarded < 0 || awarded > question.points) {
+      return res.status(400).json({ message: `Points must be between 0 and ${question.points}` });
+    }
+
+    const previous = { points: answer.points, score: quizAttempt.score, percentage: quizAttempt.percentage };
+    quizAttempt.overrideAnswer(questionId, { isCorrect, points: awarded }, req.user.id);
+
+    // Score changes go in the attempt's audit trail, which the student is shown
+    if (previous.points !== awarded) {
+      quizAttempt.regrades.push({
+        question: question._id,
+        reason: 'Marked by your teacher',
+        previousPoints: previous.points,
+        newPoints: awarded,
+        previousScore: previous.score,
+        newScore: quizAttempt.score,
+        previousPercentage: previous.percentage,
+        newPercentage: quizAttempt.percentage,
+        regradedBy: req.user.id
+      });
+    }
+
+    await quizAttempt.save();
+
+    res.json({
+      message: 'Answer marked',
+      answer: quizAttempt.answers.find(a => a.questionId.toString() === questionId),
+      score: quizAttempt.score,
+      percentage: quizAttempt.percentage,
+      needsReviewCount: quizAttempt.countAnswersNeedingReview()
+    });
+  } catch (error) {
+    console.error('Error overriding quiz answer:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the integrity timeline and summary for a quiz attempt
+router.get('/quiz-attempts/:attemptId/integrity', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can view quiz activity' });
+    }
+
+    const quizAttempt = await StudentQuizAttempt.findById(req.params.attemptId)
+      .select('+integrityEvents')
+      .populate('course', 'teacher integrityMonitoring');
+
+    if (!quizAttempt) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (quizAttempt.course.teacher.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Unauthorized to view this quiz attempt' });
+    }
+
+    res.json({
+      monitoring: quizAttempt.course.integrityMonitoring,
+      startedAt: quizAttempt.startedAt,
+      submittedAt: quizAttempt.submittedAt,
+      questionCount: quizAttempt.questions.length,
+      summary: quizAttempt.integritySummary,
+      events: quizAttempt.integrityEvents
+    });
+  } catch (error) {
+    console.error('Error fetching quiz integrity events:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release withheld exam-mode results to students, for one attempt or every submitted exam in a course
+router.put('/quiz-attempts/release-feedback', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'teacher') {
+      return res.status(403).json({ message: 'Only teachers can release quiz results' });
+    }
+
+    const { courseId, attemptId } = req.body;
+    if (!courseId && !attemptId) {
+      return res.status(400).json({ message: 'A course or quiz attempt is required' });
+    }
+
+    const query = {};
+
+    if (attemptId) {
+      const quizAttempt = await StudentQuizAttempt.findById(attemptId).populate('course');
+      if (!quizAttempt) {
+        return res.status(404).json({ message: 'Quiz attempt not found' });
+      }
+      if (quizAttempt.course.teacher.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Unauthorized to release this quiz attempt' });
+      }
+      query._id = quizAttempt._id;
+    } else {
+      const course = await Course.findById(courseId);
+      if (!course || course.teacher.toString() !== req.user.id) {
+        return res.status(403).json({ message: 'Unauthorized to access this course' });
+      }
+      query.course = course._id;
+    }
+
+    const released = await StudentQuizAttempt.releaseFeedback(query, req.user.id);
+
+    res.json({
+      message: `Released results for ${released} exam attempt${released === 1 ? '' : 's'}`,
+      released
+    });
+  } catch (error) {
+    console.error('Error releasing exam results:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get statistics for teacher dashboard
 router.get('/stats', auth, async (req, res) => {
   try {
@@ -196,6 +766,10 @@ router.get('/stats', auth, async (req, res) => {
       course: { $in: courseIds }, 
       status: 'rejected' 
     });
+    const flaggedQuestions = await StudentQuestion.countDocuments({ 
+      course: { $in: courseIds }, 
+      openFlagCount: { $gt: 0 } 
+    });
 
     // Get quiz attempt statistics
     const totalAttempts = await StudentQuizAttempt.countDocuments({ 
@@ -223,7 +797,8 @@ router.get('/stats', auth, async (req, res) => {
         total: totalQuestions,
         pending: pendingQuestions,
         approved: approvedQuestions,
-        rejected: rejectedQuestions
+        rejected: rejectedQuestions,
+        flagged: flaggedQuestions
       },
       quizAttempts: {
         total: totalAttempts,
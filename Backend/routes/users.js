@@ -65,7 +65,7 @@ router.put('/profile', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, phone, dateOfBirth, address } = req.body;
+    const { firstName, lastName, email, phone, dateOfBirth, address, leaderboardOptOut } = req.body;
     const userId = req.user._id;
 
     // Check if email is being changed and if it's already taken
@@ -83,6 +83,7 @@ router.put('/profile', [
     if (phone) updateData.phone = phone;
     if (dateOfBirth) updateData.dateOfBirth = dateOfBirth;
     if (address) updateData.address = address;
+    if (typeof leaderboardOptOut === 'boolean') updateData.leaderboardOptOut = leaderboardOptOut;
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config({ path: './config.env' });
+const StudentQuizAttempt = require('./models/StudentQuizAttempt');
 
 const app = express();
 
@@ -23,15 +24,29 @@ app.use('/api/assignments', require('./routes/assignments'));
 app.use('/api/submissions', require('./routes/submissions'));
 app.use('/api/questions', require('./routes/questions'));
 app.use('/api/announcements', require('./routes/announcements'));
+app.use('/api/quizzes', require('./routes/quizzes'));
 app.use('/api/student-questions', require('./routes/studentQuestions'));
 app.use('/api/teacher/student-questions', require('./routes/teacherStudentQuestions'));
+app.use('/api/question-bank', require('./routes/questionBank'));
+app.use('/api/contributions', require('./routes/contributions'));
+app.use('/api/quiz-blueprints', require('./routes/quizBlueprints'));
+app.use('/api/rubrics', require('./routes/rubrics'));
+app.use('/api/peer-reviews', require('./routes/peerReviews'));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Auto-submit practice quiz attempts whose time limit has run out
+  setInterval(() => {
+    StudentQuizAttempt.closeExpiredAttempts()
+      .catch(err => console.error('Quiz attempt sweep error:', err));
+  }, 60 * 1000);
+})
 .catch(err => console.log('MongoDB connection error:', err));
 
 // Error handling middleware
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gradeNumeric } = require('../utils/answerMatching');
+
+const key = { value: 10, tolerance: 0.5, unit: 'm' };
+
+test('numeric answers with the right value and unit are correct', () => {
+  assert.strictEqual(gradeNumeric('10.2 m', key).status, 'correct');
+  assert.strictEqual(gradeNumeric('9.5m', key).status, 'correct');
+});
+
+test('numeric answers without a number are incorrect', () => {
+  assert.strictEqual(gradeNumeric('ten metres', key).status, 'incorrect');
+  assert.strictEqual(gradeNumeric('no idea', { min: 1, max: 2 }).status, 'incorrect');
+  assert.strictEqual(gradeNumeric('', key).status, 'incorrect');
+});
+
+test('a unit mismatch only goes to review when the value is in tolerance', () => {
+  assert.strictEqual(gradeNumeric('500 kg', key).status, 'incorrect');
+  assert.strictEqual(gradeNumeric('12', key).status, 'incorrect');
+  assert.strictEqual(gradeNumeric('12 M', key).status, 'incorrect');
+
+  assert.strictEqual(gradeNumeric('10 kg', key).status, 'review');
+  assert.strictEqual(gradeNumeric('10', key).status, 'review');
+  assert.strictEqual(gradeNumeric('10 M', key).status, 'review');
+});
+
+test('extra text after a number only goes to review when the value is right', () => {
+  assert.strictEqual(gradeNumeric('1.5 roughly', { min: 1, max: 2 }).status, 'review');
+  assert.strictEqual(gradeNumeric('7 roughly', { min: 1, max: 2 }).status, 'incorrect');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dueDate = new Date('2026-03-01T12:00:00Z');
+const daysAfterDue = (days) => new Date(dueDate.getTime() + days * DAY_MS);
+
+const makeAssignment = (studentOverrides = []) => new Assignment({
+  title: 'Essay',
+  course: id(),
+  teacher: id(),
+  dueDate,
+  maxPoints: 10,
+  peerReview: { enabled: true, reviewsPerStudent: 2, reviewDeadline: daysAfterDue(7) },
+  studentOverrides
+});
+
+test('peer review opens at the due date when nobody has an extension', () => {
+  const assignment = makeAssignment();
+
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(-1)), 'upcoming');
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(1)), 'open');
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(8)), 'closed');
+});
+
+test('peer review waits for the latest extended due date', () => {
+  const assignment = makeAssignment([
+    { student: id(), dueDate: daysAfterDue(3) },
+    { student: id(), allowLateSubmission: true }
+  ]);
+
+  assert.deepStrictEqual(assignment.getLatestDueDate(), daysAfterDue(3));
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(1)), 'upcoming');
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(4)), 'open');
+});
+
+test('an override with an earlier due date does not move peer review forward', () => {
+  const assignment = makeAssignment([{ student: id(), dueDate: daysAfterDue(-2) }]);
+
+  assert.deepStrictEqual(assignment.getLatestDueDate(), dueDate);
+  assert.strictEqual(assignment.getPeerReviewPhase(daysAfterDue(-1)), 'upcoming');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ContributionEvent = require('../models/ContributionEvent');
+const StudentQuestion = require('../models/StudentQuestion');
+const StudentQuizAttempt = require('../models/StudentQuizAttempt');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A ledger kept in memory: award() goes through create(), and keys stay unique as in the collection
+const useLedger = (t) => {
+  const events = [];
+  t.mock.method(ContributionEvent, 'countDocuments', async ({ question, type }) => events
+    .filter(event => event.question.equals(question) && event.type === type).length);
+  t.mock.method(ContributionEvent, 'exists', async ({ key }) => events.some(event => event.key === key));
+  t.mock.method(ContributionEvent, 'create', async (fields) => {
+    if (events.some(event => event.key === fields.key)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    events.push(fields);
+    return fields;
+  });
+  return events;
+};
+
+const makeQuestion = () => new StudentQuestion({
+  question: 'What is 2 + 2?',
+  options: [{ text: '3', isCorrect: false }, { text: '4', isCorrect: true }],
+  course: id(),
+  student: id(),
+  teacher: id(),
+  source: 'student'
+});
+
+const review = async (question, status) => {
+  question.status = status;
+  await ContributionEvent.recordReview(question);
+};
+
+test('approval points are taken back when a question is retired or sent back', async (t) => {
+  const events = useLedger(t);
+  const question = makeQuestion();
+
+  await review(question, 'approved');
+  await review(question, 'retired');
+  assert.deepStrictEqual(events.map(event => event.type), ['approved', 'approval-reversed']);
+  assert.strictEqual(events.reduce((sum, event) => sum + event.points, 0), 0);
+
+  await review(question, 'approved');
+  await review(question, 'needs-revision');
+  await review(question, 'pending');
+  assert.deepStrictEqual(events.map(event => event.type), ['approved', 'approval-reversed', 'approved', 'approval-reversed']);
+  assert.strictEqual(events.reduce((sum, event) => sum + event.points, 0), 0);
+});
+
+test('repeating a review decision does not award twice', async (t) => {
+  const events = useLedger(t);
+  const question = makeQuestion();
+
+  await review(question, 'approved');
+  await review(question, 'approved');
+  await review(question, 'rejected');
+  await review(question, 'rejected');
+
+  assert.deepStrictEqual(events.map(event => event.type), ['approved', 'rejected', 'approval-reversed']);
+});
+
+test('discrimination is only credited over enough attempts', async (t) => {
+  const events = useLedger(t);
+  const question = makeQuestion();
+
+  await ContributionEvent.recordDiscrimination(question, { attemptCount: 4, pointBiserial: 0.6 });
+  await ContributionEvent.recordDiscrimination(question, { attemptCount: 12, pointBiserial: null });
+  assert.strictEqual(events.length, 0);
+
+  await ContributionEvent.recordDiscrimination(question, { attemptCount: 12, pointBiserial: 0.4 });
+  await ContributionEvent.recordDiscrimination(question, { attemptCount: 13, pointBiserial: 0.4 });
+  assert.deepStrictEqual(events.map(event => event.type), ['good-discrimination']);
+});
+
+test('completed attempts re-run a question\'s item analysis at most once an hour', async (t) => {
+  const events = useLedger(t);
+  const question = makeQuestion();
+  const attempt = { _id: id(), student: id(), questions: [question._id] };
+
+  t.mock.method(StudentQuestion, 'find', async () => [question]);
+  t.mock.method(StudentQuestion, 'updateOne', async (filter, update) => {
+    const [, { discriminationCheckedAt: { $lte: cutoff } }] = filter.$or;
+    const due = !question.discriminationCheckedAt || question.discriminationCheckedAt <= cutoff;
+    if (due) question.discriminationCheckedAt = update.$set.discriminationCheckedAt;
+    return { modifiedCount: due ? 1 : 0 };
+  });
+  const analyses = t.mock.method(StudentQuizAttempt, 'analyzeQuestion', async () => ({ attemptCount: 12, pointBiserial: 0.2 }));
+
+  const start = new Date('2026-03-01T12:00:00Z');
+  await ContributionEvent.checkDiscrimination(attempt, start);
+  await ContributionEvent.checkDiscrimination(attempt, new Date(start.getTime() + 10 * 60 * 1000));
+  assert.strictEqual(analyses.mock.callCount(), 1);
+  assert.strictEqual(events.length, 0);
+
+  analyses.mock.mockImplementation(async () => ({ attemptCount: 20, pointBiserial: 0.45 }));
+  await ContributionEvent.checkDiscrimination(attempt, new Date(start.getTime() + 61 * 60 * 1000));
+  assert.strictEqual(analyses.mock.callCount(), 2);
+  assert.deepStrictEqual(events.map(event => event.type), ['good-discrimination']);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseGift, toGift } = require('../utils/questionFormats/gift');
+const { readZip, createZip } = require('../utils/questionFormats/zip');
+const { isFormat } = require('../utils/questionFormats');
+
+test('GIFT export keeps points, tags and difficulty through a round trip', () => {
+  const items = [
+    {
+      title: 'Sum',
+      question: 'What is 2 + 2?',
+      type: 'multiple-choice',
+      options: [{ text: '3', isCorrect: false }, { text: '4', isCorrect: true }],
+      explanation: 'Count on from 2.',
+      difficulty: 'easy',
+      tags: ['arithmetic'],
+      points: 3
+    },
+    {
+      title: 'Capital',
+      question: 'The capital of France is',
+      type: 'short-answer',
+      answers: ['Paris'],
+      tags: [],
+      points: 1.5
+    }
+  ];
+
+  const parsed = parseGift(toGift(items));
+
+  assert.strictEqual(parsed.length, 2);
+  assert.deepStrictEqual(parsed.map(item => item.errors), [[], []]);
+  assert.deepStrictEqual(parsed.map(item => item.points), [3, 1.5]);
+  assert.deepStrictEqual(parsed[0].tags, ['arithmetic']);
+  assert.strictEqual(parsed[0].difficulty, 'easy');
+  assert.deepStrictEqual(parsed[1].answers, ['Paris']);
+});
+
+test('GIFT questions without points leave them for the importer to default', () => {
+  const [item] = parseGift('::Q::Is the sky blue?{TRUE}');
+
+  assert.strictEqual(item.points, undefined);
+});
+
+test('zip entries are only inflated when read', () => {
+  const entries = readZip(createZip([
+    { name: 'imsmanifest.xml', data: '<manifest/>' },
+    { name: 'unused.bin', data: Buffer.alloc(11 * 1024 * 1024) }
+  ]));
+
+  assert.deepStrictEqual(entries.map(entry => entry.name), ['imsmanifest.xml', 'unused.bin']);
+  assert.strictEqual(entries[0].read().toString(), '<manifest/>');
+  assert.throws(() => entries[1].read(), /expands beyond the size allowed/);
+});
+
+test('zip reads share one size budget', () => {
+  const entries = readZip(createZip(
+    ['a', 'b', 'c'].map(name => ({ name, data: Buffer.alloc(9 * 1024 * 1024) }))
+  ));
+
+  entries[0].read();
+  entries[1].read();
+  assert.throws(() => entries[2].read(), /expands beyond the size allowed/);
+});
+
+test('zip archives with too many entries are refused', () => {
+  const archive = createZip(Array.from({ length: 1001 }, (_, i) => ({ name: `item${i}.xml`, data: '' })));
+
+  assert.throws(() => readZip(archive), /at most 1000 files/);
+});
+
+test('only our own format names are recognised', () => {
+  assert.strictEqual(isFormat('moodle-xml'), true);
+  assert.strictEqual(isFormat('constructor'), false);
+  assert.strictEqual(isFormat('toString'), false);
+  assert.strictEqual(isFormat(['gift']), false);
+});
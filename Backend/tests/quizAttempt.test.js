@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Course = require('../models/Course');
+const quizzesRouter = require('../routes/quizzes');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE_MS = 60 * 1000;
+
+// A route's own handler, past its auth and validation middleware
+const findHandler = (path) => quizzesRouter.stack
+  .find(layer => layer.route && layer.route.path === path && layer.route.methods.post)
+  .route.stack.slice(-1)[0].handle;
+
+const submitHandler = findHandler('/attempts/:attemptId/submit');
+const startHandler = findHandler('/:id/start');
+
+const makeQuiz = () => new Quiz({
+  title: 'Forces',
+  description: 'Newton\'s laws',
+  course: id(),
+  teacher: id(),
+  questions: [{ question: 'Is F = ma?', type: 'true-false', correctAnswer: 'true', points: 1 }],
+  timeLimit: 30,
+  totalPoints: 1,
+  isPublished: true
+});
+
+// An attempt started some minutes ago by a student with a time multiplier, as /:id/start creates it
+const makeAttempt = (quiz, { minutesAgo, timeMultiplier }) => {
+  const attempt = new QuizAttempt({
+    quiz: quiz._id,
+    student: id(),
+    course: quiz.course,
+    totalPoints: quiz.totalPoints,
+    startedAt: new Date(Date.now() - minutesAgo * MINUTE_MS),
+    timeLimit: quiz.timeLimit * timeMultiplier,
+    timeMultiplier
+  });
+  attempt.save = async () => attempt;
+  return attempt;
+};
+
+const submit = async (t, quiz, attempt) => {
+  t.mock.method(QuizAttempt, 'findById', async () => attempt);
+  t.mock.method(Quiz, 'findById', async () => quiz);
+
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  const req = {
+    params: { attemptId: attempt._id.toString() },
+    user: { _id: attempt.student },
+    body: { answers: [{ questionId: quiz.questions[0]._id.toString(), answer: 'true' }] }
+  };
+
+  await submitHandler(req, res);
+  return res;
+};
+
+test('a student with extra time can submit after the base time limit', async (t) => {
+  const quiz = makeQuiz();
+  const attempt = makeAttempt(quiz, { minutesAgo: 40, timeMultiplier: 1.5 });
+
+  const res = await submit(t, quiz, attempt);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(attempt.score, 1);
+  assert.strictEqual(attempt.isCompleted, true);
+});
+
+test('a student with extra time is stopped after their extended time limit', async (t) => {
+  const quiz = makeQuiz();
+  const attempt = makeAttempt(quiz, { minutesAgo: 46, timeMultiplier: 1.5 });
+
+  const res = await submit(t, quiz, attempt);
+
+  assert.strictEqual(res.body.closedAtDeadline, true);
+  assert.strictEqual(attempt.score, 0);
+  assert.strictEqual(attempt.timeSpent, 45 * 60);
+});
+
+test('a late answer sheet is replaced by the answers saved before the deadline', async (t) => {
+  const quiz = makeQuiz();
+  const attempt = makeAttempt(quiz, { minutesAgo: 31, timeMultiplier: 1 });
+  attempt.savedAnswers = [{ questionId: quiz.questions[0]._id, answer: 'true' }];
+
+  const res = await submit(t, quiz, attempt);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.closedAtDeadline, true);
+  assert.strictEqual(attempt.isCompleted, true);
+  assert.strictEqual(attempt.score, 1);
+  assert.strictEqual(attempt.timeSpent, 30 * 60);
+});
+
+test('a student without extra time is stopped after the base time limit', async (t) => {
+  const quiz = makeQuiz();
+  const attempt = makeAttempt(quiz, { minutesAgo: 31, timeMultiplier: 1 });
+
+  // The answer sheet says 'true', but nothing was saved before time ran out
+  const res = await submit(t, quiz, attempt);
+
+  assert.strictEqual(res.body.closedAtDeadline, true);
+  assert.strictEqual(attempt.isCompleted, true);
+  assert.strictEqual(attempt.score, 0);
+});
+
+test('an attempt ends at the quiz due date when that comes before its time limit', () => {
+  const quiz = makeQuiz();
+  const attempt = makeAttempt(quiz, { minutesAgo: 10, timeMultiplier: 1 });
+  quiz.dueDate = new Date(Date.now() + 5 * MINUTE_MS);
+
+  assert.strictEqual(attempt.getRemainingSeconds(quiz), 5 * 60);
+});
+
+test('starting a quiz closes an unfinished attempt whose time is up before starting another', async (t) => {
+  const quiz = makeQuiz();
+  quiz.attempts = 2;
+  const expired = makeAttempt(quiz, { minutesAgo: 40, timeMultiplier: 1 });
+  expired.savedAnswers = [{ questionId: quiz.questions[0]._id, answer: 'true' }];
+
+  // The start route reads the quiz with its course's students populated
+  const quizWithCourse = Object.create(quiz, {
+    course: { value: { _id: quiz.course, students: [expired.student] } }
+  });
+  t.mock.method(Quiz, 'findById', () => ({ populate: async () => quizWithCourse }));
+  t.mock.method(QuizAttempt, 'findOne', async () => expired);
+  t.mock.method(QuizAttempt, 'countDocuments', async () => 1);
+  t.mock.method(Course, 'findById', () => ({ select: async () => ({ getQuizTimeMultiplier: () => 1 }) }));
+  t.mock.method(QuizAttempt.prototype, 'save', async function() { return this; });
+
+  const res = { status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+  await startHandler({ params: { id: quiz._id.toString() }, user: { _id: expired.student } }, res);
+
+  assert.strictEqual(expired.isCompleted, true);
+  assert.strictEqual(expired.score, 1);
+  assert.strictEqual(res.statusCode, 201);
+  assert.strictEqual(res.body.attempt.attemptNumber, 2);
+  assert.strictEqual(res.body.remainingSeconds, 30 * 60);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const StudentQuestion = require('../models/StudentQuestion');
+const StudentQuizAttempt = require('../models/StudentQuizAttempt');
+const ReviewSchedule = require('../models/ReviewSchedule');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeQuestion = () => new StudentQuestion({
+  question: 'What is 2 + 2?',
+  options: [{ text: '3', isCorrect: false }, { text: '4', isCorrect: true }],
+  course: id(),
+  student: id(),
+  teacher: id(),
+  points: 1
+});
+
+// An attempt with its questions populated, as the routes and the expiry sweep load it; a null
+// question stands for one deleted after the attempt started
+const makeAttempt = (questions, fields = {}) => {
+  const attempt = new StudentQuizAttempt({
+    student: id(),
+    course: id(),
+    totalPoints: questions.length,
+    allowBacktracking: true,
+    ...fields
+  });
+  attempt.questions = questions.map(question => question || makeQuestion());
+  questions.forEach((question, index) => {
+    if (!question) attempt.questions[index] = null;
+  });
+  attempt.save = async () => attempt;
+  return attempt;
+};
+
+test('a repeated answer is graded once', () => {
+  const question = makeQuestion();
+  const attempt = makeAttempt([question]);
+  const answer = { questionId: question._id.toString(), selectedOptions: [1] };
+
+  attempt.complete([answer, answer, answer]);
+
+  assert.strictEqual(attempt.answers.length, 1);
+  assert.strictEqual(attempt.score, 1);
+  assert.strictEqual(attempt.percentage, 100);
+});
+
+test('the last of repeated answers is the one kept', () => {
+  const question = makeQuestion();
+  const attempt = makeAttempt([question]);
+
+  attempt.saveProgress([
+    { questionId: question._id.toString(), selectedOptions: [1] },
+    { questionId: question._id.toString(), selectedOptions: [0] }
+  ]);
+
+  assert.strictEqual(attempt.answers.length, 1);
+  assert.deepStrictEqual([...attempt.answers[0].selectedOptions], [0]);
+});
+
+test('the expiry sweep closes attempts whose questions were deleted, and carries on', async (t) => {
+  const kept = makeQuestion();
+  const withDeleted = makeAttempt([kept, null], { expiresAt: new Date(Date.now() - 5 * 60 * 1000) });
+  withDeleted.answers = [{ questionId: kept._id, selectedOptions: [1] }];
+  const other = makeAttempt([makeQuestion()], { expiresAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+  const failing = makeAttempt([makeQuestion()], { expiresAt: new Date(Date.now() - 5 * 60 * 1000) });
+  failing.save = async () => { throw new Error('write failed'); };
+
+  t.mock.method(StudentQuizAttempt, 'find', () => ({ populate: async () => [failing, withDeleted, other] }));
+  t.mock.method(console, 'error', () => {});
+
+  const closed = await StudentQuizAttempt.closeExpiredAttempts();
+
+  assert.strictEqual(closed, 2);
+  assert.strictEqual(withDeleted.isCompleted, true);
+  assert.strictEqual(withDeleted.autoSubmitted, true);
+  assert.strictEqual(withDeleted.score, 1);
+  assert.strictEqual(other.isCompleted, true);
+});
+
+test('exam questions are scheduled for review only once their results are released', async (t) => {
+  const question = makeQuestion();
+  const attempt = makeAttempt([question], { mode: 'exam', isCompleted: true });
+  const recorded = t.mock.method(ReviewSchedule, 'recordAnswer', async () => null);
+  t.mock.method(StudentQuestion, 'find', async () => [question]);
+
+  await ReviewSchedule.recordAttempt(attempt);
+  assert.strictEqual(recorded.mock.callCount(), 0);
+
+  // A second release finds the attempt already claimed and schedules nothing more
+  t.mock.method(StudentQuizAttempt, 'find', () => ({ select: async () => [{ _id: attempt._id }] }));
+  t.mock.method(StudentQuizAttempt, 'findOneAndUpdate', async () => {
+    if (attempt.feedbackReleasedAt) return null;
+    attempt.feedbackReleasedAt = new Date();
+    return attempt;
+  });
+
+  assert.strictEqual(await StudentQuizAttempt.releaseFeedback({ course: attempt.course }, id()), 1);
+  assert.strictEqual(await StudentQuizAttempt.releaseFeedback({ course: attempt.course }, id()), 0);
+  assert.strictEqual(recorded.mock.callCount(), 1);
+});
@@ -0,0 +1,132 @@
+// Auto-grading for typed answers. Each grader returns a status of 'correct',
+// 'incorrect' or 'review'; 'review' means the answer is close enough that a
+// teacher should decide, and comes with a reason to show them.
+
+// Leading articles never change whether a short answer is right
+const ARTICLES = /^(a|an|the)\s+/;
+
+// Lower-case, strip accents and punctuation and collapse spaces; signed decimals are
+// kept whole so "-3.5" does not become "3 5"
+const normalizeAnswer = (text) => (String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2212\u2013]/g, '-')
+  .match(/-?\d+(?:\.\d+)?|[\p{L}\p{N}]+/gu) || [])
+  .join(' ')
+  .replace(ARTICLES, '');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed before an answer stops looking like a misspelling of the key
+const typoAllowance = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Grade a short answer against the accepted variants. Exact matches after normalising
+// are correct; near misses (a typo or two, or the answer wrapped in a sentence) go to review.
+const gradeShortAnswer = (response, acceptedAnswers = []) => {
+  const answer = normalizeAnswer(response);
+  if (!answer) return { status: 'incorrect' };
+
+  const accepted = acceptedAnswers.map(normalizeAnswer).filter(Boolean);
+  if (accepted.includes(answer)) return { status: 'correct' };
+
+  for (const variant of accepted) {
+    // Numbers and codes must match exactly; a "typo" there is a different answer
+    if (/\d/.test(variant)) continue;
+
+    if (editDistance(answer, variant) <= typoAllowance(variant.length)) {
+      return { status: 'review', reason: `Close to "${variant}"` };
+    }
+    if (` ${answer} `.includes(` ${variant} `)) {
+      return { status: 'review', reason: `Contains "${variant}"` };
+    }
+  }
+
+  return { status: 'incorrect' };
+};
+
+// Read a typed number with an optional unit, e.g. "-1,250.5 kg", "3e8 m/s" or "3/4".
+// Returns { value, unit } or null when the answer does not start with a number.
+const parseNumericAnswer = (response) => {
+  const text = String(response || '').trim().replace(/[\u2212\u2013]/g, '-');
+
+  const fraction = text.match(/^([+-]?\d+)\s*\/\s*(\d+)\s*(.*)$/);
+  if (fraction && Number(fraction[2]) !== 0) {
+    return { value: Number(fraction[1]) / Number(fraction[2]), unit: fraction[3].trim() };
+  }
+
+  const match = text.match(/^([+-]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?:e[+-]?\d+)?)\s*(.*)$/i);
+  if (!match || !/\d/.test(match[1])) return null;
+
+  const value = Number(match[1].replace(/,/g, ''));
+  return Number.isFinite(value) ? { value, unit: match[2].trim() } : null;
+};
+
+// Units are case-sensitive (mW vs MW), but spacing and a trailing full stop are not
+const normalizeUnit = (unit) => String(unit || '').replace(/\s+/g, '').replace(/\.$/, '');
+
+// Whether a value is inside the key's tolerance band, or its range when no exact value is set
+const isWithinKey = (value, key) => {
+  if (typeof key.value === 'number') {
+    // A small epsilon so 0.1 + 0.2 style rounding never marks a right answer wrong
+    return Math.abs(value - key.value) <= (key.tolerance || 0) + 1e-9 * Math.max(1, Math.abs(key.value));
+  }
+  return value >= key.min && value <= key.max;
+};
+
+// Grade a numeric answer against { value, tolerance } or { min, max }, checking the unit when
+// the key has one. Answers without a number, or with a value outside the key, are incorrect
+// whatever their unit. A right value with a missing or different unit goes to review, since the
+// teacher may want to accept it.
+const gradeNumeric = (response, key = {}) => {
+  const parsed = parseNumericAnswer(response);
+  if (!parsed || !isWithinKey(parsed.value, key)) return { status: 'incorrect' };
+
+  const expectedUnit = normalizeUnit(key.unit);
+  const givenUnit = normalizeUnit(parsed.unit);
+
+  if (expectedUnit) {
+    if (givenUnit === expectedUnit) return { status: 'correct' };
+    if (!givenUnit) return { status: 'review', reason: `Unit missing (expected ${key.unit})` };
+    if (givenUnit.toLowerCase() === expectedUnit.toLowerCase()) {
+      return { status: 'review', reason: `Unit written as "${parsed.unit}" (expected ${key.unit})` };
+    }
+    return { status: 'review', reason: `Different unit "${parsed.unit}" (expected ${key.unit})` };
+  }
+
+  if (givenUnit) {
+    return { status: 'review', reason: `Extra text after the number: "${parsed.unit}"` };
+  }
+  return { status: 'correct' };
+};
+
+// The numeric key as a teacher or student would read it, e.g. "9.81 ± 0.05 m/s^2"
+const describeNumericKey = (key = {}) => {
+  const unit = key.unit ? ` ${key.unit}` : '';
+  if (typeof key.value === 'number') {
+    return key.tolerance ? `${key.value} ± ${key.tolerance}${unit}` : `${key.value}${unit}`;
+  }
+  return `${key.min} to ${key.max}${unit}`;
+};
+
+module.exports = {
+  normalizeAnswer,
+  gradeShortAnswer,
+  parseNumericAnswer,
+  gradeNumeric,
+  describeNumericKey
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where question images are stored, relative to the backend root and as served
+const QUESTION_IMAGE_DIR = 'uploads/questions';
+const QUESTION_IMAGE_URL = /^\/uploads\/questions\/[\w-]+\.(png|jpe?g|gif|webp)$/;
+
+// Image formats accepted in questions, by MIME type. SVG is left out on purpose:
+// it can carry scripts and is served from the same origin.
+const QUESTION_IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Work out an image's real format from its first bytes; returns null for anything else
+const detectImageType = (buffer) => {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.subarray(0, 4).toString('ascii') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+// Check that an uploaded file really is the image type it claims to be
+const isValidImageFile = async (filePath, mimetype) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return detectImageType(buffer.subarray(0, bytesRead)) === QUESTION_IMAGE_TYPES[mimetype];
+  } finally {
+    await handle.close();
+  }
+};
+
+// Check that a URL sent with a question points at an image uploaded through the question pipeline
+const isUploadedQuestionImage = (url) =>
+  QUESTION_IMAGE_URL.test(url) && fs.existsSync(path.join(__dirname, '..', url));
+
+module.exports = {
+  QUESTION_IMAGE_DIR,
+  QUESTION_IMAGE_TYPES,
+  detectImageType,
+  isValidImageFile,
+  isUploadedQuestionImage
+};
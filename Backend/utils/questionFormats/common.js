@@ -0,0 +1,77 @@
+// Shared shape for questions moving in and out of question bank files:
+// { title, question, type, options: [{ text, isCorrect }], answers, scoringMethod,
+//   explanation, difficulty, tags, points, errors }
+// `type` is multiple-choice, multiple-select, true-false (two options) or
+// short-answer (accepted `answers`). Items that cannot be read carry `errors`.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// GIFT and Moodle XML have no difficulty field, so it travels as a tag
+const DIFFICULTY_TAG_PREFIX = 'difficulty:';
+
+const createItem = (fields = {}) => ({
+  title: '',
+  question: '',
+  type: 'multiple-choice',
+  options: [],
+  answers: [],
+  scoringMethod: 'all-or-nothing',
+  explanation: '',
+  difficulty: undefined,
+  tags: [],
+  points: undefined,
+  errors: [],
+  ...fields
+});
+
+// Split imported tags into plain tags and a difficulty
+const applyTags = (item, tags) => {
+  tags.map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+    const level = tag.toLowerCase().startsWith(DIFFICULTY_TAG_PREFIX)
+      ? tag.slice(DIFFICULTY_TAG_PREFIX.length).trim().toLowerCase()
+      : null;
+
+    if (level && DIFFICULTIES.includes(level)) item.difficulty = level;
+    else if (!item.tags.includes(tag)) item.tags.push(tag);
+  });
+  return item;
+};
+
+const exportTags = (item) => [
+  ...(item.tags || []),
+  ...(item.difficulty ? [`${DIFFICULTY_TAG_PREFIX}${item.difficulty}`] : [])
+];
+
+const toPercent = (fraction) => Math.round(fraction * 100 * 100000) / 100000;
+
+// Option weights as percentages, the way GIFT and Moodle XML express partial credit
+const optionFractions = (item) => {
+  const correctCount = item.options.filter(o => o.isCorrect).length;
+  const wrongCount = item.options.length - correctCount;
+
+  return item.options.map(option => {
+    if (item.type !== 'multiple-select') return option.isCorrect ? 100 : 0;
+    if (option.isCorrect) return toPercent(1 / correctCount);
+    if (item.scoringMethod === 'all-or-nothing') return -100;
+    if (item.scoringMethod === 'negative-marking') return -toPercent(1 / correctCount);
+    return -toPercent(1 / wrongCount);
+  });
+};
+
+// Guess the scoring method from option weights of a multiple-answer question
+const scoringFromFractions = (fractions) => {
+  const positive = fractions.find(f => f > 0);
+  const negatives = fractions.filter(f => f < 0);
+  if (!negatives.length) return 'proportional';
+  if (negatives.every(f => f <= -100)) return 'all-or-nothing';
+  return negatives.every(f => Math.abs(f + positive) < 0.01) ? 'negative-marking' : 'proportional';
+};
+
+module.exports = {
+  DIFFICULTIES,
+  createItem,
+  applyTags,
+  exportTags,
+  optionFractions,
+  scoringFromFractions
+};
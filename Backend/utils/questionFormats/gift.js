@@ -0,0 +1,213 @@
+const { createItem, applyTags, exportTags, optionFractions, scoringFromFractions } = require('./common');
+const { htmlToText } = require('./xml');
+
+// GIFT (Moodle's plain text format): https://docs.moodle.org/en/GIFT_format
+
+const SPECIAL_CHARS = /[~=#{}:]/g;
+
+const escapeGift = (text) => String(text || '').replace(/\\/g, '\\\\').replace(SPECIAL_CHARS, '\\$&').replace(/\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+// Index of the first occurrence of `token` that is not escaped with a backslash
+const indexOfUnescaped = (text, token, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(token, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Split an answer block into [{ marker, text }] at unescaped = and ~
+const splitAnswers = (block) => {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current) current.text += char + (block[i + 1] || '');
+      i++;
+    } else if ((char === '=' || char === '~') && block[i + 1] !== '>') {
+      current = { marker: char, text: '' };
+      answers.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+
+  return answers;
+};
+
+const parseAnswerBlock = (item, block) => {
+  const feedbackIndex = indexOfUnescaped(block, '####');
+  if (feedbackIndex !== -1) {
+    item.explanation = unescapeGift(block.slice(feedbackIndex + 4)).trim();
+    block = block.slice(0, feedbackIndex);
+  }
+
+  const trimmed = block.trim();
+
+  if (!trimmed) {
+    item.errors.push('Essay questions are not supported');
+    return;
+  }
+
+  if (trimmed.startsWith('#')) {
+    item.errors.push('Numerical questions are not supported');
+    return;
+  }
+
+  const trueFalse = trimmed.match(/^(TRUE|FALSE|T|F)\b/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    item.type = 'true-false';
+    item.options = [{ text: 'True', isCorrect: isTrue }, { text: 'False', isCorrect: !isTrue }];
+    return;
+  }
+
+  const answers = splitAnswers(trimmed).map(({ marker, text }) => {
+    const feedbackAt = indexOfUnescaped(text, '#');
+    let answerText = (feedbackAt === -1 ? text : text.slice(0, feedbackAt)).trim();
+    let weight = marker === '=' ? 100 : 0;
+
+    const weightMatch = answerText.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      answerText = answerText.slice(weightMatch[0].length).trim();
+    }
+
+    return { marker, text: unescapeGift(answerText), weight, raw: text };
+  });
+
+  if (!answers.length) {
+    item.errors.push('No answers found in answer block');
+    return;
+  }
+
+  if (answers.some(answer => indexOfUnescaped(answer.raw, '->') !== -1)) {
+    item.errors.push('Matching questions are not supported');
+    return;
+  }
+
+  if (answers.every(answer => answer.marker === '=')) {
+    item.type = 'short-answer';
+    item.answers = answers.filter(answer => answer.weight > 0).map(answer => answer.text);
+    return;
+  }
+
+  const correctCount = answers.filter(answer => answer.weight > 0).length;
+  const hasPartialWeights = answers.some(answer => answer.weight > 0 && answer.weight < 100);
+
+  item.options = answers.map(answer => ({ text: answer.text, isCorrect: answer.weight > 0 }));
+  if (correctCount > 1 || hasPartialWeights) {
+    item.type = 'multiple-select';
+    item.scoringMethod = scoringFromFractions(answers.map(answer => answer.weight));
+  }
+};
+
+const parseQuestion = (lines) => {
+  const item = createItem();
+  const comments = lines.filter(line => line.trim().startsWith('//'));
+  let body = lines.filter(line => !line.trim().startsWith('//')).join('\n').trim();
+
+  const tags = [];
+  comments.forEach(comment => {
+    const pattern = /\[tag:([^\]]+)\]/g;
+    let match;
+    while ((match = pattern.exec(comment))) tags.push(match[1]);
+
+    const pointsMatch = comment.match(/\[points:(\d+(?:\.\d+)?)\]/);
+    if (pointsMatch) item.points = parseFloat(pointsMatch[1]);
+  });
+  applyTags(item, tags);
+
+  if (body.startsWith('::')) {
+    const titleEnd = indexOfUnescaped(body, '::', 2);
+    if (titleEnd !== -1) {
+      item.title = unescapeGift(body.slice(2, titleEnd)).trim();
+      body = body.slice(titleEnd + 2).trim();
+    }
+  }
+
+  let isHtml = false;
+  const formatMatch = body.match(/^\[(html|plain|markdown|moodle)\]/i);
+  if (formatMatch) {
+    isHtml = formatMatch[1].toLowerCase() === 'html';
+    body = body.slice(formatMatch[0].length);
+  }
+
+  const open = indexOfUnescaped(body, '{');
+  const close = open === -1 ? -1 : indexOfUnescaped(body, '}', open);
+  if (open === -1 || close === -1) {
+    item.question = unescapeGift(body).trim();
+    item.errors.push('No answer block found (descriptions are not questions)');
+    return item;
+  }
+
+  const before = body.slice(0, open).trim();
+  const after = body.slice(close + 1).trim();
+  const stem = after ? `${before} _____ ${after}` : before;
+  item.question = unescapeGift(isHtml ? htmlToText(stem) : stem).trim();
+
+  parseAnswerBlock(item, body.slice(open + 1, close));
+
+  if (!item.question) item.errors.push('Question text is empty');
+
+  return item;
+};
+
+// Parse a GIFT file into question bank items
+const parseGift = (source) => {
+  const items = [];
+  let block = [];
+
+  const flush = () => {
+    const content = block.filter(line => !line.trim().startsWith('//'));
+    if (content.some(line => line.trim()) && !content.join('').trim().startsWith('$CATEGORY:')) {
+      items.push(parseQuestion(block));
+    }
+    block = [];
+  };
+
+  source.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    if (line.trim()) block.push(line);
+    else flush();
+  });
+  flush();
+
+  return items;
+};
+
+// Write question bank items as GIFT
+const toGift = (items) => items.map((item, index) => {
+  const lines = [];
+  // GIFT has no points field, so points travel in the same comment line as tags
+  const markers = exportTags(item).map(tag => `[tag:${tag}]`);
+  if (item.points !== undefined && item.points !== null) markers.push(`[points:${item.points}]`);
+  if (markers.length) lines.push(`// ${markers.join(' ')}`);
+
+  const title = escapeGift(item.title || `Question ${index + 1}`);
+  lines.push(`::${title}::${escapeGift(item.question)}{`);
+
+  if (item.type === 'true-false') {
+    lines.push(`\t${item.options[0] && item.options[0].isCorrect ? 'TRUE' : 'FALSE'}`);
+  } else if (item.type === 'short-answer') {
+    item.answers.forEach(answer => lines.push(`\t=${escapeGift(answer)}`));
+  } else if (item.type === 'multiple-select') {
+    const fractions = optionFractions(item);
+    item.options.forEach((option, i) => lines.push(`\t~%${fractions[i]}%${escapeGift(option.text)}`));
+  } else {
+    item.options.forEach(option => lines.push(`\t${option.isCorrect ? '=' : '~'}${escapeGift(option.text)}`));
+  }
+
+  if (item.explanation) lines.push(`\t####${escapeGift(item.explanation)}`);
+  lines.push('}');
+
+  return lines.join('\n');
+}).join('\n\n') + '\n';
+
+module.exports = { parseGift, toGift };
@@ -0,0 +1,45 @@
+const { parseGift, toGift } = require('./gift');
+const { parseMoodleXml, toMoodleXml } = require('./moodleXml');
+const { parseQti, toQtiPackage } = require('./qti');
+const { isZip } = require('./zip');
+
+// Question bank formats we can import and export
+const FORMATS = {
+  gift: {
+    label: 'GIFT',
+    extension: 'gift.txt',
+    contentType: 'text/plain; charset=utf-8',
+    parse: (buffer) => parseGift(buffer.toString('utf8')),
+    serialize: (items) => Buffer.from(toGift(items), 'utf8')
+  },
+  'moodle-xml': {
+    label: 'Moodle XML',
+    extension: 'xml',
+    contentType: 'application/xml; charset=utf-8',
+    parse: (buffer) => parseMoodleXml(buffer.toString('utf8')),
+    serialize: (items) => Buffer.from(toMoodleXml(items), 'utf8')
+  },
+  qti: {
+    label: 'IMS QTI 2.1',
+    extension: 'qti.zip',
+    contentType: 'application/zip',
+    parse: parseQti,
+    serialize: toQtiPackage
+  }
+};
+
+// Whether a requested format name is one of ours (and not something inherited, like 'constructor')
+const isFormat = (format) => typeof format === 'string' && Object.hasOwn(FORMATS, format);
+
+// Work out the format of an uploaded file from its contents
+const detectFormat = (buffer) => {
+  if (isZip(buffer)) return 'qti';
+
+  const head = buffer.subarray(0, 2048).toString('utf8');
+  if (/<quiz[\s>]/.test(head)) return 'moodle-xml';
+  if (/<assessmentItem[\s>]/.test(head)) return 'qti';
+  if (head.trim().startsWith('<')) return null;
+  return 'gift';
+};
+
+module.exports = { FORMATS, isFormat, detectFormat };
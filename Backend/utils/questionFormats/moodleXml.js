@@ -0,0 +1,126 @@
+const { createItem, applyTags, exportTags, optionFractions, scoringFromFractions } = require('./common');
+const { parseXml, escapeXml, child, children, htmlToText } = require('./xml');
+
+// Moodle XML: https://docs.moodle.org/en/Moodle_XML_format
+
+const SUPPORTED_TYPES = ['multichoice', 'truefalse', 'shortanswer'];
+
+// Text of a <text> child, converted from HTML when the element says so
+const readText = (node) => {
+  if (!node) return '';
+  const text = child(node, 'text');
+  const raw = text ? text.text : node.text;
+  return (node.attrs.format === 'html' || !node.attrs.format ? htmlToText(raw) : raw).trim();
+};
+
+const parseQuestion = (node) => {
+  const type = node.attrs.type;
+  const item = createItem({
+    title: readText(child(node, 'name')),
+    question: readText(child(node, 'questiontext')),
+    explanation: readText(child(node, 'generalfeedback'))
+  });
+
+  const grade = parseFloat(readText(child(node, 'defaultgrade')));
+  if (!Number.isNaN(grade) && grade > 0) item.points = grade;
+
+  const tagsNode = child(node, 'tags');
+  applyTags(item, children(tagsNode, 'tag').map(tag => readText(tag)));
+
+  if (!SUPPORTED_TYPES.includes(type)) {
+    item.errors.push(`Moodle question type "${type}" is not supported`);
+    return item;
+  }
+
+  const answers = children(node, 'answer').map(answer => ({
+    text: readText(answer),
+    fraction: parseFloat(answer.attrs.fraction) || 0
+  }));
+
+  if (type === 'truefalse') {
+    const correct = answers.find(answer => answer.fraction > 0);
+    const isTrue = !correct || correct.text.toLowerCase() === 'true';
+    item.type = 'true-false';
+    item.options = [{ text: 'True', isCorrect: isTrue }, { text: 'False', isCorrect: !isTrue }];
+  } else if (type === 'shortanswer') {
+    item.type = 'short-answer';
+    item.answers = answers.filter(answer => answer.fraction > 0).map(answer => answer.text);
+  } else {
+    const single = readText(child(node, 'single')).toLowerCase();
+    item.options = answers.map(answer => ({ text: answer.text, isCorrect: answer.fraction > 0 }));
+    if (single === 'false' || single === '0') {
+      item.type = 'multiple-select';
+      item.scoringMethod = scoringFromFractions(answers.map(answer => answer.fraction));
+    }
+  }
+
+  if (!item.question) item.errors.push('Question text is empty');
+
+  return item;
+};
+
+// Parse a Moodle XML export into question bank items (category entries are skipped)
+const parseMoodleXml = (source) => {
+  const root = parseXml(source);
+  if (root.name !== 'quiz') {
+    throw new Error('Moodle XML files must have a <quiz> root element');
+  }
+
+  return children(root, 'question')
+    .filter(node => node.attrs.type !== 'category')
+    .map(parseQuestion);
+};
+
+const textElement = (name, value, format) =>
+  `    <${name}${format ? ` format="${format}"` : ''}>\n      <text>${escapeXml(value)}</text>\n    </${name}>`;
+
+const exportQuestion = (item, index) => {
+  const lines = [];
+  const type = item.type === 'true-false' ? 'truefalse' : item.type === 'short-answer' ? 'shortanswer' : 'multichoice';
+
+  lines.push(`  <question type="${type}">`);
+  lines.push(`    <name>\n      <text>${escapeXml(item.title || `Question ${index + 1}`)}</text>\n    </name>`);
+  lines.push(textElement('questiontext', item.question, 'plain_text'));
+  lines.push(textElement('generalfeedback', item.explanation || '', 'plain_text'));
+  lines.push(`    <defaultgrade>${item.points || 1}</defaultgrade>`);
+
+  if (type === 'truefalse') {
+    const isTrue = item.options[0] && item.options[0].isCorrect;
+    lines.push(`    <answer fraction="${isTrue ? 100 : 0}" format="moodle_auto_format">\n      <text>true</text>\n    </answer>`);
+    lines.push(`    <answer fraction="${isTrue ? 0 : 100}" format="moodle_auto_format">\n      <text>false</text>\n    </answer>`);
+  } else if (type === 'shortanswer') {
+    lines.push('    <usecase>0</usecase>');
+    item.answers.forEach(answer => {
+      lines.push(`    <answer fraction="100" format="moodle_auto_format">\n      <text>${escapeXml(answer)}</text>\n    </answer>`);
+    });
+  } else {
+    const fractions = optionFractions(item);
+    lines.push(`    <single>${item.type === 'multiple-select' ? 'false' : 'true'}</single>`);
+    lines.push('    <shuffleanswers>true</shuffleanswers>');
+    lines.push('    <answernumbering>abc</answernumbering>');
+    item.options.forEach((option, i) => {
+      lines.push(`    <answer fraction="${fractions[i]}" format="plain_text">\n      <text>${escapeXml(option.text)}</text>\n    </answer>`);
+    });
+  }
+
+  const tags = exportTags(item);
+  if (tags.length) {
+    lines.push('    <tags>');
+    tags.forEach(tag => lines.push(`      <tag><text>${escapeXml(tag)}</text></tag>`));
+    lines.push('    </tags>');
+  }
+
+  lines.push('  </question>');
+  return lines.join('\n');
+};
+
+// Write question bank items as Moodle XML
+const toMoodleXml = (items) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<quiz>',
+  ...items.map(exportQuestion),
+  '</quiz>',
+  ''
+].join('\n');
+
+module.exports = { parseMoodleXml, toMoodleXml };
@@ -0,0 +1,299 @@
+const path = require('path');
+const { createItem } = require('./common');
+const { parseXml, escapeXml, child, children, find, findAll, textContent } = require('./xml');
+const { isZip, readZip, createZip } = require('./zip');
+
+// IMS QTI 2.1 items, exported as a content package (zip with imsmanifest.xml).
+// Tags and difficulty live in the manifest's IEEE LOM metadata for each item.
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const ITEM_RESOURCE_TYPE = 'imsqti_item_xmlv2p1';
+
+// LOM difficulty vocabulary has five levels; ours has three
+const LOM_DIFFICULTY = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+const FROM_LOM_DIFFICULTY = { 'very easy': 'easy', easy: 'easy', medium: 'medium', difficult: 'hard', 'very difficult': 'hard' };
+
+const isTrueFalse = (choices) => choices.length === 2 &&
+  choices.map(choice => choice.text.toLowerCase()).sort().join() === 'false,true';
+
+// Question text is everything in the item body except the interactions themselves
+const bodyText = (node) => node.children.map(item => {
+  if (typeof item === 'string') return item;
+  if (item.name.endsWith('Interaction')) {
+    const prompt = child(item, 'prompt');
+    return prompt ? ` ${textContent(prompt)} ` : ' _____ ';
+  }
+  return ` ${bodyText(item)} `;
+}).join('').replace(/\s+/g, ' ').trim();
+
+const parseItem = (root, metadata = {}) => {
+  const item = createItem({
+    title: root.attrs.title || root.attrs.identifier || '',
+    difficulty: metadata.difficulty,
+    tags: metadata.tags || []
+  });
+
+  const itemBody = child(root, 'itemBody');
+  item.question = itemBody ? bodyText(itemBody).replace(/(\s*_____\s*)+$/, '').trim() : '';
+
+  const feedback = children(root, 'modalFeedback').map(textContent).filter(Boolean);
+  item.explanation = feedback.join('\n');
+
+  const maxScore = children(root, 'outcomeDeclaration').find(o => o.attrs.identifier === 'MAXSCORE');
+  const points = maxScore ? parseFloat(textContent(find(maxScore, 'value'))) : NaN;
+  if (!Number.isNaN(points) && points > 0) item.points = points;
+
+  const choiceInteraction = itemBody && find(itemBody, 'choiceInteraction');
+  const textInteraction = itemBody && find(itemBody, 'textEntryInteraction');
+  const interaction = choiceInteraction || textInteraction;
+
+  if (!interaction) {
+    item.errors.push('Only choice and text entry interactions are supported');
+    return item;
+  }
+
+  const declaration = children(root, 'responseDeclaration')
+    .find(d => d.attrs.identifier === interaction.attrs.responseIdentifier);
+  if (!declaration) {
+    item.errors.push('Missing response declaration for the interaction');
+    return item;
+  }
+
+  const correctValues = findAll(child(declaration, 'correctResponse'), 'value').map(textContent);
+  const mapping = child(declaration, 'mapping');
+  const mapEntries = children(mapping, 'mapEntry');
+
+  if (textInteraction && !choiceInteraction) {
+    item.type = 'short-answer';
+    const mapped = mapEntries.filter(entry => parseFloat(entry.attrs.mappedValue) > 0).map(entry => entry.attrs.mapKey);
+    item.answers = [...new Set([...correctValues, ...mapped])];
+    return item;
+  }
+
+  const choices = children(choiceInteraction, 'simpleChoice').map(choice => ({
+    identifier: choice.attrs.identifier,
+    text: textContent(choice)
+  }));
+  item.options = choices.map(choice => ({
+    text: choice.text,
+    isCorrect: correctValues.includes(choice.identifier)
+  }));
+
+  if (declaration.attrs.cardinality === 'single') {
+    item.type = isTrueFalse(choices) ? 'true-false' : 'multiple-choice';
+  } else {
+    item.type = 'multiple-select';
+    const lowerBound = mapping ? parseFloat(mapping.attrs.lowerBound) : NaN;
+    if (!mapping) item.scoringMethod = 'all-or-nothing';
+    else item.scoringMethod = lowerBound < 0 ? 'negative-marking' : 'proportional';
+  }
+
+  return item;
+};
+
+// Tags and difficulty from a manifest resource's LOM metadata
+const readResourceMetadata = (resource) => {
+  const lom = find(resource, 'lom');
+  if (!lom) return {};
+
+  const tags = findAll(find(lom, 'general'), 'keyword').map(keyword => textContent(keyword)).filter(Boolean);
+  const difficultyNode = find(find(lom, 'educational'), 'difficulty');
+  const level = difficultyNode ? textContent(child(difficultyNode, 'value')).toLowerCase() : '';
+
+  return { tags, difficulty: FROM_LOM_DIFFICULTY[level] };
+};
+
+const parseItemXml = (source, metadata) => {
+  const root = parseXml(source);
+  if (root.name !== 'assessmentItem') {
+    throw new Error('QTI files must contain an <assessmentItem>');
+  }
+  return parseItem(root, metadata);
+};
+
+// Parse a QTI 2.1 item file or content package (zip) into question bank items
+const parseQti = (buffer) => {
+  if (!isZip(buffer)) {
+    return [parseItemXml(buffer.toString('utf8'))];
+  }
+
+  // Only the manifest and the item files it lists are inflated
+  const files = new Map(readZip(buffer).map(entry => [entry.name, entry]));
+  const manifestEntry = files.get('imsmanifest.xml');
+  if (!manifestEntry) throw new Error('Content package has no imsmanifest.xml');
+
+  const manifest = parseXml(manifestEntry.read().toString('utf8'));
+  const resources = findAll(manifest, 'resource')
+    .filter(resource => (resource.attrs.type || '').startsWith('imsqti_item'));
+
+  return resources.map(resource => {
+    const href = path.posix.normalize(resource.attrs.href || '');
+    const entry = files.get(href);
+    if (!entry) {
+      return createItem({ title: resource.attrs.identifier, errors: [`Missing item file ${href}`] });
+    }
+
+    const data = entry.read();
+    try {
+      return parseItemXml(data.toString('utf8'), readResourceMetadata(resource));
+    } catch (error) {
+      return createItem({ title: resource.attrs.identifier, errors: [`Invalid item XML: ${error.message}`] });
+    }
+  });
+};
+
+const responseProcessing = (scoreExpression) => [
+  '  <responseProcessing>',
+  '    <responseCondition>',
+  '      <responseIf>',
+  '        <isNull><variable identifier="RESPONSE"/></isNull>',
+  '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>',
+  '      </responseIf>',
+  '      <responseElse>',
+  `        ${scoreExpression}`,
+  '      </responseElse>',
+  '    </responseCondition>',
+  '    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>',
+  '  </responseProcessing>'
+].join('\n');
+
+const mappedScore = '<setOutcomeValue identifier="SCORE"><product><mapResponse identifier="RESPONSE"/><variable identifier="MAXSCORE"/></product></setOutcomeValue>';
+
+const exportItem = (item, identifier) => {
+  const points = item.points || 1;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(item.title || identifier)}" adaptive="false" timeDependent="false">`
+  ];
+
+  let interaction;
+  let scoring;
+
+  if (item.type === 'short-answer') {
+    lines.push('  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">');
+    lines.push(`    <correctResponse><value>${escapeXml(item.answers[0] || '')}</value></correctResponse>`);
+    lines.push('    <mapping defaultValue="0" lowerBound="0" upperBound="1">');
+    item.answers.forEach(answer => {
+      lines.push(`      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`);
+    });
+    lines.push('    </mapping>');
+    lines.push('  </responseDeclaration>');
+    interaction = '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>';
+    scoring = mappedScore;
+  } else {
+    const multiple = item.type === 'multiple-select';
+    const correctCount = item.options.filter(o => o.isCorrect).length;
+    const wrongCount = item.options.length - correctCount;
+
+    lines.push(`  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`);
+    lines.push('    <correctResponse>');
+    item.options.forEach((option, i) => {
+      if (option.isCorrect) lines.push(`      <value>CHOICE_${i}</value>`);
+    });
+    lines.push('    </correctResponse>');
+
+    if (multiple && item.scoringMethod !== 'all-or-nothing') {
+      const penalty = item.scoringMethod === 'negative-marking' ? 1 / correctCount : 1 / Math.max(wrongCount, 1);
+      lines.push(`    <mapping defaultValue="0" lowerBound="${item.scoringMethod === 'negative-marking' ? -1 : 0}" upperBound="1">`);
+      item.options.forEach((option, i) => {
+        const value = option.isCorrect ? 1 / correctCount : -penalty;
+        lines.push(`      <mapEntry mapKey="CHOICE_${i}" mappedValue="${Math.round(value * 100000) / 100000}"/>`);
+      });
+      lines.push('    </mapping>');
+      scoring = mappedScore;
+    } else {
+      scoring = '<responseCondition><responseIf><match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match><setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue></responseIf></responseCondition>';
+    }
+    lines.push('  </responseDeclaration>');
+
+    const choices = item.options.map((option, i) =>
+      `      <simpleChoice identifier="CHOICE_${i}">${escapeXml(option.text)}</simpleChoice>`
+    );
+    interaction = [
+      `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${multiple ? 0 : 1}">`,
+      ...choices,
+      '    </choiceInteraction>'
+    ].join('\n');
+  }
+
+  lines.push('  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">');
+  lines.push('    <defaultValue><value>0</value></defaultValue>');
+  lines.push('  </outcomeDeclaration>');
+  lines.push('  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">');
+  lines.push(`    <defaultValue><value>${points}</value></defaultValue>`);
+  lines.push('  </outcomeDeclaration>');
+  lines.push('  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>');
+  lines.push('  <itemBody>');
+  lines.push(`    <p>${escapeXml(item.question)}</p>`);
+  lines.push(interaction);
+  lines.push('  </itemBody>');
+  lines.push(responseProcessing(scoring));
+  if (item.explanation) {
+    lines.push(`  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(item.explanation)}</modalFeedback>`);
+  }
+  lines.push('</assessmentItem>', '');
+
+  return lines.join('\n');
+};
+
+const resourceMetadata = (item) => {
+  const keywords = (item.tags || []).map(tag =>
+    `              <imsmd:keyword><imsmd:string>${escapeXml(tag)}</imsmd:string></imsmd:keyword>`
+  );
+  const difficulty = item.difficulty ? [
+    '            <imsmd:educational>',
+    '              <imsmd:difficulty>',
+    '                <imsmd:source>LOMv1.0</imsmd:source>',
+    `                <imsmd:value>${LOM_DIFFICULTY[item.difficulty]}</imsmd:value>`,
+    '              </imsmd:difficulty>',
+    '            </imsmd:educational>'
+  ] : [];
+
+  return [
+    '        <metadata>',
+    '          <imsmd:lom>',
+    '            <imsmd:general>',
+    `              <imsmd:title><imsmd:string>${escapeXml(item.title || item.question.slice(0, 60))}</imsmd:string></imsmd:title>`,
+    ...keywords,
+    '            </imsmd:general>',
+    ...difficulty,
+    '          </imsmd:lom>',
+    '        </metadata>'
+  ].join('\n');
+};
+
+// Write question bank items as a QTI 2.1 content package (zip buffer)
+const toQtiPackage = (items) => {
+  const files = [];
+  const resources = items.map((item, index) => {
+    const identifier = `ITEM_${index + 1}`;
+    const href = `items/${identifier}.xml`;
+    files.push({ name: href, data: exportItem(item, identifier) });
+
+    return [
+      `    <resource identifier="${identifier}" type="${ITEM_RESOURCE_TYPE}" href="${href}">`,
+      resourceMetadata(item),
+      `      <file href="${href}"/>`,
+      '    </resource>'
+    ].join('\n');
+  });
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="MANIFEST_QUESTION_BANK">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    ...resources,
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+
+  return createZip([{ name: 'imsmanifest.xml', data: manifest }, ...files]);
+};
+
+module.exports = { parseQti, toQtiPackage };
@@ -0,0 +1,166 @@
+// Minimal XML reader/writer for question bank files (Moodle XML, QTI).
+// Elements are parsed into { name, attrs, children, text } where name has its
+// namespace prefix removed so that `imsmd:keyword` and `keyword` match alike.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+});
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attrs[localName(match[1])] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attrs;
+};
+
+// Parse an XML document and return its root element; throws on malformed markup
+const parseXml = (source) => {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  let pos = 0;
+
+  const appendText = (text) => {
+    if (!text) return;
+    const parent = stack[stack.length - 1];
+    parent.children.push(text);
+    parent.text += text;
+  };
+
+  while (pos < source.length) {
+    const next = source.indexOf('<', pos);
+    if (next === -1) {
+      appendText(decodeEntities(source.slice(pos)));
+      break;
+    }
+    appendText(decodeEntities(source.slice(pos, next)));
+
+    if (source.startsWith('<!--', next)) {
+      const end = source.indexOf('-->', next);
+      if (end === -1) throw new Error('Unterminated comment');
+      pos = end + 3;
+    } else if (source.startsWith('<![CDATA[', next)) {
+      const end = source.indexOf(']]>', next);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      appendText(source.slice(next + 9, end));
+      pos = end + 3;
+    } else if (source.startsWith('<?', next)) {
+      const end = source.indexOf('?>', next);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      pos = end + 2;
+    } else if (source.startsWith('<!', next)) {
+      const end = source.indexOf('>', next);
+      if (end === -1) throw new Error('Unterminated declaration');
+      pos = end + 1;
+    } else if (source[next + 1] === '/') {
+      const end = source.indexOf('>', next);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = localName(source.slice(next + 2, end).trim());
+      const element = stack.pop();
+      if (!element || element.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      pos = end + 1;
+    } else {
+      const end = source.indexOf('>', next);
+      if (end === -1) throw new Error('Unterminated tag');
+      const selfClosing = source[end - 1] === '/';
+      const body = source.slice(next + 1, selfClosing ? end - 1 : end);
+      const nameMatch = body.match(/^[\w:.-]+/);
+      if (!nameMatch) throw new Error('Invalid tag');
+
+      const element = {
+        name: localName(nameMatch[0]),
+        attrs: parseAttributes(body.slice(nameMatch[0].length)),
+        children: [],
+        text: ''
+      };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+      pos = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag for <${stack[stack.length - 1].name}>`);
+  }
+
+  const documentElement = root.children.find(node => typeof node === 'object');
+  if (!documentElement) throw new Error('Document has no root element');
+  return documentElement;
+};
+
+const children = (node, name) => (node ? node.children.filter(child => typeof child === 'object' && child.name === name) : []);
+
+const child = (node, name) => children(node, name)[0];
+
+// First descendant with the given name, depth first
+const find = (node, name) => {
+  if (!node || typeof node !== 'object') return undefined;
+  for (const item of node.children) {
+    if (typeof item !== 'object') continue;
+    if (item.name === name) return item;
+    const found = find(item, name);
+    if (found) return found;
+  }
+  return undefined;
+};
+
+const findAll = (node, name, results = []) => {
+  if (!node || typeof node !== 'object') return results;
+  node.children.forEach(item => {
+    if (typeof item !== 'object') return;
+    if (item.name === name) results.push(item);
+    findAll(item, name, results);
+  });
+  return results;
+};
+
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'br', 'li', 'ul', 'ol', 'table', 'tr', 'td', 'h1', 'h2', 'h3', 'h4', 'prompt']);
+
+// All text inside an element, with block-level elements separated by spaces
+const textContent = (node) => {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  const text = node.children.map(item => {
+    const inner = textContent(item);
+    return typeof item === 'object' && BLOCK_ELEMENTS.has(item.name) ? ` ${inner} ` : inner;
+  }).join('');
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+// Plain text from an HTML fragment (Moodle stores question text as HTML)
+const htmlToText = (html) => decodeEntities(String(html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t\u00a0]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+module.exports = {
+  parseXml,
+  escapeXml,
+  children,
+  child,
+  find,
+  findAll,
+  textContent,
+  htmlToText
+};
@@ -0,0 +1,73 @@
+// Near-duplicate detection for short questions using character shingles.
+// Three-character shingles over the normalised words survive rewording
+// ("What's the capital..." vs "Which city is the capital...") far better
+// than whole-word matching on texts this short.
+
+const SHINGLE_SIZE = 3;
+
+// Filler words carry no meaning for duplicate detection
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'does', 'do', 'for', 'from', 'has', 'how',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 's', 'that', 'the', 'this', 'to', 'was', 'were',
+  'what', 'which', 'who', 'with'
+]);
+
+// The stem matters most: distractors are often shared between unrelated questions
+const STEM_WEIGHT = 0.75;
+const OPTIONS_WEIGHT = 0.25;
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token && !STOP_WORDS.has(token));
+
+const shingles = (words) => {
+  const text = ` ${words.join(' ')} `;
+  const result = new Set();
+  for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+    result.add(text.slice(i, i + SHINGLE_SIZE));
+  }
+  return result;
+};
+
+const jaccard = (a, b) => {
+  if (!a.size && !b.size) return 0;
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// Shingle sets for a question: { question, options: [String] }
+const fingerprint = ({ question, options = [] }) => ({
+  stem: shingles(tokenize(question)),
+  // Options are sorted so that reordering them does not hide a copy
+  options: shingles(options.flatMap(tokenize).sort())
+});
+
+// Similarity between 0 and 1 of two fingerprints
+const similarity = (a, b) => {
+  const stemScore = jaccard(a.stem, b.stem);
+  if (!a.options.size || !b.options.size) return stemScore;
+  return STEM_WEIGHT * stemScore + OPTIONS_WEIGHT * jaccard(a.options, b.options);
+};
+
+// Score `target` against every document; returns [{ id, similarity }] at or above
+// the threshold, most similar first. Documents are { id, question, options }.
+const findSimilar = (target, documents, { threshold = 0.5, limit = 5 } = {}) => {
+  const targetPrint = fingerprint(target);
+
+  return documents
+    .map(document => ({
+      id: document.id,
+      similarity: Math.round(similarity(targetPrint, fingerprint(document)) * 100) / 100
+    }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+module.exports = { findSimilar };
@@ -14,6 +14,10 @@ import SubmissionManagement from './components/SubmissionManagement';
 import TeacherSubmissionManagement from './components/TeacherSubmissionManagement';
 import AssignmentManagement from './components/AssignmentManagement';
 import StudentAssignmentView from './components/StudentAssignmentView';
+import StudentAccommodations from './components/StudentAccommodations';
+import RubricManagement from './components/RubricManagement';
+import StudentPeerReview from './components/StudentPeerReview';
+import PeerReviewResults from './components/PeerReviewResults';
 import StudentQA from './components/StudentQA';
 import TeacherQA from './components/TeacherQA';
 import Announcements from './components/Announcements';
@@ -23,6 +27,14 @@ import StudentQuizResults from './components/StudentQuizResults';
 import StudentQuestionManagement from './components/StudentQuestionManagement';
 import TeacherQuestionReview from './components/TeacherQuestionReview';
 import TeacherQuizGrading from './components/TeacherQuizGrading';
+import QuestionBankTransfer from './components/QuestionBankTransfer';
+import QuizBlueprints from './components/QuizBlueprints';
+import QuestionContributions from './components/QuestionContributions';
+import QuizManagement from './components/QuizManagement';
+import StudentQuizzes from './components/StudentQuizzes';
+import StudentQuizTaking from './components/StudentQuizTaking';
+import StudentQuizAttemptResults from './components/StudentQuizAttemptResults';
+import StudentReviewSession from './components/StudentReviewSession';
 import ProtectedRoute from './components/ProtectedRoute';
 
 function App() {
@@ -98,6 +110,22 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/peer-reviews/:assignmentId" 
+              element={
+                <ProtectedRoute>
+                  <StudentPeerReview />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/teacher/peer-reviews/:assignmentId" 
+              element={
+                <ProtectedRoute>
+                  <PeerReviewResults />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/assignments/course/:courseId" 
               element={
@@ -114,6 +142,22 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/teacher/accommodations/course/:courseId" 
+              element={
+                <ProtectedRoute>
+                  <StudentAccommodations />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/teacher/rubrics/course/:courseId" 
+              element={
+                <ProtectedRoute>
+                  <RubricManagement />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/qa/course/:courseId" 
               element={
@@ -163,6 +207,14 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/student/review" 
+              element={
+                <ProtectedRoute>
+                  <StudentReviewSession />
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/student/questions" 
               element={
@@ -188,6 +240,63 @@ function App() {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/teacher/question-bank" 
+              element={
+                <ProtectedRoute>
+                  <QuestionBankTransfer />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/teacher/quiz-blueprints" 
+              element={
+                <ProtectedRoute>
+                  <QuizBlueprints />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/contributions" 
+              element={
+                <ProtectedRoute>
+                  <QuestionContributions />
+                </ProtectedRoute>
+              } 
+            />
+            {/* Teacher-authored Quiz Routes */}
+            <Route 
+              path="/quizzes/course/:courseId" 
+              element={
+                <ProtectedRoute>
+                  <QuizManagement />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/student/quizzes/course/:courseId" 
+              element={
+                <ProtectedRoute>
+                  <StudentQuizzes />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/student/quizzes/:quizId/take" 
+              element={
+                <ProtectedRoute>
+                  <StudentQuizTaking />
+                </ProtectedRoute>
+              } 
+            />
+            <Route 
+              path="/student/quiz-attempts/:attemptId" 
+              element={
+                <ProtectedRoute>
+                  <StudentQuizAttemptResults />
+                </ProtectedRoute>
+              } 
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
           </Routes>
         </main>
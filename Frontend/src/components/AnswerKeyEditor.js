@@ -0,0 +1,224 @@
+import React from 'react';
+
+// Question types answered by typing rather than picking options
+export const TYPED_QUESTION_TYPES = ['short-answer', 'numeric'];
+
+export const isTypedQuestion = (question) => TYPED_QUESTION_TYPES.includes(question?.type);
+
+export const EMPTY_NUMERIC_ANSWER = { mode: 'value', value: '', tolerance: '', min: '', max: '', unit: '' };
+
+// Turn a saved numeric key into editor fields
+export const toNumericAnswerForm = (numericAnswer) => {
+  if (!numericAnswer) return EMPTY_NUMERIC_ANSWER;
+  const hasValue = typeof numericAnswer.value === 'number';
+  const field = value => (typeof value === 'number' ? String(value) : '');
+
+  return {
+    mode: hasValue ? 'value' : 'range',
+    value: field(numericAnswer.value),
+    tolerance: hasValue && numericAnswer.tolerance ? String(numericAnswer.tolerance) : '',
+    min: field(numericAnswer.min),
+    max: field(numericAnswer.max),
+    unit: numericAnswer.unit || ''
+  };
+};
+
+// The answer key fields to send for a question, without the editor-only mode
+export const toAnswerKeyPayload = ({ type, acceptedAnswers, numericAnswer }) => {
+  if (type === 'short-answer') {
+    return { acceptedAnswers: acceptedAnswers.map(answer => answer.trim()).filter(Boolean) };
+  }
+  if (type === 'numeric') {
+    const { mode, ...key } = numericAnswer;
+    return {
+      numericAnswer: mode === 'range'
+        ? { min: key.min, max: key.max, unit: key.unit }
+        : { value: key.value, tolerance: key.tolerance, unit: key.unit }
+    };
+  }
+  return {};
+};
+
+// Check a typed question's key before it is sent; returns an error message or ''
+export const getAnswerKeyError = ({ type, acceptedAnswers, numericAnswer }) => {
+  if (type === 'short-answer' && !acceptedAnswers.some(answer => answer.trim())) {
+    return 'Add at least one accepted answer';
+  }
+
+  if (type === 'numeric') {
+    const isNumber = value => value !== '' && !Number.isNaN(Number(value));
+    if (numericAnswer.mode === 'range') {
+      if (!isNumber(numericAnswer.min) || !isNumber(numericAnswer.max)) return 'Enter the lowest and highest accepted values';
+      if (Number(numericAnswer.min) > Number(numericAnswer.max)) return 'The lowest value cannot be above the highest';
+    } else {
+      if (!isNumber(numericAnswer.value)) return 'Enter the correct value';
+      if (numericAnswer.tolerance !== '' && !(Number(numericAnswer.tolerance) >= 0)) return 'Tolerance must be zero or more';
+    }
+  }
+
+  return '';
+};
+
+// A typed question's key as text, e.g. "9.81 ± 0.05 m/s^2" or "Paris / paris, france"
+export const describeAnswerKey = (question) => {
+  if (question?.type === 'short-answer') return (question.acceptedAnswers || []).join(' / ');
+  if (question?.type === 'numeric' && question.numericAnswer) {
+    const { value, tolerance, min, max, unit } = question.numericAnswer;
+    const suffix = unit ? ` ${unit}` : '';
+    if (value !== undefined && value !== null && value !== '') return tolerance ? `${value} ± ${tolerance}${suffix}` : `${value}${suffix}`;
+    return `${min} to ${max}${suffix}`;
+  }
+  return '';
+};
+
+// Answer key fields for typed questions: every accepted wording of a short answer, or a
+// numeric value with a tolerance (or a range) and an optional unit
+const AnswerKeyEditor = ({ type, acceptedAnswers, numericAnswer, onChange }) => {
+  if (type === 'short-answer') {
+    const updateAnswer = (index, value) => {
+      onChange('acceptedAnswers', acceptedAnswers.map((answer, i) => (i === index ? value : answer)));
+    };
+
+    return (
+      <div>
+        <p className="text-sm text-gray-500 mb-3">
+          Capitals, accents, punctuation and a leading "a"/"the" are ignored. Answers that are close
+          but not exact, such as a misspelling, are sent to your teacher to mark.
+        </p>
+        <div className="space-y-2">
+          {acceptedAnswers.map((answer, index) => (
+            <div key={index} className="flex items-center space-x-3">
+              <input
+                type="text"
+                value={answer}
+                onChange={(e) => updateAnswer(index, e.target.value)}
+                placeholder={index === 0 ? 'Accepted answer' : 'Another accepted wording'}
+                className="form-input flex-1"
+              />
+              {acceptedAnswers.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => onChange('acceptedAnswers', acceptedAnswers.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800"
+                  title="Remove"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        {acceptedAnswers.length < 10 && (
+          <button
+            type="button"
+            onClick={() => onChange('acceptedAnswers', [...acceptedAnswers, ''])}
+            className="mt-3 text-primary-600 hover:text-primary-800 font-medium"
+          >
+            + Add Accepted Answer
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const updateNumeric = (field, value) => onChange('numericAnswer', { ...numericAnswer, [field]: value });
+
+  const setMode = (mode) => {
+    onChange('numericAnswer', mode === 'range'
+      ? { ...numericAnswer, mode, value: '', tolerance: '' }
+      : { ...numericAnswer, mode, min: '', max: '' });
+  };
+
+  return (
+    <div>
+      <div className="flex space-x-6 mb-3 text-sm text-gray-700">
+        <label className="flex items-center">
+          <input
+            type="radio"
+            checked={numericAnswer.mode !== 'range'}
+            onChange={() => setMode('value')}
+            className="mr-2"
+          />
+          Exact value (± tolerance)
+        </label>
+        <label className="flex items-center">
+          <input
+            type="radio"
+            checked={numericAnswer.mode === 'range'}
+            onChange={() => setMode('range')}
+            className="mr-2"
+          />
+          Range
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {numericAnswer.mode === 'range' ? (
+          <>
+            <div>
+              <label className="form-label">Lowest accepted</label>
+              <input
+                type="number"
+                step="any"
+                value={numericAnswer.min}
+                onChange={(e) => updateNumeric('min', e.target.value)}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Highest accepted</label>
+              <input
+                type="number"
+                step="any"
+                value={numericAnswer.max}
+                onChange={(e) => updateNumeric('max', e.target.value)}
+                className="form-input"
+              />
+            </div>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className="form-label">Correct value</label>
+              <input
+                type="number"
+                step="any"
+                value={numericAnswer.value}
+                onChange={(e) => updateNumeric('value', e.target.value)}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Tolerance (±)</label>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={numericAnswer.tolerance}
+                onChange={(e) => updateNumeric('tolerance', e.target.value)}
+                className="form-input"
+                placeholder="0"
+              />
+            </div>
+          </>
+        )}
+        <div>
+          <label className="form-label">Unit (optional)</label>
+          <input
+            type="text"
+            value={numericAnswer.unit}
+            onChange={(e) => updateNumeric('unit', e.target.value)}
+            className="form-input"
+            placeholder="e.g. m/s^2"
+          />
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mt-2">
+        With a unit, students must type it after the number. A right number with a missing or
+        different unit is sent to your teacher to mark.
+      </p>
+    </div>
+  );
+};
+
+export default AnswerKeyEditor;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
@@ -10,6 +10,7 @@ const AssignmentManagement = () => {
   const { user } = useAuth();
   const [course, setCourse] = useState(null);
   const [assignments, setAssignments] = useState([]);
+  const [rubrics, setRubrics] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [editingAssignment, setEditingAssignment] = useState(null);
@@ -22,10 +23,17 @@ const AssignmentManagement = () => {
     maxPoints: 100,
     allowLateSubmission: false,
     latePenalty: 0,
+    latePenaltyType: 'flat',
+    latePenaltyCap: 100,
+    lateGraceHours: 0,
     submissionType: 'both',
     allowResubmission: true,
     maxResubmissions: 3,
-    resubmissionDeadline: ''
+    resubmissionDeadline: '',
+    rubric: '',
+    peerReviewEnabled: false,
+    peerReviewsPerStudent: 2,
+    peerReviewDeadline: ''
   });
   const [files, setFiles] = useState([]);
   const [dragActive, setDragActive] = useState(false);
@@ -45,6 +53,10 @@ const AssignmentManagement = () => {
       // Fetch assignments for this course
       const assignmentsResponse = await axios.get(`/api/assignments/course/${courseId}`);
       setAssignments(assignmentsResponse.data.assignments);
+
+      // Fetch rubrics that can be attached to this course's assignments
+      const rubricsResponse = await axios.get('/api/rubrics', { params: { courseId } });
+      setRubrics(rubricsResponse.data.rubrics);
     } catch (error) {
       console.error('Error fetching data:', error);
       toast.error('Failed to load course data');
@@ -113,12 +125,20 @@ const AssignmentManagement = () => {
     try {
       setLoading(true);
       
+      const { peerReviewEnabled, peerReviewsPerStudent, peerReviewDeadline, ...assignmentFields } = formData;
       const assignmentData = {
-        ...formData,
+        ...assignmentFields,
         course: courseId,
         maxPoints: parseInt(formData.maxPoints),
         latePenalty: parseFloat(formData.latePenalty),
-        maxResubmissions: parseInt(formData.maxResubmissions)
+        latePenaltyCap: parseFloat(formData.latePenaltyCap),
+        lateGraceHours: parseFloat(formData.lateGraceHours),
+        maxResubmissions: parseInt(formData.maxResubmissions),
+        peerReview: {
+          enabled: peerReviewEnabled,
+          reviewsPerStudent: parseInt(peerReviewsPerStudent),
+          reviewDeadline: peerReviewEnabled && peerReviewDeadline ? peerReviewDeadline : ''
+        }
       };
 
       let response;
@@ -154,10 +174,17 @@ const AssignmentManagement = () => {
         maxPoints: 100,
         allowLateSubmission: false,
         latePenalty: 0,
+        latePenaltyType: 'flat',
+        latePenaltyCap: 100,
+        lateGraceHours: 0,
         submissionType: 'both',
         allowResubmission: true,
         maxResubmissions: 3,
-        resubmissionDeadline: ''
+        resubmissionDeadline: '',
+        rubric: '',
+        peerReviewEnabled: false,
+        peerReviewsPerStudent: 2,
+        peerReviewDeadline: ''
       });
       setFiles([]);
       
@@ -180,10 +207,17 @@ const AssignmentManagement = () => {
       maxPoints: assignment.maxPoints,
       allowLateSubmission: assignment.allowLateSubmission,
       latePenalty: assignment.latePenalty,
+      latePenaltyType: assignment.latePenaltyType || 'flat',
+      latePenaltyCap: assignment.latePenaltyCap ?? 100,
+      lateGraceHours: assignment.lateGraceHours || 0,
       submissionType: assignment.submissionType,
       allowResubmission: assignment.allowResubmission,
       maxResubmissions: assignment.maxResubmissions,
-      resubmissionDeadline: assignment.resubmissionDeadline ? assignment.resubmissionDeadline.split('T')[0] + 'T' + assignment.resubmissionDeadline.split('T')[1].substring(0, 5) : ''
+      resubmissionDeadline: assignment.resubmissionDeadline ? assignment.resubmissionDeadline.split('T')[0] + 'T' + assignment.resubmissionDeadline.split('T')[1].substring(0, 5) : '',
+      rubric: assignment.rubric?._id || assignment.rubric || '',
+      peerReviewEnabled: !!assignment.peerReview?.enabled,
+      peerReviewsPerStudent: assignment.peerReview?.reviewsPerStudent || 2,
+      peerReviewDeadline: assignment.peerReview?.reviewDeadline ? assignment.peerReview.reviewDeadline.split('T')[0] + 'T' + assignment.peerReview.reviewDeadline.split('T')[1].substring(0, 5) : ''
     });
     setShowCreateForm(true);
   };
@@ -314,10 +348,17 @@ const AssignmentManagement = () => {
                     maxPoints: 100,
                     allowLateSubmission: false,
                     latePenalty: 0,
+                    latePenaltyType: 'flat',
+                    latePenaltyCap: 100,
+                    lateGraceHours: 0,
                     submissionType: 'both',
                     allowResubmission: true,
                     maxResubmissions: 3,
-                    resubmissionDeadline: ''
+                    resubmissionDeadline: '',
+                    rubric: '',
+                    peerReviewEnabled: false,
+                    peerReviewsPerStudent: 2,
+                    peerReviewDeadline: ''
                   });
                   setFiles([]);
                 }}
@@ -413,6 +454,29 @@ const AssignmentManagement = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="form-label">Grading Rubric</label>
+                <select
+                  name="rubric"
+                  value={formData.rubric}
+                  onChange={handleChange}
+                  className="form-input"
+                >
+                  <option value="">None — grade with a single number</option>
+                  {rubrics.map(rubric => (
+                    <option key={rubric._id} value={rubric._id}>
+                      {rubric.title} ({rubric.criteria.length} criteria, {rubric.maxPoints} points)
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The rubric total is scaled to the assignment's max points.{' '}
+                  <Link to={`/teacher/rubrics/course/${courseId}`} className="text-primary-600 hover:text-primary-700">
+                    Manage rubrics
+                  </Link>
+                </p>
+              </div>
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div className="space-y-4">
                   <div className="flex items-center">
@@ -427,18 +491,66 @@ const AssignmentManagement = () => {
                   </div>
                   
                   {formData.allowLateSubmission && (
-                    <div>
-                      <label className="form-label">Late Penalty (%)</label>
-                      <input
-                        type="number"
-                        name="latePenalty"
-                        value={formData.latePenalty}
-                        onChange={handleChange}
-                        className="form-input"
-                        min="0"
-                        max="100"
-                        step="0.1"
-                      />
+                    <div className="space-y-4">
+                      <div>
+                        <label className="form-label">Penalty Type</label>
+                        <select
+                          name="latePenaltyType"
+                          value={formData.latePenaltyType}
+                          onChange={handleChange}
+                          className="form-input"
+                        >
+                          <option value="flat">Flat (once, however late)</option>
+                          <option value="per-day">Per day late</option>
+                        </select>
+                      </div>
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="form-label">
+                            {formData.latePenaltyType === 'per-day' ? 'Penalty per Day (%)' : 'Late Penalty (%)'}
+                          </label>
+                          <input
+                            type="number"
+                            name="latePenalty"
+                            value={formData.latePenalty}
+                            onChange={handleChange}
+                            className="form-input"
+                            min="0"
+                            max="100"
+                            step="0.1"
+                          />
+                        </div>
+                        {formData.latePenaltyType === 'per-day' && (
+                          <div>
+                            <label className="form-label">Maximum Penalty (%)</label>
+                            <input
+                              type="number"
+                              name="latePenaltyCap"
+                              value={formData.latePenaltyCap}
+                              onChange={handleChange}
+                              className="form-input"
+                              min="0"
+                              max="100"
+                              step="0.1"
+                            />
+                          </div>
+                        )}
+                      </div>
+                      <div>
+                        <label className="form-label">Grace Period (hours)</label>
+                        <input
+                          type="number"
+                          name="lateGraceHours"
+                          value={formData.lateGraceHours}
+                          onChange={handleChange}
+                          className="form-input"
+                          min="0"
+                          step="0.5"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Work handed in within this many hours of the due date is not penalised
+                        </p>
+                      </div>
                     </div>
                   )}
                 </div>
@@ -485,6 +597,56 @@ const AssignmentManagement = () => {
                 </div>
               )}
 
+              <div className="space-y-4">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    name="peerReviewEnabled"
+                    checked={formData.peerReviewEnabled}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  <label className="form-label mb-0">Peer Review After the Due Date</label>
+                </div>
+
+                {formData.peerReviewEnabled && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                      <label className="form-label">Reviews per Student</label>
+                      <input
+                        type="number"
+                        name="peerReviewsPerStudent"
+                        value={formData.peerReviewsPerStudent}
+                        onChange={handleChange}
+                        className="form-input"
+                        min="1"
+                        max="5"
+                        disabled={!!editingAssignment?.peerReview?.allocatedAt}
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        {editingAssignment?.peerReview?.allocatedAt
+                          ? 'Reviews have already been allocated'
+                          : 'Each student who submitted reviews this many classmates, without names on either side'}
+                      </p>
+                    </div>
+                    <div>
+                      <label className="form-label">Review Deadline *</label>
+                      <input
+                        type="datetime-local"
+                        name="peerReviewDeadline"
+                        value={formData.peerReviewDeadline}
+                        onChange={handleChange}
+                        className="form-input"
+                        required
+                      />
+                      <p className="text-xs text-gray-500 mt-1">
+                        {formData.rubric ? 'Reviewers score with the rubric' : 'Reviewers leave comments and an optional score'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+
               {/* File Upload Section */}
               <div>
                 <label className="form-label">Assignment Attachments (Optional)</label>
@@ -557,10 +719,17 @@ const AssignmentManagement = () => {
                       maxPoints: 100,
                       allowLateSubmission: false,
                       latePenalty: 0,
+                      latePenaltyType: 'flat',
+                      latePenaltyCap: 100,
+                      lateGraceHours: 0,
                       submissionType: 'both',
                       allowResubmission: true,
                       maxResubmissions: 3,
-                      resubmissionDeadline: ''
+                      resubmissionDeadline: '',
+                      rubric: '',
+                      peerReviewEnabled: false,
+                      peerReviewsPerStudent: 2,
+                      peerReviewDeadline: ''
                     });
                     setFiles([]);
                   }}
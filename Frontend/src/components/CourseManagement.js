@@ -16,7 +16,11 @@ const CourseManagement = () => {
     description: '',
     subject: '',
     startDate: '',
-    endDate: ''
+    endDate: '',
+    practiceAnswerVisibility: 'after-submit',
+    practiceAnswersDueDate: '',
+    integrityMonitoring: true,
+    examBacktracking: false
   });
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
@@ -177,7 +181,7 @@ const CourseManagement = () => {
       
       setShowCreateForm(false);
       setEditingCourse(null);
-      setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '' });
+      setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '', practiceAnswerVisibility: 'after-submit', practiceAnswersDueDate: '', integrityMonitoring: true, examBacktracking: false });
       fetchCourses();
     } catch (error) {
       console.error('Error saving course:', error);
@@ -194,7 +198,11 @@ const CourseManagement = () => {
       description: course.description,
       subject: course.subject,
       startDate: course.startDate ? course.startDate.split('T')[0] : '',
-      endDate: course.endDate ? course.endDate.split('T')[0] : ''
+      endDate: course.endDate ? course.endDate.split('T')[0] : '',
+      practiceAnswerVisibility: course.practiceAnswerVisibility || 'after-submit',
+      practiceAnswersDueDate: course.practiceAnswersDueDate ? course.practiceAnswersDueDate.split('T')[0] : '',
+      integrityMonitoring: course.integrityMonitoring !== false,
+      examBacktracking: !!course.examBacktracking
     });
     setShowCreateForm(true);
   };
@@ -327,7 +335,7 @@ const CourseManagement = () => {
                 onClick={() => {
                   setShowCreateForm(false);
                   setEditingCourse(null);
-                  setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '' });
+                  setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '', practiceAnswerVisibility: 'after-submit', practiceAnswersDueDate: '', integrityMonitoring: true, examBacktracking: false });
                 }}
                 className="text-gray-500 hover:text-gray-700"
               >
@@ -423,13 +431,80 @@ const CourseManagement = () => {
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="form-label">Practice Quiz Answers</label>
+                  <select
+                    name="practiceAnswerVisibility"
+                    value={formData.practiceAnswerVisibility}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="after-submit">Show after the quiz is submitted</option>
+                    <option value="after-due-date">Show after a due date</option>
+                    <option value="never">Never show</option>
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    When students can see correct answers and explanations for practice quizzes
+                  </p>
+                </div>
+
+                {formData.practiceAnswerVisibility === 'after-due-date' && (
+                  <div>
+                    <label className="form-label">Answers Due Date</label>
+                    <input
+                      type="date"
+                      name="practiceAnswersDueDate"
+                      value={formData.practiceAnswersDueDate}
+                      onChange={handleChange}
+                      className="form-input"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                      Leave empty to use the course end date
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              <div className="flex items-start">
+                <input
+                  type="checkbox"
+                  id="integrityMonitoring"
+                  checked={formData.integrityMonitoring}
+                  onChange={(e) => setFormData({ ...formData, integrityMonitoring: e.target.checked })}
+                  className="h-4 w-4 mt-1 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="integrityMonitoring" className="ml-2 text-sm text-gray-700">
+                  Record quiz integrity signals
+                  <span className="block text-xs text-gray-500">
+                    Notes when students switch tabs, leave the quiz window, copy or paste, or exit fullscreen during practice quizzes
+                  </span>
+                </label>
+              </div>
+
+              <div className="flex items-start">
+                <input
+                  type="checkbox"
+                  id="examBacktracking"
+                  checked={formData.examBacktracking}
+                  onChange={(e) => setFormData({ ...formData, examBacktracking: e.target.checked })}
+                  className="h-4 w-4 mt-1 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="examBacktracking" className="ml-2 text-sm text-gray-700">
+                  Allow going back in exams
+                  <span className="block text-xs text-gray-500">
+                    Lets students return to earlier questions during exam-mode quizzes; otherwise each answer is locked once they move on
+                  </span>
+                </label>
+              </div>
+
               <div className="flex justify-end space-x-4">
                 <button
                   type="button"
                   onClick={() => {
                     setShowCreateForm(false);
                     setEditingCourse(null);
-                    setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '' });
+                    setFormData({ title: '', description: '', subject: '', startDate: '', endDate: '', practiceAnswerVisibility: 'after-submit', practiceAnswersDueDate: '', integrityMonitoring: true, examBacktracking: false });
                   }}
                   className="btn btn-secondary"
                 >
@@ -547,6 +622,24 @@ const CourseManagement = () => {
                           </svg>
                           Manage Assignments
                         </Link>
+                        <Link
+                          to={`/teacher/accommodations/course/${course._id}`}
+                          className="bg-teal-600 hover:bg-teal-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors duration-200 flex items-center justify-center"
+                        >
+                          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                          Extensions & Extra Time
+                        </Link>
+                        <Link
+                          to={`/teacher/rubrics/course/${course._id}`}
+                          className="bg-orange-600 hover:bg-orange-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors duration-200 flex items-center justify-center"
+                        >
+                          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                          </svg>
+                          Rubrics
+                        </Link>
                         <Link
                           to={`/teacher/qa/course/${course._id}`}
                           className="bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors duration-200 flex items-center justify-center"
@@ -556,6 +649,15 @@ const CourseManagement = () => {
                           </svg>
                           Q&A Management
                         </Link>
+                        <Link
+                          to={`/quizzes/course/${course._id}`}
+                          className="bg-indigo-600 hover:bg-indigo-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors duration-200 flex items-center justify-center"
+                        >
+                          <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                          </svg>
+                          Manage Quizzes
+                        </Link>
                         <Link
                           to={`/announcements/course/${course._id}`}
                           className="bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-3 rounded-lg text-sm transition-colors duration-200 flex items-center justify-center"
@@ -595,6 +697,12 @@ const CourseManagement = () => {
                             >
                               Q&A
                             </Link>
+                            <Link
+                              to={`/student/quizzes/course/${course._id}`}
+                              className="btn btn-secondary w-full text-sm"
+                            >
+                              Quizzes
+                            </Link>
                             <Link
                               to={`/announcements/course/${course._id}`}
                               className="btn btn-secondary w-full text-sm"
@@ -132,6 +132,45 @@ const Dashboard = () => {
                     <p className="text-gray-600 text-sm">Grade student quiz attempts</p>
                   </Link>
 
+                  <Link 
+                    to="/teacher/question-bank" 
+                    className="card hover:shadow-lg transition-shadow duration-200 text-center p-6"
+                  >
+                    <div className="mx-auto h-12 w-12 text-primary-600 mb-4">
+                      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" className="w-full h-full">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                      </svg>
+                    </div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">Question Bank</h3>
+                    <p className="text-gray-600 text-sm">Import and export GIFT, Moodle XML and QTI</p>
+                  </Link>
+
+                  <Link 
+                    to="/teacher/quiz-blueprints" 
+                    className="card hover:shadow-lg transition-shadow duration-200 text-center p-6"
+                  >
+                    <div className="mx-auto h-12 w-12 text-primary-600 mb-4">
+                      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" className="w-full h-full">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h10M4 18h6" />
+                      </svg>
+                    </div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">Quiz Blueprints</h3>
+                    <p className="text-gray-600 text-sm">Compose practice quizzes by tag and difficulty</p>
+                  </Link>
+
+                  <Link 
+                    to="/contributions" 
+                    className="card hover:shadow-lg transition-shadow duration-200 text-center p-6"
+                  >
+                    <div className="mx-auto h-12 w-12 text-primary-600 mb-4">
+                      <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" className="w-full h-full">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" />
+                      </svg>
+                    </div>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-2">Contributions</h3>
+                    <p className="text-gray-600 text-sm">Question author leaderboard and gradebook column</p>
+                  </Link>
+
                   <div className="card hover:shadow-lg transition-shadow duration-200 text-center p-6">
                     <div className="mx-auto h-12 w-12 text-primary-600 mb-4">
                       <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" className="w-full h-full">
@@ -1,14 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import ImageUploadButton from './ImageUploadButton';
+import QuestionPreview from './QuestionPreview';
+import AnswerKeyEditor, {
+  EMPTY_NUMERIC_ANSWER,
+  describeAnswerKey,
+  getAnswerKeyError,
+  isTypedQuestion,
+  toAnswerKeyPayload,
+  toNumericAnswerForm
+} from './AnswerKeyEditor';
 
 const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
   const [formData, setFormData] = useState({
     question: '',
+    image: '',
+    type: 'multiple-choice',
+    scoringMethod: 'all-or-nothing',
     options: [
       { text: '', isCorrect: false },
       { text: '', isCorrect: false },
       { text: '', isCorrect: false },
       { text: '', isCorrect: false }
     ],
+    acceptedAnswers: [''],
+    numericAnswer: EMPTY_NUMERIC_ANSWER,
     explanation: '',
     difficulty: 'medium',
     tags: [],
@@ -18,6 +33,7 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
+  const isRevision = question?.status === 'needs-revision';
 
   const validateField = (name, value) => {
     let error = '';
@@ -42,7 +58,12 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
     return error;
   };
 
-  const validateOptions = (options) => {
+  const validateOptions = (options, type = formData.type) => {
+    // Typed questions have an answer key instead of options
+    if (isTypedQuestion({ type })) {
+      return getAnswerKeyError({ ...formData, type });
+    }
+
     const validOptions = options.filter(option => option.text.trim());
     if (validOptions.length < 2) {
       return 'At least 2 options are required';
@@ -50,23 +71,59 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
     if (validOptions.length > 6) {
       return 'Maximum 6 options allowed';
     }
-    const hasCorrectOption = validOptions.some(option => option.isCorrect);
-    if (!hasCorrectOption) {
+    const correctCount = validOptions.filter(option => option.isCorrect).length;
+    if (correctCount === 0) {
       return 'At least one option must be marked as correct';
     }
+    if (type === 'multiple-choice' && correctCount > 1) {
+      return 'Single-answer questions must have exactly one correct option';
+    }
     return '';
   };
 
+  // Keep the answer key error current while the key is edited
+  const handleAnswerKeyChange = (field, value) => {
+    const updated = { ...formData, [field]: value };
+    setFormData(updated);
+
+    if (touched.options) {
+      setErrors({
+        ...errors,
+        options: getAnswerKeyError(updated)
+      });
+    }
+  };
+
+  const handleTypeChange = (e) => {
+    const type = e.target.value;
+    setFormData(prev => ({
+      ...prev,
+      type
+    }));
+
+    if (touched.options) {
+      setErrors({
+        ...errors,
+        options: validateOptions(formData.options, type)
+      });
+    }
+  };
+
   useEffect(() => {
     if (question) {
       setFormData({
         question: question.question || '',
-        options: question.options || [
+        image: question.image || '',
+        type: question.type || 'multiple-choice',
+        scoringMethod: question.scoringMethod || 'all-or-nothing',
+        options: question.options?.length ? question.options : [
           { text: '', isCorrect: false },
           { text: '', isCorrect: false },
           { text: '', isCorrect: false },
           { text: '', isCorrect: false }
         ],
+        acceptedAnswers: question.acceptedAnswers?.length ? question.acceptedAnswers : [''],
+        numericAnswer: toNumericAnswerForm(question.numericAnswer),
         explanation: question.explanation || '',
         difficulty: question.difficulty || 'medium',
         tags: question.tags || [],
@@ -107,9 +164,14 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
   };
 
   const handleOptionChange = (index, field, value) => {
-    const newOptions = formData.options.map((option, i) => 
+    let newOptions = formData.options.map((option, i) => 
       i === index ? { ...option, [field]: value } : option
     );
+
+    // Single-answer questions keep exactly one option marked as correct
+    if (field === 'isCorrect' && value && formData.type === 'multiple-choice') {
+      newOptions = newOptions.map((option, i) => ({ ...option, isCorrect: i === index }));
+    }
     
     setFormData(prev => ({
       ...prev,
@@ -195,9 +257,13 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
 
     setLoading(true);
     try {
-      const validOptions = formData.options.filter(option => option.text.trim());
+      const { acceptedAnswers, numericAnswer, ...questionData } = formData;
+      const validOptions = isTypedQuestion(formData)
+        ? []
+        : formData.options.filter(option => option.text.trim());
       await onSave({
-        ...formData,
+        ...questionData,
+        ...toAnswerKeyPayload(formData),
         options: validOptions
       });
     } catch (error) {
@@ -212,7 +278,9 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
       <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-3/4 lg:w-1/2 shadow-lg rounded-md bg-white">
         <div className="mt-3">
           <div className="flex justify-between items-center mb-4">
-            <h3 className="text-lg font-medium text-gray-900">Edit Question</h3>
+            <h3 className="text-lg font-medium text-gray-900">
+              {isRevision ? 'Revise Question' : 'Edit Question'}
+            </h3>
             <button
               onClick={onClose}
               className="text-gray-400 hover:text-gray-600"
@@ -223,6 +291,16 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
             </button>
           </div>
 
+          {isRevision && (question.teacherFeedback || question.optionComments?.length > 0) && (
+            <div className="mb-6 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+              <h4 className="font-medium text-orange-900 mb-1">Requested changes:</h4>
+              {question.teacherFeedback && <p>{question.teacherFeedback}</p>}
+              {question.optionComments?.map((c, i) => (
+                <p key={i}>Option {String.fromCharCode(65 + c.optionIndex)}: {c.comment}</p>
+              ))}
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             {/* Question */}
             <div>
@@ -246,56 +324,133 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
               {touched.question && errors.question && (
                 <p className="mt-1 text-sm text-red-600">{errors.question}</p>
               )}
+              <div className="mt-2 flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  Write math in LaTeX between $...$, or $$...$$ for a displayed formula. Type \$ for a dollar sign.
+                </p>
+                <ImageUploadButton
+                  value={formData.image}
+                  onChange={(url) => setFormData(prev => ({ ...prev, image: url }))}
+                  label="Add diagram"
+                />
+              </div>
             </div>
 
-            {/* Options */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Options *
-              </label>
-              {touched.options && errors.options && (
-                <p className="mb-2 text-sm text-red-600">{errors.options}</p>
-              )}
-              <div className="space-y-3">
-                {formData.options.map((option, index) => (
-                  <div key={index} className="flex items-center space-x-3">
-                    <input
-                      type="checkbox"
-                      checked={option.isCorrect}
-                      onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
-                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                    />
-                    <input
-                      type="text"
-                      value={option.text}
-                      onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
-                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
-                      placeholder={`Option ${String.fromCharCode(65 + index)}`}
-                    />
-                    {formData.options.length > 2 && (
-                      <button
-                        type="button"
-                        onClick={() => removeOption(index)}
-                        className="text-red-600 hover:text-red-800"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
-                    )}
-                  </div>
-                ))}
-                {formData.options.length < 6 && (
-                  <button
-                    type="button"
-                    onClick={addOption}
-                    className="text-primary-600 hover:text-primary-800 text-sm font-medium"
+            {/* Question Type */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Question Type
+                </label>
+                <select
+                  name="type"
+                  value={formData.type}
+                  onChange={handleTypeChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="multiple-choice">Single answer</option>
+                  <option value="multiple-select">Multiple answers (select all that apply)</option>
+                  <option value="short-answer">Short answer (typed)</option>
+                  <option value="numeric">Numeric (typed number)</option>
+                </select>
+              </div>
+
+              {formData.type === 'multiple-select' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Scoring
+                  </label>
+                  <select
+                    name="scoringMethod"
+                    value={formData.scoringMethod}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
                   >
-                    + Add Option
-                  </button>
+                    <option value="all-or-nothing">All or nothing</option>
+                    <option value="proportional">Partial credit</option>
+                    <option value="negative-marking">Partial credit with negative marking</option>
+                  </select>
+                </div>
+              )}
+            </div>
+
+            {/* Options */}
+            {isTypedQuestion(formData) ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {formData.type === 'numeric' ? 'Correct Answer *' : 'Accepted Answers *'}
+                </label>
+                {touched.options && errors.options && (
+                  <p className="mb-2 text-sm text-red-600">{errors.options}</p>
                 )}
+                <AnswerKeyEditor
+                  type={formData.type}
+                  acceptedAnswers={formData.acceptedAnswers}
+                  numericAnswer={formData.numericAnswer}
+                  onChange={handleAnswerKeyChange}
+                />
               </div>
-            </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Options *
+                </label>
+                {touched.options && errors.options && (
+                  <p className="mb-2 text-sm text-red-600">{errors.options}</p>
+                )}
+                <div className="space-y-3">
+                  {formData.options.map((option, index) => (
+                    <div key={index} className="flex items-center space-x-3">
+                      <input
+                        type={formData.type === 'multiple-select' ? 'checkbox' : 'radio'}
+                        name="correctOption"
+                        checked={option.isCorrect}
+                        onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      />
+                      <input
+                        type="text"
+                        value={option.text}
+                        onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        placeholder={`Option ${String.fromCharCode(65 + index)}`}
+                      />
+                      <ImageUploadButton
+                        value={option.image}
+                        onChange={(url) => handleOptionChange(index, 'image', url)}
+                      />
+                      {formData.options.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => removeOption(index)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {formData.options.length < 6 && (
+                    <button
+                      type="button"
+                      onClick={addOption}
+                      className="text-primary-600 hover:text-primary-800 text-sm font-medium"
+                    >
+                      + Add Option
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <QuestionPreview
+              question={formData.question}
+              image={formData.image}
+              options={isTypedQuestion(formData) ? [] : formData.options}
+              answerKey={isTypedQuestion(formData) ? describeAnswerKey({ type: formData.type, ...toAnswerKeyPayload(formData) }) : ''}
+            />
 
             {/* Explanation */}
             <div>
@@ -406,7 +561,9 @@ const EditQuestionModal = ({ question, courses, onSave, onClose }) => {
                 disabled={loading}
                 className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
               >
-                {loading ? 'Updating...' : 'Update Question'}
+                {loading
+                  ? (isRevision ? 'Resubmitting...' : 'Updating...')
+                  : (isRevision ? 'Resubmit for Review' : 'Update Question')}
               </button>
             </div>
           </form>
@@ -0,0 +1,75 @@
+import React, { useRef, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+const ACCEPTED_TYPES = 'image/png,image/jpeg,image/gif,image/webp';
+
+// Attach an image to a question stem or option; shows a thumbnail with a remove button once uploaded
+const ImageUploadButton = ({ value, onChange, label = 'Add image' }) => {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_IMAGE_SIZE) {
+      toast.error('Images must be 2MB or smaller');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('image', file);
+
+    try {
+      setUploading(true);
+      const response = await axios.post('/api/student-questions/images', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      onChange(response.data.url);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      {value ? (
+        <>
+          <img src={value} alt="" className="h-12 w-auto max-w-[6rem] object-contain border border-gray-200 rounded" />
+          <button
+            type="button"
+            onClick={() => onChange('')}
+            className="text-xs text-red-600 hover:text-red-800"
+          >
+            Remove image
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => inputRef.current.click()}
+          disabled={uploading}
+          className="text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50 whitespace-nowrap"
+        >
+          {uploading ? 'Uploading...' : label}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ImageUploadButton;
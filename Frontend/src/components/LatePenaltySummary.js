@@ -0,0 +1,62 @@
+import React from 'react';
+
+// Whether a graded submission has a late penalty worth explaining
+export const hasLatePenaltyDetails = (submission) => (
+  submission?.rawGrade !== undefined && submission?.rawGrade !== null &&
+  (submission.isLate || submission.latePenalty?.isOverridden)
+);
+
+// Why the penalty is what it is, e.g. "2 days late" or "Within the grace period"
+export const describeLateness = (latePenalty) => {
+  if (!latePenalty) return '';
+  if (latePenalty.withinGrace) return 'Within the grace period';
+  if (!latePenalty.daysLate) return 'On time';
+  return `${latePenalty.daysLate} day${latePenalty.daysLate === 1 ? '' : 's'} late`;
+};
+
+// An assignment's late policy as text, e.g. "10% per day late (max 50%), 2h grace"
+export const describeLatePolicy = (assignment) => {
+  if (!assignment?.allowLateSubmission) return 'Late submissions not accepted';
+  if (!assignment.latePenalty) return 'Late submissions accepted without penalty';
+
+  const penalty = assignment.latePenaltyType === 'per-day'
+    ? `${assignment.latePenalty}% per day late${assignment.latePenaltyCap < 100 ? ` (max ${assignment.latePenaltyCap}%)` : ''}`
+    : `${assignment.latePenalty}% off if late`;
+  return assignment.lateGraceHours ? `${penalty}, ${assignment.lateGraceHours}h grace` : penalty;
+};
+
+// Raw grade, late deduction and final grade for a graded submission
+const LatePenaltySummary = ({ submission, maxPoints, showOverrideDetails = false }) => {
+  if (!hasLatePenaltyDetails(submission)) return null;
+
+  const latePenalty = submission.latePenalty || {};
+  const outOf = maxPoints || submission.maxPoints;
+
+  return (
+    <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 text-sm">
+      <div className="flex justify-between">
+        <span className="text-gray-600">Grade before penalty</span>
+        <span className="text-gray-900">{submission.rawGrade}/{outOf}</span>
+      </div>
+      <div className="flex justify-between mt-1">
+        <span className="text-gray-600">
+          Late penalty ({describeLateness(latePenalty)}, {latePenalty.percentage || 0}%)
+        </span>
+        <span className="text-red-700">−{latePenalty.points || 0}</span>
+      </div>
+      <div className="flex justify-between mt-2 pt-2 border-t border-orange-200 font-medium">
+        <span className="text-gray-900">Final grade</span>
+        <span className="text-gray-900">{submission.grade}/{outOf}</span>
+      </div>
+      {latePenalty.isOverridden && (
+        <p className="text-xs text-gray-600 mt-2">
+          Penalty adjusted by the teacher
+          {showOverrideDetails && ` (policy would give ${latePenalty.calculatedPercentage || 0}%)`}
+          {latePenalty.overrideReason ? `: ${latePenalty.overrideReason}` : ''}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LatePenaltySummary;
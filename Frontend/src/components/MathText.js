@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react';
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+// Escaped dollars first, then display math so "$$" is not read as two empty inline formulas
+const MATH_PATTERN = /\\\$|\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\$((?:\\\$|[^$\n])+?)\$/g;
+
+// Split text into plain and LaTeX segments; "\$" stays a literal dollar sign
+const parseMath = (text) => {
+  const segments = [];
+  let plain = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MATH_PATTERN)) {
+    plain += text.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    if (match[0] === '\\$') {
+      plain += '$';
+      continue;
+    }
+
+    if (plain) {
+      segments.push({ text: plain });
+      plain = '';
+    }
+    const [, display, bracketDisplay, parenInline, inline] = match;
+    segments.push({
+      tex: display || bracketDisplay || parenInline || inline,
+      displayMode: Boolean(display || bracketDisplay)
+    });
+  }
+
+  plain += text.slice(lastIndex);
+  if (plain) {
+    segments.push({ text: plain });
+  }
+
+  return segments;
+};
+
+// Render text with $...$, $$...$$, \(...\) and \[...\] LaTeX formulas; bad LaTeX is shown in red rather than breaking the page
+const MathText = ({ text, className = '', as: Tag = 'span' }) => {
+  const segments = useMemo(() => parseMath(text || ''), [text]);
+
+  return (
+    <Tag className={`whitespace-pre-wrap ${className}`}>
+      {segments.map((segment, index) => (segment.tex !== undefined ? (
+        <span
+          key={index}
+          className={segment.displayMode ? 'block my-2 overflow-x-auto' : ''}
+          dangerouslySetInnerHTML={{
+            __html: katex.renderToString(segment.tex, {
+              displayMode: segment.displayMode,
+              throwOnError: false
+            })
+          }}
+        />
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )))}
+    </Tag>
+  );
+};
+
+export default MathText;
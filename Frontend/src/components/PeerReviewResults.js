@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { RubricScoreList } from './RubricGrid';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const studentName = (student) => (student ? `${student.firstName} ${student.lastName}` : 'Unknown student');
+
+const AGREEMENT_STYLES = {
+  high: 'bg-green-100 text-green-800',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-red-100 text-red-800'
+};
+
+// The teacher's view of an assignment's peer review: who reviewed whom, the peer average and how
+// far reviewers agree, and how much the peer average counts towards final grades
+const PeerReviewResults = () => {
+  const { assignmentId } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [data, setData] = useState(null);
+  const [weight, setWeight] = useState('0');
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [assignmentId]);
+
+  const fetchSummary = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/peer-reviews/assignment/${assignmentId}/summary`);
+      setData(response.data);
+      setWeight(String(response.data.assignment.peerReview?.weight || 0));
+    } catch (error) {
+      console.error('Error fetching peer review summary:', error);
+      toast.error(error.response?.data?.message || 'Failed to load peer reviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    const validationErrors = error.response?.data?.errors;
+    toast.error(validationErrors?.[0]?.msg || error.response?.data?.message || fallback);
+  };
+
+  const handleAllocate = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post(`/api/peer-reviews/assignment/${assignmentId}/allocate`);
+      toast.success(response.data.message);
+      fetchSummary();
+    } catch (error) {
+      console.error('Error allocating peer reviews:', error);
+      showError(error, 'Failed to allocate reviews');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveWeight = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/peer-reviews/assignment/${assignmentId}/weight`, {
+        weight: parseFloat(weight)
+      });
+      toast.success(response.data.message);
+      fetchSummary();
+    } catch (error) {
+      console.error('Error folding peer scores:', error);
+      showError(error, 'Failed to update grades');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading peer reviews...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const { assignment, phase, totals, submissions } = data;
+  const peerReview = assignment.peerReview || {};
+
+  // The teacher's own mark, before any peer scores were folded in
+  const teacherMarkOf = (submission) => (
+    submission.peerGrade?.weight > 0 && submission.peerGrade.teacherGrade !== undefined
+      ? submission.peerGrade.teacherGrade
+      : submission.rawGrade
+  );
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Peer Review: {assignment.title}</h1>
+          <p className="text-gray-600">
+            {phase === 'off' && 'Peer review is turned off for this assignment.'}
+            {phase === 'upcoming' && `Reviews are allocated once every student's due date has passed, ${formatDate(assignment.reviewsOpenAt)}.`}
+            {phase === 'open' && `Reviews are open until ${formatDate(peerReview.reviewDeadline)}.`}
+            {phase === 'closed' && `Reviews closed on ${formatDate(peerReview.reviewDeadline)}.`}
+            {' '}{peerReview.reviewsPerStudent} reviews per student.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Allocation</h3>
+            {peerReview.allocatedAt ? (
+              <p className="text-sm text-gray-600">
+                {totals.allocated} reviews allocated {formatDate(peerReview.allocatedAt)}. Work handed in later is not reviewed.
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 mb-3">
+                  Reviews are allocated when the first student opens them after every due date has passed, or now:
+                </p>
+                <button
+                  onClick={handleAllocate}
+                  disabled={saving || phase === 'upcoming' || phase === 'off'}
+                  className="btn btn-primary"
+                >
+                  Allocate Reviews
+                </button>
+              </>
+            )}
+          </div>
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Progress</h3>
+            <p className="text-2xl font-bold text-gray-900">{totals.submitted}/{totals.allocated}</p>
+            <p className="text-sm text-gray-600">reviews submitted</p>
+          </div>
+          <form onSubmit={handleSaveWeight} className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Fold Into Grades</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Share of each final grade taken from the peer average; the rest is your mark. Set 0 to take it out.
+            </p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="5"
+                value={weight}
+                onChange={(e) => setWeight(e.target.value)}
+                className="form-input w-24"
+                disabled={phase !== 'closed'}
+              />
+              <span className="text-gray-600">%</span>
+              <button type="submit" disabled={saving || phase !== 'closed'} className="btn btn-primary">
+                Apply
+              </button>
+            </div>
+            {phase !== 'closed' && <p className="text-xs text-gray-500 mt-2">Available once the review deadline has passed</p>}
+          </form>
+        </div>
+
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Submissions</h2>
+          {submissions.length === 0 ? (
+            <p className="text-gray-500">No submissions yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Student</th>
+                    <th className="py-2 pr-4">Reviews</th>
+                    <th className="py-2 pr-4">Peer average</th>
+                    <th className="py-2 pr-4">Range</th>
+                    <th className="py-2 pr-4">Agreement</th>
+                    <th className="py-2 pr-4">Your mark</th>
+                    <th className="py-2 pr-4">Final grade</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {submissions.map(({ submission, reviews, summary }) => {
+                    const teacherMark = teacherMarkOf(submission);
+                    const isExpanded = expandedId === submission._id;
+                    return (
+                      <React.Fragment key={submission._id}>
+                        <tr className="border-b">
+                          <td className="py-2 pr-4 font-medium text-gray-900">{studentName(submission.student)}</td>
+                          <td className="py-2 pr-4">{summary.submittedCount}/{summary.assignedCount}</td>
+                          <td className="py-2 pr-4">{summary.average ?? '—'}</td>
+                          <td className="py-2 pr-4">
+                            {summary.min !== null ? `${summary.min}–${summary.max}` : '—'}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {summary.agreement ? (
+                              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${AGREEMENT_STYLES[summary.agreement]}`}>
+                                {summary.agreement}
+                              </span>
+                            ) : (
+                              <span className="text-gray-400">needs 2+ scores</span>
+                            )}
+                            {summary.criteriaAgreement !== null && (
+                              <span className="text-xs text-gray-500 ml-2">{summary.criteriaAgreement}% same levels</span>
+                            )}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {teacherMark ?? '—'}
+                            {teacherMark !== undefined && teacherMark !== null && summary.average !== null && (
+                              <span className="text-xs text-gray-500 ml-1">
+                                ({summary.average >= teacherMark ? '+' : ''}{Math.round((summary.average - teacherMark) * 100) / 100} peers)
+                              </span>
+                            )}
+                          </td>
+                          <td className="py-2 pr-4">{submission.grade ?? '—'}</td>
+                          <td className="py-2 text-right">
+                            {reviews.length > 0 && (
+                              <button
+                                onClick={() => setExpandedId(isExpanded ? null : submission._id)}
+                                className="text-primary-600 hover:text-primary-800"
+                              >
+                                {isExpanded ? 'Hide' : 'Reviews'}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr className="border-b bg-gray-50">
+                            <td colSpan={8} className="p-4 space-y-3">
+                              {reviews.map(review => (
+                                <div key={review._id} className="bg-white border border-gray-200 rounded-lg p-3">
+                                  <div className="flex justify-between mb-1">
+                                    <span className="font-medium text-gray-900">
+                                      {studentName(review.reviewer)}
+                                      {review.status !== 'submitted' && <span className="text-gray-400 ml-2">not submitted</span>}
+                                    </span>
+                                    {review.score !== undefined && review.score !== null && (
+                                      <span className="text-gray-700">{review.score}/{assignment.maxPoints}</span>
+                                    )}
+                                  </div>
+                                  <RubricScoreList scores={review.rubricScores} />
+                                  {review.comments && <p className="text-gray-700 mt-1 whitespace-pre-wrap">{review.comments}</p>}
+                                </div>
+                              ))}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PeerReviewResults;
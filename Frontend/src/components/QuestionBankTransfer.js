@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const FORMAT_OPTIONS = [
+  { value: 'gift', label: 'GIFT' },
+  { value: 'moodle-xml', label: 'Moodle XML' },
+  { value: 'qti', label: 'IMS QTI 2.1 (content package)' }
+];
+
+const QuestionBankTransfer = () => {
+  const navigate = useNavigate();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [quizzes, setQuizzes] = useState([]);
+  const [importData, setImportData] = useState({
+    file: null,
+    format: '',
+    target: 'student-questions',
+    quizId: '',
+    quizTitle: ''
+  });
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [exportData, setExportData] = useState({
+    format: 'gift',
+    difficulty: '',
+    tag: ''
+  });
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    fetchCourses();
+  }, []);
+
+  useEffect(() => {
+    if (courseId) fetchQuizzes();
+    setResult(null);
+  }, [courseId]);
+
+  const fetchCourses = async () => {
+    try {
+      const response = await axios.get('/api/courses');
+      setCourses(response.data.courses);
+      if (response.data.courses.length > 0) {
+        setCourseId(response.data.courses[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      toast.error('Failed to load courses');
+    }
+  };
+
+  const fetchQuizzes = async () => {
+    try {
+      const response = await axios.get(`/api/quizzes/course/${courseId}`);
+      setQuizzes(response.data.quizzes);
+    } catch (error) {
+      console.error('Error fetching quizzes:', error);
+    }
+  };
+
+  const handleImport = async (dryRun) => {
+    if (!importData.file) {
+      toast.error('Please choose a file to import');
+      return;
+    }
+
+    const formDataToSend = new FormData();
+    formDataToSend.append('file', importData.file);
+    formDataToSend.append('courseId', courseId);
+    formDataToSend.append('target', importData.target);
+    formDataToSend.append('dryRun', dryRun ? 'true' : 'false');
+    if (importData.format) formDataToSend.append('format', importData.format);
+    if (importData.target === 'quiz') {
+      if (importData.quizId) formDataToSend.append('quizId', importData.quizId);
+      else if (importData.quizTitle) formDataToSend.append('quizTitle', importData.quizTitle);
+    }
+
+    try {
+      setImporting(true);
+      const response = await axios.post('/api/question-bank/import', formDataToSend, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+
+      setResult({ ...response.data, dryRun });
+      if (dryRun) {
+        toast.info(response.data.message);
+      } else if (response.data.imported > 0) {
+        toast.success(response.data.message);
+        if (importData.target === 'quiz') fetchQuizzes();
+      } else {
+        toast.error('No questions could be imported');
+      }
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      toast.error(error.response?.data?.message || 'Failed to import questions');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const params = new URLSearchParams({ courseId, format: exportData.format });
+      if (exportData.difficulty) params.append('difficulty', exportData.difficulty);
+      if (exportData.tag.trim()) params.append('tag', exportData.tag.trim());
+
+      const response = await axios.get(`/api/question-bank/export?${params}`, { responseType: 'blob' });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : 'questions';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      // Error bodies arrive as a blob because of the download response type
+      let message = 'Failed to export questions';
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch (parseError) {
+          // Keep the generic message
+        }
+      }
+      toast.error(message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const getResultColor = (status) => {
+    switch (status) {
+      case 'imported': return 'bg-green-100 text-green-800';
+      case 'valid': return 'bg-blue-100 text-blue-800';
+      case 'invalid': return 'bg-red-100 text-red-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Question Bank</h1>
+          <p className="text-gray-600">Move questions between this course and Moodle or other LMSs</p>
+        </div>
+
+        <div className="card mb-6">
+          <label className="form-label">Course</label>
+          <select
+            value={courseId}
+            onChange={(e) => setCourseId(e.target.value)}
+            className="form-select"
+          >
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>
+                {course.title}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Import */}
+        <div className="card mb-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Import Questions</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="form-label">File</label>
+              <input
+                type="file"
+                accept=".txt,.gift,.xml,.zip"
+                onChange={(e) => {
+                  setImportData(prev => ({ ...prev, file: e.target.files[0] || null }));
+                  setResult(null);
+                }}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Format</label>
+              <select
+                value={importData.format}
+                onChange={(e) => setImportData(prev => ({ ...prev, format: e.target.value }))}
+                className="form-select"
+              >
+                <option value="">Detect automatically</option>
+                {FORMAT_OPTIONS.map(format => (
+                  <option key={format.value} value={format.value}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Import into</label>
+              <select
+                value={importData.target}
+                onChange={(e) => setImportData(prev => ({ ...prev, target: e.target.value }))}
+                className="form-select"
+              >
+                <option value="student-questions">Practice question pool (approved)</option>
+                <option value="quiz">Quiz</option>
+              </select>
+            </div>
+            {importData.target === 'quiz' && (
+              <div>
+                <label className="form-label">Quiz</label>
+                <select
+                  value={importData.quizId}
+                  onChange={(e) => setImportData(prev => ({ ...prev, quizId: e.target.value }))}
+                  className="form-select"
+                >
+                  <option value="">Create a new draft quiz</option>
+                  {quizzes.map(quiz => (
+                    <option key={quiz._id} value={quiz._id} disabled={quiz.attemptCount > 0}>
+                      {quiz.title}{quiz.attemptCount > 0 ? ' (has attempts)' : ''}
+                    </option>
+                  ))}
+                </select>
+                {!importData.quizId && (
+                  <input
+                    type="text"
+                    value={importData.quizTitle}
+                    onChange={(e) => setImportData(prev => ({ ...prev, quizTitle: e.target.value }))}
+                    className="form-input mt-2"
+                    placeholder="New quiz title (defaults to the file name)"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => handleImport(true)}
+              disabled={importing || !courseId}
+              className="btn btn-secondary disabled:opacity-50"
+            >
+              Validate Only
+            </button>
+            <button
+              onClick={() => handleImport(false)}
+              disabled={importing || !courseId}
+              className="btn btn-primary disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+
+          {result && (
+            <div className="mt-6">
+              <div className="flex justify-between items-center mb-3">
+                <h3 className="font-semibold text-gray-900">
+                  {result.dryRun ? 'Validation report' : 'Import report'}
+                </h3>
+                <span className="text-sm text-gray-600">
+                  {result.message} • {result.failed} failed
+                </span>
+              </div>
+              {result.quiz && (
+                <p className="text-sm text-gray-600 mb-3">Questions were added to quiz "{result.quiz.title}".</p>
+              )}
+              <div className="space-y-2 max-h-96 overflow-y-auto">
+                {result.report.map(entry => (
+                  <div key={entry.index} className="border border-gray-200 rounded-lg p-3 text-sm">
+                    <div className="flex justify-between items-start">
+                      <span className="text-gray-900">
+                        <span className="text-gray-500 mr-2">#{entry.index}</span>
+                        {entry.title || entry.question || 'Untitled question'}
+                      </span>
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getResultColor(entry.status)}`}>
+                        {entry.status}
+                      </span>
+                    </div>
+                    {entry.errors.map((message, i) => (
+                      <p key={i} className="text-red-700 mt-1">{message}</p>
+                    ))}
+                    {entry.warnings.map((message, i) => (
+                      <p key={i} className="text-yellow-700 mt-1">{message}</p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Export */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Export Approved Questions</h2>
+          <p className="text-gray-600 text-sm mb-4">
+            Difficulty, tags and explanations are included in every format
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="form-label">Format</label>
+              <select
+                value={exportData.format}
+                onChange={(e) => setExportData(prev => ({ ...prev, format: e.target.value }))}
+                className="form-select"
+              >
+                {FORMAT_OPTIONS.map(format => (
+                  <option key={format.value} value={format.value}>{format.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Difficulty</label>
+              <select
+                value={exportData.difficulty}
+                onChange={(e) => setExportData(prev => ({ ...prev, difficulty: e.target.value }))}
+                className="form-select"
+              >
+                <option value="">All</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Tag</label>
+              <input
+                type="text"
+                value={exportData.tag}
+                onChange={(e) => setExportData(prev => ({ ...prev, tag: e.target.value }))}
+                className="form-input"
+                placeholder="Any tag"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleExport}
+              disabled={exporting || !courseId}
+              className="btn btn-primary disabled:opacity-50"
+            >
+              {exporting ? 'Exporting...' : 'Download'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankTransfer;
@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const EVENT_LABELS = {
+  approved: 'Question approved',
+  rejected: 'Question rejected',
+  'approval-reversed': 'Approval withdrawn',
+  'used-in-quiz': 'Used in a classmate\'s quiz',
+  'good-discrimination': 'Good discrimination statistics'
+};
+
+const QuestionContributions = () => {
+  const navigate = useNavigate();
+  const { user, updateUser } = useAuth();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [gradebook, setGradebook] = useState(null);
+  const [gradeSettings, setGradeSettings] = useState({ maxGrade: 10, target: '' });
+  const [loading, setLoading] = useState(true);
+
+  const isTeacher = user?.role === 'teacher';
+
+  useEffect(() => {
+    fetchCourses();
+  }, []);
+
+  useEffect(() => {
+    if (courseId) fetchContributions();
+  }, [courseId]);
+
+  const fetchCourses = async () => {
+    try {
+      const response = await axios.get('/api/courses');
+      setCourses(response.data.courses);
+      if (response.data.courses.length > 0) {
+        setCourseId(response.data.courses[0]._id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      toast.error('Failed to load courses');
+      setLoading(false);
+    }
+  };
+
+  const fetchContributions = async () => {
+    try {
+      setLoading(true);
+      const leaderboardResponse = await axios.get(`/api/contributions/course/${courseId}/leaderboard`);
+      setLeaderboard(leaderboardResponse.data.leaderboard);
+
+      if (isTeacher) {
+        await fetchGradebook();
+      } else {
+        const summaryResponse = await axios.get(`/api/contributions/course/${courseId}/me`);
+        setSummary(summaryResponse.data);
+      }
+    } catch (error) {
+      console.error('Error fetching contributions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load contributions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const gradebookParams = () => {
+    const params = new URLSearchParams({ maxGrade: gradeSettings.maxGrade });
+    if (gradeSettings.target) params.append('target', gradeSettings.target);
+    return params;
+  };
+
+  const fetchGradebook = async () => {
+    try {
+      const response = await axios.get(`/api/contributions/course/${courseId}/gradebook?${gradebookParams()}`);
+      setGradebook(response.data);
+    } catch (error) {
+      console.error('Error fetching gradebook column:', error);
+      toast.error(error.response?.data?.message || 'Failed to load gradebook column');
+    }
+  };
+
+  const handleDownloadCsv = async () => {
+    try {
+      const params = gradebookParams();
+      params.append('format', 'csv');
+      const response = await axios.get(`/api/contributions/course/${courseId}/gradebook?${params}`, {
+        responseType: 'blob'
+      });
+
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : 'contributions.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading gradebook column:', error);
+      toast.error('Failed to download gradebook column');
+    }
+  };
+
+  const handleOptOutChange = async (leaderboardOptOut) => {
+    try {
+      const response = await axios.put('/api/users/profile', { leaderboardOptOut });
+      updateUser(response.data.user);
+      toast.success(leaderboardOptOut ? 'You are hidden from leaderboards' : 'You appear on leaderboards again');
+      fetchContributions();
+    } catch (error) {
+      console.error('Error updating leaderboard preference:', error);
+      toast.error(error.response?.data?.message || 'Failed to update preference');
+    }
+  };
+
+  const renderBadges = (badges) => (
+    <div className="flex flex-wrap gap-1">
+      {badges.map(badge => (
+        <span
+          key={badge.id || badge}
+          title={badge.description}
+          className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800"
+        >
+          {badge.name || badge}
+        </span>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Question Contributions</h1>
+          <p className="text-gray-600">
+            Points for writing questions: +10 approved, +1 each time a classmate's quiz uses it (up to 20),
+            +5 for good discrimination, −3 rejected
+          </p>
+        </div>
+
+        <div className="card mb-6">
+          <label className="form-label">Course</label>
+          <select
+            value={courseId}
+            onChange={(e) => setCourseId(e.target.value)}
+            className="form-select"
+          >
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>
+                {course.title}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+            <h3 className="text-xl font-semibold text-gray-700">Loading contributions...</h3>
+          </div>
+        ) : (
+          <>
+            {/* Student summary */}
+            {!isTeacher && summary && (
+              <div className="card mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-3xl font-bold text-primary-600">{summary.points}</div>
+                    <div className="text-sm text-gray-600">Contribution points</div>
+                  </div>
+                  <div className="text-center p-4 bg-gray-50 rounded-lg">
+                    <div className="text-3xl font-bold text-gray-900">
+                      {summary.rank ? `#${summary.rank}` : '—'}
+                    </div>
+                    <div className="text-sm text-gray-600">of {summary.contributors} contributors</div>
+                  </div>
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <div className="text-sm text-gray-600 mb-2">Badges</div>
+                    {summary.badges.length > 0 ? renderBadges(summary.badges) : (
+                      <p className="text-sm text-gray-500">Get a question approved to earn your first badge</p>
+                    )}
+                  </div>
+                </div>
+
+                <label className="flex items-center text-sm text-gray-700 mb-1">
+                  <input
+                    type="checkbox"
+                    checked={summary.leaderboardOptOut}
+                    onChange={(e) => handleOptOutChange(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Hide me from leaderboards
+                </label>
+                <p className="text-xs text-gray-500 mb-4">
+                  Questions you posted anonymously always count toward your points, but never toward the public leaderboard.
+                </p>
+
+                <h3 className="font-semibold text-gray-900 mb-2">History</h3>
+                {summary.ledger.length === 0 ? (
+                  <p className="text-sm text-gray-500">No contribution points yet.</p>
+                ) : (
+                  <div className="space-y-2 max-h-80 overflow-y-auto">
+                    {summary.ledger.map(event => (
+                      <div key={event._id} className="flex justify-between items-start text-sm border-b border-gray-100 pb-2">
+                        <div>
+                          <p className="text-gray-900">{EVENT_LABELS[event.type]}</p>
+                          <p className="text-gray-500">
+                            {event.question ? event.question.question : 'Deleted question'} • {new Date(event.createdAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <span className={`font-medium ${event.points >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                          {event.points > 0 ? '+' : ''}{event.points}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Leaderboard */}
+            <div className="card mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-4">Leaderboard</h2>
+              {leaderboard.length === 0 ? (
+                <p className="text-gray-500">No contributors on the leaderboard yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rank</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Badges</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {leaderboard.map(entry => (
+                        <tr
+                          key={entry.student?._id || entry.rank}
+                          className={entry.student?._id === user?._id ? 'bg-primary-50' : ''}
+                        >
+                          <td className="px-4 py-2 text-gray-900 font-medium">#{entry.rank}</td>
+                          <td className="px-4 py-2 text-gray-900">
+                            {entry.student ? `${entry.student.firstName} ${entry.student.lastName}` : 'Former student'}
+                          </td>
+                          <td className="px-4 py-2">{renderBadges(entry.badges)}</td>
+                          <td className="px-4 py-2 text-right font-semibold text-gray-900">{entry.points}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Teacher gradebook column */}
+            {isTeacher && gradebook && (
+              <div className="card">
+                <h2 className="text-xl font-semibold text-gray-900 mb-1">Gradebook Column</h2>
+                <p className="text-gray-600 text-sm mb-4">
+                  Full marks at the target score; leave the target empty to use the top contributor's points ({gradebook.column.target}).
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                  <div>
+                    <label className="form-label">Out of</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={gradeSettings.maxGrade}
+                      onChange={(e) => setGradeSettings(prev => ({ ...prev, maxGrade: e.target.value }))}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Target points</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={gradeSettings.target}
+                      onChange={(e) => setGradeSettings(prev => ({ ...prev, target: e.target.value }))}
+                      className="form-input"
+                      placeholder="Top contributor"
+                    />
+                  </div>
+                  <div className="flex items-end">
+                    <button onClick={fetchGradebook} className="btn btn-secondary w-full">
+                      Recalculate
+                    </button>
+                  </div>
+                  <div className="flex items-end">
+                    <button onClick={handleDownloadCsv} className="btn btn-primary w-full">
+                      Download CSV
+                    </button>
+                  </div>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Badges</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                          Grade (/{gradebook.column.maxGrade})
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {gradebook.rows.map(row => (
+                        <tr key={row.student._id}>
+                          <td className="px-4 py-2 text-gray-900">
+                            {row.student.firstName} {row.student.lastName}
+                            <span className="block text-xs text-gray-500">{row.student.studentId}</span>
+                          </td>
+                          <td className="px-4 py-2">{renderBadges(row.badges)}</td>
+                          <td className="px-4 py-2 text-right text-gray-900">{row.points}</td>
+                          <td className="px-4 py-2 text-right font-semibold text-gray-900">{row.grade}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionContributions;
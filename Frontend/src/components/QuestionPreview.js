@@ -0,0 +1,51 @@
+import React from 'react';
+import MathText from './MathText';
+
+// How a draft question will look to quiz takers, with math rendered and correct options marked.
+// Typed questions pass their answer key as text instead of options.
+const QuestionPreview = ({ question, image, options, answerKey }) => {
+  const filledOptions = options.filter(option => option.text.trim() || option.image);
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Preview</h4>
+      {question.trim() ? (
+        <MathText text={question} as="p" className="text-gray-900 font-medium" />
+      ) : (
+        <p className="text-sm text-gray-400 italic">Your question will appear here</p>
+      )}
+      {image && (
+        <img src={image} alt="Question diagram" className="mt-3 max-h-64 w-auto rounded border border-gray-200" />
+      )}
+      {filledOptions.length > 0 && (
+        <ul className="mt-3 space-y-2">
+          {filledOptions.map((option, index) => (
+            <li
+              key={index}
+              className={`flex items-start space-x-2 p-2 rounded border ${
+                option.isCorrect ? 'border-green-300 bg-green-50' : 'border-gray-200 bg-white'
+              }`}
+            >
+              <span className="font-medium text-gray-600">{String.fromCharCode(65 + index)}.</span>
+              <div className="flex-1">
+                <MathText text={option.text} className="text-sm text-gray-800" />
+                {option.image && (
+                  <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="mt-2 max-h-32 w-auto rounded border border-gray-200" />
+                )}
+              </div>
+              {option.isCorrect && <span className="text-xs text-green-700 font-medium">Correct</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {answerKey && (
+        <div className="mt-3 p-2 rounded border border-green-300 bg-green-50 text-sm text-gray-800">
+          <span className="text-xs text-green-700 font-medium mr-2">Accepted</span>
+          {answerKey}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionPreview;
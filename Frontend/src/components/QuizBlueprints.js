@@ -0,0 +1,395 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const DIFFICULTY_OPTIONS = [
+  { value: 'any', label: 'Any difficulty' },
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' }
+];
+
+const EMPTY_SECTION = { tag: '', difficulty: 'any', count: 1 };
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  sections: [EMPTY_SECTION],
+  isActive: true
+};
+
+const QuizBlueprints = () => {
+  const navigate = useNavigate();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [blueprints, setBlueprints] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCourses();
+  }, []);
+
+  useEffect(() => {
+    if (courseId) fetchBlueprints();
+    resetForm();
+  }, [courseId]);
+
+  const fetchCourses = async () => {
+    try {
+      const response = await axios.get('/api/courses');
+      setCourses(response.data.courses);
+      if (response.data.courses.length > 0) {
+        setCourseId(response.data.courses[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      toast.error('Failed to load courses');
+    }
+  };
+
+  const fetchBlueprints = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/quiz-blueprints/course/${courseId}`);
+      setBlueprints(response.data.blueprints);
+      setTags(response.data.tags);
+    } catch (error) {
+      console.error('Error fetching blueprints:', error);
+      toast.error('Failed to load blueprints');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEditing = (blueprint) => {
+    setFormData({
+      name: blueprint.name,
+      description: blueprint.description || '',
+      sections: blueprint.sections.map(({ tag, difficulty, count }) => ({ tag, difficulty, count })),
+      isActive: blueprint.isActive
+    });
+    setEditingId(blueprint._id);
+    setShowForm(true);
+  };
+
+  const updateSection = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, [field]: value } : section))
+    }));
+  };
+
+  const addSection = () => {
+    setFormData(prev => ({ ...prev, sections: [...prev.sections, EMPTY_SECTION] }));
+  };
+
+  const removeSection = (index) => {
+    setFormData(prev => ({ ...prev, sections: prev.sections.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error('Please give the blueprint a name');
+      return;
+    }
+
+    if (formData.sections.some(section => !section.tag.trim())) {
+      toast.error('Every section needs a tag');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      sections: formData.sections.map(section => ({ ...section, count: Number(section.count) }))
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await axios.put(`/api/quiz-blueprints/${editingId}`, payload);
+        toast.success('Blueprint updated');
+      } else {
+        await axios.post('/api/quiz-blueprints', { ...payload, courseId });
+        toast.success('Blueprint created');
+      }
+      resetForm();
+      fetchBlueprints();
+    } catch (error) {
+      console.error('Error saving blueprint:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save blueprint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (blueprint) => {
+    try {
+      await axios.put(`/api/quiz-blueprints/${blueprint._id}`, { isActive: !blueprint.isActive });
+      toast.success(blueprint.isActive ? 'Blueprint hidden from students' : 'Blueprint available to students');
+      fetchBlueprints();
+    } catch (error) {
+      console.error('Error updating blueprint:', error);
+      toast.error(error.response?.data?.message || 'Failed to update blueprint');
+    }
+  };
+
+  const handleDelete = async (blueprint) => {
+    if (!window.confirm(`Delete the blueprint "${blueprint.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/quiz-blueprints/${blueprint._id}`);
+      toast.success('Blueprint deleted');
+      if (editingId === blueprint._id) resetForm();
+      fetchBlueprints();
+    } catch (error) {
+      console.error('Error deleting blueprint:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete blueprint');
+    }
+  };
+
+  const getDifficultyLabel = (difficulty) =>
+    DIFFICULTY_OPTIONS.find(option => option.value === difficulty)?.label || difficulty;
+
+  const getTotal = (sections) => sections.reduce((sum, section) => sum + (Number(section.count) || 0), 0);
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Quiz Blueprints</h1>
+          <p className="text-gray-600">
+            Reusable recipes that draw practice quizzes from approved student questions by tag and difficulty
+          </p>
+        </div>
+
+        <div className="card mb-6">
+          <label className="form-label">Course</label>
+          <select
+            value={courseId}
+            onChange={(e) => setCourseId(e.target.value)}
+            className="form-select"
+          >
+            {courses.map(course => (
+              <option key={course._id} value={course._id}>
+                {course.title}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {showForm ? (
+          <form onSubmit={handleSubmit} className="card mb-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">
+              {editingId ? 'Edit Blueprint' : 'New Blueprint'}
+            </h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="form-label">Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                  className="form-input"
+                  placeholder="e.g., Midterm review"
+                />
+              </div>
+              <div>
+                <label className="form-label">Description</label>
+                <input
+                  type="text"
+                  value={formData.description}
+                  onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                  className="form-input"
+                  placeholder="Shown to students"
+                />
+              </div>
+            </div>
+
+            <label className="form-label">Sections</label>
+            <datalist id="blueprint-tags">
+              {tags.map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+            <div className="space-y-2 mb-3">
+              {formData.sections.map((section, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <input
+                    type="number"
+                    min="1"
+                    max="50"
+                    value={section.count}
+                    onChange={(e) => updateSection(index, 'count', e.target.value)}
+                    className="form-input col-span-2"
+                    aria-label="Number of questions"
+                  />
+                  <select
+                    value={section.difficulty}
+                    onChange={(e) => updateSection(index, 'difficulty', e.target.value)}
+                    className="form-select col-span-4"
+                  >
+                    {DIFFICULTY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    list="blueprint-tags"
+                    value={section.tag}
+                    onChange={(e) => updateSection(index, 'tag', e.target.value)}
+                    className="form-input col-span-5"
+                    placeholder="Tag, e.g. algebra"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeSection(index)}
+                    disabled={formData.sections.length === 1}
+                    className="col-span-1 text-red-600 hover:text-red-800 disabled:text-gray-300"
+                    title="Remove section"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button type="button" onClick={addSection} className="text-primary-600 hover:text-primary-700 text-sm mb-4">
+              + Add section
+            </button>
+
+            <div className="flex items-center justify-between">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData(prev => ({ ...prev, isActive: e.target.checked }))}
+                  className="mr-2"
+                />
+                Available to students
+              </label>
+              <span className="text-sm text-gray-500">{getTotal(formData.sections)} questions in total</span>
+            </div>
+
+            <div className="flex justify-end space-x-3 mt-6">
+              <button type="button" onClick={resetForm} className="btn btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Blueprint'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-end mb-6">
+            <button onClick={() => setShowForm(true)} className="btn btn-primary" disabled={!courseId}>
+              New Blueprint
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto"></div>
+          </div>
+        ) : blueprints.length === 0 ? (
+          <div className="card text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No blueprints yet</h3>
+            <p className="text-gray-500">Create one to let students take quizzes with a set mix of topics and difficulty.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {blueprints.map(blueprint => {
+              const shortSections = blueprint.sections.filter(section => section.available < section.count);
+
+              return (
+                <div key={blueprint._id} className="card">
+                  <div className="flex justify-between items-start mb-3">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">{blueprint.name}</h3>
+                      {blueprint.description && <p className="text-gray-600 text-sm">{blueprint.description}</p>}
+                    </div>
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                      blueprint.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {blueprint.isActive ? 'Active' : 'Hidden'}
+                    </span>
+                  </div>
+
+                  <table className="min-w-full text-sm mb-3">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1 pr-4 font-medium">Tag</th>
+                        <th className="py-1 pr-4 font-medium">Difficulty</th>
+                        <th className="py-1 pr-4 font-medium">Questions</th>
+                        <th className="py-1 font-medium">Available</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {blueprint.sections.map(section => (
+                        <tr key={section._id} className="border-t border-gray-100">
+                          <td className="py-1 pr-4 text-gray-900">{section.tag}</td>
+                          <td className="py-1 pr-4 text-gray-700">{getDifficultyLabel(section.difficulty)}</td>
+                          <td className="py-1 pr-4 text-gray-700">{section.count}</td>
+                          <td className={`py-1 ${section.available < section.count ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                            {section.available}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  {shortSections.length > 0 && (
+                    <p className="text-sm text-red-600 mb-3">
+                      Students can't start this quiz until more approved questions match the highlighted sections.
+                    </p>
+                  )}
+
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-500">{getTotal(blueprint.sections)} questions per attempt</span>
+                    <div className="flex space-x-2">
+                      <button onClick={() => startEditing(blueprint)} className="btn btn-secondary text-sm">
+                        Edit
+                      </button>
+                      <button onClick={() => toggleActive(blueprint)} className="btn btn-secondary text-sm">
+                        {blueprint.isActive ? 'Hide' : 'Publish'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(blueprint)}
+                        className="btn btn-danger text-sm"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizBlueprints;
@@ -0,0 +1,839 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyQuestion = () => ({
+  question: '',
+  type: 'multiple-choice',
+  options: ['', '', '', ''],
+  correctAnswer: 0,
+  acceptedAnswers: [],
+  points: 1,
+  explanation: ''
+});
+
+const emptyForm = () => ({
+  title: '',
+  description: '',
+  timeLimit: 30,
+  attempts: 1,
+  dueDate: '',
+  showCorrectAnswers: true,
+  showResults: true,
+  questions: [emptyQuestion()]
+});
+
+const QuizManagement = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const [course, setCourse] = useState(null);
+  const [quizzes, setQuizzes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [editingQuiz, setEditingQuiz] = useState(null);
+  const [formData, setFormData] = useState(emptyForm());
+  const [resultsQuiz, setResultsQuiz] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [selectedAttempt, setSelectedAttempt] = useState(null);
+  const [markingAnswer, setMarkingAnswer] = useState(null);
+
+  useEffect(() => {
+    fetchCourseAndQuizzes();
+  }, [courseId]);
+
+  const fetchCourseAndQuizzes = async () => {
+    try {
+      setLoading(true);
+
+      const courseResponse = await axios.get(`/api/courses/${courseId}`);
+      setCourse(courseResponse.data.course);
+
+      const quizzesResponse = await axios.get(`/api/quizzes/course/${courseId}`);
+      setQuizzes(quizzesResponse.data.quizzes);
+    } catch (error) {
+      console.error('Error fetching data:', error);
+      toast.error('Failed to load course data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setShowCreateForm(false);
+    setEditingQuiz(null);
+    setFormData(emptyForm());
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const updateQuestion = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => {
+        if (i !== index) return q;
+        if (field === 'type') {
+          return {
+            ...q,
+            type: value,
+            options: value === 'multiple-choice' ? ['', '', '', ''] : [],
+            correctAnswer: value === 'multiple-choice' ? 0 : value === 'true-false' ? 'true' : '',
+            acceptedAnswers: []
+          };
+        }
+        return { ...q, [field]: value };
+      })
+    }));
+  };
+
+  const updateOption = (questionIndex, optionIndex, value) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (
+        i === questionIndex
+          ? { ...q, options: q.options.map((o, j) => (j === optionIndex ? value : o)) }
+          : q
+      ))
+    }));
+  };
+
+  const addOption = (questionIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (
+        i === questionIndex && q.options.length < 6 ? { ...q, options: [...q.options, ''] } : q
+      ))
+    }));
+  };
+
+  const removeOption = (questionIndex, optionIndex) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => {
+        if (i !== questionIndex || q.options.length <= 2) return q;
+        const correct = Number(q.correctAnswer);
+        return {
+          ...q,
+          options: q.options.filter((_, j) => j !== optionIndex),
+          correctAnswer: correct === optionIndex ? 0 : correct > optionIndex ? correct - 1 : correct
+        };
+      })
+    }));
+  };
+
+  const addQuestion = () => {
+    setFormData(prev => ({
+      ...prev,
+      questions: [...prev.questions, emptyQuestion()]
+    }));
+  };
+
+  const removeQuestion = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+
+      const quizData = {
+        title: formData.title,
+        description: formData.description,
+        course: courseId,
+        timeLimit: parseInt(formData.timeLimit),
+        attempts: parseInt(formData.attempts),
+        dueDate: formData.dueDate,
+        showCorrectAnswers: formData.showCorrectAnswers,
+        showResults: formData.showResults
+      };
+
+      // Questions are locked server-side once students have attempted the quiz
+      if (!editingQuiz || !editingQuiz.attemptCount) {
+        quizData.questions = formData.questions.map(q => ({
+          ...q,
+          points: parseFloat(q.points)
+        }));
+      }
+
+      if (editingQuiz) {
+        await axios.put(`/api/quizzes/${editingQuiz._id}`, quizData);
+        toast.success('Quiz updated successfully!');
+      } else {
+        await axios.post('/api/quizzes', quizData);
+        toast.success('Quiz created successfully!');
+      }
+
+      resetForm();
+      fetchCourseAndQuizzes();
+    } catch (error) {
+      console.error('Error saving quiz:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save quiz');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (quiz) => {
+    setEditingQuiz(quiz);
+    setFormData({
+      title: quiz.title,
+      description: quiz.description,
+      timeLimit: quiz.timeLimit,
+      attempts: quiz.attempts,
+      dueDate: quiz.dueDate ? quiz.dueDate.substring(0, 16) : '',
+      showCorrectAnswers: quiz.showCorrectAnswers,
+      showResults: quiz.showResults,
+      questions: quiz.questions.map(q => ({
+        question: q.question,
+        type: q.type,
+        options: q.options,
+        correctAnswer: q.type === 'true-false' ? String(q.correctAnswer) : q.correctAnswer,
+        acceptedAnswers: q.acceptedAnswers || [],
+        points: q.points,
+        explanation: q.explanation
+      }))
+    });
+    setShowCreateForm(true);
+  };
+
+  const handleDelete = async (quizId) => {
+    if (window.confirm('Are you sure you want to delete this quiz? This will also delete all attempts.')) {
+      try {
+        await axios.delete(`/api/quizzes/${quizId}`);
+        toast.success('Quiz deleted successfully!');
+        fetchCourseAndQuizzes();
+      } catch (error) {
+        console.error('Error deleting quiz:', error);
+        toast.error(error.response?.data?.message || 'Failed to delete quiz');
+      }
+    }
+  };
+
+  const handlePublish = async (quiz) => {
+    try {
+      await axios.put(`/api/quizzes/${quiz._id}/${quiz.isPublished ? 'unpublish' : 'publish'}`);
+      toast.success(`Quiz ${quiz.isPublished ? 'unpublished' : 'published'} successfully!`);
+      fetchCourseAndQuizzes();
+    } catch (error) {
+      console.error('Error updating quiz:', error);
+      toast.error(error.response?.data?.message || 'Failed to update quiz status');
+    }
+  };
+
+  const handleViewResults = async (quiz) => {
+    try {
+      const response = await axios.get(`/api/quizzes/${quiz._id}/attempts`);
+      setAttempts(response.data.attempts);
+      setSelectedAttempt(null);
+      setResultsQuiz(quiz);
+    } catch (error) {
+      console.error('Error fetching attempts:', error);
+      toast.error('Failed to load quiz attempts');
+    }
+  };
+
+  // Mark a short answer right or wrong, overriding the auto-grader
+  const handleMarkAnswer = async (question, isCorrect) => {
+    setMarkingAnswer(question._id);
+    try {
+      const response = await axios.put(
+        `/api/quizzes/attempts/${selectedAttempt._id}/answers/${question._id}`,
+        { isCorrect }
+      );
+      const { attempt } = response.data;
+      const updated = { ...selectedAttempt, ...attempt, student: selectedAttempt.student };
+      setSelectedAttempt(updated);
+      setAttempts(prev => prev.map(a => (a._id === updated._id ? updated : a)));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error marking answer:', error);
+      toast.error(error.response?.data?.message || 'Failed to mark answer');
+    } finally {
+      setMarkingAnswer(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const formatAnswer = (question, answer) => {
+    if (answer === undefined || answer === null || answer === '') return 'No answer';
+    if (question.type === 'multiple-choice') return question.options[Number(answer)] || 'No answer';
+    return String(answer);
+  };
+
+  const getStatusColor = (quiz) => {
+    if (!quiz.isPublished) return 'bg-gray-100 text-gray-800';
+    if (quiz.dueDate && new Date() > new Date(quiz.dueDate)) return 'bg-red-100 text-red-800';
+    return 'bg-green-100 text-green-800';
+  };
+
+  const getStatusText = (quiz) => {
+    if (!quiz.isPublished) return 'Draft';
+    if (quiz.dueDate && new Date() > new Date(quiz.dueDate)) return 'Closed';
+    return 'Published';
+  };
+
+  if (loading && !course) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading course...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!course) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">Course not found</h3>
+          <button
+            onClick={() => navigate('/courses')}
+            className="btn btn-primary"
+          >
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const questionsLocked = editingQuiz && editingQuiz.attemptCount > 0;
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Quiz Management</h1>
+          <p className="text-gray-600">{course.title} • {course.subject}</p>
+        </div>
+
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-900">Quizzes ({quizzes.length})</h2>
+            <p className="text-gray-600">Create graded quizzes for your course</p>
+          </div>
+          <button
+            onClick={() => setShowCreateForm(true)}
+            className="btn btn-primary px-6 py-3"
+          >
+            Create New Quiz
+          </button>
+        </div>
+
+        {/* Create/Edit Quiz Form */}
+        {showCreateForm && (
+          <div className="card mb-8">
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-semibold text-gray-900">
+                {editingQuiz ? 'Edit Quiz' : 'Create New Quiz'}
+              </h2>
+              <button
+                onClick={resetForm}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="form-label">Quiz Title *</label>
+                <input
+                  type="text"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleChange}
+                  className="form-input"
+                  placeholder="Enter quiz title"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="form-label">Description *</label>
+                <textarea
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                  rows="3"
+                  placeholder="What does this quiz cover?"
+                  required
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label className="form-label">Time Limit (minutes) *</label>
+                  <input
+                    type="number"
+                    name="timeLimit"
+                    value={formData.timeLimit}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="form-label">Attempts Allowed *</label>
+                  <input
+                    type="number"
+                    name="attempts"
+                    value={formData.attempts}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="form-label">Due Date (Optional)</label>
+                  <input
+                    type="datetime-local"
+                    name="dueDate"
+                    value={formData.dueDate}
+                    onChange={handleChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-6">
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    name="showResults"
+                    checked={formData.showResults}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  <label className="form-label mb-0">Show scores to students</label>
+                </div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    name="showCorrectAnswers"
+                    checked={formData.showCorrectAnswers}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  <label className="form-label mb-0">Show correct answers after submission</label>
+                </div>
+              </div>
+
+              {/* Questions */}
+              <div>
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-xl font-semibold text-gray-900">Questions ({formData.questions.length})</h3>
+                  {!questionsLocked && (
+                    <button
+                      type="button"
+                      onClick={addQuestion}
+                      className="text-primary-600 hover:text-primary-800 font-medium"
+                    >
+                      + Add Question
+                    </button>
+                  )}
+                </div>
+
+                {questionsLocked && (
+                  <p className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                    Students have already attempted this quiz, so its questions can no longer be changed.
+                  </p>
+                )}
+
+                <div className="space-y-6">
+                  {formData.questions.map((q, index) => (
+                    <fieldset key={index} disabled={questionsLocked} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                      <div className="flex justify-between items-center">
+                        <h4 className="font-medium text-gray-900">Question {index + 1}</h4>
+                        {formData.questions.length > 1 && !questionsLocked && (
+                          <button
+                            type="button"
+                            onClick={() => removeQuestion(index)}
+                            className="text-red-600 hover:text-red-700 text-sm"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="md:col-span-2">
+                          <label className="form-label">Question *</label>
+                          <textarea
+                            value={q.question}
+                            onChange={(e) => updateQuestion(index, 'question', e.target.value)}
+                            className="form-input"
+                            rows="2"
+                            required
+                          />
+                        </div>
+                        <div className="space-y-2">
+                          <div>
+                            <label className="form-label">Type</label>
+                            <select
+                              value={q.type}
+                              onChange={(e) => updateQuestion(index, 'type', e.target.value)}
+                              className="form-select"
+                            >
+                              <option value="multiple-choice">Multiple Choice</option>
+                              <option value="true-false">True / False</option>
+                              <option value="short-answer">Short Answer</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="form-label">Points</label>
+                            <input
+                              type="number"
+                              value={q.points}
+                              onChange={(e) => updateQuestion(index, 'points', e.target.value)}
+                              className="form-input"
+                              min="0"
+                              step="0.5"
+                            />
+                          </div>
+                        </div>
+                      </div>
+
+                      {q.type === 'multiple-choice' && (
+                        <div>
+                          <label className="form-label">Options (select the correct one) *</label>
+                          <div className="space-y-2">
+                            {q.options.map((option, optionIndex) => (
+                              <div key={optionIndex} className="flex items-center space-x-3">
+                                <input
+                                  type="radio"
+                                  name={`correct-${index}`}
+                                  checked={Number(q.correctAnswer) === optionIndex}
+                                  onChange={() => updateQuestion(index, 'correctAnswer', optionIndex)}
+                                  className="h-4 w-4 text-primary-600"
+                                />
+                                <input
+                                  type="text"
+                                  value={option}
+                                  onChange={(e) => updateOption(index, optionIndex, e.target.value)}
+                                  placeholder={`Option ${optionIndex + 1}`}
+                                  className="form-input flex-1"
+                                />
+                                {q.options.length > 2 && (
+                                  <button
+                                    type="button"
+                                    onClick={() => removeOption(index, optionIndex)}
+                                    className="text-red-600 hover:text-red-700 text-sm"
+                                  >
+                                    Remove
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                          {q.options.length < 6 && (
+                            <button
+                              type="button"
+                              onClick={() => addOption(index)}
+                              className="mt-2 text-primary-600 hover:text-primary-800 text-sm font-medium"
+                            >
+                              + Add Option
+                            </button>
+                          )}
+                        </div>
+                      )}
+
+                      {q.type === 'true-false' && (
+                        <div>
+                          <label className="form-label">Correct Answer *</label>
+                          <select
+                            value={String(q.correctAnswer)}
+                            onChange={(e) => updateQuestion(index, 'correctAnswer', e.target.value)}
+                            className="form-select"
+                          >
+                            <option value="true">True</option>
+                            <option value="false">False</option>
+                          </select>
+                        </div>
+                      )}
+
+                      {q.type === 'short-answer' && (
+                        <div>
+                          <label className="form-label">Correct Answer *</label>
+                          <input
+                            type="text"
+                            value={q.correctAnswer}
+                            onChange={(e) => updateQuestion(index, 'correctAnswer', e.target.value)}
+                            className="form-input"
+                            placeholder="Matched ignoring case, accents and punctuation"
+                            required
+                          />
+                          <label className="form-label mt-3">Also accept (optional, one per line)</label>
+                          <textarea
+                            value={(q.acceptedAnswers || []).join('\n')}
+                            onChange={(e) => updateQuestion(index, 'acceptedAnswers', e.target.value.split('\n'))}
+                            className="form-input"
+                            rows={2}
+                            placeholder="Other wordings that count as correct"
+                          />
+                          <p className="text-xs text-gray-500 mt-1">
+                            Near misses, such as a misspelling, are flagged for you to mark in the results.
+                          </p>
+                        </div>
+                      )}
+
+                      <div>
+                        <label className="form-label">Explanation (Optional)</label>
+                        <textarea
+                          value={q.explanation}
+                          onChange={(e) => updateQuestion(index, 'explanation', e.target.value)}
+                          className="form-input"
+                          rows="2"
+                        />
+                      </div>
+                    </fieldset>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-4">
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="btn btn-secondary"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="btn btn-primary"
+                >
+                  {saving ? 'Saving...' : editingQuiz ? 'Update Quiz' : 'Create Quiz'}
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {/* Quizzes List */}
+        {quizzes.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="mx-auto h-24 w-24 text-gray-400 mb-4">
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24" className="w-full h-full">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+              </svg>
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No quizzes created yet</h3>
+            <p className="text-gray-500 mb-4">Create your first quiz to get started</p>
+            <button
+              onClick={() => setShowCreateForm(true)}
+              className="btn btn-primary"
+            >
+              Create Quiz
+            </button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {quizzes.map((quiz) => (
+              <div key={quiz._id} className="card hover:shadow-xl transition-shadow duration-200">
+                <div className="flex justify-between items-start mb-4">
+                  <h3 className="text-xl font-semibold text-gray-900 line-clamp-2">
+                    {quiz.title}
+                  </h3>
+                  <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(quiz)}`}>
+                    {getStatusText(quiz)}
+                  </span>
+                </div>
+
+                <p className="text-gray-600 text-sm mb-4 line-clamp-3">
+                  {quiz.description}
+                </p>
+
+                <div className="space-y-2 text-sm text-gray-500 mb-4">
+                  <div>{quiz.questions.length} questions • {quiz.totalPoints} points</div>
+                  <div>{quiz.timeLimit} minutes • {quiz.attempts} attempt{quiz.attempts === 1 ? '' : 's'} allowed</div>
+                  {quiz.dueDate && <div>Due: {formatDate(quiz.dueDate)}</div>}
+                  <div>{quiz.completedAttempts} completed attempt{quiz.completedAttempts === 1 ? '' : 's'}</div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    onClick={() => handleEdit(quiz)}
+                    className="btn btn-secondary text-sm"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handlePublish(quiz)}
+                    className={`btn text-sm ${quiz.isPublished ? 'btn-secondary' : 'btn-success'}`}
+                  >
+                    {quiz.isPublished ? 'Unpublish' : 'Publish'}
+                  </button>
+                  <button
+                    onClick={() => handleViewResults(quiz)}
+                    className="btn btn-primary text-sm"
+                  >
+                    Results
+                  </button>
+                  <button
+                    onClick={() => handleDelete(quiz._id)}
+                    className="btn btn-danger text-sm"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Results Modal */}
+      {resultsQuiz && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-xl font-semibold text-gray-900">
+                  {selectedAttempt ? 'Attempt Details' : `Results: ${resultsQuiz.title}`}
+                </h3>
+                <button
+                  onClick={() => (selectedAttempt ? setSelectedAttempt(null) : setResultsQuiz(null))}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  {selectedAttempt ? 'Back' : 'Close'}
+                </button>
+              </div>
+
+              {selectedAttempt ? (
+                <div className="space-y-4">
+                  <p className="text-gray-600">
+                    {selectedAttempt.student.firstName} {selectedAttempt.student.lastName} • Attempt {selectedAttempt.attemptNumber} • {selectedAttempt.score}/{selectedAttempt.totalPoints} ({selectedAttempt.percentage}%)
+                  </p>
+                  {resultsQuiz.questions.map((question, index) => {
+                    const answer = selectedAttempt.answers.find(a => a.questionId === question._id);
+                    return (
+                      <div key={question._id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex justify-between items-start mb-2">
+                          <h4 className="font-medium text-gray-900">{index + 1}. {question.question}</h4>
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                            answer?.needsReview
+                              ? 'bg-yellow-100 text-yellow-800'
+                              : answer && answer.isCorrect ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                          }`}>
+                            {answer?.needsReview ? 'Needs review • ' : ''}{answer ? answer.points : 0}/{question.points}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-700">Answer: {formatAnswer(question, answer?.answer)}</p>
+                        <p className="text-sm text-green-700">
+                          Correct: {[question.correctAnswer, ...(question.acceptedAnswers || [])]
+                            .map(correct => formatAnswer(question, correct))
+                            .join(' / ')}
+                        </p>
+                        {answer?.needsReview && (
+                          <p className="text-sm text-yellow-800">{answer.reviewReason}</p>
+                        )}
+                        {question.type === 'short-answer' && answer && (
+                          <div className="flex justify-end space-x-2 mt-2">
+                            <button
+                              onClick={() => handleMarkAnswer(question, true)}
+                              disabled={markingAnswer === question._id}
+                              className="btn btn-secondary text-sm"
+                            >
+                              Mark correct
+                            </button>
+                            <button
+                              onClick={() => handleMarkAnswer(question, false)}
+                              disabled={markingAnswer === question._id}
+                              className="btn btn-secondary text-sm"
+                            >
+                              Mark incorrect
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : attempts.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No attempts yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Attempt</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Score</th>
+                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Submitted</th>
+                        <th className="px-4 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {attempts.map((attempt) => (
+                        <tr key={attempt._id}>
+                          <td className="px-4 py-2 text-sm text-gray-900">
+                            {attempt.student.firstName} {attempt.student.lastName}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-600">{attempt.attemptNumber}</td>
+                          <td className="px-4 py-2 text-sm text-gray-600">
+                            {attempt.isCompleted ? `${attempt.score}/${attempt.totalPoints} (${attempt.percentage}%)` : 'In progress'}
+                          </td>
+                          <td className="px-4 py-2 text-sm text-gray-600">
+                            {attempt.submittedAt ? formatDate(attempt.submittedAt) : '-'}
+                          </td>
+                          <td className="px-4 py-2 text-right">
+                            {attempt.isCompleted && (
+                              <button
+                                onClick={() => setSelectedAttempt(attempt)}
+                                className="text-primary-600 hover:text-primary-800 text-sm font-medium"
+                              >
+                                View
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizManagement;
@@ -0,0 +1,136 @@
+import React from 'react';
+
+// The most points a criterion can give, from its best level
+export const getCriterionMax = (criterion) => Math.max(...criterion.levels.map(level => Number(level.maxPoints) || 0));
+
+export const getRubricMax = (rubric) => (
+  Math.round((rubric?.criteria || []).reduce((sum, criterion) => sum + getCriterionMax(criterion), 0) * 100) / 100
+);
+
+// Selections keyed by criterion id, e.g. { [criterionId]: { levelId, points } }, from saved scores
+export const toSelections = (rubricScores) => (rubricScores || []).reduce((selections, score) => ({
+  ...selections,
+  [score.criterionId]: { levelId: score.levelId, points: score.points }
+}), {});
+
+// Sum of the chosen points, or null until every criterion has a level
+export const getSelectionTotal = (rubric, selections) => {
+  if (!rubric?.criteria?.length) return null;
+  let total = 0;
+  for (const criterion of rubric.criteria) {
+    const selection = selections[criterion._id];
+    if (!selection) return null;
+    total += Number(selection.points) || 0;
+  }
+  return Math.round(total * 100) / 100;
+};
+
+// The rubric total scaled to the assignment's points, matching the server's calculation
+export const scaleToPoints = (total, rubric, maxPoints) => {
+  const rubricMax = getRubricMax(rubric);
+  return rubricMax > 0 ? Math.round((total / rubricMax) * maxPoints * 100) / 100 : 0;
+};
+
+// A criteria × levels grid; click a cell to choose that level. Without onChange it is read-only.
+const RubricGrid = ({ rubric, selections = {}, onChange }) => {
+  if (!rubric) return null;
+
+  const chooseLevel = (criterion, level) => {
+    if (!onChange) return;
+    onChange({ ...selections, [criterion._id]: { levelId: level._id, points: level.maxPoints } });
+  };
+
+  const setPoints = (criterion, points) => {
+    onChange({ ...selections, [criterion._id]: { ...selections[criterion._id], points } });
+  };
+
+  return (
+    <div className="space-y-4">
+      {rubric.criteria.map(criterion => {
+        const selection = selections[criterion._id];
+        const chosenLevel = criterion.levels.find(level => level._id === selection?.levelId);
+
+        return (
+          <div key={criterion._id} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex justify-between items-start mb-2">
+              <div>
+                <h4 className="font-medium text-gray-900">{criterion.title}</h4>
+                {criterion.description && <p className="text-xs text-gray-500">{criterion.description}</p>}
+              </div>
+              <span className="text-sm text-gray-600 whitespace-nowrap ml-2">
+                {selection ? `${selection.points}` : '–'}/{getCriterionMax(criterion)}
+              </span>
+            </div>
+
+            <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${criterion.levels.length}, minmax(0, 1fr))` }}>
+              {criterion.levels.map(level => {
+                const isChosen = level._id === selection?.levelId;
+                return (
+                  <button
+                    key={level._id}
+                    type="button"
+                    onClick={() => chooseLevel(criterion, level)}
+                    disabled={!onChange}
+                    className={`text-left p-2 rounded border text-xs transition-colors ${
+                      isChosen
+                        ? 'border-blue-500 bg-blue-50'
+                        : `border-gray-200 bg-white ${onChange ? 'hover:bg-gray-50' : 'cursor-default'}`
+                    }`}
+                  >
+                    <div className="font-medium text-gray-900">{level.title}</div>
+                    <div className="text-gray-500">
+                      {level.minPoints === level.maxPoints ? level.maxPoints : `${level.minPoints}–${level.maxPoints}`} pts
+                    </div>
+                    {level.descriptor && <p className="text-gray-600 mt-1">{level.descriptor}</p>}
+                  </button>
+                );
+              })}
+            </div>
+
+            {onChange && chosenLevel && chosenLevel.minPoints !== chosenLevel.maxPoints && (
+              <div className="flex items-center space-x-2 mt-2 text-sm">
+                <label className="text-gray-600">Points within {chosenLevel.title}:</label>
+                <input
+                  type="number"
+                  min={chosenLevel.minPoints}
+                  max={chosenLevel.maxPoints}
+                  step="0.5"
+                  value={selection.points}
+                  onChange={(e) => setPoints(criterion, e.target.value)}
+                  className="form-input w-24"
+                />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Per-criterion scores as saved on a submission; these keep their titles even if the rubric changes
+export const RubricScoreList = ({ scores }) => {
+  if (!scores?.length) return null;
+
+  const total = scores.reduce((sum, score) => sum + score.points, 0);
+  const max = scores.reduce((sum, score) => sum + score.maxPoints, 0);
+
+  return (
+    <div className="text-sm">
+      {scores.map(score => (
+        <div key={score.criterionId} className="flex justify-between py-1 border-b border-gray-100">
+          <span className="text-gray-700">
+            {score.criterionTitle} <span className="text-gray-500">— {score.levelTitle}</span>
+          </span>
+          <span className="text-gray-900">{score.points}/{score.maxPoints}</span>
+        </div>
+      ))}
+      <div className="flex justify-between pt-2 font-medium">
+        <span className="text-gray-900">Rubric total</span>
+        <span className="text-gray-900">{Math.round(total * 100) / 100}/{Math.round(max * 100) / 100}</span>
+      </div>
+    </div>
+  );
+};
+
+export default RubricGrid;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import RubricGrid from './RubricGrid';
+
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 10;
+
+const newLevel = (title, points) => ({ title, descriptor: '', minPoints: points, maxPoints: points });
+
+const newCriterion = () => ({
+  title: '',
+  description: '',
+  levels: [newLevel('Excellent', 4), newLevel('Good', 3), newLevel('Fair', 2), newLevel('Poor', 1)]
+});
+
+const EMPTY_FORM = { title: '', description: '', criteria: [newCriterion()] };
+
+// A saved rubric as editor state; ids are dropped so saving replaces the criteria
+const toForm = (rubric) => ({
+  title: rubric.title,
+  description: rubric.description || '',
+  criteria: rubric.criteria.map(criterion => ({
+    title: criterion.title,
+    description: criterion.description || '',
+    levels: criterion.levels.map(({ title, descriptor, minPoints, maxPoints }) => ({
+      title, descriptor: descriptor || '', minPoints, maxPoints
+    }))
+  }))
+});
+
+const courseIdOf = (rubric) => rubric.course?._id || rubric.course;
+
+// Reusable grading rubrics for one course: build them, copy them between courses
+const RubricManagement = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [rubrics, setRubrics] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [previewId, setPreviewId] = useState(null);
+  const [copyTargets, setCopyTargets] = useState({});
+
+  useEffect(() => {
+    fetchData();
+  }, [courseId]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [rubricsResponse, coursesResponse] = await Promise.all([
+        axios.get('/api/rubrics'),
+        axios.get('/api/courses')
+      ]);
+      setRubrics(rubricsResponse.data.rubrics);
+      setCourses(coursesResponse.data.courses);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+      toast.error(error.response?.data?.message || 'Failed to load rubrics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showError = (error, fallback) => {
+    const validationErrors = error.response?.data?.errors;
+    toast.error(validationErrors?.[0]?.msg || error.response?.data?.message || fallback);
+  };
+
+  const courseRubrics = rubrics.filter(rubric => courseIdOf(rubric) === courseId);
+  const otherRubrics = rubrics.filter(rubric => courseIdOf(rubric) !== courseId);
+  const course = courses.find(c => c._id === courseId);
+
+  const updateCriterion = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      criteria: prev.criteria.map((criterion, i) => (i === index ? { ...criterion, ...changes } : criterion))
+    }));
+  };
+
+  const updateLevel = (criterionIndex, levelIndex, changes) => {
+    const criterion = form.criteria[criterionIndex];
+    updateCriterion(criterionIndex, {
+      levels: criterion.levels.map((level, i) => (i === levelIndex ? { ...level, ...changes } : level))
+    });
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const handleEdit = (rubric) => {
+    setForm(toForm(rubric));
+    setEditingId(rubric._id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      title: form.title,
+      description: form.description,
+      criteria: form.criteria.map(criterion => ({
+        ...criterion,
+        levels: criterion.levels.map(level => ({
+          ...level,
+          minPoints: parseFloat(level.minPoints),
+          maxPoints: parseFloat(level.maxPoints)
+        }))
+      }))
+    };
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        const response = await axios.put(`/api/rubrics/${editingId}`, payload);
+        toast.success(response.data.message);
+        setRubrics(prev => prev.map(rubric => (
+          rubric._id === editingId ? { ...response.data.rubric, course: rubric.course } : rubric
+        )));
+      } else {
+        const response = await axios.post('/api/rubrics', { ...payload, courseId });
+        toast.success(response.data.message);
+        setRubrics(prev => [{ ...response.data.rubric, course }, ...prev]);
+      }
+      resetForm();
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      showError(error, 'Failed to save rubric');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async (rubric, targetCourseId) => {
+    try {
+      const response = await axios.post(`/api/rubrics/${rubric._id}/copy`, { courseId: targetCourseId });
+      toast.success(response.data.message);
+      setRubrics(prev => [response.data.rubric, ...prev]);
+    } catch (error) {
+      console.error('Error copying rubric:', error);
+      showError(error, 'Failed to copy rubric');
+    }
+  };
+
+  const handleDelete = async (rubric) => {
+    if (!window.confirm(`Delete the rubric "${rubric.title}"?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/rubrics/${rubric._id}`);
+      toast.success(response.data.message);
+      setRubrics(prev => prev.filter(r => r._id !== rubric._id));
+    } catch (error) {
+      console.error('Error deleting rubric:', error);
+      showError(error, 'Failed to delete rubric');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading rubrics...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8 flex justify-between items-end">
+          <div>
+            <button
+              onClick={() => navigate(-1)}
+              className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Back
+            </button>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Rubrics</h1>
+            <p className="text-gray-600">
+              {course ? `${course.title} • ` : ''}Criteria and performance levels for grading assignments.
+              Attach a rubric when creating or editing an assignment.
+            </p>
+          </div>
+          {!showForm && (
+            <button onClick={() => setShowForm(true)} className="btn btn-primary">
+              New Rubric
+            </button>
+          )}
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleSubmit} className="card mb-8 space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">{editingId ? 'Edit Rubric' : 'New Rubric'}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Title</label>
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                  className="form-input"
+                  placeholder="e.g. Lab report"
+                  required
+                />
+              </div>
+              <div>
+                <label className="form-label">Description (optional)</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            {form.criteria.map((criterion, criterionIndex) => (
+              <div key={criterionIndex} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Criterion {criterionIndex + 1}</label>
+                    <input
+                      type="text"
+                      value={criterion.title}
+                      onChange={(e) => updateCriterion(criterionIndex, { title: e.target.value })}
+                      className="form-input"
+                      placeholder="e.g. Analysis"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">What it covers (optional)</label>
+                    <input
+                      type="text"
+                      value={criterion.description}
+                      onChange={(e) => updateCriterion(criterionIndex, { description: e.target.value })}
+                      className="form-input"
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  {criterion.levels.map((level, levelIndex) => (
+                    <div key={levelIndex} className="grid grid-cols-12 gap-2 items-center">
+                      <input
+                        type="text"
+                        value={level.title}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { title: e.target.value })}
+                        className="form-input col-span-3"
+                        placeholder="Level"
+                        required
+                      />
+                      <input
+                        type="text"
+                        value={level.descriptor}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { descriptor: e.target.value })}
+                        className="form-input col-span-5"
+                        placeholder="What work at this level looks like"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={level.minPoints}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { minPoints: e.target.value })}
+                        className="form-input col-span-1"
+                        title="Lowest points in this level"
+                        required
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={level.maxPoints}
+                        onChange={(e) => updateLevel(criterionIndex, levelIndex, { maxPoints: e.target.value })}
+                        className="form-input col-span-1"
+                        title="Highest points in this level"
+                        required
+                      />
+                      <button
+                        type="button"
+                        onClick={() => updateCriterion(criterionIndex, {
+                          levels: criterion.levels.filter((_, i) => i !== levelIndex)
+                        })}
+                        disabled={criterion.levels.length <= 2}
+                        className="col-span-2 text-sm text-red-600 hover:text-red-800 disabled:text-gray-300"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">Points are a band: lowest to highest. Use the same number twice for a fixed score.</p>
+                </div>
+
+                <div className="flex justify-between">
+                  <button
+                    type="button"
+                    onClick={() => updateCriterion(criterionIndex, { levels: [...criterion.levels, newLevel('', 0)] })}
+                    disabled={criterion.levels.length >= MAX_LEVELS}
+                    className="text-sm text-primary-600 hover:text-primary-800 disabled:text-gray-300"
+                  >
+                    + Add level
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setForm(prev => ({
+                      ...prev,
+                      criteria: prev.criteria.filter((_, i) => i !== criterionIndex)
+                    }))}
+                    disabled={form.criteria.length <= 1}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:text-gray-300"
+                  >
+                    Remove criterion
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => setForm(prev => ({ ...prev, criteria: [...prev.criteria, newCriterion()] }))}
+              disabled={form.criteria.length >= MAX_CRITERIA}
+              className="btn btn-secondary"
+            >
+              Add Criterion
+            </button>
+
+            <div className="flex space-x-2 border-t pt-4">
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Rubric'}
+              </button>
+              <button type="button" onClick={resetForm} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="card mb-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">This Course</h2>
+          {courseRubrics.length === 0 ? (
+            <p className="text-gray-500">No rubrics yet. Create one or copy one from another course.</p>
+          ) : (
+            <div className="space-y-4">
+              {courseRubrics.map(rubric => (
+                <div key={rubric._id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-semibold text-gray-900">
+                        {rubric.title}
+                        {rubric.isLocked && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Used for grading
+                          </span>
+                        )}
+                      </h3>
+                      <p className="text-sm text-gray-600">
+                        {rubric.criteria.length} criteria • {rubric.maxPoints} points
+                        {rubric.description ? ` • ${rubric.description}` : ''}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-3 text-sm whitespace-nowrap">
+                      <button
+                        onClick={() => setPreviewId(previewId === rubric._id ? null : rubric._id)}
+                        className="text-primary-600 hover:text-primary-800"
+                      >
+                        {previewId === rubric._id ? 'Hide' : 'Preview'}
+                      </button>
+                      {rubric.isLocked ? (
+                        <span className="text-gray-400" title="Copy it to make a new version">Locked</span>
+                      ) : (
+                        <button onClick={() => handleEdit(rubric)} className="text-primary-600 hover:text-primary-800">
+                          Edit
+                        </button>
+                      )}
+                      <button onClick={() => handleDelete(rubric)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 mt-3 text-sm">
+                    <select
+                      value={copyTargets[rubric._id] || courseId}
+                      onChange={(e) => setCopyTargets(prev => ({ ...prev, [rubric._id]: e.target.value }))}
+                      className="form-select w-auto"
+                    >
+                      {courses.map(c => (
+                        <option key={c._id} value={c._id}>{c._id === courseId ? 'This course (new version)' : c.title}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleCopy(rubric, copyTargets[rubric._id] || courseId)}
+                      className="btn btn-secondary"
+                    >
+                      Copy
+                    </button>
+                  </div>
+
+                  {previewId === rubric._id && (
+                    <div className="mt-4">
+                      <RubricGrid rubric={rubric} />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">From Your Other Courses</h2>
+          {otherRubrics.length === 0 ? (
+            <p className="text-gray-500">Rubrics from your other courses will appear here.</p>
+          ) : (
+            <ul className="divide-y">
+              {otherRubrics.map(rubric => (
+                <li key={rubric._id} className="py-3 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-gray-900">{rubric.title}</p>
+                    <p className="text-sm text-gray-600">
+                      {rubric.course?.title || 'Another course'} • {rubric.criteria.length} criteria • {rubric.maxPoints} points
+                    </p>
+                  </div>
+                  <button onClick={() => handleCopy(rubric, courseId)} className="btn btn-secondary">
+                    Copy to This Course
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RubricManagement;
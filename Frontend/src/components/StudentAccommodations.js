@@ -0,0 +1,468 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const EMPTY_OVERRIDE = {
+  studentId: '',
+  dueDate: '',
+  allowLateSubmission: '',
+  resubmissionDeadline: '',
+  maxResubmissions: '',
+  reason: ''
+};
+
+const EMPTY_TIME_FORM = { studentId: '', timeMultiplier: '1.5', reason: '' };
+
+// A saved date as a value for a datetime-local input, in the teacher's time zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const studentName = (student) => (student ? `${student.firstName} ${student.lastName}` : 'Unknown student');
+
+// Per-student extensions on assignments and extra time on timed quizzes for one course
+const StudentAccommodations = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [students, setStudents] = useState([]);
+  const [accommodations, setAccommodations] = useState([]);
+  const [maxTimeMultiplier, setMaxTimeMultiplier] = useState(4);
+  const [assignments, setAssignments] = useState([]);
+  const [selectedAssignmentId, setSelectedAssignmentId] = useState('');
+  const [overrideForm, setOverrideForm] = useState(EMPTY_OVERRIDE);
+  const [timeForm, setTimeForm] = useState(EMPTY_TIME_FORM);
+
+  useEffect(() => {
+    fetchData();
+  }, [courseId]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [accommodationsResponse, assignmentsResponse] = await Promise.all([
+        axios.get(`/api/courses/${courseId}/accommodations`),
+        axios.get(`/api/assignments/course/${courseId}`)
+      ]);
+
+      setStudents(accommodationsResponse.data.students);
+      setAccommodations(accommodationsResponse.data.accommodations);
+      setMaxTimeMultiplier(accommodationsResponse.data.maxTimeMultiplier);
+      setAssignments(assignmentsResponse.data.assignments);
+      if (assignmentsResponse.data.assignments.length > 0) {
+        setSelectedAssignmentId(prev => prev || assignmentsResponse.data.assignments[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching accommodations:', error);
+      toast.error(error.response?.data?.message || 'Failed to load accommodations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const findStudent = (studentId) => students.find(student => student._id === (studentId?._id || studentId));
+
+  const selectedAssignment = assignments.find(assignment => assignment._id === selectedAssignmentId);
+
+  const showError = (error, fallback) => {
+    const validationErrors = error.response?.data?.errors;
+    toast.error(validationErrors?.[0]?.msg || error.response?.data?.message || fallback);
+  };
+
+  const updateAssignmentOverrides = (assignmentId, overrides) => {
+    setAssignments(prev => prev.map(assignment => (
+      assignment._id === assignmentId ? { ...assignment, studentOverrides: overrides } : assignment
+    )));
+  };
+
+  const handleSaveOverride = async (e) => {
+    e.preventDefault();
+    if (!overrideForm.studentId) {
+      toast.error('Choose a student');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await axios.put(
+        `/api/assignments/${selectedAssignmentId}/overrides/${overrideForm.studentId}`,
+        {
+          dueDate: overrideForm.dueDate ? new Date(overrideForm.dueDate).toISOString() : null,
+          allowLateSubmission: overrideForm.allowLateSubmission === '' ? null : overrideForm.allowLateSubmission === 'true',
+          resubmissionDeadline: overrideForm.resubmissionDeadline ? new Date(overrideForm.resubmissionDeadline).toISOString() : null,
+          maxResubmissions: overrideForm.maxResubmissions ? parseInt(overrideForm.maxResubmissions) : null,
+          reason: overrideForm.reason
+        }
+      );
+      toast.success(response.data.message);
+      updateAssignmentOverrides(selectedAssignmentId, response.data.overrides);
+      setOverrideForm(EMPTY_OVERRIDE);
+    } catch (error) {
+      console.error('Error saving override:', error);
+      showError(error, 'Failed to save extension');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditOverride = (override) => {
+    setOverrideForm({
+      studentId: override.student?._id || override.student,
+      dueDate: toDateTimeInput(override.dueDate),
+      allowLateSubmission: typeof override.allowLateSubmission === 'boolean' ? String(override.allowLateSubmission) : '',
+      resubmissionDeadline: toDateTimeInput(override.resubmissionDeadline),
+      maxResubmissions: override.maxResubmissions ? String(override.maxResubmissions) : '',
+      reason: override.reason || ''
+    });
+  };
+
+  const handleRemoveOverride = async (override) => {
+    const studentId = override.student?._id || override.student;
+    if (!window.confirm(`Remove the extension for ${studentName(findStudent(studentId))}?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/assignments/${selectedAssignmentId}/overrides/${studentId}`);
+      toast.success(response.data.message);
+      updateAssignmentOverrides(selectedAssignmentId, response.data.overrides);
+    } catch (error) {
+      console.error('Error removing override:', error);
+      showError(error, 'Failed to remove extension');
+    }
+  };
+
+  const handleSaveTime = async (e) => {
+    e.preventDefault();
+    if (!timeForm.studentId) {
+      toast.error('Choose a student');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/courses/${courseId}/accommodations/${timeForm.studentId}`, {
+        timeMultiplier: parseFloat(timeForm.timeMultiplier),
+        reason: timeForm.reason
+      });
+      toast.success(response.data.message);
+      setAccommodations(response.data.accommodations);
+      setTimeForm(EMPTY_TIME_FORM);
+    } catch (error) {
+      console.error('Error saving accommodation:', error);
+      showError(error, 'Failed to save extra time');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveTime = async (studentId) => {
+    if (!window.confirm(`Remove extra quiz time for ${studentName(findStudent(studentId))}?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/courses/${courseId}/accommodations/${studentId}`);
+      toast.success(response.data.message);
+      setAccommodations(response.data.accommodations);
+    } catch (error) {
+      console.error('Error removing accommodation:', error);
+      showError(error, 'Failed to remove extra time');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading accommodations...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  const overrides = selectedAssignment?.studentOverrides || [];
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Student Accommodations</h1>
+          <p className="text-gray-600">
+            Individual assignment extensions and extra time on timed quizzes. Only you can see them; each
+            student only sees their own deadlines.
+          </p>
+        </div>
+
+        {/* Assignment extensions */}
+        <div className="card mb-8">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Assignment Extensions</h2>
+
+          {assignments.length === 0 ? (
+            <p className="text-gray-500">This course has no assignments yet.</p>
+          ) : (
+            <>
+              <div className="mb-4">
+                <label className="form-label">Assignment</label>
+                <select
+                  value={selectedAssignmentId}
+                  onChange={(e) => {
+                    setSelectedAssignmentId(e.target.value);
+                    setOverrideForm(EMPTY_OVERRIDE);
+                  }}
+                  className="form-select"
+                >
+                  {assignments.map(assignment => (
+                    <option key={assignment._id} value={assignment._id}>{assignment.title}</option>
+                  ))}
+                </select>
+                {selectedAssignment && (
+                  <p className="text-sm text-gray-500 mt-1">
+                    Everyone else: due {formatDate(selectedAssignment.dueDate)}
+                    {' • '}late work {selectedAssignment.allowLateSubmission ? 'accepted' : 'not accepted'}
+                    {' • '}up to {selectedAssignment.maxResubmissions} versions
+                    {selectedAssignment.resubmissionDeadline && ` until ${formatDate(selectedAssignment.resubmissionDeadline)}`}
+                  </p>
+                )}
+              </div>
+
+              {overrides.length > 0 ? (
+                <div className="overflow-x-auto mb-6">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-4">Student</th>
+                        <th className="py-2 pr-4">Due</th>
+                        <th className="py-2 pr-4">Late work</th>
+                        <th className="py-2 pr-4">Resubmit until</th>
+                        <th className="py-2 pr-4">Versions</th>
+                        <th className="py-2 pr-4">Reason</th>
+                        <th className="py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {overrides.map(override => {
+                        const studentId = override.student?._id || override.student;
+                        const inherited = <span className="text-gray-400">as assignment</span>;
+                        return (
+                          <tr key={studentId} className="border-b last:border-0">
+                            <td className="py-2 pr-4 font-medium text-gray-900">{studentName(findStudent(studentId))}</td>
+                            <td className="py-2 pr-4">{override.dueDate ? formatDate(override.dueDate) : inherited}</td>
+                            <td className="py-2 pr-4">
+                              {typeof override.allowLateSubmission === 'boolean'
+                                ? (override.allowLateSubmission ? 'Accepted' : 'Not accepted')
+                                : inherited}
+                            </td>
+                            <td className="py-2 pr-4">{override.resubmissionDeadline ? formatDate(override.resubmissionDeadline) : inherited}</td>
+                            <td className="py-2 pr-4">{override.maxResubmissions || inherited}</td>
+                            <td className="py-2 pr-4 text-gray-600">{override.reason || '—'}</td>
+                            <td className="py-2 text-right whitespace-nowrap">
+                              <button onClick={() => handleEditOverride(override)} className="text-primary-600 hover:text-primary-800 mr-3">
+                                Edit
+                              </button>
+                              <button onClick={() => handleRemoveOverride(override)} className="text-red-600 hover:text-red-800">
+                                Remove
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-gray-500 mb-6">No extensions for this assignment.</p>
+              )}
+
+              <form onSubmit={handleSaveOverride} className="space-y-4 border-t pt-4">
+                <h3 className="font-medium text-gray-900">Add or change an extension</h3>
+                <p className="text-sm text-gray-500">
+                  Leave a field empty to follow the assignment. Work already handed in is rechecked against the new deadline.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="form-label">Student</label>
+                    <select
+                      value={overrideForm.studentId}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, studentId: e.target.value }))}
+                      className="form-select"
+                    >
+                      <option value="">Choose a student</option>
+                      {students.map(student => (
+                        <option key={student._id} value={student._id}>
+                          {studentName(student)} {student.studentId ? `(${student.studentId})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Due Date</label>
+                    <input
+                      type="datetime-local"
+                      value={overrideForm.dueDate}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, dueDate: e.target.value }))}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Late Submissions</label>
+                    <select
+                      value={overrideForm.allowLateSubmission}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, allowLateSubmission: e.target.value }))}
+                      className="form-select"
+                    >
+                      <option value="">As assignment</option>
+                      <option value="true">Accepted</option>
+                      <option value="false">Not accepted</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Resubmission Deadline</label>
+                    <input
+                      type="datetime-local"
+                      value={overrideForm.resubmissionDeadline}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, resubmissionDeadline: e.target.value }))}
+                      className="form-input"
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Max Resubmissions</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={overrideForm.maxResubmissions}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, maxResubmissions: e.target.value }))}
+                      className="form-input"
+                      placeholder={selectedAssignment ? String(selectedAssignment.maxResubmissions) : ''}
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Reason (optional)</label>
+                    <input
+                      type="text"
+                      maxLength={500}
+                      value={overrideForm.reason}
+                      onChange={(e) => setOverrideForm(prev => ({ ...prev, reason: e.target.value }))}
+                      className="form-input"
+                      placeholder="e.g. Medical note"
+                    />
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button type="submit" disabled={saving} className="btn btn-primary">
+                    {saving ? 'Saving...' : 'Save Extension'}
+                  </button>
+                  {overrideForm.studentId && (
+                    <button type="button" onClick={() => setOverrideForm(EMPTY_OVERRIDE)} className="btn btn-secondary">
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+
+        {/* Quiz extra time */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Extra Time on Quizzes</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Multiplies the time limit of every timed quiz in this course, e.g. 1.5 for time and a half.
+            Applies to quizzes started after you save.
+          </p>
+
+          {accommodations.length > 0 ? (
+            <ul className="divide-y mb-6">
+              {accommodations.map(accommodation => {
+                const studentId = accommodation.student?._id || accommodation.student;
+                return (
+                  <li key={studentId} className="py-3 flex justify-between items-center">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {studentName(findStudent(studentId))} — ×{accommodation.timeMultiplier} time
+                      </p>
+                      {accommodation.reason && <p className="text-sm text-gray-600">{accommodation.reason}</p>}
+                    </div>
+                    <div className="space-x-3">
+                      <button
+                        onClick={() => setTimeForm({
+                          studentId,
+                          timeMultiplier: String(accommodation.timeMultiplier),
+                          reason: accommodation.reason || ''
+                        })}
+                        className="text-primary-600 hover:text-primary-800"
+                      >
+                        Edit
+                      </button>
+                      <button onClick={() => handleRemoveTime(studentId)} className="text-red-600 hover:text-red-800">
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-gray-500 mb-6">No students have extra quiz time.</p>
+          )}
+
+          <form onSubmit={handleSaveTime} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end border-t pt-4">
+            <div>
+              <label className="form-label">Student</label>
+              <select
+                value={timeForm.studentId}
+                onChange={(e) => setTimeForm(prev => ({ ...prev, studentId: e.target.value }))}
+                className="form-select"
+              >
+                <option value="">Choose a student</option>
+                {students.map(student => (
+                  <option key={student._id} value={student._id}>{studentName(student)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Time Multiplier</label>
+              <input
+                type="number"
+                min="1"
+                max={maxTimeMultiplier}
+                step="0.05"
+                value={timeForm.timeMultiplier}
+                onChange={(e) => setTimeForm(prev => ({ ...prev, timeMultiplier: e.target.value }))}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label className="form-label">Reason (optional)</label>
+              <input
+                type="text"
+                maxLength={500}
+                value={timeForm.reason}
+                onChange={(e) => setTimeForm(prev => ({ ...prev, reason: e.target.value }))}
+                className="form-input"
+              />
+            </div>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : 'Save Extra Time'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentAccommodations;
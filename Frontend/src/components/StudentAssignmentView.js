@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { describeLatePolicy } from './LatePenaltySummary';
 
 const StudentAssignmentView = () => {
   const { courseId } = useParams();
@@ -83,7 +84,9 @@ const StudentAssignmentView = () => {
       return { 
         status: 'graded', 
         color: 'green', 
-        text: `Graded: ${submission.grade}/${assignment.maxPoints}` 
+        text: submission.latePenalty?.points
+          ? `Graded: ${submission.grade}/${assignment.maxPoints} (−${submission.latePenalty.points} late)`
+          : `Graded: ${submission.grade}/${assignment.maxPoints}` 
       };
     }
     
@@ -301,6 +304,9 @@ const StudentAssignmentView = () => {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
                         </svg>
                         Due: {formatDate(assignment.dueDate)}
+                        {assignment.hasOverride && assignment.dueDate !== assignment.originalDueDate && (
+                          <span className="ml-2 text-xs font-medium text-teal-700">(extended for you)</span>
+                        )}
                       </div>
                       <div className="flex items-center">
                         <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -314,6 +320,12 @@ const StudentAssignmentView = () => {
                         </svg>
                         {assignment.submissionType.replace('-', ' ')}
                       </div>
+                      <div className="flex items-center">
+                        <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        {describeLatePolicy(assignment)}
+                      </div>
                       {daysLeft > 0 && daysLeft <= 7 && (
                         <div className="flex items-center text-orange-600">
                           <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -350,6 +362,13 @@ const StudentAssignmentView = () => {
                           {submissionStatus.text}
                         </span>
                       </div>
+                      {assignment.resubmission && (
+                        <p className="text-xs text-gray-500 mt-2">
+                          {assignment.resubmission.allowed
+                            ? `${assignment.resubmission.remaining} resubmission${assignment.resubmission.remaining === 1 ? '' : 's'} left${assignment.resubmission.deadline ? ` until ${formatDate(assignment.resubmission.deadline)}` : ''}`
+                            : assignment.resubmission.reason}
+                        </p>
+                      )}
                     </div>
                     
                     <div className="flex space-x-2">
@@ -132,6 +132,12 @@ const StudentDashboard = () => {
               <Link to="/student/questions" className="btn btn-secondary">
                 My Questions
               </Link>
+              <Link to="/student/review" className="btn btn-secondary">
+                Daily Review
+              </Link>
+              <Link to="/contributions" className="btn btn-secondary">
+                Leaderboard
+              </Link>
             </div>
           </div>
         </div>
@@ -354,11 +360,35 @@ const StudentDashboard = () => {
                         >
                           Announcements
                         </Link>
+                        <Link 
+                          to={`/student/quizzes/course/${course._id}`}
+                          className="btn btn-secondary text-sm"
+                        >
+                          Quizzes
+                        </Link>
                         <Link 
                           to={`/student/quiz/course/${course._id}`}
                           className="btn btn-secondary text-sm"
                         >
-                          Take Quiz
+                          Practice Quiz
+                        </Link>
+                        <Link 
+                          to={`/student/quiz/course/${course._id}?mode=practice`}
+                          className="btn btn-secondary text-sm"
+                        >
+                          Practice with Feedback
+                        </Link>
+                        <Link 
+                          to={`/student/quiz/course/${course._id}?mode=exam`}
+                          className="btn btn-secondary text-sm"
+                        >
+                          Exam Mode
+                        </Link>
+                        <Link 
+                          to={`/student/quiz/course/${course._id}?mode=adaptive`}
+                          className="btn btn-secondary text-sm"
+                        >
+                          Adaptive Practice
                         </Link>
                         <Link 
                           to="/student/questions"
@@ -1,11 +1,39 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import MathText from './MathText';
+import { isTypedQuestion } from './AnswerKeyEditor';
+
+const REPORT_REASONS = [
+  { value: 'wrong-key', label: 'The marked answer is wrong' },
+  { value: 'ambiguous', label: 'The question is ambiguous' },
+  { value: 'typo', label: 'There is a typo' },
+  { value: 'offensive', label: 'The content is offensive' }
+];
+
+// How often queued integrity events are sent to the server
+const INTEGRITY_FLUSH_MS = 10000;
+
+const MODE_TITLES = {
+  standard: 'MCQ Quiz',
+  practice: 'Practice Mode',
+  exam: 'Exam Mode'
+};
+
+// An answer is either the picked option indexes or, for typed questions, the text entered
+const hasResponse = (response) => (typeof response === 'string'
+  ? response.trim() !== ''
+  : (response || []).length > 0);
+
+const toResponsePayload = (response) => (typeof response === 'string'
+  ? { textAnswer: response }
+  : { selectedOptions: response || [] });
 
 const StudentMCQQuiz = () => {
   const { courseId } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
@@ -13,93 +41,396 @@ const StudentMCQQuiz = () => {
   const [quizAttempt, setQuizAttempt] = useState(null);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState({});
-  const [timeSpent, setTimeSpent] = useState(0);
-  const [timer, setTimer] = useState(null);
+  const [timeLeft, setTimeLeft] = useState(null);
+  const [deadline, setDeadline] = useState(null);
+  const [reportingQuestion, setReportingQuestion] = useState(null);
+  const [reportData, setReportData] = useState({ reason: 'wrong-key', comment: '' });
+  const [reportedIds, setReportedIds] = useState([]);
+  const [checkedResults, setCheckedResults] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [integrityMonitoring, setIntegrityMonitoring] = useState(false);
+  const submittedRef = useRef(false);
+  const integrityQueueRef = useRef([]);
+  const flushIntegrityRef = useRef(() => Promise.resolve());
+  const currentIndexRef = useRef(0);
+  const requestedMode = searchParams.get('mode');
+  const requestedBlueprint = searchParams.get('blueprint');
 
   useEffect(() => {
+    // Exam mode waits for the student to confirm the rules before the clock starts
+    if (requestedMode === 'exam') {
+      setLoading(false);
+      return;
+    }
     startQuiz();
-    
-    // Start timer
-    const interval = setInterval(() => {
-      setTimeSpent(prev => prev + 1);
-    }, 1000);
-    setTimer(interval);
+  }, [courseId]);
+
+  // Count down to the server deadline (measured from the local clock to avoid skew)
+  useEffect(() => {
+    if (!deadline) return undefined;
+
+    const tick = () => setTimeLeft(Math.max(0, Math.round((deadline - Date.now()) / 1000)));
+    tick();
+
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  useEffect(() => {
+    currentIndexRef.current = currentQuestionIndex;
+  }, [currentQuestionIndex]);
+
+  // Record when the student leaves the quiz window, copies or pastes, or exits fullscreen
+  const attemptId = quizAttempt?._id;
+  useEffect(() => {
+    if (!attemptId || !integrityMonitoring) return undefined;
+
+    const record = (type) => {
+      integrityQueueRef.current.push({
+        type,
+        occurredAt: new Date().toISOString(),
+        questionIndex: currentIndexRef.current
+      });
+    };
+
+    const flush = async () => {
+      const events = integrityQueueRef.current.splice(0);
+      if (!events.length) return;
+      try {
+        await axios.post(`/api/student-questions/quiz/${attemptId}/integrity`, { events });
+      } catch (error) {
+        // Kept for the next flush unless the attempt no longer accepts them
+        if (!error.response || error.response.status >= 500) {
+          integrityQueueRef.current.unshift(...events);
+        }
+        console.error('Error recording quiz activity:', error);
+      }
+    };
+    flushIntegrityRef.current = flush;
+
+    const handleVisibilityChange = () => {
+      record(document.visibilityState === 'hidden' ? 'tab-hidden' : 'tab-visible');
+      if (document.visibilityState === 'hidden') flush();
+    };
+    const handleBlur = () => record('window-blur');
+    const handleFocus = () => record('window-focus');
+    const handleCopy = () => record('copy');
+    const handlePaste = () => record('paste');
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) record('fullscreen-exit');
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('focus', handleFocus);
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    const interval = setInterval(flush, INTEGRITY_FLUSH_MS);
 
     return () => {
-      if (interval) clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('focus', handleFocus);
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      clearInterval(interval);
+      flush();
     };
-  }, [courseId]);
+  }, [attemptId, integrityMonitoring]);
+
+  useEffect(() => {
+    if (timeLeft === 0 && !submittedRef.current) {
+      toast.info('Time is up! Submitting your answers.');
+      handleSubmit(true);
+    }
+  }, [timeLeft]);
 
   const startQuiz = async () => {
     try {
       setLoading(true);
+      const adaptive = requestedMode === 'adaptive';
+      const mode = ['practice', 'exam'].includes(requestedMode) ? requestedMode : 'standard';
       const response = await axios.post('/api/student-questions/quiz/start', {
         courseId,
-        questionCount: 5
+        questionCount: adaptive ? 10 : 5,
+        adaptive,
+        mode,
+        blueprintId: requestedBlueprint || undefined
       });
       
-      setQuizAttempt(response.data.quizAttempt);
+      const attempt = response.data.quizAttempt;
+      setQuizAttempt(attempt);
+      setIntegrityMonitoring(!!response.data.integrityMonitoring);
+
+      // Adaptive quizzes always continue from the latest served question, and exams
+      // without backtracking from the furthest one reached
+      if (attempt.isAdaptive) {
+        setCurrentQuestionIndex(attempt.questions.length - 1);
+      } else if (!attempt.allowBacktracking) {
+        setCurrentQuestionIndex(attempt.furthestQuestionIndex || 0);
+      }
+
+      if (response.data.checkedFeedback?.length) {
+        const results = {};
+        response.data.checkedFeedback.forEach(feedback => {
+          results[feedback.questionId] = feedback;
+        });
+        setCheckedResults(results);
+      }
+
+      if (response.data.remainingSeconds !== null && response.data.remainingSeconds !== undefined) {
+        setDeadline(Date.now() + response.data.remainingSeconds * 1000);
+      }
+
+      if (response.data.resumed) {
+        const savedAnswers = {};
+        attempt.answers.forEach(answer => {
+          savedAnswers[answer.questionId] = answer.textAnswer
+            ? answer.textAnswer
+            : answer.selectedOptions?.length
+            ? answer.selectedOptions
+            : [answer.selectedOption];
+        });
+        setAnswers(savedAnswers);
+        toast.info('Resuming your unfinished quiz');
+      }
     } catch (error) {
       console.error('Error starting quiz:', error);
       toast.error(error.response?.data?.message || 'Failed to start quiz');
-      navigate('/student-dashboard');
+      navigate(requestedBlueprint ? `/student/quizzes/course/${courseId}` : '/student-dashboard');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleAnswerSelect = (questionId, optionIndex) => {
-    setAnswers(prev => ({
-      ...prev,
-      [questionId]: optionIndex
-    }));
+  const toAnswerArray = (answerMap) => {
+    return Object.entries(answerMap)
+      .filter(([, response]) => hasResponse(response))
+      .map(([questionId, response]) => ({
+        questionId,
+        ...toResponsePayload(response)
+      }));
+  };
+
+  const saveProgress = async (answerMap, currentIndex) => {
+    try {
+      await axios.put(`/api/student-questions/quiz/${quizAttempt._id}/progress`, {
+        answers: toAnswerArray(answerMap),
+        currentIndex
+      });
+      return true;
+    } catch (error) {
+      if (error.response?.data?.autoSubmitted) {
+        submittedRef.current = true;
+        toast.info(error.response.data.message);
+        navigate(`/student/quiz-results/${quizAttempt._id}`);
+        return false;
+      }
+      // Answers stay in memory and are sent again with the next save or the submission
+      console.error('Error saving quiz progress:', error);
+      return false;
+    }
+  };
+
+  const handleAnswerSelect = (question, optionIndex) => {
+    // Checked practice answers are final
+    if (checkedResults[question._id]) return;
+
+    const current = answers[question._id] || [];
+
+    // Multiple-select questions toggle options; single-answer questions replace the pick
+    const selectedOptions = question.type === 'multiple-select'
+      ? current.includes(optionIndex)
+        ? current.filter(index => index !== optionIndex)
+        : [...current, optionIndex].sort((a, b) => a - b)
+      : [optionIndex];
+
+    const updatedAnswers = {
+      ...answers,
+      [question._id]: selectedOptions
+    };
+    setAnswers(updatedAnswers);
+
+    // Adaptive answers are only sent once the student confirms them
+    if (!quizAttempt.isAdaptive) {
+      saveProgress(updatedAnswers);
+    }
+  };
+
+  // Typed answers are kept locally while typing and saved when the field loses focus
+  const handleTextAnswerChange = (question, textAnswer) => {
+    if (checkedResults[question._id]) return;
+    setAnswers(prev => ({ ...prev, [question._id]: textAnswer }));
+  };
+
+  const handleTextAnswerBlur = () => {
+    if (!quizAttempt.isAdaptive) {
+      saveProgress(answers);
+    }
   };
 
-  const handleNext = () => {
-    if (currentQuestionIndex < quizAttempt.questions.length - 1) {
+  const handleAdaptiveAnswer = async () => {
+    const question = quizAttempt.questions[currentQuestionIndex];
+    const answer = answers[question._id];
+
+    if (!hasResponse(answer)) {
+      toast.error(isTypedQuestion(question) ? 'Please enter an answer' : 'Please select an answer');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/student-questions/quiz/${quizAttempt._id}/answer`, {
+        questionId: question._id,
+        ...toResponsePayload(answer)
+      });
+
+      if (response.data.isFinished) {
+        submittedRef.current = true;
+        toast.success('Quiz completed!');
+        navigate(`/student/quiz-results/${quizAttempt._id}`);
+        return;
+      }
+
+      setQuizAttempt(prev => ({
+        ...prev,
+        questions: [...prev.questions, response.data.nextQuestion],
+        answers: [...prev.answers, { questionId: question._id, ...toResponsePayload(answer) }]
+      }));
       setCurrentQuestionIndex(prev => prev + 1);
+    } catch (error) {
+      console.error('Error answering question:', error);
+
+      if (error.response?.data?.autoSubmitted) {
+        submittedRef.current = true;
+        toast.info(error.response.data.message);
+        navigate(`/student/quiz-results/${quizAttempt._id}`);
+        return;
+      }
+
+      toast.error(error.response?.data?.message || 'Failed to submit answer');
+    } finally {
+      setSubmitting(false);
     }
   };
 
+  const handleCheckAnswer = async () => {
+    const question = quizAttempt.questions[currentQuestionIndex];
+    const answer = answers[question._id];
+
+    if (!hasResponse(answer)) {
+      toast.error(isTypedQuestion(question) ? 'Please enter an answer' : 'Please select an answer');
+      return;
+    }
+
+    try {
+      setChecking(true);
+      const response = await axios.post(`/api/student-questions/quiz/${quizAttempt._id}/check`, {
+        questionId: question._id,
+        ...toResponsePayload(answer)
+      });
+      setCheckedResults(prev => ({ ...prev, [question._id]: response.data }));
+    } catch (error) {
+      console.error('Error checking answer:', error);
+
+      if (error.response?.data?.autoSubmitted) {
+        submittedRef.current = true;
+        toast.info(error.response.data.message);
+        navigate(`/student/quiz-results/${quizAttempt._id}`);
+        return;
+      }
+
+      toast.error(error.response?.data?.message || 'Failed to check answer');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleNext = async () => {
+    if (currentQuestionIndex >= quizAttempt.questions.length - 1) return;
+
+    // Without backtracking the server has to record the move before the question is left behind
+    if (!quizAttempt.allowBacktracking) {
+      const saved = await saveProgress(answers, currentQuestionIndex + 1);
+      if (!saved) {
+        if (!submittedRef.current) toast.error('Could not save your answer. Please try again.');
+        return;
+      }
+    }
+
+    setCurrentQuestionIndex(prev => prev + 1);
+  };
+
   const handlePrevious = () => {
     if (currentQuestionIndex > 0) {
       setCurrentQuestionIndex(prev => prev - 1);
     }
   };
 
-  const handleSubmit = async () => {
-    if (Object.keys(answers).length === 0) {
+  const handleSubmit = async (timeUp = false) => {
+    if (submittedRef.current) return;
+
+    if (!timeUp && toAnswerArray(answers).length === 0) {
       toast.error('Please answer at least one question');
       return;
     }
 
+    submittedRef.current = true;
+
     try {
       setSubmitting(true);
-      
-      const answerArray = Object.entries(answers).map(([questionId, selectedOption]) => ({
-        questionId,
-        selectedOption
-      }));
+      await flushIntegrityRef.current();
 
       const response = await axios.post(
         `/api/student-questions/quiz/${quizAttempt._id}/submit`,
         {
-          answers: answerArray,
-          timeSpent
+          answers: toAnswerArray(answers)
         }
       );
 
-      toast.success('Quiz submitted successfully!');
+      if (response.data.autoSubmitted) {
+        toast.info(response.data.message);
+      } else if (response.data.feedbackWithheld) {
+        toast.success('Exam submitted. Your results will appear once your teacher releases them.');
+      } else {
+        toast.success('Quiz submitted successfully!');
+      }
       navigate(`/student/quiz-results/${quizAttempt._id}`);
       
     } catch (error) {
       console.error('Error submitting quiz:', error);
+
+      // The background sweep may already have closed the attempt
+      if (error.response?.data?.message === 'Quiz already completed') {
+        navigate(`/student/quiz-results/${quizAttempt._id}`);
+        return;
+      }
+
+      submittedRef.current = false;
       toast.error(error.response?.data?.message || 'Failed to submit quiz');
     } finally {
       setSubmitting(false);
     }
   };
 
+  const handleReportSubmit = async () => {
+    try {
+      const response = await axios.post(`/api/student-questions/${reportingQuestion._id}/flag`, {
+        ...reportData,
+        attemptId: quizAttempt._id
+      });
+
+      toast.success(response.data.message);
+      setReportedIds(prev => [...prev, reportingQuestion._id]);
+      setReportingQuestion(null);
+    } catch (error) {
+      console.error('Error reporting question:', error);
+      toast.error(error.response?.data?.message || 'Failed to report question');
+    }
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -117,6 +448,30 @@ const StudentMCQQuiz = () => {
     );
   }
 
+  if (!quizAttempt && requestedMode === 'exam') {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center px-4">
+        <div className="card max-w-lg w-full">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">Exam Mode</h1>
+          <ul className="list-disc list-inside text-gray-700 space-y-1 mb-6">
+            <li>The quiz is timed and starts as soon as you begin.</li>
+            <li>Questions are answered in order, without the question navigator.</li>
+            <li>Your score and the correct answers stay hidden until your teacher releases them.</li>
+            <li>Your teacher decides whether you can go back to earlier questions.</li>
+          </ul>
+          <div className="flex justify-end space-x-3">
+            <button onClick={() => navigate('/student-dashboard')} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button onClick={startQuiz} className="btn btn-primary">
+              Start Exam
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!quizAttempt || !quizAttempt.questions.length) {
     return (
       <div className="min-h-screen gradient-bg flex items-center justify-center">
@@ -137,8 +492,17 @@ const StudentMCQQuiz = () => {
   const currentQuestion = quizAttempt.questions[currentQuestionIndex];
   const isLastQuestion = currentQuestionIndex === quizAttempt.questions.length - 1;
   const isFirstQuestion = currentQuestionIndex === 0;
-  const answeredQuestions = Object.keys(answers).length;
-  const totalQuestions = quizAttempt.questions.length;
+  const isPractice = quizAttempt.mode === 'practice';
+  const isExam = quizAttempt.mode === 'exam';
+  const currentResult = checkedResults[currentQuestion._id];
+  const isAnswered = (questionId) => hasResponse(answers[questionId]);
+  const isSelected = (questionId, optionIndex) => (answers[questionId] || []).includes(optionIndex);
+  const answeredQuestions = quizAttempt.isAdaptive
+    ? quizAttempt.answers.length
+    : quizAttempt.questions.filter(q => isAnswered(q._id)).length;
+  const totalQuestions = quizAttempt.isAdaptive
+    ? quizAttempt.targetQuestionCount
+    : quizAttempt.questions.length;
 
   return (
     <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
@@ -147,12 +511,19 @@ const StudentMCQQuiz = () => {
           {/* Header */}
           <div className="flex justify-between items-center mb-6">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">MCQ Quiz</h1>
+              <h1 className="text-2xl font-bold text-gray-900">
+                {quizAttempt.isAdaptive ? 'Adaptive Practice' : MODE_TITLES[quizAttempt.mode] || MODE_TITLES.standard}
+              </h1>
               <p className="text-gray-600">Course: {quizAttempt.course.title}</p>
+              {integrityMonitoring && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Your teacher can see when you leave this window or copy and paste during the quiz.
+                </p>
+              )}
             </div>
             <div className="text-right">
-              <div className="text-lg font-semibold text-primary-600">
-                {formatTime(timeSpent)}
+              <div className={`text-lg font-semibold ${timeLeft !== null && timeLeft < 60 ? 'text-red-600' : 'text-primary-600'}`}>
+                {timeLeft !== null ? formatTime(timeLeft) : '--:--'}
               </div>
               <div className="text-sm text-gray-600">
                 {answeredQuestions}/{totalQuestions} answered
@@ -174,94 +545,274 @@ const StudentMCQQuiz = () => {
             </div>
           </div>
 
-          {/* Question Navigation */}
-          <div className="flex justify-center mb-6">
-            <div className="flex space-x-2">
-              {quizAttempt.questions.map((_, index) => (
-                <button
-                  key={index}
-                  onClick={() => setCurrentQuestionIndex(index)}
-                  className={`w-8 h-8 rounded-full text-sm font-medium ${
-                    index === currentQuestionIndex
-                      ? 'bg-primary-600 text-white'
-                      : answers[quizAttempt.questions[index]._id] !== undefined
-                      ? 'bg-green-500 text-white'
-                      : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                  }`}
-                >
-                  {index + 1}
-                </button>
-              ))}
+          {/* Question Navigation (exams are answered in order) */}
+          {!quizAttempt.isAdaptive && !isExam && (
+            <div className="flex justify-center mb-6">
+              <div className="flex space-x-2">
+                {quizAttempt.questions.map((_, index) => (
+                  <button
+                    key={index}
+                    onClick={() => setCurrentQuestionIndex(index)}
+                    className={`w-8 h-8 rounded-full text-sm font-medium ${
+                      index === currentQuestionIndex
+                        ? 'bg-primary-600 text-white'
+                        : isAnswered(quizAttempt.questions[index]._id)
+                        ? 'bg-green-500 text-white'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    {index + 1}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Question */}
           <div className="mb-8">
             <div className="mb-4">
-              <span className="text-sm text-gray-500">
-                Question {currentQuestionIndex + 1} of {totalQuestions}
-              </span>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-500">
+                  Question {currentQuestionIndex + 1} of {totalQuestions}
+                </span>
+                {reportedIds.includes(currentQuestion._id) ? (
+                  <span className="text-sm text-gray-500">Reported</span>
+                ) : (
+                  <button
+                    onClick={() => {
+                      setReportData({ reason: 'wrong-key', comment: '' });
+                      setReportingQuestion(currentQuestion);
+                    }}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Report this question
+                  </button>
+                )}
+              </div>
               <h2 className="text-xl font-semibold text-gray-900 mt-2">
-                {currentQuestion.question}
+                <MathText text={currentQuestion.question} />
               </h2>
+              {currentQuestion.image && (
+                <img src={currentQuestion.image} alt="Question diagram" className="mt-3 max-h-72 w-auto rounded border border-gray-200" />
+              )}
+              {currentQuestion.type === 'multiple-select' && (
+                <p className="text-sm text-gray-600 mt-1">
+                  Select all that apply
+                  {currentQuestion.scoringMethod === 'negative-marking' && ' • wrong selections lose points'}
+                  {currentQuestion.scoringMethod === 'proportional' && ' • partial credit is given'}
+                </p>
+              )}
             </div>
 
-            <div className="space-y-3">
-              {currentQuestion.options.map((option, index) => (
-                <label
-                  key={index}
-                  className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
-                    answers[currentQuestion._id] === index
-                      ? 'border-primary-500 bg-primary-50'
-                      : 'border-gray-300 hover:border-gray-400'
+            {isTypedQuestion(currentQuestion) ? (
+              <input
+                type="text"
+                value={typeof answers[currentQuestion._id] === 'string' ? answers[currentQuestion._id] : ''}
+                onChange={(e) => handleTextAnswerChange(currentQuestion, e.target.value)}
+                onBlur={handleTextAnswerBlur}
+                disabled={!!currentResult}
+                maxLength={500}
+                placeholder={currentQuestion.type === 'numeric'
+                  ? 'Type a number, followed by its unit if it has one'
+                  : 'Type your answer'}
+                className={`form-input ${
+                  currentResult
+                    ? currentResult.needsReview
+                      ? 'border-yellow-500 bg-yellow-50'
+                      : currentResult.isCorrect
+                      ? 'border-green-500 bg-green-50'
+                      : 'border-red-500 bg-red-50'
+                    : ''
+                }`}
+              />
+            ) : (
+              <div className="space-y-3">
+                {currentQuestion.options.map((option, index) => (
+                  <label
+                    key={index}
+                    className={`flex items-center p-4 border rounded-lg transition-colors ${
+                      currentResult
+                        ? currentResult.correctOptions.includes(index)
+                          ? 'border-green-500 bg-green-50'
+                          : isSelected(currentQuestion._id, index)
+                          ? 'border-red-500 bg-red-50'
+                          : 'border-gray-300'
+                        : isSelected(currentQuestion._id, index)
+                        ? 'border-primary-500 bg-primary-50 cursor-pointer'
+                        : 'border-gray-300 hover:border-gray-400 cursor-pointer'
+                    }`}
+                  >
+                    <input
+                      type={currentQuestion.type === 'multiple-select' ? 'checkbox' : 'radio'}
+                      name={`question-${currentQuestion._id}`}
+                      checked={isSelected(currentQuestion._id, index)}
+                      onChange={() => handleAnswerSelect(currentQuestion, index)}
+                      disabled={!!currentResult}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                    />
+                    <div className="ml-3">
+                      <MathText text={option.text} className="text-gray-900" />
+                      {option.image && (
+                        <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="mt-2 max-h-40 w-auto rounded" />
+                      )}
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {currentResult && (
+              <div className={`mt-4 p-4 rounded-lg border ${
+                currentResult.needsReview
+                  ? 'bg-yellow-50 border-yellow-200'
+                  : currentResult.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+              }`}>
+                <p className={`font-semibold ${
+                  currentResult.needsReview
+                    ? 'text-yellow-800'
+                    : currentResult.isCorrect ? 'text-green-800' : 'text-red-800'
+                }`}>
+                  {currentResult.needsReview
+                    ? 'Close! Your teacher will check this answer.'
+                    : currentResult.isCorrect
+                    ? 'Correct!'
+                    : currentResult.points > 0
+                    ? `Partly correct (${currentResult.points} points)`
+                    : 'Not quite.'}
+                </p>
+                {isTypedQuestion(currentQuestion) && !currentResult.isCorrect && currentResult.correctAnswer && (
+                  <p className="mt-2 text-sm text-gray-700">Accepted answer: {currentResult.correctAnswer}</p>
+                )}
+                {currentResult.explanation && (
+                  <MathText text={currentResult.explanation} as="p" className="mt-2 text-sm text-gray-700" />
+                )}
+              </div>
+            )}
+
+            {isExam && !quizAttempt.allowBacktracking && !isLastQuestion && (
+              <p className="mt-4 text-sm text-gray-500">
+                You won't be able to come back to this question after moving on.
+              </p>
+            )}
+          </div>
+
+          {/* Navigation Buttons */}
+          {quizAttempt.isAdaptive ? (
+            <div className="flex justify-end">
+              <button
+                onClick={handleAdaptiveAnswer}
+                disabled={submitting}
+                className="btn btn-primary"
+              >
+                {submitting ? 'Saving...' : 'Submit Answer'}
+              </button>
+            </div>
+          ) : (
+            <div className="flex justify-between">
+              {quizAttempt.allowBacktracking ? (
+                <button
+                  onClick={handlePrevious}
+                  disabled={isFirstQuestion}
+                  className={`btn ${
+                    isFirstQuestion ? 'btn-secondary opacity-50 cursor-not-allowed' : 'btn-secondary'
                   }`}
                 >
-                  <input
-                    type="radio"
-                    name={`question-${currentQuestion._id}`}
-                    checked={answers[currentQuestion._id] === index}
-                    onChange={() => handleAnswerSelect(currentQuestion._id, index)}
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
-                  />
-                  <span className="ml-3 text-gray-900">{option.text}</span>
-                </label>
-              ))}
+                  Previous
+                </button>
+              ) : (
+                <div></div>
+              )}
+
+              <div className="flex space-x-3">
+                {isPractice && !currentResult && (
+                  <button
+                    onClick={handleCheckAnswer}
+                    disabled={checking || !isAnswered(currentQuestion._id)}
+                    className="btn btn-secondary"
+                  >
+                    {checking ? 'Checking...' : 'Check Answer'}
+                  </button>
+                )}
+                {!isLastQuestion ? (
+                  <button
+                    onClick={handleNext}
+                    className="btn btn-primary"
+                  >
+                    Next
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleSubmit()}
+                    disabled={submitting}
+                    className="btn btn-primary"
+                  >
+                    {submitting ? 'Submitting...' : 'Submit Quiz'}
+                  </button>
+                )}
+              </div>
             </div>
-          </div>
+          )}
+        </div>
+      </div>
 
-          {/* Navigation Buttons */}
-          <div className="flex justify-between">
-            <button
-              onClick={handlePrevious}
-              disabled={isFirstQuestion}
-              className={`btn ${
-                isFirstQuestion ? 'btn-secondary opacity-50 cursor-not-allowed' : 'btn-secondary'
-              }`}
-            >
-              Previous
-            </button>
+      {/* Report Question Modal */}
+      {reportingQuestion && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Report Question</h3>
+              <MathText text={reportingQuestion.question} as="p" className="text-gray-700 mb-4" />
 
-            <div className="flex space-x-3">
-              {!isLastQuestion ? (
+              <div className="space-y-2 mb-4">
+                {REPORT_REASONS.map(reason => (
+                  <label key={reason.value} className="flex items-center text-gray-700">
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={reason.value}
+                      checked={reportData.reason === reason.value}
+                      onChange={(e) => setReportData(prev => ({ ...prev, reason: e.target.value }))}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 mr-3"
+                    />
+                    {reason.label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="mb-4">
+                <label className="form-label">Details (optional)</label>
+                <textarea
+                  value={reportData.comment}
+                  onChange={(e) => setReportData(prev => ({ ...prev, comment: e.target.value }))}
+                  rows={3}
+                  maxLength={500}
+                  className="form-input"
+                  placeholder="What is wrong with this question?"
+                />
+              </div>
+
+              <p className="text-xs text-gray-500 mb-4">
+                Your quiz timer keeps running while you write a report.
+              </p>
+
+              <div className="flex justify-end space-x-3">
                 <button
-                  onClick={handleNext}
-                  className="btn btn-primary"
+                  onClick={() => setReportingQuestion(null)}
+                  className="btn btn-secondary"
                 >
-                  Next
+                  Cancel
                 </button>
-              ) : (
                 <button
-                  onClick={handleSubmit}
-                  disabled={submitting}
-                  className="btn btn-primary"
+                  onClick={handleReportSubmit}
+                  className="btn btn-danger"
                 >
-                  {submitting ? 'Submitting...' : 'Submit Quiz'}
+                  Send Report
                 </button>
-              )}
+              </div>
             </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
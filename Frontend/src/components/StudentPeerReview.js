@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import RubricGrid, { RubricScoreList, toSelections, getSelectionTotal } from './RubricGrid';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Editor state for one review, from what the student already sent
+const toReviewForm = (review) => ({
+  selections: toSelections(review.rubricScores),
+  score: review.score ?? '',
+  comments: review.comments || ''
+});
+
+// Anonymous peer review: the classmates' work a student was given to review, and the reviews
+// of their own work once the window closes
+const StudentPeerReview = () => {
+  const { assignmentId } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [assignment, setAssignment] = useState(null);
+  const [phase, setPhase] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [received, setReceived] = useState([]);
+  const [forms, setForms] = useState({});
+
+  useEffect(() => {
+    fetchReviews();
+  }, [assignmentId]);
+
+  const fetchReviews = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/peer-reviews/assignment/${assignmentId}`);
+      setAssignment(response.data.assignment);
+      setPhase(response.data.phase);
+      setReviews(response.data.reviews);
+      setReceived(response.data.received);
+      setForms(response.data.reviews.reduce((all, review) => ({ ...all, [review._id]: toReviewForm(review) }), {}));
+    } catch (error) {
+      console.error('Error fetching peer reviews:', error);
+      toast.error(error.response?.data?.message || 'Failed to load peer reviews');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateForm = (reviewId, changes) => {
+    setForms(prev => ({ ...prev, [reviewId]: { ...prev[reviewId], ...changes } }));
+  };
+
+  const handleSubmit = async (e, review) => {
+    e.preventDefault();
+    const form = forms[review._id];
+
+    if (assignment.rubric && getSelectionTotal(assignment.rubric, form.selections) === null) {
+      toast.error('Choose a level for every rubric criterion');
+      return;
+    }
+
+    try {
+      setSavingId(review._id);
+      const response = await axios.put(`/api/peer-reviews/${review._id}`, assignment.rubric
+        ? {
+            rubricScores: Object.entries(form.selections).map(([criterionId, selection]) => ({
+              criterionId,
+              levelId: selection.levelId,
+              points: selection.points
+            })),
+            comments: form.comments
+          }
+        : {
+            score: form.score === '' ? null : parseFloat(form.score),
+            comments: form.comments
+          });
+
+      toast.success(response.data.message);
+      setReviews(prev => prev.map(r => (r._id === review._id ? { ...r, ...response.data.review } : r)));
+    } catch (error) {
+      console.error('Error submitting peer review:', error);
+      const validationErrors = error.response?.data?.errors;
+      toast.error(validationErrors?.[0]?.msg || error.response?.data?.message || 'Failed to submit review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading peer reviews...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!assignment) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">Peer review not available</h3>
+          <button onClick={() => navigate(-1)} className="btn btn-primary">Go Back</button>
+        </div>
+      </div>
+    );
+  }
+
+  const isOpen = phase === 'open';
+  const completed = reviews.filter(review => review.status === 'submitted').length;
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Peer Review: {assignment.title}</h1>
+          <p className="text-gray-600">
+            {phase === 'upcoming' && 'Reviewing starts once the whole class\'s due dates have passed.'}
+            {isOpen && `Reviewed ${completed} of ${reviews.length}. You can change your reviews until ${formatDate(assignment.peerReview.reviewDeadline)}.`}
+            {phase === 'closed' && `The review window closed on ${formatDate(assignment.peerReview.reviewDeadline)}.`}
+            {' '}Names are hidden on both sides.
+          </p>
+        </div>
+
+        {phase !== 'upcoming' && reviews.length === 0 && (
+          <div className="card mb-8">
+            <p className="text-gray-500">
+              You have no work to review. Only students who handed in work before reviews were allocated take part.
+            </p>
+          </div>
+        )}
+
+        <div className="space-y-6 mb-8">
+          {reviews.map(review => {
+            const form = forms[review._id] || toReviewForm(review);
+            return (
+              <div key={review._id} className="card">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-semibold text-gray-900">{review.label}</h2>
+                  <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
+                    review.status === 'submitted' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                  }`}>
+                    {review.status === 'submitted' ? 'Reviewed' : 'To review'}
+                  </span>
+                </div>
+
+                {review.submission?.textSubmission && (
+                  <div className="mb-4">
+                    <h4 className="font-medium text-gray-900 mb-2">Their Work</h4>
+                    <div className="bg-gray-50 p-4 rounded-lg whitespace-pre-wrap text-gray-700">
+                      {review.submission.textSubmission}
+                    </div>
+                  </div>
+                )}
+                {review.submission?.fileSubmissions.length > 0 && (
+                  <div className="mb-4 flex flex-wrap gap-2">
+                    {review.submission.fileSubmissions.map(file => (
+                      <a
+                        key={file.fileUrl}
+                        href={file.fileUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="px-3 py-2 bg-gray-50 rounded-lg text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        {file.label}
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                <form onSubmit={(e) => handleSubmit(e, review)} className="space-y-4 border-t pt-4">
+                  {assignment.rubric ? (
+                    <RubricGrid
+                      rubric={assignment.rubric}
+                      selections={form.selections}
+                      onChange={isOpen ? (selections) => updateForm(review._id, { selections }) : undefined}
+                    />
+                  ) : (
+                    <div>
+                      <label className="form-label">Score out of {assignment.maxPoints} (optional)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max={assignment.maxPoints}
+                        step="0.5"
+                        value={form.score}
+                        onChange={(e) => updateForm(review._id, { score: e.target.value })}
+                        className="form-input w-40"
+                        disabled={!isOpen}
+                      />
+                    </div>
+                  )}
+
+                  <div>
+                    <label className="form-label">Comments{assignment.rubric ? ' (optional)' : ''}</label>
+                    <textarea
+                      value={form.comments}
+                      onChange={(e) => updateForm(review._id, { comments: e.target.value })}
+                      className="form-input"
+                      rows="4"
+                      maxLength={5000}
+                      placeholder="What works well, and what would make it better?"
+                      required={!assignment.rubric}
+                      disabled={!isOpen}
+                    />
+                  </div>
+
+                  {isOpen && (
+                    <button type="submit" disabled={savingId === review._id} className="btn btn-primary">
+                      {savingId === review._id ? 'Saving...' : review.status === 'submitted' ? 'Update Review' : 'Submit Review'}
+                    </button>
+                  )}
+                </form>
+              </div>
+            );
+          })}
+        </div>
+
+        {phase === 'closed' && (
+          <div className="card">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Reviews of Your Work</h2>
+            {received.length === 0 ? (
+              <p className="text-gray-500">No classmates reviewed your work.</p>
+            ) : (
+              <div className="space-y-4">
+                {received.map(review => (
+                  <div key={review.label} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex justify-between mb-2">
+                      <h4 className="font-medium text-gray-900">{review.label}</h4>
+                      {review.score !== undefined && review.score !== null && (
+                        <span className="text-gray-700">{review.score}/{assignment.maxPoints}</span>
+                      )}
+                    </div>
+                    <RubricScoreList scores={review.rubricScores} />
+                    {review.comments && <p className="text-gray-700 mt-2 whitespace-pre-wrap">{review.comments}</p>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudentPeerReview;
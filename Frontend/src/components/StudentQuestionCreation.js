@@ -2,6 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import ImageUploadButton from './ImageUploadButton';
+import QuestionPreview from './QuestionPreview';
+import AnswerKeyEditor, {
+  EMPTY_NUMERIC_ANSWER,
+  describeAnswerKey,
+  getAnswerKeyError,
+  isTypedQuestion,
+  toAnswerKeyPayload
+} from './AnswerKeyEditor';
 
 const StudentQuestionCreation = () => {
   const { user } = useAuth();
@@ -10,15 +19,21 @@ const StudentQuestionCreation = () => {
   const [submitting, setSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
+  const [similarQuestions, setSimilarQuestions] = useState([]);
   
   const [formData, setFormData] = useState({
     question: '',
+    image: '',
+    type: 'multiple-choice',
+    scoringMethod: 'all-or-nothing',
     options: [
       { text: '', isCorrect: false },
       { text: '', isCorrect: false },
       { text: '', isCorrect: false },
       { text: '', isCorrect: false }
     ],
+    acceptedAnswers: [''],
+    numericAnswer: EMPTY_NUMERIC_ANSWER,
     explanation: '',
     courseId: '',
     difficulty: 'medium',
@@ -30,6 +45,17 @@ const StudentQuestionCreation = () => {
     fetchCourses();
   }, []);
 
+  // Check for near-duplicates once the student pauses typing
+  useEffect(() => {
+    if (!formData.courseId || formData.question.trim().length < 10) {
+      setSimilarQuestions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(checkSimilarQuestions, 600);
+    return () => clearTimeout(timer);
+  }, [formData.question, formData.options, formData.courseId]);
+
   const fetchCourses = async () => {
     try {
       setLoading(true);
@@ -43,6 +69,21 @@ const StudentQuestionCreation = () => {
     }
   };
 
+  const checkSimilarQuestions = async () => {
+    try {
+      const response = await axios.post('/api/student-questions/similar', {
+        courseId: formData.courseId,
+        question: formData.question,
+        options: isTypedQuestion(formData)
+          ? []
+          : formData.options.map(option => option.text).filter(text => text.trim())
+      });
+      setSimilarQuestions(response.data.similarQuestions);
+    } catch (error) {
+      console.error('Error checking for similar questions:', error);
+    }
+  };
+
   const validateField = (name, value) => {
     let error = '';
     
@@ -79,7 +120,12 @@ const StudentQuestionCreation = () => {
     return error;
   };
 
-  const validateOptions = (options) => {
+  const validateOptions = (options, type = formData.type) => {
+    // Typed questions have an answer key instead of options
+    if (isTypedQuestion({ type })) {
+      return getAnswerKeyError({ ...formData, type });
+    }
+
     const validOptions = options.filter(option => option.text.trim());
     if (validOptions.length < 2) {
       return 'At least 2 options are required';
@@ -87,13 +133,44 @@ const StudentQuestionCreation = () => {
     if (validOptions.length > 6) {
       return 'Maximum 6 options allowed';
     }
-    const hasCorrectOption = validOptions.some(option => option.isCorrect);
-    if (!hasCorrectOption) {
+    const correctCount = validOptions.filter(option => option.isCorrect).length;
+    if (correctCount === 0) {
       return 'At least one option must be marked as correct';
     }
+    if (type === 'multiple-choice' && correctCount > 1) {
+      return 'Single-answer questions must have exactly one correct option';
+    }
     return '';
   };
 
+  // Keep the answer key error current while the key is edited
+  const handleAnswerKeyChange = (field, value) => {
+    const updated = { ...formData, [field]: value };
+    setFormData(updated);
+
+    if (touched.options) {
+      setErrors({
+        ...errors,
+        options: getAnswerKeyError(updated)
+      });
+    }
+  };
+
+  const handleTypeChange = (e) => {
+    const type = e.target.value;
+    setFormData(prev => ({
+      ...prev,
+      type
+    }));
+
+    if (touched.options) {
+      setErrors({
+        ...errors,
+        options: validateOptions(formData.options, type)
+      });
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -126,11 +203,16 @@ const StudentQuestionCreation = () => {
   };
 
   const handleOptionChange = (index, field, value) => {
-    const newOptions = [...formData.options];
+    let newOptions = [...formData.options];
     newOptions[index] = {
       ...newOptions[index],
       [field]: field === 'isCorrect' ? value : value
     };
+
+    // Single-answer questions keep exactly one option marked as correct
+    if (field === 'isCorrect' && value && formData.type === 'multiple-choice') {
+      newOptions = newOptions.map((option, i) => ({ ...option, isCorrect: i === index }));
+    }
     setFormData(prev => ({
       ...prev,
       options: newOptions
@@ -200,12 +282,21 @@ const StudentQuestionCreation = () => {
       return;
     }
 
+    if (similarQuestions.length > 0 &&
+      !window.confirm('Your question looks very similar to one already in this course. Submit it anyway?')) {
+      return;
+    }
+
     try {
       setSubmitting(true);
       
-      const validOptions = formData.options.filter(option => option.text.trim());
+      const { acceptedAnswers, numericAnswer, ...questionData } = formData;
+      const validOptions = isTypedQuestion(formData)
+        ? []
+        : formData.options.filter(option => option.text.trim());
       const submitData = {
-        ...formData,
+        ...questionData,
+        ...toAnswerKeyPayload(formData),
         options: validOptions,
         tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
       };
@@ -217,12 +308,17 @@ const StudentQuestionCreation = () => {
       // Reset form
       setFormData({
         question: '',
+        image: '',
+        type: 'multiple-choice',
+        scoringMethod: 'all-or-nothing',
         options: [
           { text: '', isCorrect: false },
           { text: '', isCorrect: false },
           { text: '', isCorrect: false },
           { text: '', isCorrect: false }
         ],
+        acceptedAnswers: [''],
+        numericAnswer: EMPTY_NUMERIC_ANSWER,
         explanation: '',
         courseId: '',
         difficulty: 'medium',
@@ -255,7 +351,7 @@ const StudentQuestionCreation = () => {
         <div className="card">
           <div className="mb-8">
             <h1 className="text-3xl font-bold text-gray-900 mb-2">Create Question</h1>
-            <p className="text-gray-600">Create a multiple choice question for your course</p>
+            <p className="text-gray-600">Create a multiple choice or multiple answer question for your course</p>
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-6">
@@ -310,58 +406,150 @@ const StudentQuestionCreation = () => {
               {touched.question && errors.question && (
                 <p className="mt-1 text-sm text-red-600">{errors.question}</p>
               )}
+              <div className="mt-2 flex items-center justify-between">
+                <p className="text-xs text-gray-500">
+                  Write math in LaTeX between $...$, or $$...$$ for a displayed formula. Type \$ for a dollar sign.
+                </p>
+                <ImageUploadButton
+                  value={formData.image}
+                  onChange={(url) => setFormData(prev => ({ ...prev, image: url }))}
+                  label="Add diagram"
+                />
+              </div>
+              {similarQuestions.length > 0 && (
+                <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">
+                  <p className="font-medium text-yellow-900 mb-1">
+                    This looks similar to {similarQuestions.length === 1 ? 'a question' : 'questions'} already in the course:
+                  </p>
+                  <ul className="list-disc list-inside text-yellow-800 space-y-1">
+                    {similarQuestions.map(similar => (
+                      <li key={similar._id}>
+                        {similar.question} ({Math.round(similar.similarity * 100)}% similar)
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-yellow-800 mt-1">Consider asking about a different aspect of the topic.</p>
+                </div>
+              )}
             </div>
 
-            {/* Options */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Answer Options *
-              </label>
-              {touched.options && errors.options && (
-                <p className="mb-2 text-sm text-red-600">{errors.options}</p>
-              )}
-              <div className="space-y-3">
-                {formData.options.map((option, index) => (
-                  <div key={index} className="flex items-center space-x-3">
-                    <input
-                      type="checkbox"
-                      checked={option.isCorrect}
-                      onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
-                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                    />
-                    <input
-                      type="text"
-                      value={option.text}
-                      onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
-                      placeholder={`Option ${index + 1}`}
-                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
-                    />
-                    {formData.options.length > 2 && (
-                      <button
-                        type="button"
-                        onClick={() => removeOption(index)}
-                        className="text-red-600 hover:text-red-800"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
-                    )}
-                  </div>
-                ))}
-              </div>
-              
-              {formData.options.length < 6 && (
-                <button
-                  type="button"
-                  onClick={addOption}
-                  className="mt-3 text-primary-600 hover:text-primary-800 font-medium"
+            {/* Question Type */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Question Type
+                </label>
+                <select
+                  name="type"
+                  value={formData.type}
+                  onChange={handleTypeChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
                 >
-                  + Add Option
-                </button>
+                  <option value="multiple-choice">Single answer</option>
+                  <option value="multiple-select">Multiple answers (select all that apply)</option>
+                  <option value="short-answer">Short answer (typed)</option>
+                  <option value="numeric">Numeric (typed number)</option>
+                </select>
+              </div>
+
+              {formData.type === 'multiple-select' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Scoring
+                  </label>
+                  <select
+                    name="scoringMethod"
+                    value={formData.scoringMethod}
+                    onChange={handleInputChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="all-or-nothing">All or nothing</option>
+                    <option value="proportional">Partial credit</option>
+                    <option value="negative-marking">Partial credit with negative marking</option>
+                  </select>
+                </div>
               )}
             </div>
 
+            {/* Options */}
+            {isTypedQuestion(formData) ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {formData.type === 'numeric' ? 'Correct Answer *' : 'Accepted Answers *'}
+                </label>
+                {touched.options && errors.options && (
+                  <p className="mb-2 text-sm text-red-600">{errors.options}</p>
+                )}
+                <AnswerKeyEditor
+                  type={formData.type}
+                  acceptedAnswers={formData.acceptedAnswers}
+                  numericAnswer={formData.numericAnswer}
+                  onChange={handleAnswerKeyChange}
+                />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Answer Options *
+                </label>
+                {touched.options && errors.options && (
+                  <p className="mb-2 text-sm text-red-600">{errors.options}</p>
+                )}
+                <div className="space-y-3">
+                  {formData.options.map((option, index) => (
+                    <div key={index} className="flex items-center space-x-3">
+                      <input
+                        type={formData.type === 'multiple-select' ? 'checkbox' : 'radio'}
+                        name="correctOption"
+                        checked={option.isCorrect}
+                        onChange={(e) => handleOptionChange(index, 'isCorrect', e.target.checked)}
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      />
+                      <input
+                        type="text"
+                        value={option.text}
+                        onChange={(e) => handleOptionChange(index, 'text', e.target.value)}
+                        placeholder={`Option ${index + 1}`}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                      <ImageUploadButton
+                        value={option.image}
+                        onChange={(url) => handleOptionChange(index, 'image', url)}
+                      />
+                      {formData.options.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => removeOption(index)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                
+                {formData.options.length < 6 && (
+                  <button
+                    type="button"
+                    onClick={addOption}
+                    className="mt-3 text-primary-600 hover:text-primary-800 font-medium"
+                  >
+                    + Add Option
+                  </button>
+                )}
+              </div>
+            )}
+
+            <QuestionPreview
+              question={formData.question}
+              image={formData.image}
+              options={isTypedQuestion(formData) ? [] : formData.options}
+              answerKey={isTypedQuestion(formData) ? describeAnswerKey({ type: formData.type, ...toAnswerKeyPayload(formData) }) : ''}
+            />
+
             {/* Explanation */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -2,7 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import MathText from './MathText';
 import EditQuestionModal from './EditQuestionModal';
+import { describeAnswerKey, isTypedQuestion } from './AnswerKeyEditor';
 
 const StudentQuestionManagement = () => {
   const { user } = useAuth();
@@ -95,6 +97,8 @@ const StudentQuestionManagement = () => {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'approved': return 'bg-green-100 text-green-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'retired': return 'bg-gray-200 text-gray-700';
+      case 'needs-revision': return 'bg-orange-100 text-orange-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -136,8 +140,8 @@ const StudentQuestionManagement = () => {
 
   const handleUpdateQuestion = async (updatedQuestion) => {
     try {
-      await axios.put(`/api/student-questions/${editingQuestion._id}`, updatedQuestion);
-      toast.success('Question updated successfully');
+      const response = await axios.put(`/api/student-questions/${editingQuestion._id}`, updatedQuestion);
+      toast.success(response.data.message);
       setShowEditModal(false);
       setEditingQuestion(null);
       fetchQuestions();
@@ -246,6 +250,7 @@ const StudentQuestionManagement = () => {
                   <option value="pending">Pending</option>
                   <option value="approved">Approved</option>
                   <option value="rejected">Rejected</option>
+                  <option value="needs-revision">Needs Revision</option>
                 </select>
               </div>
             )}
@@ -277,8 +282,11 @@ const StudentQuestionManagement = () => {
                       <div className="flex justify-between items-start mb-4">
                         <div className="flex-1">
                           <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                            {question.question}
+                            <MathText text={question.question} />
                           </h3>
+                          {question.image && (
+                            <img src={question.image} alt="Question diagram" className="mb-2 max-h-64 w-auto rounded border border-gray-200" />
+                          )}
                           <div className="flex items-center space-x-4 text-sm text-gray-600 mb-2">
                             <span>Course: {question.course.title}</span>
                             <span>Created: {new Date(question.createdAt).toLocaleDateString()}</span>
@@ -290,13 +298,13 @@ const StudentQuestionManagement = () => {
                           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(question.status)}`}>
                             {question.status}
                           </span>
-                          {question.status === 'pending' && (
+                          {['pending', 'needs-revision'].includes(question.status) && (
                             <div className="flex space-x-2">
                               <button
                                 onClick={() => handleEditQuestion(question)}
                                 className="text-blue-600 hover:text-blue-800 text-sm font-medium"
                               >
-                                Edit
+                                {question.status === 'needs-revision' ? 'Revise' : 'Edit'}
                               </button>
                               <button
                                 onClick={() => handleDeleteQuestion(question._id)}
@@ -310,23 +318,36 @@ const StudentQuestionManagement = () => {
                         </div>
                       </div>
 
-                      <div className="mb-4">
-                        <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
-                        <div className="space-y-2">
-                          {question.options.map((option, index) => (
-                            <div key={index} className="flex items-center">
-                              <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
-                                option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
-                              }`}>
-                                {String.fromCharCode(65 + index)}
-                              </span>
-                              <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
-                                {option.text}
-                              </span>
-                            </div>
-                          ))}
+                      {isTypedQuestion(question) ? (
+                        <div className="mb-4">
+                          <h4 className="font-medium text-gray-900 mb-2">Accepted answer:</h4>
+                          <p className="text-green-800 font-medium">{describeAnswerKey(question)}</p>
                         </div>
-                      </div>
+                      ) : (
+                        <div className="mb-4">
+                          <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
+                          <div className="space-y-2">
+                            {question.options.map((option, index) => (
+                              <div key={index} className="flex items-center">
+                                <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
+                                  option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
+                                }`}>
+                                  {String.fromCharCode(65 + index)}
+                                </span>
+                                <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
+                                  <MathText text={option.text} />
+                                </span>
+                                {option.image && (
+                                  <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="ml-3 max-h-24 w-auto rounded" />
+                                )}
+                                {question.optionComments?.filter(c => c.optionIndex === index).map((c, i) => (
+                                  <span key={i} className="ml-3 text-orange-700 text-sm italic">{c.comment}</span>
+                                ))}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
 
                       {question.teacherFeedback && (
                         <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
@@ -367,7 +388,7 @@ const StudentQuestionManagement = () => {
                       <div className="flex justify-between items-start mb-4">
                         <div className="flex-1">
                           <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                            Quiz Attempt
+                            {attempt.mode === 'exam' ? 'Exam' : attempt.mode === 'practice' ? 'Practice Quiz' : 'Quiz Attempt'}
                           </h3>
                           <div className="flex items-center space-x-4 text-sm text-gray-600 mb-2">
                             <span>Course: {attempt.course.title}</span>
@@ -376,23 +397,27 @@ const StudentQuestionManagement = () => {
                             <span>Time: {formatTime(attempt.timeSpent)}</span>
                           </div>
                         </div>
-                        <div className="flex items-center space-x-2">
-                          <span className={`text-lg font-bold ${getScoreColor(attempt.percentage)}`}>
-                            {attempt.percentage}%
-                          </span>
-                          <span className="text-sm text-gray-600">
-                            ({attempt.score}/{attempt.totalPoints})
-                          </span>
-                        </div>
+                        {attempt.feedbackWithheld ? (
+                          <span className="text-sm text-gray-500">Results not released yet</span>
+                        ) : (
+                          <div className="flex items-center space-x-2">
+                            <span className={`text-lg font-bold ${getScoreColor(attempt.percentage)}`}>
+                              {attempt.percentage}%
+                            </span>
+                            <span className="text-sm text-gray-600">
+                              ({attempt.score}/{attempt.totalPoints})
+                            </span>
+                          </div>
+                        )}
                       </div>
 
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                         <div className="text-center">
-                          <div className="text-2xl font-bold text-blue-600">{attempt.score}</div>
+                          <div className="text-2xl font-bold text-blue-600">{attempt.feedbackWithheld ? '—' : attempt.score}</div>
                           <div className="text-sm text-gray-600">Score</div>
                         </div>
                         <div className="text-center">
-                          <div className="text-2xl font-bold text-green-600">{attempt.percentage}%</div>
+                          <div className="text-2xl font-bold text-green-600">{attempt.feedbackWithheld ? '—' : `${attempt.percentage}%`}</div>
                           <div className="text-sm text-gray-600">Percentage</div>
                         </div>
                         <div className="text-center">
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const StudentQuizAttemptResults = () => {
+  const { attemptId } = useParams();
+  const navigate = useNavigate();
+  const [attempt, setAttempt] = useState(null);
+  const [quiz, setQuiz] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchAttempt();
+  }, [attemptId]);
+
+  const fetchAttempt = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/quizzes/attempts/${attemptId}`);
+      setAttempt(response.data.attempt);
+      setQuiz(response.data.quiz);
+    } catch (error) {
+      console.error('Error fetching quiz attempt:', error);
+      toast.error('Failed to load quiz results');
+      navigate('/student-dashboard');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const formatAnswer = (question, answer) => {
+    if (answer === undefined || answer === null || answer === '') return 'No answer';
+    if (question.type === 'multiple-choice') return question.options[Number(answer)];
+    if (question.type === 'true-false') return String(answer) === 'true' ? 'True' : 'False';
+    return String(answer);
+  };
+
+  const getScoreColor = (percentage) => {
+    if (percentage >= 80) return 'text-green-600';
+    if (percentage >= 60) return 'text-yellow-600';
+    return 'text-red-600';
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading results...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!attempt || !quiz) {
+    return null;
+  }
+
+  const resultsVisible = attempt.percentage !== undefined;
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="card">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{quiz.title}</h1>
+            <p className="text-gray-600">
+              {attempt.course.title} • Attempt {attempt.attemptNumber} • Time spent {formatTime(attempt.timeSpent)}
+            </p>
+          </div>
+
+          {resultsVisible ? (
+            <div className="text-center mb-8">
+              <div className={`text-5xl font-bold ${getScoreColor(attempt.percentage)}`}>
+                {attempt.percentage}%
+              </div>
+              <p className="text-gray-600 mt-2">{attempt.score}/{attempt.totalPoints} points</p>
+            </div>
+          ) : (
+            <div className="mb-8 p-4 bg-blue-50 border border-blue-200 rounded-lg text-center text-blue-800">
+              Your answers have been submitted. Your teacher will release the results later.
+            </div>
+          )}
+
+          <div className="space-y-6 mb-8">
+            {quiz.questions.map((question, index) => {
+              const answer = attempt.answers.find(a => a.questionId === question._id);
+
+              return (
+                <div key={question._id} className="border border-gray-200 rounded-lg p-6">
+                  <div className="flex items-start justify-between mb-3">
+                    <h4 className="text-lg font-medium text-gray-900">
+                      {index + 1}. {question.question}
+                    </h4>
+                    {resultsVisible && (
+                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                        answer?.needsReview
+                          ? 'bg-blue-100 text-blue-800'
+                          : answer && answer.isCorrect ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {answer?.needsReview ? 'Awaiting teacher review • ' : ''}{answer ? answer.points : 0}/{question.points}
+                      </span>
+                    )}
+                  </div>
+
+                  <p className="text-gray-700">
+                    <span className="font-medium">Your answer:</span> {formatAnswer(question, answer?.answer)}
+                  </p>
+
+                  {question.correctAnswer !== undefined && (
+                    <p className="text-green-700">
+                      <span className="font-medium">Correct answer:</span> {[question.correctAnswer, ...(question.acceptedAnswers || [])]
+                        .map(correct => formatAnswer(question, correct))
+                        .join(' / ')}
+                    </p>
+                  )}
+
+                  {question.explanation && (
+                    <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                      <h5 className="font-medium text-blue-900 mb-1">Explanation:</h5>
+                      <p className="text-blue-800 text-sm">{question.explanation}</p>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex justify-center">
+            <button
+              onClick={() => navigate(`/student/quizzes/course/${attempt.course._id}`)}
+              className="btn btn-primary"
+            >
+              Back to Quizzes
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentQuizAttemptResults;
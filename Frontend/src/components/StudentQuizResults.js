@@ -3,12 +3,17 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import MathText from './MathText';
+import { describeAnswerKey, isTypedQuestion } from './AnswerKeyEditor';
 
 const StudentQuizResults = () => {
   const { attemptId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
   const [quizAttempt, setQuizAttempt] = useState(null);
+  const [answersVisible, setAnswersVisible] = useState(false);
+  const [answersAvailableAt, setAnswersAvailableAt] = useState(null);
+  const [optionOrders, setOptionOrders] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
 
@@ -32,6 +37,9 @@ const StudentQuizResults = () => {
       }
       const response = await axios.get(`/api/student-questions/quiz/${attemptId}`);
       setQuizAttempt(response.data.quizAttempt);
+      setAnswersVisible(response.data.answersVisible);
+      setAnswersAvailableAt(response.data.answersAvailableAt);
+      setOptionOrders(response.data.optionOrders);
     } catch (error) {
       console.error('Error fetching quiz attempt:', error);
       toast.error('Failed to load quiz results');
@@ -109,35 +117,68 @@ const StudentQuizResults = () => {
             </div>
           </div>
 
+          {/* Regrade Notice */}
+          {quizAttempt.regrades?.length > 0 && (
+            <div className="mb-8 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <h3 className="font-semibold text-blue-900 mb-2">This attempt was regraded</h3>
+              <ul className="space-y-1 text-sm text-blue-800">
+                {quizAttempt.regrades.map(regrade => {
+                  const questionIndex = quizAttempt.questions.findIndex(q => q._id === regrade.question);
+                  return (
+                    <li key={regrade._id}>
+                      {new Date(regrade.createdAt).toLocaleDateString()}: Question {questionIndex + 1} ({regrade.reason.toLowerCase()}) went
+                      from {regrade.previousPoints} to {regrade.newPoints} pts, so your score changed
+                      from {regrade.previousScore} ({regrade.previousPercentage}%) to {regrade.newScore} ({regrade.newPercentage}%).
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {/* Exam results are hidden until the teacher releases them */}
+          {quizAttempt.feedbackWithheld && (
+            <div className="mb-8 p-6 bg-blue-50 border border-blue-200 rounded-lg text-center">
+              <h3 className="text-lg font-semibold text-blue-900 mb-1">Exam submitted</h3>
+              <p className="text-blue-800">
+                You answered {quizAttempt.answers.length} of {quizAttempt.questions.length} questions
+                in {formatTime(quizAttempt.timeSpent)}. Your score and the correct answers will appear
+                here once your teacher releases the results.
+              </p>
+            </div>
+          )}
+
           {/* Score Summary */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-            <div className="text-center">
-              <div className={`inline-flex items-center justify-center w-16 h-16 rounded-full ${getScoreBgColor(quizAttempt.percentage)} mb-4`}>
-                <span className={`text-2xl font-bold ${getScoreColor(quizAttempt.percentage)}`}>
-                  {quizAttempt.percentage}%
-                </span>
+          {!quizAttempt.feedbackWithheld && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+              <div className="text-center">
+                <div className={`inline-flex items-center justify-center w-16 h-16 rounded-full ${getScoreBgColor(quizAttempt.percentage)} mb-4`}>
+                  <span className={`text-2xl font-bold ${getScoreColor(quizAttempt.percentage)}`}>
+                    {quizAttempt.percentage}%
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900">Score</h3>
               </div>
-              <h3 className="text-lg font-semibold text-gray-900">Score</h3>
-            </div>
 
-            <div className="text-center">
-              <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-blue-100 mb-4">
-                <span className="text-2xl font-bold text-blue-600">
-                  {quizAttempt.score}/{quizAttempt.totalPoints}
-                </span>
+              <div className="text-center">
+                <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-blue-100 mb-4">
+                  <span className="text-2xl font-bold text-blue-600">
+                    {quizAttempt.score}/{quizAttempt.totalPoints}
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900">Points</h3>
               </div>
-              <h3 className="text-lg font-semibold text-gray-900">Points</h3>
-            </div>
 
-            <div className="text-center">
-              <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-purple-100 mb-4">
-                <span className="text-2xl font-bold text-purple-600">
-                  {formatTime(quizAttempt.timeSpent)}
-                </span>
+              <div className="text-center">
+                <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-purple-100 mb-4">
+                  <span className="text-2xl font-bold text-purple-600">
+                    {formatTime(quizAttempt.timeSpent)}
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900">Time Spent</h3>
               </div>
-              <h3 className="text-lg font-semibold text-gray-900">Time Spent</h3>
             </div>
-          </div>
+          )}
 
           {/* Teacher Grade and Feedback */}
           {(quizAttempt.teacherGrade || quizAttempt.teacherFeedback) && (
@@ -166,88 +207,166 @@ const StudentQuizResults = () => {
           )}
 
           {/* Question Review */}
-          <div className="mb-8">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Question Review</h3>
-            <div className="space-y-6">
-              {quizAttempt.questions.map((question, index) => {
-                const answer = quizAttempt.answers.find(a => a.questionId === question._id);
-                const isCorrect = answer ? answer.isCorrect : false;
-                
-                return (
-                  <div key={question._id} className="border border-gray-200 rounded-lg p-6">
-                    <div className="flex items-start justify-between mb-4">
-                      <h4 className="text-lg font-medium text-gray-900">
-                        Question {index + 1}
-                      </h4>
-                      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                        isCorrect ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                      }`}>
-                        {isCorrect ? 'Correct' : 'Incorrect'}
-                      </span>
-                    </div>
+          {!quizAttempt.feedbackWithheld && (
+            <div className="mb-8">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Question Review</h3>
+              {!answersVisible && (
+                <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg text-blue-800 text-sm">
+                  {answersAvailableAt
+                    ? `Correct answers and explanations will be available after ${new Date(answersAvailableAt).toLocaleDateString()}.`
+                    : 'Correct answers and explanations are not shown for this course.'}
+                </div>
+              )}
+              <div className="space-y-6">
+                {quizAttempt.questions.map((question, index) => {
+                  const answer = quizAttempt.answers.find(a => a.questionId === question._id);
+                  const isCorrect = answer ? answer.isCorrect : false;
+                  const earnedPoints = answer ? answer.points : 0;
+                  const selectedOptions = answer
+                    ? answer.selectedOptions?.length ? answer.selectedOptions : [answer.selectedOption]
+                    : [];
+                  const awaitingReview = !!answer?.needsReview;
+                  const resultLabel = awaitingReview
+                    ? 'Awaiting teacher review'
+                    : isCorrect ? 'Correct' : earnedPoints > 0 ? 'Partially correct' : 'Incorrect';
+                  const wasRegraded = quizAttempt.regrades?.some(regrade => regrade.question === question._id);
+                  
+                  return (
+                    <div key={question._id} className="border border-gray-200 rounded-lg p-6">
+                      <div className="flex items-start justify-between mb-4">
+                        <h4 className="text-lg font-medium text-gray-900">
+                          Question {index + 1}
+                        </h4>
+                        {answersVisible ? (
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                            awaitingReview
+                              ? 'bg-blue-100 text-blue-800'
+                              : isCorrect
+                              ? 'bg-green-100 text-green-800'
+                              : earnedPoints > 0
+                              ? 'bg-yellow-100 text-yellow-800'
+                              : 'bg-red-100 text-red-800'
+                          }`}>
+                            {resultLabel} • {earnedPoints}/{question.points} pt{question.points === 1 ? '' : 's'}
+                            {wasRegraded && ' • regraded'}
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                            {answer ? 'Answered' : 'Not answered'} • {question.points} pt{question.points === 1 ? '' : 's'}
+                          </span>
+                        )}
+                      </div>
 
-                    <p className="text-gray-700 mb-4">{question.question}</p>
+                      <MathText text={question.question} as="p" className="text-gray-700 mb-4" />
+                      {question.image && (
+                        <img src={question.image} alt="Question diagram" className="-mt-2 mb-4 max-h-64 w-auto rounded border border-gray-200" />
+                      )}
+                      {question.type === 'multiple-select' && (
+                        <p className="text-sm text-gray-500 -mt-2 mb-4">Multiple answers</p>
+                      )}
 
-                    <div className="space-y-2">
-                      {question.options.map((option, optionIndex) => {
-                        const isSelected = answer && answer.selectedOption === optionIndex;
-                        const isCorrectOption = option.isCorrect;
-                        
-                        return (
-                          <div
-                            key={optionIndex}
-                            className={`p-3 rounded-lg border ${
-                              isCorrectOption
-                                ? 'bg-green-50 border-green-200'
-                                : isSelected && !isCorrectOption
-                                ? 'bg-red-50 border-red-200'
-                                : 'bg-gray-50 border-gray-200'
-                            }`}
-                          >
-                            <div className="flex items-center">
-                              <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
-                                isCorrectOption
-                                  ? 'bg-green-500 text-white'
-                                  : isSelected && !isCorrectOption
-                                  ? 'bg-red-500 text-white'
-                                  : 'bg-gray-300 text-gray-700'
-                              }`}>
-                                {String.fromCharCode(65 + optionIndex)}
-                              </span>
-                              <span className={`${
-                                isCorrectOption ? 'text-green-800 font-medium' : 
-                                isSelected && !isCorrectOption ? 'text-red-800 font-medium' : 
-                                'text-gray-700'
-                              }`}>
-                                {option.text}
-                              </span>
-                              {isCorrectOption && (
-                                <span className="ml-auto text-green-600 font-medium">
-                                  ✓ Correct Answer
-                                </span>
-                              )}
-                              {isSelected && !isCorrectOption && (
-                                <span className="ml-auto text-red-600 font-medium">
-                                  ✗ Your Answer
-                                </span>
-                              )}
-                            </div>
+                      {isTypedQuestion(question) ? (
+                        <div className="space-y-2">
+                          <div className={`p-3 rounded-lg border ${
+                            !answersVisible || awaitingReview
+                              ? 'bg-primary-50 border-primary-200'
+                              : isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+                          }`}>
+                            <span className="text-sm text-gray-500 mr-2">Your answer:</span>
+                            <span className="font-medium text-gray-900">
+                              {answer?.textAnswer || <em className="text-gray-500">No answer</em>}
+                            </span>
                           </div>
-                        );
-                      })}
-                    </div>
+                          {awaitingReview && (
+                            <p className="text-sm text-blue-700">
+                              This answer was close, so your teacher will decide whether it counts.
+                            </p>
+                          )}
+                          {answersVisible && !isCorrect && (
+                            <div className="p-3 rounded-lg border bg-green-50 border-green-200">
+                              <span className="text-sm text-gray-500 mr-2">Accepted answer:</span>
+                              <span className="font-medium text-green-800">{describeAnswerKey(question)}</span>
+                            </div>
+                          )}
+                        </div>
+                      ) : (
+                        <div className="space-y-2">
+                          {/* Options appear in the order this attempt showed them */}
+                          {(optionOrders?.[question._id] || question.options.map((_, index) => index)).map((optionIndex, shownIndex) => {
+                            const option = question.options[optionIndex];
+                            const isSelected = selectedOptions.includes(optionIndex);
+                            const isCorrectOption = answersVisible && option.isCorrect;
+                            
+                            return (
+                              <div
+                                key={optionIndex}
+                                className={`p-3 rounded-lg border ${
+                                  isCorrectOption
+                                    ? 'bg-green-50 border-green-200'
+                                    : isSelected && !answersVisible
+                                    ? 'bg-primary-50 border-primary-200'
+                                    : isSelected && !isCorrectOption
+                                    ? 'bg-red-50 border-red-200'
+                                    : 'bg-gray-50 border-gray-200'
+                                }`}
+                              >
+                                <div className="flex items-center">
+                                  <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
+                                    isCorrectOption
+                                      ? 'bg-green-500 text-white'
+                                      : isSelected && !answersVisible
+                                      ? 'bg-primary-600 text-white'
+                                      : isSelected && !isCorrectOption
+                                      ? 'bg-red-500 text-white'
+                                      : 'bg-gray-300 text-gray-700'
+                                  }`}>
+                                    {String.fromCharCode(65 + shownIndex)}
+                                  </span>
+                                  <span className={`${
+                                    isCorrectOption ? 'text-green-800 font-medium' : 
+                                    isSelected && !answersVisible ? 'text-primary-800 font-medium' :
+                                    isSelected && !isCorrectOption ? 'text-red-800 font-medium' : 
+                                    'text-gray-700'
+                                  }`}>
+                                    <MathText text={option.text} />
+                                    {option.image && (
+                                      <img src={option.image} alt={`Option ${String.fromCharCode(65 + shownIndex)}`} className="mt-2 max-h-32 w-auto rounded" />
+                                    )}
+                                  </span>
+                                  {isCorrectOption && (
+                                    <span className="ml-auto text-green-600 font-medium">
+                                      ✓ Correct Answer
+                                    </span>
+                                  )}
+                                  {isSelected && !answersVisible && (
+                                    <span className="ml-auto text-primary-600 font-medium">
+                                      Your Answer
+                                    </span>
+                                  )}
+                                  {isSelected && answersVisible && !isCorrectOption && (
+                                    <span className="ml-auto text-red-600 font-medium">
+                                      ✗ Your Answer
+                                    </span>
+                                  )}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      )}
 
-                    {question.explanation && (
-                      <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
-                        <h5 className="font-medium text-blue-900 mb-1">Explanation:</h5>
-                        <p className="text-blue-800 text-sm">{question.explanation}</p>
-                      </div>
-                    )}
-                  </div>
-                );
-              })}
+                      {question.explanation && (
+                        <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                          <h5 className="font-medium text-blue-900 mb-1">Explanation:</h5>
+                          <p className="text-blue-800 text-sm">{question.explanation}</p>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Action Buttons */}
           <div className="flex justify-center space-x-4">
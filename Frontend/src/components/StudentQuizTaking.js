@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const StudentQuizTaking = () => {
+  const { quizId } = useParams();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [quiz, setQuiz] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [timeLeft, setTimeLeft] = useState(null);
+  const [deadline, setDeadline] = useState(null);
+  const submittedRef = useRef(false);
+  const saveTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    startQuiz();
+  }, [quizId]);
+
+  useEffect(() => {
+    if (!deadline) return undefined;
+
+    const tick = () => setTimeLeft(Math.max(0, Math.round((deadline - Date.now()) / 1000)));
+    tick();
+
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  useEffect(() => () => clearTimeout(saveTimeoutRef.current), []);
+
+  useEffect(() => {
+    if (timeLeft === 0 && !submittedRef.current) {
+      toast.info('Time is up! Submitting your answers.');
+      handleSubmit();
+    }
+  }, [timeLeft]);
+
+  const startQuiz = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`/api/quizzes/${quizId}/start`);
+      setQuiz(response.data.quiz);
+      setAttempt(response.data.attempt);
+      // The server's deadline covers extra time and the quiz's due date, whichever ends first
+      const { remainingSeconds } = response.data;
+      setDeadline(remainingSeconds === null || remainingSeconds === undefined ? null : Date.now() + remainingSeconds * 1000);
+      // A resumed attempt picks up the answers saved before
+      setAnswers((response.data.attempt.savedAnswers || []).reduce(
+        (saved, { questionId, answer }) => ({ ...saved, [questionId]: answer }),
+        {}
+      ));
+    } catch (error) {
+      console.error('Error starting quiz:', error);
+      toast.error(error.response?.data?.message || 'Failed to start quiz');
+      navigate(-1);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toAnswerArray = (answerMap) => Object.entries(answerMap).map(([questionId, answer]) => ({
+    questionId,
+    answer
+  }));
+
+  // Answers are saved as the student goes, so they still count if the final submit arrives late
+  const saveProgress = (answerMap) => {
+    clearTimeout(saveTimeoutRef.current);
+    saveTimeoutRef.current = setTimeout(() => {
+      if (submittedRef.current) return;
+      axios.put(`/api/quizzes/attempts/${attempt._id}/progress`, { answers: toAnswerArray(answerMap) })
+        .catch(error => console.error('Error saving quiz progress:', error));
+    }, 1000);
+  };
+
+  const handleAnswerChange = (questionId, value) => {
+    const updated = { ...answers, [questionId]: value };
+    setAnswers(updated);
+    saveProgress(updated);
+  };
+
+  const handleSubmit = async () => {
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+
+    try {
+      setSubmitting(true);
+
+      clearTimeout(saveTimeoutRef.current);
+      const response = await axios.post(`/api/quizzes/attempts/${attempt._id}/submit`, {
+        answers: toAnswerArray(answers)
+      });
+
+      if (response.data.closedAtDeadline) {
+        toast.info(response.data.message);
+      } else {
+        toast.success('Quiz submitted successfully!');
+      }
+      navigate(`/student/quiz-attempts/${attempt._id}`);
+    } catch (error) {
+      submittedRef.current = false;
+      console.error('Error submitting quiz:', error);
+      toast.error(error.response?.data?.message || 'Failed to submit quiz');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading quiz...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  if (!quiz || !attempt) {
+    return null;
+  }
+
+  const currentQuestion = quiz.questions[currentQuestionIndex];
+  const totalQuestions = quiz.questions.length;
+  const isLastQuestion = currentQuestionIndex === totalQuestions - 1;
+  const answeredQuestions = Object.values(answers).filter(a => a !== '').length;
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="card">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{quiz.title}</h1>
+              <p className="text-gray-600">Attempt {attempt.attemptNumber} of {quiz.attempts}</p>
+            </div>
+            <div className="text-right">
+              <div className={`text-lg font-semibold ${timeLeft !== null && timeLeft < 60 ? 'text-red-600' : 'text-primary-600'}`}>
+                {timeLeft !== null ? formatTime(timeLeft) : '--:--'}
+              </div>
+              <div className="text-sm text-gray-600">
+                {answeredQuestions}/{totalQuestions} answered
+              </div>
+            </div>
+          </div>
+
+          {/* Question Navigation */}
+          <div className="flex justify-center mb-6">
+            <div className="flex flex-wrap gap-2">
+              {quiz.questions.map((question, index) => (
+                <button
+                  key={question._id}
+                  onClick={() => setCurrentQuestionIndex(index)}
+                  className={`w-8 h-8 rounded-full text-sm font-medium ${
+                    index === currentQuestionIndex
+                      ? 'bg-primary-600 text-white'
+                      : answers[question._id] !== undefined && answers[question._id] !== ''
+                      ? 'bg-green-500 text-white'
+                      : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                  }`}
+                >
+                  {index + 1}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Question */}
+          <div className="mb-8">
+            <div className="mb-4">
+              <span className="text-sm text-gray-500">
+                Question {currentQuestionIndex + 1} of {totalQuestions} • {currentQuestion.points} point{currentQuestion.points === 1 ? '' : 's'}
+              </span>
+              <h2 className="text-xl font-semibold text-gray-900 mt-2">
+                {currentQuestion.question}
+              </h2>
+            </div>
+
+            {currentQuestion.type === 'multiple-choice' && (
+              <div className="space-y-3">
+                {currentQuestion.options.map((option, index) => (
+                  <label
+                    key={index}
+                    className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
+                      answers[currentQuestion._id] === index
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-300 hover:border-gray-400'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={`question-${currentQuestion._id}`}
+                      checked={answers[currentQuestion._id] === index}
+                      onChange={() => handleAnswerChange(currentQuestion._id, index)}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                    />
+                    <span className="ml-3 text-gray-900">{option}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {currentQuestion.type === 'true-false' && (
+              <div className="space-y-3">
+                {['true', 'false'].map((value) => (
+                  <label
+                    key={value}
+                    className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${
+                      answers[currentQuestion._id] === value
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-300 hover:border-gray-400'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name={`question-${currentQuestion._id}`}
+                      checked={answers[currentQuestion._id] === value}
+                      onChange={() => handleAnswerChange(currentQuestion._id, value)}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                    />
+                    <span className="ml-3 text-gray-900">{value === 'true' ? 'True' : 'False'}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {currentQuestion.type === 'short-answer' && (
+              <input
+                type="text"
+                value={answers[currentQuestion._id] || ''}
+                onChange={(e) => handleAnswerChange(currentQuestion._id, e.target.value)}
+                className="form-input"
+                placeholder="Type your answer"
+              />
+            )}
+          </div>
+
+          {/* Navigation Buttons */}
+          <div className="flex justify-between">
+            <button
+              onClick={() => setCurrentQuestionIndex(prev => prev - 1)}
+              disabled={currentQuestionIndex === 0}
+              className="btn btn-secondary"
+            >
+              Previous
+            </button>
+
+            {!isLastQuestion ? (
+              <button
+                onClick={() => setCurrentQuestionIndex(prev => prev + 1)}
+                className="btn btn-primary"
+              >
+                Next
+              </button>
+            ) : (
+              <button
+                onClick={() => {
+                  if (window.confirm('Submit your answers? You cannot change them afterwards.')) {
+                    handleSubmit();
+                  }
+                }}
+                disabled={submitting}
+                className="btn btn-primary"
+              >
+                {submitting ? 'Submitting...' : 'Submit Quiz'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentQuizTaking;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const StudentQuizzes = () => {
+  const { courseId } = useParams();
+  const navigate = useNavigate();
+  const [course, setCourse] = useState(null);
+  const [quizzes, setQuizzes] = useState([]);
+  const [blueprints, setBlueprints] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchCourseAndQuizzes();
+  }, [courseId]);
+
+  const fetchCourseAndQuizzes = async () => {
+    try {
+      setLoading(true);
+
+      const [courseResponse, quizzesResponse, blueprintsResponse] = await Promise.all([
+        axios.get(`/api/courses/${courseId}`),
+        axios.get(`/api/quizzes/course/${courseId}`),
+        axios.get(`/api/quiz-blueprints/course/${courseId}`)
+      ]);
+
+      setCourse(courseResponse.data.course);
+      setQuizzes(quizzesResponse.data.quizzes);
+      setBlueprints(blueprintsResponse.data.blueprints);
+    } catch (error) {
+      console.error('Error fetching quizzes:', error);
+      toast.error(error.response?.data?.message || 'Failed to load quizzes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const isPastDue = (quiz) => quiz.dueDate && new Date() > new Date(quiz.dueDate);
+
+  const canStart = (quiz) => !isPastDue(quiz) && quiz.attemptsUsed < quiz.attempts;
+
+  const getStatus = (quiz) => {
+    if (quiz.inProgressAttempt) return { text: 'In Progress', color: 'bg-blue-100 text-blue-800' };
+    if (quiz.attemptsUsed > 0) return { text: 'Completed', color: 'bg-green-100 text-green-800' };
+    if (isPastDue(quiz)) return { text: 'Missed', color: 'bg-red-100 text-red-800' };
+    return { text: 'Not Started', color: 'bg-gray-100 text-gray-800' };
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading quizzes...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <button
+            onClick={() => navigate(-1)}
+            className="text-primary-600 hover:text-primary-700 mb-4 flex items-center"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+            Back
+          </button>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Quizzes</h1>
+          {course && <p className="text-gray-600">{course.title} • {course.subject}</p>}
+        </div>
+
+        {quizzes.length === 0 ? (
+          <div className="card text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No quizzes yet</h3>
+            <p className="text-gray-500">Your teacher hasn't published any quizzes for this course.</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {quizzes.map((quiz) => {
+              const status = getStatus(quiz);
+
+              return (
+                <div key={quiz._id} className="card">
+                  <div className="flex justify-between items-start mb-4">
+                    <h3 className="text-xl font-semibold text-gray-900">{quiz.title}</h3>
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${status.color}`}>
+                      {status.text}
+                    </span>
+                  </div>
+
+                  <p className="text-gray-600 text-sm mb-4">{quiz.description}</p>
+
+                  <div className="space-y-1 text-sm text-gray-500 mb-4">
+                    <div>{quiz.questionCount} questions • {quiz.totalPoints} points</div>
+                    <div>Time limit: {quiz.timeLimit} minutes</div>
+                    <div>Attempts: {quiz.attemptsUsed}/{quiz.attempts}</div>
+                    {quiz.dueDate && <div>Due: {formatDate(quiz.dueDate)}</div>}
+                    {quiz.bestPercentage !== null && (
+                      <div className="font-medium text-gray-700">Best score: {quiz.bestPercentage}%</div>
+                    )}
+                  </div>
+
+                  <div className="flex space-x-2">
+                    {quiz.inProgressAttempt ? (
+                      <button
+                        onClick={() => navigate(`/student/quizzes/${quiz._id}/take`)}
+                        className="btn btn-primary flex-1 text-sm"
+                      >
+                        Resume
+                      </button>
+                    ) : canStart(quiz) && (
+                      <button
+                        onClick={() => navigate(`/student/quizzes/${quiz._id}/take`)}
+                        className="btn btn-primary flex-1 text-sm"
+                      >
+                        {quiz.attemptsUsed > 0 ? 'Retake' : 'Start Quiz'}
+                      </button>
+                    )}
+                    {quiz.lastAttempt && (
+                      <button
+                        onClick={() => navigate(`/student/quiz-attempts/${quiz.lastAttempt}`)}
+                        className="btn btn-secondary flex-1 text-sm"
+                      >
+                        View Results
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {blueprints.length > 0 && (
+          <div className="mt-10">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Practice Quizzes</h2>
+            <p className="text-gray-600 mb-4">
+              Built by your teacher from the course question bank. Each attempt draws a fresh set of questions.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {blueprints.map((blueprint) => (
+                <div key={blueprint._id} className="card">
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">{blueprint.name}</h3>
+                  {blueprint.description && (
+                    <p className="text-gray-600 text-sm mb-4">{blueprint.description}</p>
+                  )}
+                  <div className="text-sm text-gray-500 mb-4">{blueprint.questionCount} questions</div>
+                  <button
+                    onClick={() => navigate(`/student/quiz/course/${courseId}?blueprint=${blueprint._id}`)}
+                    className="btn btn-primary w-full text-sm"
+                  >
+                    Start Practice
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StudentQuizzes;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import MathText from './MathText';
+import { isTypedQuestion } from './AnswerKeyEditor';
+
+const StudentReviewSession = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [reviews, setReviews] = useState([]);
+  const [dueCount, setDueCount] = useState(0);
+  const [nextDueAt, setNextDueAt] = useState(null);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState([]);
+  const [textAnswer, setTextAnswer] = useState('');
+  const [feedback, setFeedback] = useState(null);
+  const [sessionStats, setSessionStats] = useState({ reviewed: 0, correct: 0 });
+
+  useEffect(() => {
+    fetchCourses();
+  }, []);
+
+  useEffect(() => {
+    fetchDueReviews();
+  }, [courseId]);
+
+  const fetchCourses = async () => {
+    try {
+      const response = await axios.get('/api/courses');
+      setCourses(response.data.courses);
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+    }
+  };
+
+  const fetchDueReviews = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ limit: 20 });
+      if (courseId) params.append('courseId', courseId);
+
+      const response = await axios.get(`/api/student-questions/review/due?${params}`);
+      setReviews(response.data.reviews);
+      setDueCount(response.data.dueCount);
+      setNextDueAt(response.data.nextDueAt);
+      setCurrentIndex(0);
+      setSelectedOptions([]);
+      setFeedback(null);
+      setSessionStats({ reviewed: 0, correct: 0 });
+    } catch (error) {
+      console.error('Error fetching due reviews:', error);
+      toast.error('Failed to load your review questions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOptionSelect = (question, optionIndex) => {
+    if (feedback) return;
+
+    if (question.type === 'multiple-select') {
+      setSelectedOptions(prev => prev.includes(optionIndex)
+        ? prev.filter(index => index !== optionIndex)
+        : [...prev, optionIndex].sort((a, b) => a - b));
+    } else {
+      setSelectedOptions([optionIndex]);
+    }
+  };
+
+  const handleCheckAnswer = async () => {
+    const { question } = reviews[currentIndex];
+    const isTyped = isTypedQuestion(question);
+
+    if (isTyped ? !textAnswer.trim() : !selectedOptions.length) {
+      toast.error(isTyped ? 'Please enter an answer' : 'Please select an answer');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(
+        `/api/student-questions/review/${question._id}/answer`,
+        isTyped ? { textAnswer } : { selectedOptions }
+      );
+
+      setFeedback(response.data);
+      setSessionStats(prev => ({
+        reviewed: prev.reviewed + 1,
+        correct: prev.correct + (response.data.isCorrect ? 1 : 0)
+      }));
+    } catch (error) {
+      console.error('Error checking answer:', error);
+      toast.error(error.response?.data?.message || 'Failed to check answer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleNextQuestion = () => {
+    setCurrentIndex(prev => prev + 1);
+    setSelectedOptions([]);
+    setTextAnswer('');
+    setFeedback(null);
+  };
+
+  const formatNextReview = (dateString) => {
+    const days = Math.round((new Date(dateString) - new Date()) / (24 * 60 * 60 * 1000));
+    if (days <= 1) return 'tomorrow';
+    return `in ${days} days`;
+  };
+
+  const getOptionClass = (optionIndex) => {
+    const isSelected = selectedOptions.includes(optionIndex);
+
+    if (feedback && feedback.answersVisible) {
+      if (feedback.correctOptions.includes(optionIndex)) return 'border-green-500 bg-green-50';
+      if (isSelected) return 'border-red-500 bg-red-50';
+      return 'border-gray-300';
+    }
+
+    return isSelected ? 'border-primary-500 bg-primary-50' : 'border-gray-300 hover:border-gray-400';
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen gradient-bg flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <h3 className="text-xl font-semibold text-gray-700">Loading review...</h3>
+        </div>
+      </div>
+    );
+  }
+
+  const current = reviews[currentIndex];
+  const sessionFinished = currentIndex >= reviews.length;
+
+  return (
+    <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="card">
+          <div className="flex justify-between items-start mb-6">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Daily Review</h1>
+              <p className="text-gray-600">
+                Questions you have seen in practice quizzes come back just before you are likely to forget them
+              </p>
+            </div>
+            <select
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="form-select w-48"
+            >
+              <option value="">All Courses</option>
+              {courses.map(course => (
+                <option key={course._id} value={course._id}>
+                  {course.title}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {sessionFinished ? (
+            <div className="text-center py-12">
+              {sessionStats.reviewed > 0 ? (
+                <>
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">Review complete!</h3>
+                  <p className="text-gray-600 mb-4">
+                    You got {sessionStats.correct} of {sessionStats.reviewed} questions right.
+                  </p>
+                </>
+              ) : (
+                <>
+                  <h3 className="text-xl font-semibold text-gray-900 mb-2">Nothing due for review</h3>
+                  <p className="text-gray-600 mb-4">
+                    Take a practice quiz to add questions to your review schedule.
+                  </p>
+                </>
+              )}
+              {nextDueAt && (
+                <p className="text-gray-500 text-sm mb-4">
+                  Next review due {new Date(nextDueAt).toLocaleString()}
+                </p>
+              )}
+              <div className="flex justify-center space-x-4">
+                {dueCount > reviews.length && (
+                  <button onClick={fetchDueReviews} className="btn btn-primary">
+                    Continue Reviewing
+                  </button>
+                )}
+                <button onClick={() => navigate('/student-dashboard')} className="btn btn-secondary">
+                  Back to Dashboard
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div className="flex justify-between text-sm text-gray-600 mb-4">
+                <span>Question {currentIndex + 1} of {reviews.length} • {current.course.title}</span>
+                <span>{dueCount} due</span>
+              </div>
+
+              <h2 className="text-xl font-semibold text-gray-900 mb-2">
+                <MathText text={current.question.question} />
+              </h2>
+              {current.question.image && (
+                <img src={current.question.image} alt="Question diagram" className="mb-4 max-h-72 w-auto rounded border border-gray-200" />
+              )}
+              {current.question.type === 'multiple-select' && (
+                <p className="text-sm text-gray-600 mb-4">Select all that apply</p>
+              )}
+
+              {isTypedQuestion(current.question) ? (
+                <input
+                  type="text"
+                  value={textAnswer}
+                  onChange={(e) => setTextAnswer(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && !feedback && !submitting && handleCheckAnswer()}
+                  disabled={!!feedback}
+                  maxLength={500}
+                  placeholder={current.question.type === 'numeric'
+                    ? 'Type a number, followed by its unit if it has one'
+                    : 'Type your answer'}
+                  className="form-input mb-6"
+                />
+              ) : (
+                <div className="space-y-3 mb-6">
+                  {current.question.options.map((option, index) => (
+                    <label
+                      key={index}
+                      className={`flex items-center p-4 border rounded-lg cursor-pointer transition-colors ${getOptionClass(index)}`}
+                    >
+                      <input
+                        type={current.question.type === 'multiple-select' ? 'checkbox' : 'radio'}
+                        name={`review-${current.question._id}`}
+                        checked={selectedOptions.includes(index)}
+                        onChange={() => handleOptionSelect(current.question, index)}
+                        disabled={!!feedback}
+                        className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300"
+                      />
+                      <span className="ml-3 text-gray-900">
+                        <MathText text={option.text} />
+                      </span>
+                      {option.image && (
+                        <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="ml-3 max-h-24 w-auto rounded" />
+                      )}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {feedback && (
+                <div className={`mb-6 p-4 rounded-lg border ${
+                  feedback.isCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+                }`}>
+                  <p className={`font-medium ${feedback.isCorrect ? 'text-green-800' : 'text-red-800'}`}>
+                    {feedback.isCorrect
+                      ? 'Correct!'
+                      : feedback.needsReview
+                      ? 'Close, but not an exact match'
+                      : feedback.points > 0 ? 'Partially correct' : 'Not quite'}
+                  </p>
+                  {!feedback.isCorrect && feedback.correctAnswer && (
+                    <p className="text-gray-700 text-sm mt-2">Accepted answer: {feedback.correctAnswer}</p>
+                  )}
+                  {feedback.explanation && (
+                    <p className="text-gray-700 text-sm mt-2">{feedback.explanation}</p>
+                  )}
+                  <p className="text-gray-500 text-sm mt-2">
+                    You will see this question again {formatNextReview(feedback.nextDueAt)}.
+                  </p>
+                </div>
+              )}
+
+              <div className="flex justify-end">
+                {feedback ? (
+                  <button onClick={handleNextQuestion} className="btn btn-primary">
+                    {currentIndex === reviews.length - 1 ? 'Finish' : 'Next Question'}
+                  </button>
+                ) : (
+                  <button onClick={handleCheckAnswer} disabled={submitting} className="btn btn-primary">
+                    {submitting ? 'Checking...' : 'Check Answer'}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentReviewSession;
@@ -1,15 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import LatePenaltySummary, { describeLatePolicy } from './LatePenaltySummary';
+import { RubricScoreList } from './RubricGrid';
 
 const SubmissionManagement = () => {
   const { assignmentId } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [assignment, setAssignment] = useState(null);
   const [submission, setSubmission] = useState(null);
+  const [resubmission, setResubmission] = useState(null);
+  const [peerReview, setPeerReview] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
@@ -32,26 +34,19 @@ const SubmissionManagement = () => {
     try {
       setLoading(true);
       
-      // Fetch assignment details
+      // Fetch assignment details, with the student's own submission and whether they may resubmit
       const assignmentResponse = await axios.get(`/api/assignments/${assignmentId}`);
       setAssignment(assignmentResponse.data.assignment);
-
-      // Try to fetch existing submission
-      try {
-        const submissionResponse = await axios.get(`/api/submissions/assignment/${assignmentId}`);
-        const studentSubmission = submissionResponse.data.submissions.find(
-          sub => sub.student._id === user._id
-        );
-        if (studentSubmission) {
-          setSubmission(studentSubmission);
-          setFormData({
-            textSubmission: studentSubmission.textSubmission || '',
-            comments: ''
-          });
-        }
-      } catch (error) {
-        // No existing submission, that's okay
-        console.log('No existing submission found');
+      setResubmission(assignmentResponse.data.resubmission);
+      setPeerReview(assignmentResponse.data.peerReview);
+
+      const studentSubmission = assignmentResponse.data.submission;
+      if (studentSubmission) {
+        setSubmission(studentSubmission);
+        setFormData({
+          textSubmission: studentSubmission.textSubmission || '',
+          comments: ''
+        });
       }
     } catch (error) {
       console.error('Error fetching assignment:', error);
@@ -304,7 +299,7 @@ const SubmissionManagement = () => {
                   </div>
                   <div>
                     <span className="text-sm font-medium text-gray-500">Late Submissions</span>
-                    <p className="text-gray-900">{assignment.allowLateSubmission ? 'Allowed' : 'Not Allowed'}</p>
+                    <p className="text-gray-900">{describeLatePolicy(assignment)}</p>
                   </div>
                 </div>
               </div>
@@ -351,6 +346,22 @@ const SubmissionManagement = () => {
                     )}
                   </div>
 
+                  <LatePenaltySummary submission={submission} />
+
+                  {submission.peerGrade?.weight > 0 && submission.peerGrade.teacherGrade !== undefined && (
+                    <p className="text-sm text-gray-600">
+                      Includes peer review: teacher's mark {submission.peerGrade.teacherGrade}, peer average{' '}
+                      {submission.peerGrade.average} ({submission.peerGrade.weight}% of the grade)
+                    </p>
+                  )}
+
+                  {submission.rubricScores?.length > 0 && (
+                    <div>
+                      <h4 className="font-medium text-gray-900 mb-2">Rubric Scores</h4>
+                      <RubricScoreList scores={submission.rubricScores} />
+                    </div>
+                  )}
+
                   {submission.feedback && (
                     <div>
                       <h4 className="font-medium text-gray-900 mb-2">Teacher Feedback</h4>
@@ -402,7 +413,7 @@ const SubmissionManagement = () => {
                     >
                       View History
                     </button>
-                    {submission.allowResubmission && submission.currentVersion < submission.maxResubmissions && (
+                    {resubmission?.allowed && (
                       <button
                         onClick={() => {
                           setFormData(prev => ({ ...prev, textSubmission: submission.textSubmission }));
@@ -418,114 +429,121 @@ const SubmissionManagement = () => {
             )}
 
             {/* Submission Form */}
-            <div className="card">
-              <h2 className="text-2xl font-semibold text-gray-900 mb-4">
-                {submission ? 'Resubmit Assignment' : 'Submit Assignment'}
-              </h2>
+            {submission && !resubmission?.allowed ? (
+              <div className="card">
+                <h2 className="text-2xl font-semibold text-gray-900 mb-2">Resubmit Assignment</h2>
+                <p className="text-gray-600">{resubmission?.reason || 'Resubmission is not available for this assignment'}</p>
+              </div>
+            ) : (
+              <div className="card">
+                <h2 className="text-2xl font-semibold text-gray-900 mb-4">
+                  {submission ? 'Resubmit Assignment' : 'Submit Assignment'}
+                </h2>
+
+                <form onSubmit={submission ? handleResubmit : handleSubmit} className="space-y-6">
+                  {assignment.submissionType === 'text' && (
+                    <div>
+                      <label className="form-label">Text Submission *</label>
+                      <textarea
+                        value={formData.textSubmission}
+                        onChange={(e) => setFormData(prev => ({ ...prev, textSubmission: e.target.value }))}
+                        className="form-input"
+                        rows="8"
+                        placeholder="Enter your submission here..."
+                        required={assignment.submissionType === 'text'}
+                      />
+                    </div>
+                  )}
+
+                  {assignment.submissionType === 'file-upload' && (
+                    <div>
+                      <label className="form-label">File Upload *</label>
+                      <div
+                        className={`border-2 border-dashed rounded-lg p-6 text-center ${
+                          dragActive ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
+                        }`}
+                        onDragEnter={handleDrag}
+                        onDragLeave={handleDrag}
+                        onDragOver={handleDrag}
+                        onDrop={handleDrop}
+                      >
+                        <input
+                          type="file"
+                          multiple
+                          onChange={handleFileChange}
+                          className="hidden"
+                          id="file-upload"
+                          accept=".pdf,.doc,.docx,.ppt,.pptx,.txt,.jpg,.jpeg,.png,.gif"
+                        />
+                        <label htmlFor="file-upload" className="cursor-pointer">
+                          <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                          </svg>
+                          <p className="text-lg font-medium text-gray-900 mb-2">
+                            Drop files here or click to browse
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            PDF, DOC, DOCX, PPT, PPTX, TXT, and image files (max 50MB each)
+                          </p>
+                        </label>
+                      </div>
+
+                      {files.length > 0 && (
+                        <div className="mt-4 space-y-2">
+                          <h4 className="font-medium text-gray-900">Selected Files:</h4>
+                          {files.map((file, index) => (
+                            <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                              <div className="flex items-center">
+                                <span className="text-2xl mr-3">{getFileIcon(file.type)}</span>
+                                <div>
+                                  <p className="font-medium text-gray-900">{file.name}</p>
+                                  <p className="text-sm text-gray-500">{formatFileSize(file.size)}</p>
+                                </div>
+                              </div>
+                              <button
+                                type="button"
+                                onClick={() => removeFile(index)}
+                                className="text-red-600 hover:text-red-700"
+                              >
+                                Remove
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
 
-              <form onSubmit={submission ? handleResubmit : handleSubmit} className="space-y-6">
-                {assignment.submissionType === 'text' && (
                   <div>
-                    <label className="form-label">Text Submission *</label>
+                    <label className="form-label">Comments (Optional)</label>
                     <textarea
-                      value={formData.textSubmission}
-                      onChange={(e) => setFormData(prev => ({ ...prev, textSubmission: e.target.value }))}
+                      value={formData.comments}
+                      onChange={(e) => setFormData(prev => ({ ...prev, comments: e.target.value }))}
                       className="form-input"
-                      rows="8"
-                      placeholder="Enter your submission here..."
-                      required={assignment.submissionType === 'text'}
+                      rows="3"
+                      placeholder="Add any comments about your submission..."
                     />
                   </div>
-                )}
 
-                {assignment.submissionType === 'file-upload' && (
-                  <div>
-                    <label className="form-label">File Upload *</label>
-                    <div
-                      className={`border-2 border-dashed rounded-lg p-6 text-center ${
-                        dragActive ? 'border-primary-500 bg-primary-50' : 'border-gray-300'
-                      }`}
-                      onDragEnter={handleDrag}
-                      onDragLeave={handleDrag}
-                      onDragOver={handleDrag}
-                      onDrop={handleDrop}
+                  <div className="flex justify-end space-x-4">
+                    <button
+                      type="button"
+                      onClick={() => navigate(-1)}
+                      className="btn btn-secondary"
                     >
-                      <input
-                        type="file"
-                        multiple
-                        onChange={handleFileChange}
-                        className="hidden"
-                        id="file-upload"
-                        accept=".pdf,.doc,.docx,.ppt,.pptx,.txt,.jpg,.jpeg,.png,.gif"
-                      />
-                      <label htmlFor="file-upload" className="cursor-pointer">
-                        <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                        </svg>
-                        <p className="text-lg font-medium text-gray-900 mb-2">
-                          Drop files here or click to browse
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          PDF, DOC, DOCX, PPT, PPTX, TXT, and image files (max 50MB each)
-                        </p>
-                      </label>
-                    </div>
-
-                    {files.length > 0 && (
-                      <div className="mt-4 space-y-2">
-                        <h4 className="font-medium text-gray-900">Selected Files:</h4>
-                        {files.map((file, index) => (
-                          <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                            <div className="flex items-center">
-                              <span className="text-2xl mr-3">{getFileIcon(file.type)}</span>
-                              <div>
-                                <p className="font-medium text-gray-900">{file.name}</p>
-                                <p className="text-sm text-gray-500">{formatFileSize(file.size)}</p>
-                              </div>
-                            </div>
-                            <button
-                              type="button"
-                              onClick={() => removeFile(index)}
-                              className="text-red-600 hover:text-red-700"
-                            >
-                              Remove
-                            </button>
-                          </div>
-                        ))}
-                      </div>
-                    )}
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={submitting}
+                      className="btn btn-primary"
+                    >
+                      {submitting ? 'Submitting...' : submission ? 'Resubmit' : 'Submit'}
+                    </button>
                   </div>
-                )}
-
-                <div>
-                  <label className="form-label">Comments (Optional)</label>
-                  <textarea
-                    value={formData.comments}
-                    onChange={(e) => setFormData(prev => ({ ...prev, comments: e.target.value }))}
-                    className="form-input"
-                    rows="3"
-                    placeholder="Add any comments about your submission..."
-                  />
-                </div>
-
-                <div className="flex justify-end space-x-4">
-                  <button
-                    type="button"
-                    onClick={() => navigate(-1)}
-                    className="btn btn-secondary"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    type="submit"
-                    disabled={submitting}
-                    className="btn btn-primary"
-                  >
-                    {submitting ? 'Submitting...' : submission ? 'Resubmit' : 'Submit'}
-                  </button>
-                </div>
-              </form>
-            </div>
+                </form>
+              </div>
+            )}
           </div>
 
           {/* Sidebar */}
@@ -546,10 +564,16 @@ const SubmissionManagement = () => {
                   <span className="text-gray-500">Late Submissions:</span>
                   <span className="font-medium">{assignment.allowLateSubmission ? 'Yes' : 'No'}</span>
                 </div>
-                {submission && (
+                {submission && resubmission && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Versions:</span>
+                    <span className="font-medium">{submission.currentVersion}/{resubmission.maxVersions}</span>
+                  </div>
+                )}
+                {resubmission?.allowed && resubmission.deadline && (
                   <div className="flex justify-between">
-                    <span className="text-gray-500">Resubmissions:</span>
-                    <span className="font-medium">{submission.currentVersion}/{submission.maxResubmissions}</span>
+                    <span className="text-gray-500">Resubmit Until:</span>
+                    <span className="font-medium">{formatDate(resubmission.deadline)}</span>
                   </div>
                 )}
               </div>
@@ -572,6 +596,39 @@ const SubmissionManagement = () => {
                 )}
               </div>
             </div>
+
+            {/* Peer Review */}
+            {peerReview && (
+              <div className="card">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Peer Review</h3>
+                {peerReview.phase === 'upcoming' && (
+                  <p className="text-sm text-gray-600">
+                    Once the whole class's due dates have passed you will review {peerReview.reviewsPerStudent} classmates' work anonymously,
+                    until {formatDate(peerReview.reviewDeadline)}. Only students who hand in work take part.
+                  </p>
+                )}
+                {peerReview.phase === 'open' && (
+                  <p className="text-sm text-gray-600 mb-4">
+                    {peerReview.assigned > 0
+                      ? `You have reviewed ${peerReview.completed} of ${peerReview.assigned}. Reviews close ${formatDate(peerReview.reviewDeadline)}.`
+                      : `Reviews close ${formatDate(peerReview.reviewDeadline)}.`}
+                  </p>
+                )}
+                {peerReview.phase === 'closed' && (
+                  <p className="text-sm text-gray-600 mb-4">
+                    The review window has closed. See what your classmates said about your work.
+                  </p>
+                )}
+                {peerReview.phase !== 'upcoming' && (
+                  <button
+                    onClick={() => navigate(`/peer-reviews/${assignmentId}`)}
+                    className="btn btn-primary w-full"
+                  >
+                    {peerReview.phase === 'open' ? 'Review Classmates' : 'View Peer Reviews'}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
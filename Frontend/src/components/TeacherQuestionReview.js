@@ -1,7 +1,89 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import MathText from './MathText';
+import AnswerKeyEditor, {
+  EMPTY_NUMERIC_ANSWER,
+  describeAnswerKey,
+  getAnswerKeyError,
+  isTypedQuestion,
+  toAnswerKeyPayload,
+  toNumericAnswerForm
+} from './AnswerKeyEditor';
+
+// Word-level diff (longest common subsequence) between two versions of a text
+const diffWords = (before = '', after = '') => {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      parts.push({ type: 'removed', text: a[i++] });
+    } else {
+      parts.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) parts.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) parts.push({ type: 'added', text: b[j++] });
+
+  return parts;
+};
+
+const DiffText = ({ before, after }) => (
+  <span>
+    {diffWords(before, after).map((part, index) => (
+      <span
+        key={index}
+        className={
+          part.type === 'added' ? 'bg-green-100 text-green-800' :
+          part.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : ''
+        }
+      >
+        {part.text}
+      </span>
+    ))}
+  </span>
+);
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+const SHORTCUTS = [
+  ['j / ↓', 'Next question'],
+  ['k / ↑', 'Previous question'],
+  ['x', 'Select or deselect question'],
+  ['Enter / e', 'Review question'],
+  ['a', 'Approve question (approve, in the review dialog)'],
+  ['r', 'Reject question (reject, in the review dialog)'],
+  ['n', 'Request revision, in the review dialog'],
+  ['Ctrl + Enter', 'Submit review'],
+  ['Esc', 'Close dialog'],
+  ['?', 'Show or hide shortcuts']
+];
+
+const FLAG_REASON_LABELS = {
+  'wrong-key': 'Wrong answer key',
+  ambiguous: 'Ambiguous',
+  typo: 'Typo',
+  offensive: 'Offensive'
+};
+
+// Keys typed into form fields must not trigger shortcuts
+const isTypingTarget = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
 
 const TeacherQuestionReview = () => {
   const { user } = useAuth();
@@ -10,7 +92,9 @@ const TeacherQuestionReview = () => {
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({
     courseId: '',
-    status: 'pending'
+    status: 'pending',
+    flagged: '',
+    limit: 10
   });
   const [pagination, setPagination] = useState({
     currentPage: 1,
@@ -22,8 +106,38 @@ const TeacherQuestionReview = () => {
     status: 'approved',
     feedback: '',
     points: 1,
-    difficulty: 'medium'
+    difficulty: 'medium',
+    optionComments: {}
+  });
+  const [historyQuestionId, setHistoryQuestionId] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [analyticsQuestion, setAnalyticsQuestion] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+  const [regrades, setRegrades] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [focusedIndex, setFocusedIndex] = useState(-1);
+  const [bulkData, setBulkData] = useState({
+    feedback: '',
+    difficulty: 'medium',
+    points: 1,
+    tags: '',
+    tagMode: 'add'
   });
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [bulkSubmitting, setBulkSubmitting] = useState(false);
+  const [goToNextPending, setGoToNextPending] = useState(true);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [correctingQuestion, setCorrectingQuestion] = useState(null);
+  const [correctionData, setCorrectionData] = useState({
+    question: '',
+    options: [],
+    acceptedAnswers: [''],
+    numericAnswer: EMPTY_NUMERIC_ANSWER,
+    explanation: '',
+    regrade: true
+  });
+  const cardRefs = useRef({});
 
   useEffect(() => {
     if (user && user.role === 'teacher') {
@@ -46,30 +160,38 @@ const TeacherQuestionReview = () => {
       setLoading(true);
       const params = new URLSearchParams({
         page: pagination.currentPage,
-        limit: 10,
         ...filter
       });
 
       const response = await axios.get(`/api/teacher/student-questions/questions?${params}`);
+      const loaded = response.data.questions;
       
-      setQuestions(response.data.questions);
+      setQuestions(loaded);
       setPagination(prev => ({
         ...prev,
         totalPages: response.data.totalPages,
         total: response.data.total
       }));
+      // Selection and focus only apply to questions still on the page
+      setSelectedIds(prev => prev.filter(id => loaded.some(q => q._id === id)));
+      setFocusedIndex(prev => Math.min(prev, loaded.length - 1));
+      return loaded;
     } catch (error) {
       console.error('Error fetching questions:', error);
       toast.error('Failed to load questions');
+      return [];
     } finally {
       setLoading(false);
     }
   };
 
   const handleFilterChange = (e) => {
-    const { name, value } = e.target;
+    const { name } = e.target;
+    const value = e.target.type === 'checkbox' ? (e.target.checked ? 'true' : '') : e.target.value;
     setFilter(prev => ({
       ...prev,
+      // Reported questions are almost always approved ones, so show every status
+      ...(name === 'flagged' && value ? { status: '' } : {}),
       [name]: value
     }));
     setPagination(prev => ({
@@ -78,41 +200,431 @@ const TeacherQuestionReview = () => {
     }));
   };
 
-  const handleReview = (question) => {
+  const handleReview = (question, status = 'approved') => {
     setReviewingQuestion(question);
+    setFocusedIndex(questions.findIndex(q => q._id === question._id));
     setReviewData({
-      status: 'approved',
+      status,
       feedback: '',
       points: question.points || 1,
-      difficulty: question.difficulty || 'medium'
+      difficulty: question.difficulty || 'medium',
+      optionComments: {}
     });
   };
 
+  const handleRejectDuplicate = () => {
+    const { question } = comparison;
+    setComparison(null);
+    setReviewingQuestion(question);
+    setReviewData({
+      status: 'rejected',
+      feedback: 'This question duplicates one that already exists in the course.',
+      points: question.points || 1,
+      difficulty: question.difficulty || 'medium',
+      optionComments: {}
+    });
+  };
+
+  const handleOptionCommentChange = (optionIndex, comment) => {
+    setReviewData(prev => ({
+      ...prev,
+      optionComments: { ...prev.optionComments, [optionIndex]: comment }
+    }));
+  };
+
   const handleReviewSubmit = async () => {
+    const optionComments = Object.entries(reviewData.optionComments)
+      .filter(([, comment]) => comment.trim())
+      .map(([optionIndex, comment]) => ({ optionIndex: parseInt(optionIndex), comment }));
+
+    if (reviewData.status === 'needs-revision' && !reviewData.feedback.trim() && !optionComments.length) {
+      toast.error('Explain what the student needs to change');
+      return;
+    }
+
     try {
       await axios.put(
         `/api/teacher/student-questions/questions/${reviewingQuestion._id}/review`,
-        reviewData
+        { ...reviewData, optionComments }
       );
 
       toast.success(`Question ${reviewData.status} successfully`);
+      const reviewedId = reviewingQuestion._id;
       setReviewingQuestion(null);
-      fetchQuestions();
+      const remaining = questions.map(q => (q._id === reviewedId ? { ...q, status: reviewData.status } : q));
+      setQuestions(remaining);
+      if (goToNextPending) openNextPending(remaining, reviewedId);
     } catch (error) {
       console.error('Error reviewing question:', error);
       toast.error(error.response?.data?.message || 'Failed to review question');
     }
   };
 
+  // Open the next pending question after the one just reviewed, loading more once the page is done
+  const openNextPending = async (list, afterId) => {
+    const start = list.findIndex(q => q._id === afterId) + 1;
+    const next = [...list.slice(start), ...list.slice(0, start)]
+      .find(q => q.status === 'pending' && q._id !== afterId);
+
+    if (next) {
+      handleReview(next);
+      return;
+    }
+
+    const loaded = await fetchQuestions();
+    const firstPending = loaded.find(q => q.status === 'pending');
+    if (firstPending) {
+      handleReview(firstPending);
+      setFocusedIndex(loaded.indexOf(firstPending));
+    } else {
+      toast.info('No pending questions left');
+    }
+  };
+
+  const toggleSelected = (questionId) => {
+    setSelectedIds(prev => (
+      prev.includes(questionId) ? prev.filter(id => id !== questionId) : [...prev, questionId]
+    ));
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === questions.length ? [] : questions.map(q => q._id));
+  };
+
+  const runBulkAction = async (action, questionIds = selectedIds) => {
+    if (questionIds.length === 0) {
+      toast.error('Select at least one question');
+      return;
+    }
+
+    if (action === 'reject' && questionIds.length > 1 &&
+      !window.confirm(`Reject ${questionIds.length} questions?`)) {
+      return;
+    }
+
+    const payload = { questionIds, action };
+    if (['approve', 'reject'].includes(action)) payload.feedback = bulkData.feedback;
+    if (action === 'set-difficulty') payload.difficulty = bulkData.difficulty;
+    if (action === 'set-points') payload.points = bulkData.points;
+    if (action === 'retag') {
+      payload.tags = bulkData.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      payload.tagMode = bulkData.tagMode;
+    }
+
+    try {
+      setBulkSubmitting(true);
+      const response = await axios.post('/api/teacher/student-questions/questions/bulk', payload);
+      const { results, failed, message } = response.data;
+
+      if (failed > 0) toast.warning(message);
+      else toast.success(message);
+
+      // Keep failed questions selected so they can be retried
+      setBulkFailures(results
+        .filter(result => !result.success)
+        .map(result => ({
+          ...result,
+          question: questions.find(q => q._id === result.questionId)?.question
+        })));
+      setSelectedIds(results.filter(result => !result.success).map(result => result.questionId));
+      fetchQuestions();
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      toast.error(error.response?.data?.message || 'Failed to update questions');
+    } finally {
+      setBulkSubmitting(false);
+    }
+  };
+
+  // Keep the focused question in view while moving through the queue
+  useEffect(() => {
+    const question = questions[focusedIndex];
+    const card = question && cardRefs.current[question._id];
+    if (card) card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [focusedIndex, questions]);
+
+  // Keyboard shortcuts for working through the queue
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setReviewingQuestion(null);
+        setComparison(null);
+        setAnalyticsQuestion(null);
+        setCorrectingQuestion(null);
+        setShowShortcuts(false);
+        return;
+      }
+
+      if (reviewingQuestion) {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          handleReviewSubmit();
+          return;
+        }
+        const statuses = { a: 'approved', n: 'needs-revision', r: 'rejected' };
+        if (!isTypingTarget(e.target) && statuses[e.key]) {
+          setReviewData(prev => ({ ...prev, status: statuses[e.key] }));
+        }
+        return;
+      }
+
+      if (comparison || analyticsQuestion || correctingQuestion || isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) {
+        return;
+      }
+
+      const focused = questions[focusedIndex];
+
+      switch (e.key) {
+        case 'j':
+        case 'ArrowDown':
+          e.preventDefault();
+          setFocusedIndex(prev => Math.min(prev + 1, questions.length - 1));
+          break;
+        case 'k':
+        case 'ArrowUp':
+          e.preventDefault();
+          setFocusedIndex(prev => Math.max(prev - 1, 0));
+          break;
+        case 'x':
+          if (focused) toggleSelected(focused._id);
+          break;
+        case 'Enter':
+        case 'e':
+          if (focused?.status === 'pending') {
+            e.preventDefault();
+            handleReview(focused);
+          }
+          break;
+        case 'a':
+          if (focused?.status === 'pending') runBulkAction('approve', [focused._id]);
+          break;
+        case 'r':
+          if (focused?.status === 'pending') handleReview(focused, 'rejected');
+          break;
+        case '?':
+          setShowShortcuts(prev => !prev);
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const handleOpenCorrection = (question) => {
+    setCorrectingQuestion(question);
+    setCorrectionData({
+      question: question.question,
+      options: question.options.map(option => ({ text: option.text, isCorrect: option.isCorrect })),
+      acceptedAnswers: question.acceptedAnswers?.length ? question.acceptedAnswers : [''],
+      numericAnswer: toNumericAnswerForm(question.numericAnswer),
+      explanation: question.explanation || '',
+      regrade: true
+    });
+  };
+
+  const handleCorrectionOptionChange = (index, changes) => {
+    setCorrectionData(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => {
+        if (i === index) return { ...option, ...changes };
+        // Single-answer questions keep exactly one correct option
+        if (changes.isCorrect && correctingQuestion.type !== 'multiple-select') return { ...option, isCorrect: false };
+        return option;
+      })
+    }));
+  };
+
+  const handleCorrectionSubmit = async () => {
+    const answerKeyError = getAnswerKeyError({ type: correctingQuestion.type, ...correctionData });
+    if (answerKeyError) {
+      toast.error(answerKeyError);
+      return;
+    }
+
+    try {
+      const { acceptedAnswers, numericAnswer, ...correction } = correctionData;
+      const response = await axios.put(
+        `/api/teacher/student-questions/questions/${correctingQuestion._id}/correct`,
+        { ...correction, ...toAnswerKeyPayload({ type: correctingQuestion.type, acceptedAnswers, numericAnswer }) }
+      );
+
+      toast.success(response.data.message);
+      setCorrectingQuestion(null);
+      fetchQuestions();
+    } catch (error) {
+      console.error('Error correcting question:', error);
+      toast.error(error.response?.data?.message || 'Failed to correct question');
+    }
+  };
+
+  const handleResolveFlags = async (resolution) => {
+    if (resolution === 'retired' && !window.confirm('Retire this question? It will no longer appear in practice quizzes.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.put(
+        `/api/teacher/student-questions/questions/${correctingQuestion._id}/flags/resolve`,
+        { resolution }
+      );
+
+      toast.success(response.data.message);
+      setCorrectingQuestion(null);
+      fetchQuestions();
+    } catch (error) {
+      console.error('Error resolving reports:', error);
+      toast.error(error.response?.data?.message || 'Failed to resolve reports');
+    }
+  };
+
+  const handleViewAnalytics = async (question) => {
+    try {
+      setAnalyticsQuestion(question);
+      setAnalytics(null);
+      setAnalyticsLoading(true);
+      const [response, regradeResponse] = await Promise.all([
+        axios.get(`/api/teacher/student-questions/questions/${question._id}/analytics`),
+        axios.get(`/api/teacher/student-questions/questions/${question._id}/regrades`)
+      ]);
+      setAnalytics(response.data);
+      setRegrades(regradeResponse.data.regrades);
+    } catch (error) {
+      console.error('Error fetching question analytics:', error);
+      toast.error(error.response?.data?.message || 'Failed to load question analytics');
+      setAnalyticsQuestion(null);
+    } finally {
+      setAnalyticsLoading(false);
+    }
+  };
+
+  const updateReviewedQuestion = async (question, changes, successMessage) => {
+    try {
+      await axios.put(`/api/teacher/student-questions/questions/${question._id}/review`, {
+        status: question.status,
+        feedback: question.teacherFeedback,
+        points: question.points,
+        difficulty: question.difficulty,
+        ...changes
+      });
+
+      toast.success(successMessage);
+      setAnalyticsQuestion(null);
+      fetchQuestions();
+    } catch (error) {
+      console.error('Error updating question:', error);
+      toast.error(error.response?.data?.message || 'Failed to update question');
+    }
+  };
+
+  const handleRegrade = async () => {
+    if (!window.confirm('Re-score every past attempt at this question against its current answer key?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/teacher/student-questions/questions/${analyticsQuestion._id}/regrade`);
+      toast.success(response.data.message);
+      handleViewAnalytics(analyticsQuestion);
+    } catch (error) {
+      console.error('Error regrading question:', error);
+      toast.error(error.response?.data?.message || 'Failed to regrade question');
+    }
+  };
+
+  const handleApplyDifficulty = (difficulty) => {
+    updateReviewedQuestion(analyticsQuestion, { difficulty }, `Difficulty changed to ${difficulty}`);
+  };
+
+  const handleRetire = () => {
+    if (window.confirm('Retire this question? It will no longer appear in practice quizzes.')) {
+      updateReviewedQuestion(analyticsQuestion, { status: 'retired' }, 'Question retired successfully');
+    }
+  };
+
+  const formatStat = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'approved': return 'bg-green-100 text-green-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'retired': return 'bg-gray-200 text-gray-700';
+      case 'needs-revision': return 'bg-orange-100 text-orange-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
 
+  // Each archived version is compared with the one that replaced it
+  const renderRevisionHistory = (question) => {
+    const versions = [...question.revisions, question];
+
+    return (
+      <div className="mt-3 space-y-4">
+        {question.revisions.map((revision, index) => {
+          const next = versions[index + 1];
+          const optionCount = Math.max(revision.options.length, next.options.length);
+
+          return (
+            <div key={revision.version} className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+              <div className="flex justify-between text-gray-600 mb-2">
+                <span className="font-medium text-gray-900">
+                  Version {revision.version} → {next.version}
+                </span>
+                {revision.reviewedAt && (
+                  <span>Reviewed {new Date(revision.reviewedAt).toLocaleDateString()}</span>
+                )}
+              </div>
+
+              {(revision.teacherFeedback || revision.optionComments.length > 0) && (
+                <div className="mb-3 text-orange-800">
+                  {revision.teacherFeedback && <p>Feedback: {revision.teacherFeedback}</p>}
+                  {revision.optionComments.map((c, i) => (
+                    <p key={i}>Option {String.fromCharCode(65 + c.optionIndex)}: {c.comment}</p>
+                  ))}
+                </div>
+              )}
+
+              <p className="mb-2">
+                <span className="font-medium text-gray-900">Question: </span>
+                <DiffText before={revision.question} after={next.question} />
+              </p>
+
+              <div className="mb-2 space-y-1">
+                {Array.from({ length: optionCount }, (_, i) => {
+                  const before = revision.options[i];
+                  const after = next.options[i];
+                  const keyChanged = before && after && before.isCorrect !== after.isCorrect;
+
+                  return (
+                    <div key={i}>
+                      <span className="font-medium text-gray-900">{String.fromCharCode(65 + i)}. </span>
+                      <DiffText before={before ? before.text : ''} after={after ? after.text : ''} />
+                      {keyChanged && (
+                        <span className="ml-2 text-indigo-700">
+                          ({after.isCorrect ? 'now marked correct' : 'no longer correct'})
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {(revision.explanation || next.explanation) && (
+                <p>
+                  <span className="font-medium text-gray-900">Explanation: </span>
+                  <DiffText before={revision.explanation} after={next.explanation} />
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
   const getDifficultyColor = (difficulty) => {
     switch (difficulty) {
       case 'easy': return 'bg-green-100 text-green-800';
@@ -133,7 +645,7 @@ const TeacherQuestionReview = () => {
     );
   }
 
-  if (loading) {
+  if (loading && questions.length === 0) {
     return (
       <div className="min-h-screen gradient-bg flex items-center justify-center">
         <div className="text-center">
@@ -148,13 +660,21 @@ const TeacherQuestionReview = () => {
     <div className="min-h-screen gradient-bg py-8 px-4 sm:px-6 lg:px-8">
       <div className="max-w-7xl mx-auto">
         <div className="card">
-          <div className="mb-8">
-            <h1 className="text-3xl font-bold text-gray-900 mb-2">Student Question Review</h1>
-            <p className="text-gray-600">Review and approve student-created questions</p>
+          <div className="mb-8 flex justify-between items-start">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">Student Question Review</h1>
+              <p className="text-gray-600">Review and approve student-created questions</p>
+            </div>
+            <button
+              onClick={() => setShowShortcuts(true)}
+              className="text-sm text-primary-600 hover:text-primary-800"
+            >
+              Keyboard shortcuts (?)
+            </button>
           </div>
 
           {/* Filters */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Course
@@ -188,6 +708,24 @@ const TeacherQuestionReview = () => {
                 <option value="pending">Pending</option>
                 <option value="approved">Approved</option>
                 <option value="rejected">Rejected</option>
+                <option value="retired">Retired</option>
+                <option value="needs-revision">Needs Revision</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Per page
+              </label>
+              <select
+                name="limit"
+                value={filter.limit}
+                onChange={handleFilterChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
               </select>
             </div>
 
@@ -201,6 +739,161 @@ const TeacherQuestionReview = () => {
             </div>
           </div>
 
+          {/* Queue flow */}
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="flagged"
+                checked={filter.flagged === 'true'}
+                onChange={handleFilterChange}
+                className="mr-2"
+              />
+              Reported by students only
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={goToNextPending}
+                onChange={(e) => setGoToNextPending(e.target.checked)}
+                className="mr-2"
+              />
+              Open the next pending question after each review
+            </label>
+            {questions.some(q => q.status === 'pending') && (
+              <button
+                onClick={() => handleReview(questions.find(q => q.status === 'pending'))}
+                className="btn btn-primary"
+              >
+                Start Reviewing ({pagination.total} {filter.status || 'total'})
+              </button>
+            )}
+          </div>
+
+          {/* Bulk actions */}
+          {questions.length > 0 && (
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <div className="flex flex-wrap items-center gap-3 mb-3">
+                <label className="flex items-center text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.length > 0 && selectedIds.length === questions.length}
+                    onChange={toggleSelectAll}
+                    className="mr-2"
+                  />
+                  Select all on page
+                </label>
+                <span className="text-sm text-gray-600">{selectedIds.length} selected</span>
+                <input
+                  type="text"
+                  value={bulkData.feedback}
+                  onChange={(e) => setBulkData(prev => ({ ...prev, feedback: e.target.value }))}
+                  className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  placeholder="Feedback for approved or rejected questions (optional)"
+                />
+                <button
+                  onClick={() => runBulkAction('approve')}
+                  disabled={bulkSubmitting || selectedIds.length === 0}
+                  className="btn btn-primary disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => runBulkAction('reject')}
+                  disabled={bulkSubmitting || selectedIds.length === 0}
+                  className="btn btn-danger disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div className="flex gap-2">
+                  <select
+                    value={bulkData.difficulty}
+                    onChange={(e) => setBulkData(prev => ({ ...prev, difficulty: e.target.value }))}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="easy">Easy</option>
+                    <option value="medium">Medium</option>
+                    <option value="hard">Hard</option>
+                  </select>
+                  <button
+                    onClick={() => runBulkAction('set-difficulty')}
+                    disabled={bulkSubmitting || selectedIds.length === 0}
+                    className="btn btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Set Difficulty
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    value={bulkData.points}
+                    onChange={(e) => setBulkData(prev => ({ ...prev, points: parseInt(e.target.value) }))}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <button
+                    onClick={() => runBulkAction('set-points')}
+                    disabled={bulkSubmitting || selectedIds.length === 0}
+                    className="btn btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Set Points
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={bulkData.tags}
+                    onChange={(e) => setBulkData(prev => ({ ...prev, tags: e.target.value }))}
+                    className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    placeholder="tag1, tag2"
+                  />
+                  <select
+                    value={bulkData.tagMode}
+                    onChange={(e) => setBulkData(prev => ({ ...prev, tagMode: e.target.value }))}
+                    className="px-2 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  >
+                    <option value="add">Add</option>
+                    <option value="remove">Remove</option>
+                    <option value="replace">Replace</option>
+                  </select>
+                  <button
+                    onClick={() => runBulkAction('retag')}
+                    disabled={bulkSubmitting || selectedIds.length === 0}
+                    className="btn btn-secondary text-sm disabled:opacity-50"
+                  >
+                    Retag
+                  </button>
+                </div>
+              </div>
+
+              {bulkFailures.length > 0 && (
+                <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm">
+                  <div className="flex justify-between mb-1">
+                    <span className="font-medium text-red-900">
+                      {bulkFailures.length} question{bulkFailures.length === 1 ? '' : 's'} could not be updated
+                    </span>
+                    <button
+                      onClick={() => setBulkFailures([])}
+                      className="text-red-700 hover:text-red-900"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                  <ul className="space-y-1 text-red-800">
+                    {bulkFailures.map(failure => (
+                      <li key={failure.questionId}>
+                        {failure.question || failure.questionId}: {failure.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Questions List */}
           {questions.length === 0 ? (
             <div className="text-center py-12">
@@ -214,13 +907,30 @@ const TeacherQuestionReview = () => {
             </div>
           ) : (
             <div className="space-y-4">
-              {questions.map((question) => (
-                <div key={question._id} className="border border-gray-200 rounded-lg p-6 hover:shadow-md transition-shadow">
+              {questions.map((question, questionIndex) => (
+                <div
+                  key={question._id}
+                  ref={(element) => { cardRefs.current[question._id] = element; }}
+                  onClick={() => setFocusedIndex(questionIndex)}
+                  className={`border rounded-lg p-6 hover:shadow-md transition-shadow ${
+                    questionIndex === focusedIndex ? 'border-primary-500 ring-2 ring-primary-200' : 'border-gray-200'
+                  }`}
+                >
                   <div className="flex justify-between items-start mb-4">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(question._id)}
+                      onChange={() => toggleSelected(question._id)}
+                      className="mt-2 mr-4"
+                      aria-label="Select question"
+                    />
                     <div className="flex-1">
                       <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                        {question.question}
+                        <MathText text={question.question} />
                       </h3>
+                      {question.image && (
+                        <img src={question.image} alt="Question diagram" className="mb-2 max-h-64 w-auto rounded border border-gray-200" />
+                      )}
                       <div className="flex items-center space-x-4 text-sm text-gray-600 mb-2">
                         <span>Course: {question.course.title}</span>
                         <span>Student: {question.isAnonymous ? 'Anonymous' : question.student.name}</span>
@@ -234,29 +944,47 @@ const TeacherQuestionReview = () => {
                       <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(question.difficulty)}`}>
                         {question.difficulty}
                       </span>
+                      {question.type === 'multiple-select' && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                          multiple answers • {question.scoringMethod}
+                        </span>
+                      )}
                     </div>
                   </div>
 
-                  <div className="mb-4">
-                    <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
-                    <div className="space-y-2">
-                      {question.options.map((option, index) => (
-                        <div key={index} className="flex items-center">
-                          <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
-                            option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
-                          }`}>
-                            {String.fromCharCode(65 + index)}
-                          </span>
-                          <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
-                            {option.text}
-                          </span>
-                          {option.isCorrect && (
-                            <span className="ml-2 text-green-600 text-sm">✓ Correct</span>
-                          )}
-                        </div>
-                      ))}
+                  {isTypedQuestion(question) ? (
+                    <div className="mb-4">
+                      <h4 className="font-medium text-gray-900 mb-2">Accepted answer:</h4>
+                      <p className="text-green-800 font-medium">{describeAnswerKey(question)}</p>
                     </div>
-                  </div>
+                  ) : (
+                    <div className="mb-4">
+                      <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
+                      <div className="space-y-2">
+                        {question.options.map((option, index) => (
+                          <div key={index} className="flex items-center">
+                            <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
+                              option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
+                            }`}>
+                              {String.fromCharCode(65 + index)}
+                            </span>
+                            <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
+                              <MathText text={option.text} />
+                            </span>
+                            {option.image && (
+                              <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="ml-3 max-h-24 w-auto rounded" />
+                            )}
+                            {option.isCorrect && (
+                              <span className="ml-2 text-green-600 text-sm">✓ Correct</span>
+                            )}
+                            {question.optionComments?.filter(c => c.optionIndex === index).map((c, i) => (
+                              <span key={i} className="ml-3 text-orange-700 text-sm italic">{c.comment}</span>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
 
                   {question.explanation && (
                     <div className="mb-4">
@@ -278,6 +1006,66 @@ const TeacherQuestionReview = () => {
                     </div>
                   )}
 
+                  {question.possibleDuplicates?.some(d => d.question) && (
+                    <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg">
+                      <h4 className="font-medium text-orange-900 mb-1">Possible duplicates:</h4>
+                      <ul className="space-y-1 text-sm">
+                        {question.possibleDuplicates.filter(d => d.question).map(duplicate => (
+                          <li key={duplicate.question._id}>
+                            <button
+                              onClick={() => setComparison({ question, duplicate })}
+                              className="text-left text-orange-800 hover:text-orange-900 underline"
+                            >
+                              {Math.round(duplicate.similarity * 100)}% similar: {duplicate.question.question}
+                            </button>
+                            <span className="ml-2 text-orange-700">({duplicate.question.status})</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {question.openFlagCount > 0 && (
+                    <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <h4 className="font-medium text-red-900 mb-1">
+                            Reported by {question.openFlagCount} student{question.openFlagCount === 1 ? '' : 's'}:
+                          </h4>
+                          <ul className="space-y-1 text-sm text-red-800">
+                            {question.flags.filter(flag => !flag.resolved).map(flag => (
+                              <li key={flag._id}>
+                                <span className="font-medium">{FLAG_REASON_LABELS[flag.reason]}</span>
+                                {flag.comment && `: ${flag.comment}`}
+                                {flag.student && (
+                                  <span className="text-red-600"> ({flag.student.firstName} {flag.student.lastName})</span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                        <button
+                          onClick={() => handleOpenCorrection(question)}
+                          className="btn btn-danger text-sm"
+                        >
+                          Resolve Reports
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {question.revisions?.length > 0 && (
+                    <div className="mb-4">
+                      <button
+                        onClick={() => setHistoryQuestionId(historyQuestionId === question._id ? null : question._id)}
+                        className="text-sm text-primary-600 hover:text-primary-800"
+                      >
+                        {historyQuestionId === question._id ? 'Hide' : 'Show'} revision history (version {question.version})
+                      </button>
+                      {historyQuestionId === question._id && renderRevisionHistory(question)}
+                    </div>
+                  )}
+
                   {question.status === 'pending' && (
                     <div className="flex justify-end">
                       <button
@@ -289,6 +1077,23 @@ const TeacherQuestionReview = () => {
                     </div>
                   )}
 
+                  {['approved', 'retired'].includes(question.status) && (
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        onClick={() => handleOpenCorrection(question)}
+                        className="btn btn-secondary"
+                      >
+                        Correct Question
+                      </button>
+                      <button
+                        onClick={() => handleViewAnalytics(question)}
+                        className="btn btn-secondary"
+                      >
+                        View Analytics
+                      </button>
+                    </div>
+                  )}
+
                   {question.teacherFeedback && (
                     <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                       <h4 className="font-medium text-yellow-900 mb-1">Teacher Feedback:</h4>
@@ -338,26 +1143,48 @@ const TeacherQuestionReview = () => {
               
               <div className="mb-4">
                 <h4 className="font-medium text-gray-900 mb-2">Question:</h4>
-                <p className="text-gray-700">{reviewingQuestion.question}</p>
+                <MathText text={reviewingQuestion.question} as="p" className="text-gray-700" />
+                {reviewingQuestion.image && (
+                  <img src={reviewingQuestion.image} alt="Question diagram" className="mt-2 max-h-64 w-auto rounded border border-gray-200" />
+                )}
               </div>
 
-              <div className="mb-4">
-                <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
-                <div className="space-y-2">
-                  {reviewingQuestion.options.map((option, index) => (
-                    <div key={index} className="flex items-center">
-                      <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
-                        option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
-                      }`}>
-                        {String.fromCharCode(65 + index)}
-                      </span>
-                      <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
-                        {option.text}
-                      </span>
-                    </div>
-                  ))}
+              {isTypedQuestion(reviewingQuestion) ? (
+                <div className="mb-4">
+                  <h4 className="font-medium text-gray-900 mb-2">Accepted answer:</h4>
+                  <p className="text-green-800 font-medium">{describeAnswerKey(reviewingQuestion)}</p>
                 </div>
-              </div>
+              ) : (
+                <div className="mb-4">
+                  <h4 className="font-medium text-gray-900 mb-2">Options:</h4>
+                  <div className="space-y-2">
+                    {reviewingQuestion.options.map((option, index) => (
+                      <div key={index} className="flex items-center">
+                        <span className={`w-6 h-6 rounded-full flex items-center justify-center text-sm font-medium mr-3 ${
+                          option.isCorrect ? 'bg-green-500 text-white' : 'bg-gray-300 text-gray-700'
+                        }`}>
+                          {String.fromCharCode(65 + index)}
+                        </span>
+                        <span className={`${option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}`}>
+                          <MathText text={option.text} />
+                        </span>
+                        {option.image && (
+                          <img src={option.image} alt={`Option ${String.fromCharCode(65 + index)}`} className="ml-3 max-h-24 w-auto rounded" />
+                        )}
+                        {reviewData.status === 'needs-revision' && (
+                          <input
+                            type="text"
+                            value={reviewData.optionComments[index] || ''}
+                            onChange={(e) => handleOptionCommentChange(index, e.target.value)}
+                            className="ml-3 flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                            placeholder="Comment on this option..."
+                          />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
                 <div>
@@ -370,6 +1197,7 @@ const TeacherQuestionReview = () => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
                   >
                     <option value="approved">Approve</option>
+                    <option value="needs-revision">Request Revision</option>
                     <option value="rejected">Reject</option>
                   </select>
                 </div>
@@ -401,18 +1229,366 @@ const TeacherQuestionReview = () => {
                 />
               </div>
 
+              <div className="flex justify-between items-center">
+                <span className="text-xs text-gray-500">
+                  a / n / r set the status • Ctrl + Enter submits • Esc cancels
+                </span>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => setReviewingQuestion(null)}
+                    className="btn btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleReviewSubmit}
+                    className="btn btn-primary"
+                  >
+                    Submit Review
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Correction Modal */}
+      {correctingQuestion && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Correct Question</h3>
+
+              {correctingQuestion.openFlagCount > 0 && (
+                <ul className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg space-y-1 text-sm text-red-800">
+                  {correctingQuestion.flags.filter(flag => !flag.resolved).map(flag => (
+                    <li key={flag._id}>
+                      <span className="font-medium">{FLAG_REASON_LABELS[flag.reason]}</span>
+                      {flag.comment && `: ${flag.comment}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Question
+                </label>
+                <textarea
+                  value={correctionData.question}
+                  onChange={(e) => setCorrectionData(prev => ({ ...prev, question: e.target.value }))}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+
+              {isTypedQuestion(correctingQuestion) ? (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {correctingQuestion.type === 'numeric' ? 'Correct answer' : 'Accepted answers'}
+                  </label>
+                  <AnswerKeyEditor
+                    type={correctingQuestion.type}
+                    acceptedAnswers={correctionData.acceptedAnswers}
+                    numericAnswer={correctionData.numericAnswer}
+                    onChange={(field, value) => setCorrectionData(prev => ({ ...prev, [field]: value }))}
+                  />
+                </div>
+              ) : (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Options (tick the correct {correctingQuestion.type === 'multiple-select' ? 'answers' : 'answer'})
+                  </label>
+                  <div className="space-y-2">
+                    {correctionData.options.map((option, index) => (
+                      <div key={index} className="flex items-center">
+                        <input
+                          type={correctingQuestion.type === 'multiple-select' ? 'checkbox' : 'radio'}
+                          name="correct-option"
+                          checked={option.isCorrect}
+                          onChange={(e) => handleCorrectionOptionChange(index, { isCorrect: e.target.checked })}
+                          className="mr-3"
+                        />
+                        <span className="w-6 text-sm font-medium text-gray-700">{String.fromCharCode(65 + index)}.</span>
+                        <input
+                          type="text"
+                          value={option.text}
+                          onChange={(e) => handleCorrectionOptionChange(index, { text: e.target.value })}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Explanation
+                </label>
+                <textarea
+                  value={correctionData.explanation}
+                  onChange={(e) => setCorrectionData(prev => ({ ...prev, explanation: e.target.value }))}
+                  rows={2}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+
+              <label className="flex items-center text-sm text-gray-700 mb-6">
+                <input
+                  type="checkbox"
+                  checked={correctionData.regrade}
+                  onChange={(e) => setCorrectionData(prev => ({ ...prev, regrade: e.target.checked }))}
+                  className="mr-2"
+                />
+                Re-score past quiz attempts if the answer key changes
+              </label>
+
+              <div className="flex justify-between">
+                <div className="flex space-x-3">
+                  {correctingQuestion.openFlagCount > 0 && (
+                    <button
+                      onClick={() => handleResolveFlags('dismissed')}
+                      className="btn btn-secondary"
+                    >
+                      Dismiss Reports
+                    </button>
+                  )}
+                  {correctingQuestion.status === 'approved' && (
+                    <button
+                      onClick={() => handleResolveFlags('retired')}
+                      className="btn btn-danger"
+                    >
+                      Retire
+                    </button>
+                  )}
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => setCorrectingQuestion(null)}
+                    className="btn btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleCorrectionSubmit}
+                    className="btn btn-primary"
+                  >
+                    Save Correction
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Keyboard Shortcuts Modal */}
+      {showShortcuts && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-md w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Keyboard Shortcuts</h3>
+              <dl className="space-y-2 text-sm mb-6">
+                {SHORTCUTS.map(([keys, description]) => (
+                  <div key={keys} className="flex justify-between">
+                    <dt className="font-mono text-gray-900">{keys}</dt>
+                    <dd className="text-gray-600 text-right ml-4">{description}</dd>
+                  </div>
+                ))}
+              </dl>
+              <div className="flex justify-end">
+                <button
+                  onClick={() => setShowShortcuts(false)}
+                  className="btn btn-secondary"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Duplicate Comparison Modal */}
+      {comparison && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-1">Compare Questions</h3>
+              <p className="text-gray-600 mb-4">
+                {Math.round(comparison.duplicate.similarity * 100)}% similar
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                {[
+                  { label: 'This question', item: comparison.question },
+                  { label: `Existing question (${comparison.duplicate.question.status})`, item: comparison.duplicate.question }
+                ].map(({ label, item }) => (
+                  <div key={label} className="border border-gray-200 rounded-lg p-4">
+                    <p className="text-sm text-gray-500 mb-1">
+                      {label} • {new Date(item.createdAt).toLocaleDateString()}
+                    </p>
+                    <p className="font-medium text-gray-900 mb-3">{item.question}</p>
+                    <ul className="space-y-1 text-sm">
+                      {item.options.map((option, index) => (
+                        <li key={index} className={option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}>
+                          {String.fromCharCode(65 + index)}. {option.text}
+                          {option.isCorrect && ' ✓'}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+
               <div className="flex justify-end space-x-3">
                 <button
-                  onClick={() => setReviewingQuestion(null)}
+                  onClick={() => setComparison(null)}
                   className="btn btn-secondary"
                 >
-                  Cancel
+                  Close
                 </button>
+                {comparison.question.status === 'pending' && (
+                  <button
+                    onClick={handleRejectDuplicate}
+                    className="btn btn-danger"
+                  >
+                    Reject as Duplicate
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Analytics Modal */}
+      {analyticsQuestion && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">Question Analytics</h3>
+              <p className="text-gray-700 mb-4">{analyticsQuestion.question}</p>
+
+              {analyticsLoading || !analytics ? (
+                <div className="text-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+                </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                    <div className="text-center p-3 bg-gray-50 rounded-lg">
+                      <div className="text-2xl font-bold text-gray-900">{analytics.attemptCount}</div>
+                      <div className="text-xs text-gray-600">Attempts</div>
+                    </div>
+                    <div className="text-center p-3 bg-gray-50 rounded-lg">
+                      <div className="text-2xl font-bold text-gray-900">{analytics.omittedCount}</div>
+                      <div className="text-xs text-gray-600">Left blank</div>
+                    </div>
+                    <div className="text-center p-3 bg-gray-50 rounded-lg">
+                      <div className="text-2xl font-bold text-gray-900">{formatStat(analytics.pValue)}</div>
+                      <div className="text-xs text-gray-600">Difficulty index (p)</div>
+                    </div>
+                    <div className="text-center p-3 bg-gray-50 rounded-lg">
+                      <div className="text-2xl font-bold text-gray-900">{formatStat(analytics.pointBiserial)}</div>
+                      <div className="text-xs text-gray-600">Discrimination (r<sub>pb</sub>)</div>
+                    </div>
+                  </div>
+
+                  <div className="mb-6">
+                    <h4 className="font-medium text-gray-900 mb-2">Option selection</h4>
+                    <div className="space-y-2">
+                      {analytics.options.map((option, index) => (
+                        <div key={index}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className={option.isCorrect ? 'text-green-800 font-medium' : 'text-gray-700'}>
+                              {String.fromCharCode(65 + index)}. {option.text}{option.isCorrect && ' ✓'}
+                            </span>
+                            <span className="text-gray-600">
+                              {option.count} ({Math.round(option.frequency * 100)}%)
+                            </span>
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className={`h-2 rounded-full ${option.isCorrect ? 'bg-green-500' : 'bg-gray-500'}`}
+                              style={{ width: `${option.frequency * 100}%` }}
+                            ></div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {analytics.attemptCount < analytics.minAttemptsForSuggestions && (
+                    <p className="mb-4 text-sm text-gray-600">
+                      Suggestions appear once the question has at least {analytics.minAttemptsForSuggestions} attempts.
+                    </p>
+                  )}
+
+                  {analytics.warnings.length > 0 && (
+                    <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                      <ul className="list-disc list-inside text-yellow-800 text-sm space-y-1">
+                        {analytics.warnings.map((warning, index) => (
+                          <li key={index}>{warning}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {regrades.length > 0 && (
+                    <div className="mb-4">
+                      <h4 className="font-medium text-gray-900 mb-2">Regrade history</h4>
+                      <ul className="space-y-1 text-sm text-gray-700 max-h-40 overflow-y-auto">
+                        {regrades.map(regrade => (
+                          <li key={regrade._id}>
+                            {new Date(regrade.createdAt).toLocaleDateString()} •{' '}
+                            {regrade.student ? `${regrade.student.firstName} ${regrade.student.lastName}` : 'Former student'}:{' '}
+                            {regrade.previousScore} → {regrade.newScore} ({regrade.previousPercentage}% → {regrade.newPercentage}%)
+                            <span className="text-gray-500"> — {regrade.reason}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {analytics.suggestedDifficulty && analyticsQuestion.status === 'approved' && (
+                    <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between">
+                      <span className="text-blue-800 text-sm">
+                        Declared as <strong>{analyticsQuestion.difficulty}</strong>, but students find it <strong>{analytics.suggestedDifficulty}</strong>.
+                      </span>
+                      <button
+                        onClick={() => handleApplyDifficulty(analytics.suggestedDifficulty)}
+                        className="btn btn-primary text-sm"
+                      >
+                        Set to {analytics.suggestedDifficulty}
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <div className="flex justify-end space-x-3">
                 <button
-                  onClick={handleReviewSubmit}
-                  className="btn btn-primary"
+                  onClick={handleRegrade}
+                  className="btn btn-secondary"
+                >
+                  Re-score Attempts
+                </button>
+                {analyticsQuestion.status === 'approved' && (
+                  <button
+                    onClick={handleRetire}
+                    className="btn btn-danger"
+                  >
+                    Retire Question
+                  </button>
+                )}
+                <button
+                  onClick={() => setAnalyticsQuestion(null)}
+                  className="btn btn-secondary"
                 >
-                  Submit Review
+                  Close
                 </button>
               </div>
             </div>
@@ -2,6 +2,25 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import MathText from './MathText';
+import { describeAnswerKey, isTypedQuestion } from './AnswerKeyEditor';
+
+const SUSPICION_STYLES = {
+  none: 'bg-gray-100 text-gray-700',
+  low: 'bg-yellow-100 text-yellow-800',
+  medium: 'bg-orange-100 text-orange-800',
+  high: 'bg-red-100 text-red-800'
+};
+
+const INTEGRITY_EVENT_LABELS = {
+  'tab-hidden': 'Switched to another tab',
+  'tab-visible': 'Came back to the quiz tab',
+  'window-blur': 'Quiz window lost focus',
+  'window-focus': 'Quiz window regained focus',
+  copy: 'Copied text',
+  paste: 'Pasted text',
+  'fullscreen-exit': 'Left fullscreen'
+};
 
 const TeacherQuizGrading = () => {
   const { user } = useAuth();
@@ -9,7 +28,8 @@ const TeacherQuizGrading = () => {
   const [courses, setCourses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({
-    courseId: ''
+    courseId: '',
+    needsReview: ''
   });
   const [pagination, setPagination] = useState({
     currentPage: 1,
@@ -21,6 +41,11 @@ const TeacherQuizGrading = () => {
     teacherGrade: '',
     teacherFeedback: ''
   });
+  const [integrityAttempt, setIntegrityAttempt] = useState(null);
+  const [detailsAttempt, setDetailsAttempt] = useState(null);
+  const [detailsData, setDetailsData] = useState(null);
+  const [integrityData, setIntegrityData] = useState(null);
+  const [markingAnswer, setMarkingAnswer] = useState(null);
 
   useEffect(() => {
     if (user && user.role === 'teacher') {
@@ -75,6 +100,76 @@ const TeacherQuizGrading = () => {
     }));
   };
 
+  const handleReleaseResults = async (payload) => {
+    try {
+      const response = await axios.put('/api/teacher/student-questions/quiz-attempts/release-feedback', payload);
+      toast.success(response.data.message);
+      fetchQuizAttempts();
+    } catch (error) {
+      console.error('Error releasing exam results:', error);
+      toast.error(error.response?.data?.message || 'Failed to release results');
+    }
+  };
+
+  const handleViewDetails = async (attempt) => {
+    setDetailsAttempt(attempt);
+    setDetailsData(null);
+    try {
+      const response = await axios.get(`/api/student-questions/quiz/${attempt._id}`);
+      setDetailsData(response.data);
+    } catch (error) {
+      console.error('Error fetching quiz attempt:', error);
+      toast.error(error.response?.data?.message || 'Failed to load quiz attempt');
+      setDetailsAttempt(null);
+    }
+  };
+
+  const handleViewIntegrity = async (attempt) => {
+    setIntegrityAttempt(attempt);
+    setIntegrityData(null);
+    try {
+      const response = await axios.get(`/api/teacher/student-questions/quiz-attempts/${attempt._id}/integrity`);
+      setIntegrityData(response.data);
+    } catch (error) {
+      console.error('Error fetching quiz activity:', error);
+      toast.error(error.response?.data?.message || 'Failed to load quiz activity');
+      setIntegrityAttempt(null);
+    }
+  };
+
+  const formatOffset = (from, to) => {
+    const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+    return `+${formatTime(seconds)}`;
+  };
+
+  // Mark one typed answer right or wrong, overriding the auto-grader
+  const handleMarkAnswer = async (question, isCorrect) => {
+    const attemptId = detailsAttempt._id;
+    setMarkingAnswer(question._id);
+    try {
+      const response = await axios.put(
+        `/api/teacher/student-questions/quiz-attempts/${attemptId}/answers/${question._id}`,
+        { isCorrect }
+      );
+      const { answer, score, percentage } = response.data;
+      const replaceAnswer = answers => answers.map(a => (a.questionId === question._id ? answer : a));
+
+      setDetailsData(prev => ({
+        ...prev,
+        quizAttempt: { ...prev.quizAttempt, score, percentage, answers: replaceAnswer(prev.quizAttempt.answers) }
+      }));
+      setQuizAttempts(prev => prev.map(attempt => (attempt._id === attemptId
+        ? { ...attempt, score, percentage, answers: replaceAnswer(attempt.answers) }
+        : attempt)));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error marking answer:', error);
+      toast.error(error.response?.data?.message || 'Failed to mark answer');
+    } finally {
+      setMarkingAnswer(null);
+    }
+  };
+
   const handleGrade = (attempt) => {
     setGradingAttempt(attempt);
     setGradeData({
@@ -143,7 +238,7 @@ const TeacherQuizGrading = () => {
           </div>
 
           {/* Filters */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Course
@@ -163,13 +258,36 @@ const TeacherQuizGrading = () => {
               </select>
             </div>
 
-            <div className="flex items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Show
+              </label>
+              <select
+                name="needsReview"
+                value={filter.needsReview}
+                onChange={handleFilterChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">All attempts</option>
+                <option value="true">Answers needing review</option>
+              </select>
+            </div>
+
+            <div className="flex items-end space-x-2">
               <button
                 onClick={fetchQuizAttempts}
                 className="btn btn-primary w-full"
               >
                 Refresh
               </button>
+              {filter.courseId && (
+                <button
+                  onClick={() => handleReleaseResults({ courseId: filter.courseId })}
+                  className="btn btn-secondary w-full"
+                >
+                  Release Exam Results
+                </button>
+              )}
             </div>
           </div>
 
@@ -192,6 +310,23 @@ const TeacherQuizGrading = () => {
                     <div className="flex-1">
                       <h3 className="text-lg font-semibold text-gray-900 mb-2">
                         {attempt.student.name}
+                        {attempt.mode === 'exam' && (
+                          <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${
+                            attempt.feedbackReleasedAt ? 'bg-green-100 text-green-800' : 'bg-orange-100 text-orange-800'
+                          }`}>
+                            {attempt.feedbackReleasedAt ? 'Exam • results released' : 'Exam • results withheld'}
+                          </span>
+                        )}
+                        {attempt.mode === 'practice' && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            Practice
+                          </span>
+                        )}
+                        {attempt.answers.some(answer => answer.needsReview) && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            {attempt.answers.filter(answer => answer.needsReview).length} to review
+                          </span>
+                        )}
                       </h3>
                       <div className="flex items-center space-x-4 text-sm text-gray-600 mb-2">
                         <span>Course: {attempt.course.title}</span>
@@ -199,6 +334,12 @@ const TeacherQuizGrading = () => {
                         <span>Submitted: {new Date(attempt.submittedAt).toLocaleDateString()}</span>
                         <span>Time: {formatTime(attempt.timeSpent)}</span>
                       </div>
+                      {attempt.integritySummary && attempt.integritySummary.suspicionLevel !== 'none' && (
+                        <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${SUSPICION_STYLES[attempt.integritySummary.suspicionLevel]}`}>
+                          {attempt.integritySummary.suspicionLevel} suspicion • left {attempt.integritySummary.timesLeft}×
+                          {attempt.integritySummary.copyPasteCount > 0 && ` • ${attempt.integritySummary.copyPasteCount} copy/paste`}
+                        </span>
+                      )}
                     </div>
                     <div className="flex items-center space-x-2">
                       <span className={`text-lg font-bold ${getScoreColor(attempt.percentage)}`}>
@@ -235,8 +376,22 @@ const TeacherQuizGrading = () => {
                   )}
 
                   <div className="flex justify-end space-x-2">
+                    {attempt.mode === 'exam' && attempt.isCompleted && !attempt.feedbackReleasedAt && (
+                      <button
+                        onClick={() => handleReleaseResults({ attemptId: attempt._id })}
+                        className="btn btn-secondary"
+                      >
+                        Release Results
+                      </button>
+                    )}
                     <button
-                      onClick={() => window.open(`/teacher/quiz-attempt/${attempt._id}`, '_blank')}
+                      onClick={() => handleViewIntegrity(attempt)}
+                      className="btn btn-secondary"
+                    >
+                      Integrity
+                    </button>
+                    <button
+                      onClick={() => handleViewDetails(attempt)}
                       className="btn btn-secondary"
                     >
                       View Details
@@ -282,6 +437,181 @@ const TeacherQuizGrading = () => {
         </div>
       </div>
 
+      {/* Attempt Details Modal */}
+      {detailsAttempt && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-1">Quiz Attempt</h3>
+              <p className="text-gray-600 mb-4">
+                {detailsAttempt.student.name} • {detailsAttempt.course.title} • options shown in the student's order
+              </p>
+
+              {!detailsData ? (
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto my-8"></div>
+              ) : (
+                <div className="space-y-4">
+                  {detailsData.quizAttempt.questions.map((question, index) => {
+                    const answer = detailsData.quizAttempt.answers.find(a => a.questionId === question._id);
+                    const selectedOptions = answer
+                      ? answer.selectedOptions?.length ? answer.selectedOptions : [answer.selectedOption]
+                      : [];
+                    const order = detailsData.optionOrders?.[question._id] || question.options.map((_, i) => i);
+
+                    return (
+                      <div key={question._id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex justify-between items-start mb-2">
+                          <MathText text={`${index + 1}. ${question.question}`} as="p" className="font-medium text-gray-900" />
+                          <span className="ml-2 text-sm text-gray-600 whitespace-nowrap">
+                            {answer ? answer.points : 0}/{question.points} pts
+                          </span>
+                        </div>
+                        {isTypedQuestion(question) ? (
+                          <div className="text-sm space-y-1">
+                            <p className={`px-2 py-1 rounded ${
+                              answer?.needsReview
+                                ? 'bg-yellow-50 text-yellow-900'
+                                : answer?.isCorrect ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                            }`}>
+                              Student's answer: <span className="font-medium">{answer?.textAnswer || 'No answer'}</span>
+                              {answer?.overriddenAt && <span className="ml-2 text-xs">(marked by teacher)</span>}
+                            </p>
+                            <p className="px-2 text-gray-600">Accepted: {describeAnswerKey(question)}</p>
+                            {answer?.needsReview && (
+                              <p className="px-2 text-yellow-800">Needs review: {answer.reviewReason}</p>
+                            )}
+                            {answer && (
+                              <div className="flex justify-end space-x-2 pt-1">
+                                <button
+                                  onClick={() => handleMarkAnswer(question, true)}
+                                  disabled={markingAnswer === question._id}
+                                  className="btn btn-secondary text-sm"
+                                >
+                                  Mark correct
+                                </button>
+                                <button
+                                  onClick={() => handleMarkAnswer(question, false)}
+                                  disabled={markingAnswer === question._id}
+                                  className="btn btn-secondary text-sm"
+                                >
+                                  Mark incorrect
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        ) : (
+                          <ul className="space-y-1">
+                            {order.map((optionIndex, shownIndex) => {
+                              const option = question.options[optionIndex];
+                              const isSelected = selectedOptions.includes(optionIndex);
+                              return (
+                                <li
+                                  key={optionIndex}
+                                  className={`flex items-center text-sm px-2 py-1 rounded ${
+                                    option.isCorrect ? 'bg-green-50 text-green-800' : isSelected ? 'bg-red-50 text-red-800' : 'text-gray-700'
+                                  }`}
+                                >
+                                  <span className="font-medium mr-2">{String.fromCharCode(65 + shownIndex)}.</span>
+                                  <MathText text={option.text} />
+                                  {isSelected && <span className="ml-auto text-xs font-medium">Student's answer</span>}
+                                  {!isSelected && option.isCorrect && <span className="ml-auto text-xs font-medium">Correct</span>}
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              <div className="flex justify-end mt-6">
+                <button onClick={() => setDetailsAttempt(null)} className="btn btn-secondary">
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Integrity Timeline Modal */}
+      {integrityAttempt && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-gray-900 mb-1">Quiz Integrity</h3>
+              <p className="text-gray-600 mb-4">
+                {integrityAttempt.student.name} • {integrityAttempt.course.title}
+              </p>
+
+              {!integrityData ? (
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto my-8"></div>
+              ) : (
+                <>
+                  {!integrityData.monitoring && (
+                    <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+                      Integrity monitoring is turned off for this course, so new activity is not recorded.
+                    </div>
+                  )}
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    <div className="text-center">
+                      <span className={`inline-block px-2 py-1 rounded-full text-sm font-medium capitalize ${SUSPICION_STYLES[integrityData.summary.suspicionLevel]}`}>
+                        {integrityData.summary.suspicionLevel}
+                      </span>
+                      <div className="text-sm text-gray-600 mt-1">Suspicion</div>
+                    </div>
+                    <div className="text-center">
+                      <div className="text-2xl font-bold text-gray-900">{integrityData.summary.timesLeft}</div>
+                      <div className="text-sm text-gray-600">Times left the quiz</div>
+                    </div>
+                    <div className="text-center">
+                      <div className="text-2xl font-bold text-gray-900">{formatTime(integrityData.summary.secondsAway)}</div>
+                      <div className="text-sm text-gray-600">Time away</div>
+                    </div>
+                    <div className="text-center">
+                      <div className="text-2xl font-bold text-gray-900">{integrityData.summary.copyPasteCount}</div>
+                      <div className="text-sm text-gray-600">Copy/paste</div>
+                    </div>
+                  </div>
+
+                  <p className="text-xs text-gray-500 mb-4">
+                    These signals come from the student's browser and can have innocent causes, such as notifications
+                    or a second monitor. Use them as a prompt for a conversation, not as proof.
+                  </p>
+
+                  {integrityData.events.length === 0 ? (
+                    <p className="text-gray-600 text-center py-4">No activity was recorded during this attempt.</p>
+                  ) : (
+                    <ol className="border-l-2 border-gray-200 ml-2 space-y-2">
+                      {integrityData.events.map((event, index) => (
+                        <li key={index} className="ml-4 text-sm">
+                          <span className="font-mono text-gray-500 mr-2">
+                            {formatOffset(integrityData.startedAt, event.occurredAt)}
+                          </span>
+                          <span className="text-gray-900">{INTEGRITY_EVENT_LABELS[event.type] || event.type}</span>
+                          {Number.isInteger(event.questionIndex) && (
+                            <span className="text-gray-500"> (question {event.questionIndex + 1})</span>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </>
+              )}
+
+              <div className="flex justify-end mt-6">
+                <button onClick={() => setIntegrityAttempt(null)} className="btn btn-secondary">
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Grading Modal */}
       {gradingAttempt && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import LatePenaltySummary from './LatePenaltySummary';
+import RubricGrid, { toSelections, getSelectionTotal, getRubricMax, scaleToPoints } from './RubricGrid';
 
 const TeacherSubmissionManagement = () => {
   const { assignmentId } = useParams();
@@ -25,6 +27,16 @@ const TeacherSubmissionManagement = () => {
     feedback: ''
   });
 
+  // Late penalty override form state
+  const [penaltyForm, setPenaltyForm] = useState({
+    percentage: '',
+    reason: ''
+  });
+  const [savingPenalty, setSavingPenalty] = useState(false);
+
+  // Rubric level chosen per criterion, when the assignment is graded with a rubric
+  const [rubricSelections, setRubricSelections] = useState({});
+
   // Filters and search
   const [filters, setFilters] = useState({
     status: 'all',
@@ -70,13 +82,27 @@ const TeacherSubmissionManagement = () => {
     
     if (!selectedSubmission) return;
 
+    if (assignment?.rubric && getSelectionTotal(assignment.rubric, rubricSelections) === null) {
+      toast.error('Choose a level for every rubric criterion');
+      return;
+    }
+
     try {
       setGrading(true);
       
-      const response = await axios.put(`/api/submissions/${selectedSubmission._id}/grade`, {
-        grade: parseFloat(gradingForm.grade),
-        feedback: gradingForm.feedback
-      });
+      const response = await axios.put(`/api/submissions/${selectedSubmission._id}/grade`, assignment?.rubric
+        ? {
+            rubricScores: Object.entries(rubricSelections).map(([criterionId, selection]) => ({
+              criterionId,
+              levelId: selection.levelId,
+              points: selection.points
+            })),
+            feedback: gradingForm.feedback
+          }
+        : {
+            grade: parseFloat(gradingForm.grade),
+            feedback: gradingForm.feedback
+          });
 
       toast.success('Submission graded successfully');
       
@@ -125,6 +151,39 @@ const TeacherSubmissionManagement = () => {
     }
   };
 
+  const saveLatePenalty = async (percentage, reason) => {
+    if (!selectedSubmission) return;
+
+    try {
+      setSavingPenalty(true);
+
+      const response = await axios.put(`/api/submissions/${selectedSubmission._id}/late-penalty`, {
+        percentage,
+        reason
+      });
+
+      toast.success(response.data.message);
+
+      // Update the submission in the list
+      setSubmissions(prev => prev.map(sub =>
+        sub._id === selectedSubmission._id ? response.data.submission : sub
+      ));
+
+      setSelectedSubmission(response.data.submission);
+      setPenaltyForm({ percentage: '', reason: '' });
+    } catch (error) {
+      console.error('Error saving late penalty:', error);
+      toast.error(error.response?.data?.message || 'Failed to save late penalty');
+    } finally {
+      setSavingPenalty(false);
+    }
+  };
+
+  const handleOverridePenalty = (e) => {
+    e.preventDefault();
+    saveLatePenalty(parseFloat(penaltyForm.percentage), penaltyForm.reason);
+  };
+
   const handleReturnSubmission = async (submissionId) => {
     try {
       const response = await axios.put(`/api/submissions/${submissionId}/return`);
@@ -284,8 +343,20 @@ const TeacherSubmissionManagement = () => {
             </svg>
             Back
           </button>
-          <h1 className="text-3xl font-bold text-gray-900 mb-2">{assignment?.title}</h1>
-          <p className="text-gray-600">{assignment?.course.title} • {assignment?.course.subject}</p>
+          <div className="flex justify-between items-end">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-2">{assignment?.title}</h1>
+              <p className="text-gray-600">{assignment?.course.title} • {assignment?.course.subject}</p>
+            </div>
+            {assignment?.peerReview?.enabled && (
+              <button
+                onClick={() => navigate(`/teacher/peer-reviews/${assignmentId}`)}
+                className="btn btn-secondary"
+              >
+                Peer Review Results
+              </button>
+            )}
+          </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
@@ -382,7 +453,10 @@ const TeacherSubmissionManagement = () => {
                       
                       <div 
                         className="flex-1 cursor-pointer"
-                        onClick={() => setSelectedSubmission(submission)}
+                        onClick={() => {
+                          setSelectedSubmission(submission);
+                          setRubricSelections(toSelections(submission.rubricScores));
+                        }}
                       >
                         <div className="flex justify-between items-start mb-2">
                           <h3 className="font-medium text-gray-900">
@@ -466,6 +540,14 @@ const TeacherSubmissionManagement = () => {
                         <p className="text-gray-900">{selectedSubmission.grade}/{selectedSubmission.maxPoints}</p>
                       </div>
                     )}
+                    {selectedSubmission.peerGrade?.weight > 0 && selectedSubmission.peerGrade.teacherGrade !== undefined && (
+                      <div>
+                        <span className="font-medium text-gray-500">Peer Blend:</span>
+                        <p className="text-gray-900">
+                          Your mark {selectedSubmission.peerGrade.teacherGrade}, peers {selectedSubmission.peerGrade.average} ({selectedSubmission.peerGrade.weight}%)
+                        </p>
+                      </div>
+                    )}
                     {selectedSubmission.gradedAt && (
                       <div>
                         <span className="font-medium text-gray-500">Graded:</span>
@@ -475,6 +557,65 @@ const TeacherSubmissionManagement = () => {
                   </div>
                 </div>
 
+                {/* Late Penalty */}
+                {(selectedSubmission.isLate || selectedSubmission.latePenalty?.isOverridden) && (
+                  <div className="card">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Late Penalty</h3>
+
+                    {selectedSubmission.rawGrade !== undefined && selectedSubmission.rawGrade !== null ? (
+                      <LatePenaltySummary submission={selectedSubmission} showOverrideDetails />
+                    ) : (
+                      <p className="text-sm text-gray-600">
+                        The assignment's late policy will be applied when you grade this submission.
+                      </p>
+                    )}
+
+                    <form onSubmit={handleOverridePenalty} className="mt-4 space-y-3">
+                      <div className="grid grid-cols-3 gap-4">
+                        <div>
+                          <label className="form-label">Penalty (%)</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.1"
+                            value={penaltyForm.percentage}
+                            onChange={(e) => setPenaltyForm(prev => ({ ...prev, percentage: e.target.value }))}
+                            className="form-input"
+                            placeholder={String(selectedSubmission.latePenalty?.percentage ?? 0)}
+                            required
+                          />
+                        </div>
+                        <div className="col-span-2">
+                          <label className="form-label">Reason</label>
+                          <input
+                            type="text"
+                            value={penaltyForm.reason}
+                            onChange={(e) => setPenaltyForm(prev => ({ ...prev, reason: e.target.value }))}
+                            className="form-input"
+                            placeholder="e.g. Extension agreed for illness"
+                          />
+                        </div>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button type="submit" disabled={savingPenalty} className="btn btn-secondary">
+                          {savingPenalty ? 'Saving...' : 'Override Penalty'}
+                        </button>
+                        {selectedSubmission.latePenalty?.isOverridden && (
+                          <button
+                            type="button"
+                            disabled={savingPenalty}
+                            onClick={() => saveLatePenalty(null)}
+                            className="btn btn-secondary"
+                          >
+                            Reset to Policy
+                          </button>
+                        )}
+                      </div>
+                    </form>
+                  </div>
+                )}
+
                 {/* Submission Content */}
                 <div className="card">
                   <h3 className="text-lg font-semibold text-gray-900 mb-4">Submission Content</h3>
@@ -530,21 +671,50 @@ const TeacherSubmissionManagement = () => {
                 <div className="card">
                   <h3 className="text-lg font-semibold text-gray-900 mb-4">Grade & Feedback</h3>
                   
-                  <form onSubmit={selectedSubmission.grade !== undefined ? handleAddFeedback : handleGradeSubmission} className="space-y-4">
-                    <div className="grid grid-cols-2 gap-4">
+                  <form onSubmit={assignment?.rubric || selectedSubmission.grade === undefined ? handleGradeSubmission : handleAddFeedback} className="space-y-4">
+                    {assignment?.rubric && (
                       <div>
-                        <label className="form-label">Grade (out of {selectedSubmission.maxPoints})</label>
-                        <input
-                          type="number"
-                          min="0"
-                          max={selectedSubmission.maxPoints}
-                          step="0.1"
-                          value={gradingForm.grade}
-                          onChange={(e) => setGradingForm(prev => ({ ...prev, grade: e.target.value }))}
-                          className="form-input"
-                          placeholder="Enter grade"
+                        <label className="form-label">Rubric: {assignment.rubric.title}</label>
+                        <RubricGrid
+                          rubric={assignment.rubric}
+                          selections={rubricSelections}
+                          onChange={setRubricSelections}
                         />
                       </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                      {assignment?.rubric ? (
+                        <div>
+                          <label className="form-label">Grade (out of {selectedSubmission.maxPoints})</label>
+                          {getSelectionTotal(assignment.rubric, rubricSelections) === null ? (
+                            <p className="text-sm text-gray-500">Choose a level for every criterion</p>
+                          ) : (
+                            <p className="text-gray-900">
+                              <span className="font-medium">
+                                {scaleToPoints(getSelectionTotal(assignment.rubric, rubricSelections), assignment.rubric, selectedSubmission.maxPoints)}
+                              </span>
+                              <span className="text-sm text-gray-500">
+                                {' '}(rubric {getSelectionTotal(assignment.rubric, rubricSelections)}/{getRubricMax(assignment.rubric)})
+                              </span>
+                            </p>
+                          )}
+                        </div>
+                      ) : (
+                        <div>
+                          <label className="form-label">Grade (out of {selectedSubmission.maxPoints})</label>
+                          <input
+                            type="number"
+                            min="0"
+                            max={selectedSubmission.maxPoints}
+                            step="0.1"
+                            value={gradingForm.grade}
+                            onChange={(e) => setGradingForm(prev => ({ ...prev, grade: e.target.value }))}
+                            className="form-input"
+                            placeholder="Enter grade"
+                          />
+                        </div>
+                      )}
                       <div className="flex items-end">
                         <button
                           type="button"
@@ -578,7 +748,11 @@ const TeacherSubmissionManagement = () => {
                           disabled={grading}
                           className="btn btn-primary"
                         >
-                          {grading ? 'Processing...' : selectedSubmission.grade !== undefined ? 'Add Feedback' : 'Grade Submission'}
+                          {grading
+                            ? 'Processing...'
+                            : selectedSubmission.grade === undefined
+                              ? 'Grade Submission'
+                              : assignment?.rubric ? 'Update Grade' : 'Add Feedback'}
                         </button>
                         
                         {selectedSubmission.status === 'graded' && (